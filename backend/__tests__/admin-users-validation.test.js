@@ -0,0 +1,43 @@
+/**
+ * Tests for admin account input validation
+ */
+
+const { normalizeAdminUserInput, DEFAULT_ADMIN_ROLE } = require('../auth-database');
+
+describe('admin account input validation', () => {
+  test('trims values and defaults new admins to the viewer role', () => {
+    const { errors, values } = normalizeAdminUserInput({ username: ' go_go.tomago ', display_name: ' GoGo ' });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ username: 'go_go.tomago', display_name: 'GoGo', role: DEFAULT_ADMIN_ROLE });
+    expect(DEFAULT_ADMIN_ROLE).toBe('viewer');
+  });
+
+  test('requires a well-formed username on create', () => {
+    expect(normalizeAdminUserInput({}).errors).toEqual(['Username is required.']);
+    expect(normalizeAdminUserInput({ username: 'hi' }).errors)
+      .toEqual(['Username must be 3 to 50 characters.']);
+    expect(normalizeAdminUserInput({ username: 'wasabi no-ginger' }).errors)
+      .toEqual(['Username may only contain letters, numbers, dots, dashes, and underscores.']);
+  });
+
+  test('only checks provided fields on update', () => {
+    const { errors, values } = normalizeAdminUserInput({ active: false }, { partial: true });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ active: false });
+  });
+
+  test('clears a blank display name', () => {
+    expect(normalizeAdminUserInput({ display_name: '  ' }, { partial: true }).values.display_name).toBeNull();
+  });
+
+  test('rejects unknown roles and non-boolean active flags', () => {
+    const { errors } = normalizeAdminUserInput({ role: 'superuser', active: 'no' }, { partial: true });
+
+    expect(errors).toEqual([
+      'Role must be one of: viewer, moderator, owner.',
+      'Active flag must be true or false.'
+    ]);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests for API token validation and Bearer authentication
+ */
+
+jest.mock('../auth-database', () => ({ findAdminById: jest.fn() }));
+jest.mock('../api-token-database', () => ({
+  ...jest.requireActual('../api-token-database'),
+  findApiToken: jest.fn(),
+  recordApiTokenUse: jest.fn()
+}));
+
+const { findAdminById } = require('../auth-database');
+const {
+  generateApiToken,
+  hashApiToken,
+  isWellFormedApiToken,
+  normalizeApiTokenInput,
+  findApiToken,
+  recordApiTokenUse
+} = require('../api-token-database');
+const { requireAuth, requireSession, apiTokenScope, getBearerToken, rejectApiTokens } = require('../middleware/auth');
+
+describe('normalizeApiTokenInput', () => {
+  test('accepts a named, scoped, expiring token', () => {
+    const { errors, values } = normalizeApiTokenInput({
+      name: '  Weekly report ',
+      scopes: ['stats:read', 'ratings:read', 'stats:read'],
+      expires_in_days: '30'
+    });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ name: 'Weekly report', scopes: ['ratings:read', 'stats:read'], expires_in_days: 30 });
+  });
+
+  test('requires a name, known scopes and an expiry in range', () => {
+    expect(normalizeApiTokenInput({}).errors).toEqual([
+      'Token name is required.',
+      'Choose at least one scope.',
+      'Expiry is required.'
+    ]);
+    expect(normalizeApiTokenInput({ name: 'x', scopes: ['admin:all'], expires_in_days: 30 }).errors[0])
+      .toContain('Unknown scope: admin:all');
+    expect(normalizeApiTokenInput({ name: 'x', scopes: ['stats:read'], expires_in_days: 366 }).errors[0])
+      .toContain('from 1 to 365');
+    expect(normalizeApiTokenInput({ name: 'x', scopes: ['stats:read'], expires_in_days: 1.5 }).errors).toHaveLength(1);
+  });
+});
+
+describe('token values', () => {
+  test('are well formed, unique and hashed for storage', () => {
+    const token = generateApiToken();
+
+    expect(isWellFormedApiToken(token)).toBe(true);
+    expect(generateApiToken()).not.toBe(token);
+    expect(hashApiToken(token)).toMatch(/^[0-9a-f]{64}$/);
+    expect(isWellFormedApiToken('bmx_short')).toBe(false);
+    expect(isWellFormedApiToken(undefined)).toBe(false);
+  });
+
+  test('are read from Bearer Authorization headers only', () => {
+    const request = (header) => ({ get: (name) => (name === 'authorization' ? header : undefined) });
+
+    expect(getBearerToken(request('Bearer bmx_abc'))).toBe('bmx_abc');
+    expect(getBearerToken(request('bearer   bmx_abc'))).toBe('bmx_abc');
+    expect(getBearerToken(request('Basic dXNlcjpwdw=='))).toBeNull();
+    expect(getBearerToken(request(undefined))).toBeNull();
+  });
+});
+
+describe('requireAuth with an API token', () => {
+  beforeEach(() => {
+    findAdminById.mockReset();
+    findApiToken.mockReset();
+    recordApiTokenUse.mockReset();
+  });
+
+  async function run(scope, { token = { id: 7, user_id: 1, name: 'Report', scopes: ['stats:read'] }, user } = {}) {
+    findApiToken.mockResolvedValueOnce(token);
+    if (token) findAdminById.mockResolvedValueOnce(user === undefined ? { id: 1, username: 'hiro', role: 'viewer', active: true } : user);
+    const req = { get: () => 'Bearer bmx_token', ip: '127.0.0.1' };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    if (scope) apiTokenScope(scope)(req, res, () => {});
+    await requireAuth(req, res, next);
+    return { req, res, next };
+  }
+
+  test('acts as the token owner on routes that allow its scope', async () => {
+    const { req, next } = await run('stats:read');
+
+    expect(next).toHaveBeenCalled();
+    expect(req.session).toEqual({ userId: 1, username: 'hiro' });
+    expect(req.apiToken.id).toBe(7);
+    expect(recordApiTokenUse).toHaveBeenCalledWith(7, '127.0.0.1');
+  });
+
+  test('rejects tokens without the route scope, and routes without one', async () => {
+    const missing = await run('ratings:write');
+    expect(missing.res.status).toHaveBeenCalledWith(403);
+    expect(missing.res.json.mock.calls[0][0].error).toContain('ratings:write');
+
+    const sessionOnly = await run(null);
+    expect(sessionOnly.res.status).toHaveBeenCalledWith(403);
+    expect(sessionOnly.next).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown tokens and tokens of disabled admins', async () => {
+    expect((await run('stats:read', { token: null })).res.status).toHaveBeenCalledWith(401);
+    expect((await run('stats:read', { user: { id: 1, role: 'owner', active: false } })).res.status)
+      .toHaveBeenCalledWith(401);
+    expect(recordApiTokenUse).not.toHaveBeenCalled();
+  });
+});
+
+describe('session-only routes', () => {
+  const request = (header) => ({ get: (name) => (name === 'authorization' ? header : undefined) });
+
+  test('turn away Bearer requests before the handler reads req.session', () => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+
+    rejectApiTokens(request('Bearer bmx_token'), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('let cookie requests through', () => {
+    const next = jest.fn();
+
+    rejectApiTokens(request(undefined), {}, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('behind requireSession reject tokens too', async () => {
+    findApiToken.mockResolvedValueOnce({ id: 7, user_id: 1, name: 'Report', scopes: ['stats:read'] });
+    findAdminById.mockResolvedValueOnce({ id: 1, username: 'hiro', role: 'owner', active: true });
+    const req = request('Bearer bmx_token');
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+
+    await requireSession(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
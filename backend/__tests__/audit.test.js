@@ -0,0 +1,72 @@
+/**
+ * Tests for audit log filters and snapshots
+ */
+
+const { parseAuditFilters, buildAuditFilterClause, redactSnapshot } = require('../audit-database');
+
+describe('parseAuditFilters', () => {
+  test('returns no filters by default', () => {
+    expect(parseAuditFilters({})).toEqual({ errors: [], filters: {} });
+  });
+
+  test('splits exact actions from action groups', () => {
+    const { errors, filters } = parseAuditFilters({ action: 'rating.delete,auth.*' });
+
+    expect(errors).toEqual([]);
+    expect(filters.actions).toEqual(['rating.delete']);
+    expect(filters.actionGroups).toEqual(['auth.']);
+  });
+
+  test('parses actor, target and date range', () => {
+    const { errors, filters } = parseAuditFilters({
+      actor_id: '3',
+      actor: ' admin ',
+      target_type: 'category',
+      target_id: 'bug_fixing',
+      from: '2025-01-01',
+      to: '2025-01-31'
+    });
+
+    expect(errors).toEqual([]);
+    expect(filters).toMatchObject({ actorId: 3, actor: 'admin', targetType: 'category', targetId: 'bug_fixing' });
+    expect(filters.to.toISOString()).toBe('2025-02-01T00:00:00.000Z');
+  });
+
+  test('rejects invalid values', () => {
+    const { errors } = parseAuditFilters({ action: "rating'; DROP", actor_id: '-1', from: 'soon' });
+
+    expect(errors).toEqual([
+      'action must be an action name like "category.update" or a group like "auth.*".',
+      'actor_id must be a positive whole number.',
+      'from must be a date (YYYY-MM-DD) or ISO 8601 timestamp.'
+    ]);
+  });
+});
+
+describe('buildAuditFilterClause', () => {
+  test('is empty without filters', () => {
+    expect(buildAuditFilterClause({}, [])).toBe('');
+  });
+
+  test('parameterizes every value and ORs action matches', () => {
+    const params = [];
+    const { filters } = parseAuditFilters({ action: 'category.update,auth.*', target_type: 'category' });
+
+    expect(buildAuditFilterClause(filters, params)).toBe(
+      'WHERE (action = ANY($1) OR starts_with(action, $2)) AND target_type = $3'
+    );
+    expect(params).toEqual([['category.update'], 'auth.', 'category']);
+  });
+});
+
+describe('redactSnapshot', () => {
+  test('drops credentials and secrets', () => {
+    expect(redactSnapshot({ id: 1, username: 'admin', password_hash: 'x', totp_secret: 'y' }))
+      .toEqual({ id: 1, username: 'admin' });
+  });
+
+  test('treats missing snapshots as null', () => {
+    expect(redactSnapshot(undefined)).toBeNull();
+    expect(redactSnapshot('text')).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for admin category input validation
+ */
+
+const { normalizeCategoryInput, slugifyCategoryName, DEFAULT_CATEGORY_EMOJI } = require('../categories-database');
+
+describe('category input validation', () => {
+  test('derives the ID from the name when none is given', () => {
+    const { errors, values } = normalizeCategoryInput({ name: 'Security Review', emoji: '🔒' });
+
+    expect(errors).toEqual([]);
+    expect(values.id).toBe('security_review');
+    expect(values.name).toBe('Security Review');
+    expect(values.emoji).toBe('🔒');
+  });
+
+  test('falls back to the default emoji', () => {
+    const { values } = normalizeCategoryInput({ name: 'Hardware' });
+
+    expect(values.emoji).toBe(DEFAULT_CATEGORY_EMOJI);
+  });
+
+  test('requires a name on create', () => {
+    const { errors } = normalizeCategoryInput({ id: 'hardware' });
+
+    expect(errors).toContain('Category name is required.');
+  });
+
+  test('rejects IDs with invalid characters', () => {
+    const { errors } = normalizeCategoryInput({ id: 'bad id!', name: 'Bad' });
+
+    expect(errors).toContain('Category ID may only contain lowercase letters, numbers, and underscores.');
+  });
+
+  test('rejects names exceeding max length', () => {
+    const { errors } = normalizeCategoryInput({ name: 'x'.repeat(61) });
+
+    expect(errors).toContain('Category name exceeds maximum length of 60 characters.');
+  });
+
+  test('partial updates only validate provided fields', () => {
+    const { errors, values } = normalizeCategoryInput({ active: false }, { partial: true });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ active: false });
+  });
+
+  test('rejects non-boolean active flags and non-integer sort orders', () => {
+    const { errors } = normalizeCategoryInput({ active: 'no', sort_order: 1.5 }, { partial: true });
+
+    expect(errors).toContain('Active flag must be true or false.');
+    expect(errors).toContain('Sort order must be a whole number.');
+  });
+
+  test('slugifies names', () => {
+    expect(slugifyCategoryName('  IT  Assistance! ')).toBe('it_assistance');
+    expect(slugifyCategoryName('')).toBe('');
+  });
+});
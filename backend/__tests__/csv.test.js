@@ -0,0 +1,71 @@
+/**
+ * Tests for CSV escaping and parsing
+ */
+
+const { escapeCsvField, toCsvRow, parseCsv } = require('../csv');
+
+describe('escapeCsvField', () => {
+  test('leaves plain values untouched', () => {
+    expect(escapeCsvField('Printer fixed')).toBe('Printer fixed');
+    expect(escapeCsvField(5)).toBe('5');
+  });
+
+  test('writes null and undefined as empty fields', () => {
+    expect(escapeCsvField(null)).toBe('');
+    expect(escapeCsvField(undefined)).toBe('');
+  });
+
+  test('quotes fields containing delimiters, quotes or line breaks', () => {
+    expect(escapeCsvField('fast, friendly')).toBe('"fast, friendly"');
+    expect(escapeCsvField('he said "done"')).toBe('"he said ""done"""');
+    expect(escapeCsvField('line one\nline two')).toBe('"line one\nline two"');
+  });
+
+  test('neutralizes text a spreadsheet would run as a formula', () => {
+    expect(escapeCsvField('=HYPERLINK("http://evil.example")')).toBe('"\'=HYPERLINK(""http://evil.example"")"');
+    expect(escapeCsvField('+1 great')).toBe("'+1 great");
+    expect(escapeCsvField('-rm')).toBe("'-rm");
+    expect(escapeCsvField('@SUM(A1)')).toBe("'@SUM(A1)");
+  });
+
+  test('does not alter negative numbers', () => {
+    expect(escapeCsvField(-3)).toBe('-3');
+  });
+
+  test('formats dates as ISO 8601', () => {
+    expect(escapeCsvField(new Date('2025-01-02T03:04:05.000Z'))).toBe('2025-01-02T03:04:05.000Z');
+  });
+});
+
+describe('toCsvRow', () => {
+  test('joins escaped fields and ends with CRLF', () => {
+    expect(toCsvRow([1, 'a,b', null])).toBe('1,"a,b",\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  test('parses quoted fields with delimiters, quotes and line breaks', () => {
+    expect(parseCsv('a,b,c\r\n1,"x, ""y""","line\nbreak"\r\n')).toEqual([
+      ['a', 'b', 'c'],
+      ['1', 'x, "y"', 'line\nbreak']
+    ]);
+  });
+
+  test('strips a byte order mark and skips blank lines', () => {
+    expect(parseCsv('\uFEFFstars\n\n5\n')).toEqual([['stars'], ['5']]);
+  });
+
+  test('keeps empty fields', () => {
+    expect(parseCsv('a,,c\n,,')).toEqual([['a', '', 'c'], ['', '', '']]);
+  });
+
+  test('reads back what toCsvRow writes', () => {
+    const values = ['fast, friendly', 'he said "done"', 'two\nlines', ''];
+
+    expect(parseCsv(toCsvRow(values))).toEqual([values]);
+  });
+
+  test('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('a\n"oops')).toThrow('Unterminated quoted field.');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for survey invitation tokens and input validation
+ */
+
+const {
+  getInvitationConfig,
+  normalizeInvitationInput,
+  signInvitationToken,
+  verifyInvitationToken,
+  getInvitationStatus,
+  canShareInvitationLinks,
+  formatInvitation,
+  DEFAULT_INVITATION_LIFETIME_DAYS
+} = require('../invitations');
+
+const SECRET = 'test-secret';
+const invitation = {
+  id: 42,
+  ticket_ref: 'INC-1042',
+  provider_id: 3,
+  category: 'bug_fixing',
+  expires_at: new Date('2026-06-15T12:00:00Z')
+};
+
+describe('normalizeInvitationInput', () => {
+  const options = { providerIds: [3, 4], categoryIds: ['bug_fixing', 'integration'] };
+
+  test('accepts a ticket with an optional technician and category', () => {
+    const { errors, values } = normalizeInvitationInput(
+      { ticket_ref: '  INC-1042 ', provider_id: '3', category: 'bug_fixing', expires_in_days: 7 },
+      options
+    );
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ ticket_ref: 'INC-1042', provider_id: 3, category: 'bug_fixing', expires_in_days: 7 });
+
+    expect(normalizeInvitationInput({ ticket_ref: '#5521' }, options).values).toEqual({
+      ticket_ref: '#5521',
+      provider_id: null,
+      category: null,
+      expires_in_days: DEFAULT_INVITATION_LIFETIME_DAYS
+    });
+  });
+
+  test('requires a plain ticket reference', () => {
+    expect(normalizeInvitationInput({}, options).errors[0]).toMatch(/Ticket reference is required/);
+    expect(normalizeInvitationInput({ ticket_ref: 'x'.repeat(101) }, options).errors[0]).toMatch(/maximum length/);
+    expect(normalizeInvitationInput({ ticket_ref: '<script>' }, options).errors[0]).toMatch(/may only contain/);
+  });
+
+  test('rejects unknown technicians and categories, and out of range expiry', () => {
+    expect(normalizeInvitationInput({ ticket_ref: 'T-1', provider_id: 9 }, options).errors[0])
+      .toMatch(/technician/);
+    expect(normalizeInvitationInput({ ticket_ref: 'T-1', category: 'legacy' }, options).errors[0])
+      .toMatch(/category "legacy"/);
+    expect(normalizeInvitationInput({ ticket_ref: 'T-1', expires_in_days: 0 }, options).errors[0])
+      .toMatch(/Expiry must be/);
+    expect(normalizeInvitationInput({ ticket_ref: 'T-1', expires_in_days: 91 }, options).errors).toHaveLength(1);
+  });
+});
+
+describe('invitation tokens', () => {
+  const before = new Date('2026-06-01T00:00:00Z');
+
+  test('round-trip the ticket, technician, category and expiry', () => {
+    const token = signInvitationToken(invitation, SECRET);
+    expect(token).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    expect(verifyInvitationToken(token, SECRET, before)).toEqual({ invitation });
+  });
+
+  test('reject tampered, foreign and malformed tokens', () => {
+    const token = signInvitationToken(invitation, SECRET);
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ i: 42, t: 'INC-1042', p: 4, c: null, e: 1781524800 })).toString('base64url');
+
+    expect(verifyInvitationToken(`${forged}.${signature}`, SECRET, before)).toEqual({ error: 'invalid' });
+    expect(verifyInvitationToken(token, 'another-secret', before)).toEqual({ error: 'invalid' });
+    expect(verifyInvitationToken('not-a-token', SECRET, before)).toEqual({ error: 'invalid' });
+    expect(verifyInvitationToken(undefined, SECRET, before)).toEqual({ error: 'invalid' });
+  });
+
+  test('reject expired tokens', () => {
+    const token = signInvitationToken(invitation, SECRET);
+    expect(verifyInvitationToken(token, SECRET, new Date('2026-06-15T12:00:00Z'))).toEqual({ error: 'expired' });
+  });
+});
+
+describe('getInvitationStatus', () => {
+  const now = new Date('2026-06-10T00:00:00Z');
+
+  test('distinguishes answered, expired and pending invitations', () => {
+    expect(getInvitationStatus({ ...invitation, used_at: new Date('2026-06-02T00:00:00Z') }, now)).toBe('answered');
+    expect(getInvitationStatus({ ...invitation, used_at: null }, now)).toBe('pending');
+    expect(getInvitationStatus({ ...invitation, used_at: null }, new Date('2026-07-01T00:00:00Z'))).toBe('expired');
+  });
+});
+
+describe('invitation links in the dashboard list', () => {
+  const now = new Date('2026-06-10T00:00:00Z');
+  const pending = { ...invitation, used_at: null };
+
+  test('are hidden from viewers', () => {
+    const viewer = { id: 2, role: 'viewer' };
+    expect(canShareInvitationLinks(viewer)).toBe(false);
+
+    const formatted = formatInvitation(pending, {}, { includeLink: canShareInvitationLinks(viewer), now });
+    expect(formatted).toMatchObject({ status: 'pending', token: null, url: null });
+  });
+
+  test('are shown to moderators and owners, and to their tokens with invitations:write', () => {
+    const moderator = { id: 3, role: 'moderator' };
+    expect(canShareInvitationLinks(moderator)).toBe(true);
+    expect(canShareInvitationLinks({ id: 1, role: 'owner' }, { scopes: ['invitations:read', 'invitations:write'] })).toBe(true);
+    expect(canShareInvitationLinks(moderator, { scopes: ['invitations:read'] })).toBe(false);
+
+    const formatted = formatInvitation(pending, {}, { includeLink: true, now });
+    expect(formatted.token).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    expect(formatted.url).toContain(`/#/?invite=${formatted.token}`);
+  });
+
+  test('are never rebuilt for answered or expired invitations', () => {
+    const answered = { ...invitation, used_at: new Date('2026-06-02T00:00:00Z') };
+    expect(formatInvitation(answered, {}, { includeLink: true, now }).token).toBeNull();
+  });
+});
+
+describe('getInvitationConfig', () => {
+  test('prefers a dedicated secret and links to the first frontend URL', () => {
+    expect(getInvitationConfig({
+      INVITATION_SECRET: 'invite-secret',
+      SESSION_SECRET: 'session-secret',
+      FRONTEND_URL: 'https://ratings.example.com/,http://localhost:5173'
+    })).toEqual({ secret: 'invite-secret', appUrl: 'https://ratings.example.com' });
+    expect(getInvitationConfig({ SESSION_SECRET: 'session-secret' }).secret).toBe('session-secret');
+  });
+});
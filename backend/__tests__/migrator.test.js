@@ -0,0 +1,90 @@
+/**
+ * Tests for schema migration loading and planning
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMigrations, planUp, planDown, migrationLabel } = require('../migrator');
+
+const migrations = [1, 2, 3, 4].map(version => ({ version, name: `step_${version}` }));
+
+describe('loadMigrations', () => {
+  test('loads the shipped migrations in version order with up and down', () => {
+    const loaded = loadMigrations();
+
+    expect(loaded.length).toBeGreaterThan(0);
+    loaded.forEach((migration, i) => {
+      expect(migration.version).toBe(i + 1);
+      expect(typeof migration.up).toBe('function');
+      expect(typeof migration.down).toBe('function');
+    });
+  });
+
+  describe('with a scratch directory', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const write = (file, body = 'module.exports = { up: async () => {}, down: async () => {} };') =>
+      fs.writeFileSync(path.join(dir, file), body);
+
+    test('rejects misnamed files', () => {
+      write('add_things.js');
+
+      expect(() => loadMigrations(dir)).toThrow('must be named like 001_description.js');
+    });
+
+    test('rejects duplicate versions', () => {
+      write('001_first.js');
+      write('01_again.js');
+
+      expect(() => loadMigrations(dir)).toThrow('Duplicate migration version 1');
+    });
+
+    test('rejects migrations without down()', () => {
+      write('001_first.js', 'module.exports = { up: async () => {} };');
+
+      expect(() => loadMigrations(dir)).toThrow('must export up() and down()');
+    });
+  });
+});
+
+describe('planUp', () => {
+  test('returns unapplied migrations in order', () => {
+    expect(planUp(migrations, new Set([1, 3])).map(m => m.version)).toEqual([2, 4]);
+  });
+
+  test('stops at the target version', () => {
+    expect(planUp(migrations, new Set([1]), 3).map(m => m.version)).toEqual([2, 3]);
+  });
+});
+
+describe('planDown', () => {
+  const applied = new Set([1, 2, 3]);
+
+  test('reverts the newest migration by default', () => {
+    expect(planDown(migrations, applied).map(m => m.version)).toEqual([3]);
+  });
+
+  test('reverts several steps or down to a version, newest first', () => {
+    expect(planDown(migrations, applied, { steps: 2 }).map(m => m.version)).toEqual([3, 2]);
+    expect(planDown(migrations, applied, { to: 0 }).map(m => m.version)).toEqual([3, 2, 1]);
+  });
+
+  test('refuses to revert a migration whose file is gone', () => {
+    expect(() => planDown(migrations, new Set([1, 9]))).toThrow('Applied migration 9 has no file');
+  });
+});
+
+describe('migrationLabel', () => {
+  test('matches the file name', () => {
+    expect(migrationLabel({ version: 7, name: 'add_things' })).toBe('007_add_things');
+  });
+});
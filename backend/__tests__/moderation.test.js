@@ -0,0 +1,85 @@
+/**
+ * Tests for the comment auto-flagging rules and moderation decisions
+ */
+
+const {
+  normalizeBlocklist,
+  detectModerationFlags,
+  initialModerationStatus,
+  normalizeModerationInput
+} = require('../moderation');
+const { normalizeSettingsInput } = require('../settings-database');
+
+describe('normalizeBlocklist', () => {
+  test('trims, lowercases and drops blanks and duplicates', () => {
+    expect(normalizeBlocklist([' Scam ', 'scam', '', 'free money'])).toEqual({ value: ['scam', 'free money'] });
+    expect(normalizeBlocklist([])).toEqual({ value: [] });
+  });
+
+  test('rejects anything but a reasonable list of words', () => {
+    expect(normalizeBlocklist('scam').error).toMatch(/list of words/);
+    expect(normalizeBlocklist(['scam', 3]).error).toMatch(/list of words/);
+    expect(normalizeBlocklist(['x'.repeat(51)]).error).toMatch(/at most 50 characters/);
+    expect(normalizeBlocklist(Array.from({ length: 201 }, (_, i) => `word${i}`)).error).toMatch(/at most 200 words/);
+  });
+
+  test('is used when an owner saves the moderation settings', () => {
+    expect(normalizeSettingsInput({ moderation_blocklist: ['Scam'], hold_all_comments: true })).toEqual({
+      errors: [],
+      values: { moderation_blocklist: ['scam'], hold_all_comments: true }
+    });
+    expect(normalizeSettingsInput({ moderation_blocklist: 'scam' }).errors).toEqual(['The blocklist must be a list of words.']);
+  });
+});
+
+describe('detectModerationFlags', () => {
+  const blocklist = ['scam', 'free money'];
+
+  test('leaves ordinary feedback alone', () => {
+    expect(detectModerationFlags({ comment: 'Fixed my VPN in ten minutes. Thanks!' }, { blocklist })).toEqual([]);
+    expect(detectModerationFlags({ comment: null, reviewer_name: 'Anonymous Patient' }, { blocklist })).toEqual([]);
+  });
+
+  test('matches blocklisted words and phrases as whole words only', () => {
+    expect(detectModerationFlags({ comment: 'Total SCAM!' }, { blocklist })).toEqual(['blocklist']);
+    expect(detectModerationFlags({ comment: 'Want free\n  money?' }, { blocklist })).toEqual(['blocklist']);
+    expect(detectModerationFlags({ comment: 'Scammers tried to phish me' }, { blocklist })).toEqual([]);
+    expect(detectModerationFlags({ reviewer_name: 'scam' }, { blocklist })).toEqual(['blocklist']);
+  });
+
+  test('flags links and shouting', () => {
+    expect(detectModerationFlags({ comment: 'See https://example.test/deal' })).toEqual(['link']);
+    expect(detectModerationFlags({ previous_issue_details: 'visit www.deals-now for more' })).toEqual(['link']);
+    expect(detectModerationFlags({ comment: 'Buy at cheap-pills.com' })).toEqual(['link']);
+    expect(detectModerationFlags({ comment: 'THIS IS THE WORST SUPPORT EVER' })).toEqual(['caps']);
+    expect(detectModerationFlags({ comment: 'OK, VPN works' })).toEqual([]);
+  });
+
+  test('reports every rule that matched, in order', () => {
+    expect(detectModerationFlags({ comment: 'SCAM SCAM SCAM GO TO WWW.EXAMPLE.COM' }, { blocklist }))
+      .toEqual(['blocklist', 'link', 'caps']);
+  });
+});
+
+describe('initialModerationStatus', () => {
+  test('holds flagged ratings and approves the rest', () => {
+    expect(initialModerationStatus({ comment: 'Spam' }, ['link'])).toBe('pending');
+    expect(initialModerationStatus({ comment: 'Great help' }, [])).toBe('approved');
+  });
+
+  test('can hold every comment, but never ratings without one', () => {
+    const options = { holdAllComments: true };
+    expect(initialModerationStatus({ comment: 'Great help' }, [], options)).toBe('pending');
+    expect(initialModerationStatus({ previous_issue_details: 'Printer again' }, [], options)).toBe('pending');
+    expect(initialModerationStatus({ comment: null, reviewer_name: 'Sam' }, [], options)).toBe('approved');
+  });
+});
+
+describe('normalizeModerationInput', () => {
+  test('accepts the known statuses only', () => {
+    expect(normalizeModerationInput({ status: 'rejected' })).toEqual({ errors: [], values: { status: 'rejected' } });
+    expect(normalizeModerationInput({ status: 'spam' }).errors)
+      .toEqual(['status must be one of: pending, approved, rejected.']);
+    expect(normalizeModerationInput(undefined).errors).toHaveLength(1);
+  });
+});
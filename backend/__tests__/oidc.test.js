@@ -0,0 +1,199 @@
+/**
+ * Tests for OpenID Connect settings, ID token verification and role mapping
+ */
+
+jest.mock('../auth-database', () => ({ ADMIN_ROLES: ['viewer', 'moderator', 'owner'] }));
+
+const crypto = require('crypto');
+const http = require('http');
+const {
+  getOidcConfig,
+  pkceChallenge,
+  randomUrlToken,
+  discover,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  isEmailAllowed,
+  isEmailVerified,
+  mapRole,
+  deriveUsername
+} = require('../oidc');
+const { createMockIssuer } = require('../scripts/mock-oidc-issuer');
+
+const BASE_ENV = {
+  OIDC_ISSUER: 'https://id.example.com/',
+  OIDC_CLIENT_ID: 'baymax',
+  OIDC_ALLOWED_DOMAINS: 'Example.com, sfit.example'
+};
+
+describe('getOidcConfig', () => {
+  test('is off until the issuer, client and allowed domains are set', () => {
+    expect(getOidcConfig({})).toBeNull();
+    expect(getOidcConfig({ ...BASE_ENV, OIDC_ALLOWED_DOMAINS: '' })).toBeNull();
+  });
+
+  test('reads defaults, domains and the role map', () => {
+    const config = getOidcConfig({
+      ...BASE_ENV,
+      OIDC_ROLE_MAP: 'it-leads:owner, helpdesk:moderator',
+      FRONTEND_URL: 'https://ratings.example.com/,http://localhost:5173'
+    });
+
+    expect(config).toMatchObject({
+      issuer: 'https://id.example.com',
+      scopes: 'openid email profile',
+      allowedDomains: ['example.com', 'sfit.example'],
+      roleClaim: 'roles',
+      roleMap: { 'it-leads': 'owner', helpdesk: 'moderator' },
+      defaultRole: 'viewer',
+      allowUnverifiedEmail: false,
+      appUrl: 'https://ratings.example.com'
+    });
+    expect(getOidcConfig({ ...BASE_ENV, OIDC_DEFAULT_ROLE: 'none' }).defaultRole).toBeNull();
+  });
+
+  test('rejects invalid role settings', () => {
+    expect(() => getOidcConfig({ ...BASE_ENV, OIDC_ROLE_MAP: 'it-leads:admin' })).toThrow('OIDC_ROLE_MAP');
+    expect(() => getOidcConfig({ ...BASE_ENV, OIDC_DEFAULT_ROLE: 'root' })).toThrow('OIDC_DEFAULT_ROLE');
+  });
+});
+
+describe('claims', () => {
+  const config = getOidcConfig({ ...BASE_ENV, OIDC_ROLE_MAP: 'it-leads:owner,helpdesk:moderator' });
+
+  test('computes the RFC 7636 S256 challenge', () => {
+    expect(pkceChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+      .toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+  });
+
+  test('allows only the configured email domains', () => {
+    expect(isEmailAllowed('hiro@EXAMPLE.com', config.allowedDomains)).toBe(true);
+    expect(isEmailAllowed('hiro@example.com.evil.test', config.allowedDomains)).toBe(false);
+    expect(isEmailAllowed('hiro@sub.example.com', config.allowedDomains)).toBe(false);
+    expect(isEmailAllowed(undefined, config.allowedDomains)).toBe(false);
+    expect(isEmailAllowed('anyone@anywhere.test', ['*'])).toBe(true);
+  });
+
+  test('requires a verified email unless a missing claim is explicitly allowed', () => {
+    expect(isEmailVerified({ email_verified: true }, config)).toBe(true);
+    expect(isEmailVerified({ email_verified: false }, config)).toBe(false);
+    expect(isEmailVerified({ email_verified: 'true' }, config)).toBe(false);
+    expect(isEmailVerified({}, config)).toBe(false);
+
+    const lenient = getOidcConfig({ ...BASE_ENV, OIDC_ALLOW_UNVERIFIED_EMAIL: 'true' });
+    expect(isEmailVerified({}, lenient)).toBe(true);
+    expect(isEmailVerified({ email_verified: false }, lenient)).toBe(false);
+  });
+
+  test('maps the role claim, preferring the most privileged match', () => {
+    expect(mapRole({ roles: ['helpdesk', 'it-leads'] }, config)).toBe('owner');
+    expect(mapRole({ roles: 'moderator' }, config)).toBe('moderator');
+    expect(mapRole({ roles: ['cafeteria'] }, config)).toBe('viewer');
+    expect(mapRole({}, { ...config, defaultRole: null })).toBeNull();
+    expect(mapRole({ realm_access: { roles: ['helpdesk'] } }, { ...config, roleClaim: 'realm_access.roles' }))
+      .toBe('moderator');
+  });
+
+  test('derives usernames that pass validation', () => {
+    expect(deriveUsername({ preferred_username: 'hiro.hamada@example.com' })).toBe('hiro.hamada');
+    expect(deriveUsername({ email: 'Go Go@example.com' })).toBe('Go-Go');
+    expect(deriveUsername({ email: 'x@example.com' })).toBe('sso-x');
+    expect(deriveUsername({})).toBe('sso-user');
+  });
+});
+
+describe('verifyIdToken', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const config = getOidcConfig(BASE_ENV);
+  const nonce = randomUrlToken();
+  const now = Math.floor(Date.now() / 1000);
+
+  function sign(payload, { alg = 'RS256', key = privateKey } = {}) {
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const input = `${encode({ alg, kid: 'k1' })}.${encode(payload)}`;
+    const signature = alg === 'none' ? '' : crypto.sign('sha256', Buffer.from(input), key).toString('base64url');
+    return `${input}.${signature}`;
+  }
+
+  const claims = (overrides = {}) => ({
+    iss: config.issuer, aud: 'baymax', sub: 'abc', iat: now, exp: now + 300, nonce, ...overrides
+  });
+  const verify = (token) => verifyIdToken(token, {}, config, { nonce, getKey: () => publicKey });
+
+  test('accepts a valid token', async () => {
+    await expect(verify(sign(claims({ email: 'hiro@example.com' })))).resolves.toMatchObject({ sub: 'abc' });
+  });
+
+  test('rejects bad signatures and unsigned tokens', async () => {
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    await expect(verify(sign(claims(), { key: otherKey }))).rejects.toThrow('signature');
+    await expect(verify(sign(claims(), { alg: 'none' }))).rejects.toThrow('not accepted');
+    await expect(verify('not-a-jwt')).rejects.toMatchObject({ code: 'invalid_id_token' });
+  });
+
+  test('rejects the wrong issuer, audience, nonce or lifetime', async () => {
+    await expect(verify(sign(claims({ iss: 'https://evil.test' })))).rejects.toThrow('issued by someone else');
+    await expect(verify(sign(claims({ aud: 'other-app' })))).rejects.toThrow('another application');
+    await expect(verify(sign(claims({ aud: ['baymax', 'other-app'] })))).rejects.toThrow('another application');
+    await expect(verify(sign(claims({ nonce: randomUrlToken() })))).rejects.toThrow('sign-in attempt');
+    await expect(verify(sign(claims({ exp: now - 120 })))).rejects.toThrow('expired');
+    await expect(verify(sign(claims({ iat: now + 600 })))).rejects.toThrow('future');
+  });
+});
+
+describe('authorization code flow against the mock issuer', () => {
+  let server;
+  let config;
+
+  beforeAll(async () => {
+    // The issuer URL includes the port, so the app is attached once the server is listening
+    server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const issuer = `http://127.0.0.1:${server.address().port}`;
+    server.on('request', createMockIssuer({ issuer, clientId: 'baymax', clientSecret: 'shh' }));
+    config = getOidcConfig({
+      OIDC_ISSUER: issuer,
+      OIDC_CLIENT_ID: 'baymax',
+      OIDC_CLIENT_SECRET: 'shh',
+      OIDC_ALLOWED_DOMAINS: 'example.com'
+    });
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  async function authorize(verifier, nonce) {
+    const metadata = await discover(config.issuer);
+    const state = randomUrlToken();
+    const redirectUri = 'http://localhost:3000/api/admin/oidc/callback';
+    const authUrl = new URL(buildAuthorizationUrl(metadata, config, { redirectUri, state, nonce, codeVerifier: verifier }));
+    const approve = new URL('/authorize/approve', config.issuer);
+    authUrl.searchParams.forEach((value, name) => approve.searchParams.set(name, value));
+    approve.searchParams.set('email', 'hiro@example.com');
+    approve.searchParams.set('roles', 'owner');
+
+    const response = await fetch(approve, { redirect: 'manual' });
+    const callback = new URL(response.headers.get('location'));
+    expect(callback.searchParams.get('state')).toBe(state);
+    return { metadata, redirectUri, code: callback.searchParams.get('code') };
+  }
+
+  test('signs in with a verified ID token', async () => {
+    const verifier = randomUrlToken();
+    const nonce = randomUrlToken();
+    const { metadata, redirectUri, code } = await authorize(verifier, nonce);
+
+    const tokens = await exchangeCode(metadata, config, { code, redirectUri, codeVerifier: verifier });
+    const claims = await verifyIdToken(tokens.id_token, metadata, config, { nonce });
+
+    expect(claims.email).toBe('hiro@example.com');
+    expect(mapRole(claims, config)).toBe('owner');
+  });
+
+  test('refuses a code redeemed with the wrong PKCE verifier', async () => {
+    const { metadata, redirectUri, code } = await authorize(randomUrlToken(), randomUrlToken());
+
+    await expect(exchangeCode(metadata, config, { code, redirectUri, codeVerifier: randomUrlToken() }))
+      .rejects.toMatchObject({ code: 'provider_error' });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for the admin password policy and the forced password change guard
+ */
+
+jest.mock('../auth-database', () => ({ findAdminById: jest.fn() }));
+
+const { findAdminById } = require('../auth-database');
+const { validatePassword, MIN_PASSWORD_LENGTH } = require('../password-policy');
+const { requireAuth, requireSession } = require('../middleware/auth');
+
+describe('validatePassword', () => {
+  test('accepts a long passphrase', () => {
+    expect(validatePassword('fist bump, ba-la-la-la', { username: 'hiro' })).toEqual([]);
+  });
+
+  test('requires a password of the minimum length', () => {
+    expect(validatePassword(undefined)).toEqual(['New password is required.']);
+    expect(validatePassword('')).toEqual(['New password is required.']);
+    expect(validatePassword('short-pass')).toEqual([`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`]);
+  });
+
+  test('rejects passwords bcrypt would truncate', () => {
+    expect(validatePassword('a1b2c3d4'.repeat(10))).toEqual(['Password must be at most 72 bytes.']);
+    // Multi-byte characters count by their UTF-8 size
+    expect(validatePassword('🤖🩺💊🏥'.repeat(5))).toEqual(['Password must be at most 72 bytes.']);
+  });
+
+  test('rejects repetitive, common and username-based passwords', () => {
+    expect(validatePassword('aaaaaaaaaaaaaaaa')).toEqual(['Password must use more than a few different characters.']);
+    expect(validatePassword('Password1234')[0]).toContain('too common');
+    expect(validatePassword('tadashi-hamada-2024', { username: 'Tadashi' }))
+      .toEqual(['Password must not contain your username.']);
+  });
+});
+
+describe('forced password change guard', () => {
+  async function run(middleware, mustChangePassword) {
+    findAdminById.mockResolvedValueOnce({ id: 1, role: 'viewer', active: true });
+    const now = Date.now();
+    const req = { session: { userId: 1, createdAt: now, lastActivity: now, mustChangePassword, destroy: jest.fn() } };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res), clearCookie: jest.fn() };
+    const next = jest.fn();
+    await middleware(req, res, next);
+    return { res, next };
+  }
+
+  test('blocks admin routes until a temporary password is replaced', async () => {
+    const { res, next } = await run(requireAuth, true);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].password_change_required).toBe(true);
+  });
+
+  test('still lets the password change itself through', async () => {
+    expect((await run(requireSession, true)).next).toHaveBeenCalled();
+    expect((await run(requireAuth, false)).next).toHaveBeenCalled();
+  });
+});
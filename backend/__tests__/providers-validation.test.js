@@ -0,0 +1,37 @@
+/**
+ * Tests for admin technician input validation
+ */
+
+const { normalizeProviderInput, slugifyProviderName } = require('../providers-database');
+
+describe('technician input validation', () => {
+  test('derives the survey link name from the name when none is given', () => {
+    const { errors, values } = normalizeProviderInput({ name: '  Tadashi Hamada ', title: 'Robotics' });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ name: 'Tadashi Hamada', slug: 'tadashi-hamada', title: 'Robotics' });
+  });
+
+  test('requires a name on create', () => {
+    expect(normalizeProviderInput({ slug: 'tadashi' }).errors).toEqual(['Technician name is required.']);
+  });
+
+  test('rejects survey link names that would not read well in a URL', () => {
+    expect(normalizeProviderInput({ name: 'Go Go', slug: 'go go!' }).errors[0]).toMatch(/lowercase letters/);
+    expect(normalizeProviderInput({ name: 'Go Go', slug: 'go--go' }).errors).toHaveLength(1);
+    expect(normalizeProviderInput({ name: 'Go Go', slug: 'x'.repeat(51) }).errors[0]).toMatch(/maximum length/);
+  });
+
+  test('only checks provided fields on update, keeping the survey link when renaming', () => {
+    expect(normalizeProviderInput({ name: 'Honey Lemon' }, { partial: true }).values).toEqual({ name: 'Honey Lemon' });
+    expect(normalizeProviderInput({ active: 'yes' }, { partial: true }).errors).toEqual(['Active flag must be true or false.']);
+    expect(normalizeProviderInput({ title: '' }, { partial: true }).values).toEqual({ title: null });
+  });
+});
+
+describe('slugifyProviderName', () => {
+  test('drops accents and punctuation', () => {
+    expect(slugifyProviderName('Fréd  (Fredzilla)')).toBe('fred-fredzilla');
+    expect(slugifyProviderName('!!!')).toBe('');
+  });
+});
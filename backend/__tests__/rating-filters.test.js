@@ -0,0 +1,207 @@
+/**
+ * Tests for admin rating filter parsing and SQL generation
+ */
+
+const {
+  parseRatingFilters,
+  buildRatingFilterClause,
+  buildRatingOrderClause,
+  encodeRatingCursor,
+  decodeRatingCursor,
+  buildRatingCursorCondition
+} = require('../rating-filters');
+
+describe('parseRatingFilters', () => {
+  test('returns no filters and newest-first sort by default', () => {
+    const { errors, filters, sort } = parseRatingFilters({});
+
+    expect(errors).toEqual([]);
+    expect(filters).toEqual({});
+    expect(sort).toEqual({ column: 'created_at', direction: 'desc' });
+  });
+
+  test('parses star range, categories and follow-up answers', () => {
+    const { errors, filters } = parseRatingFilters({
+      min_stars: '1',
+      max_stars: '2',
+      category: 'bug_fixing,integration',
+      resolves_issue: 'false',
+      issue_recurrence: 'unanswered',
+      has_comment: 'true',
+      reviewer: ' Ana '
+    });
+
+    expect(errors).toEqual([]);
+    expect(filters).toEqual({
+      minStars: 1,
+      maxStars: 2,
+      categories: ['bug_fixing', 'integration'],
+      resolvesIssue: 0,
+      issueRecurrence: null,
+      hasComment: true,
+      reviewer: 'Ana'
+    });
+  });
+
+  test('accepts repeated category parameters', () => {
+    const { filters } = parseRatingFilters({ category: ['bug_fixing', 'bug_fixing', 'integration'] });
+
+    expect(filters.categories).toEqual(['bug_fixing', 'integration']);
+  });
+
+  test('accepts technician IDs and rejects anything else', () => {
+    expect(parseRatingFilters({ provider: '3,5,3' }).filters.providers).toEqual([3, 5]);
+    expect(parseRatingFilters({ provider: 'tadashi' }).errors).toEqual(['provider must be one or more technician IDs.']);
+    expect(buildRatingFilterClause({ providers: [3] }, [])).toBe('WHERE deleted_at IS NULL AND provider_id = ANY($1)');
+  });
+
+  test('accepts survey IDs and rejects anything else', () => {
+    expect(parseRatingFilters({ survey: ['2', '7'] }).filters.surveys).toEqual([2, 7]);
+    expect(parseRatingFilters({ survey: 'onboarding' }).errors).toEqual(['survey must be one or more survey IDs.']);
+    expect(buildRatingFilterClause({ surveys: [2] }, [], 'r')).toBe('WHERE r.deleted_at IS NULL AND r.survey_id = ANY($1)');
+  });
+
+  test('filters the trash by survey when asked for trashed ratings', () => {
+    const params = [];
+    const { filters } = parseRatingFilters({ survey: '2' });
+    expect(buildRatingFilterClause(filters, params, 'r', { trashed: true }))
+      .toBe('WHERE r.deleted_at IS NOT NULL AND r.survey_id = ANY($1)');
+    expect(params).toEqual([[2]]);
+  });
+
+  test('accepts moderation statuses and rejects anything else', () => {
+    expect(parseRatingFilters({ moderation: 'pending,rejected' }).filters.moderation).toEqual(['pending', 'rejected']);
+    expect(parseRatingFilters({ moderation: 'flagged' }).errors)
+      .toEqual(['moderation must be one or more of: pending, approved, rejected.']);
+    expect(buildRatingFilterClause({ moderation: ['pending'] }, [])).toBe('WHERE deleted_at IS NULL AND moderation_status = ANY($1)');
+  });
+
+  test('makes a date-only upper bound include the whole day', () => {
+    const { filters } = parseRatingFilters({ from: '2025-01-01', to: '2025-01-31' });
+
+    expect(filters.from.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+    expect(filters.to.toISOString()).toBe('2025-02-01T00:00:00.000Z');
+  });
+
+  test('rejects invalid values', () => {
+    const { errors } = parseRatingFilters({
+      min_stars: '6',
+      from: 'yesterday',
+      resolves_issue: 'maybe',
+      sort: 'reviewer_name',
+      order: 'sideways'
+    });
+
+    expect(errors).toEqual([
+      'min_stars must be a whole number from 1 to 5.',
+      'from must be a date (YYYY-MM-DD) or ISO 8601 timestamp.',
+      'resolves_issue must be true, false, or unanswered.',
+      'sort must be one of: created_at, stars.',
+      'order must be asc or desc.'
+    ]);
+  });
+
+  test('rejects inverted ranges', () => {
+    const { errors } = parseRatingFilters({ min_stars: '4', max_stars: '2', from: '2025-02-01', to: '2025-01-01' });
+
+    expect(errors).toContain('min_stars cannot be greater than max_stars.');
+    expect(errors).toContain('from must be before to.');
+  });
+});
+
+describe('buildRatingFilterClause', () => {
+  test('always excludes trashed ratings', () => {
+    const params = [];
+
+    expect(buildRatingFilterClause({}, params)).toBe('WHERE deleted_at IS NULL');
+    expect(params).toEqual([]);
+  });
+
+  test('parameterizes every user-supplied value', () => {
+    const params = [];
+    const { filters } = parseRatingFilters({
+      min_stars: '2',
+      category: 'bug_fixing',
+      resolves_issue: 'unanswered',
+      reviewer: '50%_off'
+    });
+
+    const clause = buildRatingFilterClause(filters, params, 'r');
+
+    expect(clause).toBe(
+      'WHERE r.deleted_at IS NULL AND r.stars >= $1 AND r.category = ANY($2) ' +
+      'AND r.resolves_issue IS NULL AND r.reviewer_name ILIKE $3'
+    );
+    expect(params).toEqual([2, ['bug_fixing'], '%50\\%\\_off%']);
+  });
+
+  test('matches low ratings without a reply', () => {
+    const params = [];
+    const { errors, filters } = parseRatingFilters({ needs_response: 'true' });
+
+    expect(errors).toEqual([]);
+    expect(buildRatingFilterClause(filters, params)).toContain(
+      'NOT EXISTS (SELECT 1 FROM rating_responses rr WHERE rr.rating_id = ratings.id)'
+    );
+    expect(params).toEqual([2]);
+    expect(buildRatingFilterClause({ needsResponse: false }, [], 'r')).toMatch(/AND NOT \(r\.stars <= \$1/);
+    expect(parseRatingFilters({ needs_response: 'unanswered' }).errors)
+      .toEqual(['needs_response must be true or false.']);
+  });
+
+  test('continues numbering after existing parameters', () => {
+    const params = ['existing'];
+
+    expect(buildRatingFilterClause({ maxStars: 3 }, params)).toBe('WHERE deleted_at IS NULL AND stars <= $2');
+  });
+});
+
+describe('buildRatingOrderClause', () => {
+  test('breaks ties on creation time and ID', () => {
+    expect(buildRatingOrderClause({ column: 'stars', direction: 'asc' }))
+      .toBe('ORDER BY stars ASC, created_at DESC, id DESC');
+    expect(buildRatingOrderClause({ column: 'created_at', direction: 'asc' }))
+      .toBe('ORDER BY created_at ASC, id ASC');
+  });
+});
+
+describe('rating cursors', () => {
+  const rating = { id: 42, stars: 3, cursor_created_at: '2025-03-01 10:15:30.123456' };
+
+  test('round-trips the keyset values for the sort it was issued for', () => {
+    const newest = { column: 'created_at', direction: 'desc' };
+    const byStars = { column: 'stars', direction: 'asc' };
+
+    expect(decodeRatingCursor(encodeRatingCursor(rating, newest), newest))
+      .toEqual({ createdAt: '2025-03-01 10:15:30.123456', id: 42 });
+    expect(decodeRatingCursor(encodeRatingCursor(rating, byStars), byStars))
+      .toEqual({ stars: 3, createdAt: '2025-03-01 10:15:30.123456', id: 42 });
+  });
+
+  test('rejects cursors issued for a different sort', () => {
+    const cursor = encodeRatingCursor(rating, { column: 'created_at', direction: 'desc' });
+
+    expect(decodeRatingCursor(cursor, { column: 'created_at', direction: 'asc' })).toBeNull();
+    expect(decodeRatingCursor(cursor, { column: 'stars', direction: 'desc' })).toBeNull();
+  });
+
+  test('rejects garbage and tampered cursors', () => {
+    const tampered = Buffer.from(JSON.stringify({ s: 'created_at', d: 'desc', k: ["now'); --", 1] }))
+      .toString('base64url');
+
+    expect(decodeRatingCursor('not-a-cursor')).toBeNull();
+    expect(decodeRatingCursor('')).toBeNull();
+    expect(decodeRatingCursor(tampered)).toBeNull();
+  });
+
+  test('builds keyset conditions matching the order clause', () => {
+    const params = ['existing'];
+
+    expect(buildRatingCursorCondition({ createdAt: '2025-03-01 10:15:30', id: 7 }, undefined, params))
+      .toBe('(created_at, id) < ($2::timestamp, $3)');
+    expect(params).toEqual(['existing', '2025-03-01 10:15:30', 7]);
+
+    expect(buildRatingCursorCondition({ stars: 2, createdAt: '2025-03-01 10:15:30', id: 7 }, { column: 'stars', direction: 'asc' }))
+      .toBe('(stars > $1 OR (stars = $1 AND (created_at, id) < ($2::timestamp, $3)))');
+  });
+});
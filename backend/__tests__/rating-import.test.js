@@ -0,0 +1,137 @@
+/**
+ * Tests for bulk rating import parsing and validation
+ */
+
+// importRatings() runs against a fake client that records its queries
+jest.mock('pg', () => {
+  const client = { query: jest.fn(async () => ({ rowCount: 2, rows: [] })), release: jest.fn() };
+  return { Pool: jest.fn(() => ({ connect: async () => client, query: jest.fn() })), mockClient: client };
+});
+
+const { mockClient } = require('pg');
+const { detectImportFormat, parseImportPayload, validateImportRows } = require('../rating-import');
+const { importRatings } = require('../database');
+const { withModeration } = require('../moderation');
+
+const categoryMap = {
+  bug_fixing: { id: 'bug_fixing', name: 'Bug Fixing', active: true },
+  legacy: { id: 'legacy', name: 'Legacy', active: false }
+};
+const now = new Date('2025-06-01T00:00:00.000Z');
+
+describe('detectImportFormat', () => {
+  test('prefers an explicit format over the Content-Type', () => {
+    expect(detectImportFormat('NDJSON', 'text/csv')).toBe('ndjson');
+    expect(detectImportFormat(undefined, 'text/csv; charset=utf-8')).toBe('csv');
+    expect(detectImportFormat(undefined, 'application/x-ndjson')).toBe('ndjson');
+  });
+
+  test('returns null for unsupported formats', () => {
+    expect(detectImportFormat('xml')).toBeNull();
+    expect(detectImportFormat(undefined, 'application/json')).toBeNull();
+  });
+});
+
+describe('parseImportPayload', () => {
+  test('maps CSV columns, including our own export headers', () => {
+    const csv = 'id,created_at,stars,category_id,category_name,comment,resolves_issue,issue_recurrence\n' +
+      '7,2024-01-02T03:04:05.000Z,4,bug_fixing,Bug Fixing,"Great, fast",yes,\n';
+
+    expect(parseImportPayload(csv, 'csv')).toEqual({
+      rows: [{
+        row: 1,
+        input: {
+          created_at: '2024-01-02T03:04:05.000Z',
+          stars: 4,
+          category: 'bug_fixing',
+          comment: 'Great, fast',
+          resolves_issue: true,
+          issue_recurrence: null
+        }
+      }]
+    });
+  });
+
+  test('requires stars and category CSV columns', () => {
+    expect(parseImportPayload('comment\nhello\n', 'csv').error).toBe('CSV header must include stars and category columns.');
+  });
+
+  test('numbers NDJSON rows by line and flags unreadable lines', () => {
+    const { rows } = parseImportPayload('{"stars":5,"category":"bug_fixing"}\n\n[1]\n{oops\n', 'ndjson');
+
+    expect(rows).toEqual([
+      { row: 1, input: { stars: 5, category: 'bug_fixing' } },
+      { row: 3, error: 'Each line must be a JSON object.' },
+      { row: 4, error: 'Line is not valid JSON.' }
+    ]);
+  });
+});
+
+describe('validateImportRows', () => {
+  test('keeps the original created_at and accepts retired categories', () => {
+    const { ratings, rowErrors } = validateImportRows([
+      { row: 1, input: { stars: 3, category: 'legacy', created_at: '2024-01-02T03:04:05Z' } },
+      { row: 2, input: { stars: 5, category: 'bug_fixing' } }
+    ], categoryMap, now);
+
+    expect(rowErrors).toEqual([]);
+    expect(ratings[0].created_at.toISOString()).toBe('2024-01-02T03:04:05.000Z');
+    expect(ratings[1].created_at).toBeNull();
+  });
+
+  test('credits technicians, including ones who have since left', () => {
+    const providerMap = { 4: { id: 4, name: 'Callaghan', active: false } };
+    const { rows } = parseImportPayload('stars,category,provider_id\n4,bug_fixing,4\n5,bug_fixing,\n', 'csv');
+    const { ratings, rowErrors } = validateImportRows(rows, categoryMap, now, providerMap);
+
+    expect(rowErrors).toEqual([]);
+    expect(ratings.map(rating => rating.provider_id)).toEqual([4, null]);
+    expect(validateImportRows([{ row: 1, input: { stars: 4, category: 'bug_fixing', provider_id: 7 } }], categoryMap, now, providerMap)
+      .rowErrors).toHaveLength(1);
+  });
+
+  test('reports every problem per row', () => {
+    const { ratings, rowErrors } = validateImportRows([
+      { row: 1, input: { stars: 9, category: 'bug_fixing', created_at: 'last spring' } },
+      { row: 2, input: { stars: 2, category: 'bug_fixing', issue_recurrence: true, created_at: '2030-01-01' } },
+      { row: 3, error: 'Line is not valid JSON.' }
+    ], categoryMap, now);
+
+    expect(ratings).toEqual([]);
+    expect(rowErrors).toEqual([
+      {
+        row: 1,
+        errors: [
+          'On a scale of 1 to 5, please rate your satisfaction. I cannot process values outside this range.',
+          'created_at must be an ISO 8601 timestamp.'
+        ]
+      },
+      {
+        row: 2,
+        errors: [
+          'Please describe the previous occurrence of this issue so I can better diagnose the pattern.',
+          'created_at cannot be in the future.'
+        ]
+      },
+      { row: 3, errors: ['Line is not valid JSON.'] }
+    ]);
+  });
+});
+
+describe('importing with moderation', () => {
+  test('holds flagged comments for review like new feedback', async () => {
+    const csv = 'stars,category_id,comment\n' +
+      '1,bug_fixing,"Total scam, see www.example.com"\n' +
+      '5,bug_fixing,Quick fix\n';
+    const { rows } = parseImportPayload(csv, 'csv');
+    const { ratings } = validateImportRows(rows, categoryMap, now);
+    const settings = { moderation_blocklist: ['scam'], hold_all_comments: false };
+
+    await importRatings(ratings.map(rating => withModeration(rating, settings)));
+
+    const [sql, params] = mockClient.query.mock.calls.find(([text]) => text.includes('INSERT INTO ratings'));
+    expect(sql).toMatch(/moderation_status, moderation_flags/);
+    expect(params[9]).toEqual(['pending', 'approved']);
+    expect(params[10]).toEqual(['blocklist,link', '']);
+  });
+});
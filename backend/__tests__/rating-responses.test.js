@@ -0,0 +1,121 @@
+/**
+ * Tests for admin replies to ratings
+ */
+
+const {
+  normalizeResponseInput,
+  needsResponse,
+  formatResponse,
+  formatPublicRating,
+  MAX_RESPONSE_LENGTH
+} = require('../responses-database');
+
+describe('response input validation', () => {
+  test('trims the text and defaults to an internal note', () => {
+    const { errors, values } = normalizeResponseInput({ body: '  We have patched the printer.  ' });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ body: 'We have patched the printer.', visibility: 'internal' });
+  });
+
+  test('accepts public replies', () => {
+    const { values } = normalizeResponseInput({ body: 'Thank you.', visibility: 'public' });
+
+    expect(values.visibility).toBe('public');
+  });
+
+  test('rejects empty, oversized and non-text replies', () => {
+    expect(normalizeResponseInput({ body: '   ' }).errors).toEqual(['Response text is required.']);
+    expect(normalizeResponseInput({ body: 42 }).errors).toEqual(['Response text is required.']);
+    expect(normalizeResponseInput(null).errors).toEqual(['Response text is required.']);
+    expect(normalizeResponseInput({ body: 'x'.repeat(MAX_RESPONSE_LENGTH + 1) }).errors)
+      .toEqual([`Response exceeds maximum length of ${MAX_RESPONSE_LENGTH} characters.`]);
+  });
+
+  test('rejects unknown visibilities', () => {
+    const { errors } = normalizeResponseInput({ body: 'Hi', visibility: 'everyone' });
+
+    expect(errors).toEqual(['Visibility must be one of: internal, public.']);
+  });
+});
+
+describe('needsResponse', () => {
+  test('flags low ratings without any reply', () => {
+    expect(needsResponse({ stars: 1 }, [])).toBe(true);
+    expect(needsResponse({ stars: 2 })).toBe(true);
+  });
+
+  test('counts internal notes as a reply', () => {
+    expect(needsResponse({ stars: 1 }, [{ visibility: 'internal' }])).toBe(false);
+  });
+
+  test('ignores ratings above the threshold', () => {
+    expect(needsResponse({ stars: 3 }, [])).toBe(false);
+  });
+});
+
+describe('formatResponse', () => {
+  const row = {
+    id: 7,
+    rating_id: 3,
+    body: 'Fixed in the latest release.',
+    visibility: 'public',
+    author_id: 1,
+    author_username: 'admin',
+    author_display_name: 'Hiro',
+    created_at: new Date('2025-01-01T00:00:00Z')
+  };
+
+  test('keeps authors and visibility for admins', () => {
+    expect(formatResponse(row, true)).toMatchObject({ author_name: 'Hiro', visibility: 'public', rating_id: 3 });
+  });
+
+  test('falls back when the author account is gone', () => {
+    const orphan = { ...row, author_id: null, author_username: null, author_display_name: null };
+
+    expect(formatResponse(orphan, true).author_name).toBe('Former admin');
+  });
+
+  test('exposes only the text and date publicly', () => {
+    expect(formatResponse(row, false)).toEqual({ id: 7, body: row.body, created_at: row.created_at });
+  });
+});
+
+describe('formatPublicRating', () => {
+  const rating = {
+    id: 3,
+    stars: 2,
+    category: 'bug_fixing',
+    category_name: 'Bug Fixing',
+    category_emoji: '🐛',
+    comment: 'Printer jammed again.',
+    reviewer_name: 'Fred',
+    created_at: new Date('2025-01-01T00:00:00Z'),
+    ticket_ref: 'INC-42',
+    provider_id: 4,
+    previous_issue_details: 'Same as last week',
+    moderation_status: 'approved',
+    moderation_flags: [],
+    deleted_by: null
+  };
+
+  test('keeps only what the patient wrote and the public replies', () => {
+    const replies = [{ id: 7, body: 'Fixed in the latest release.', created_at: rating.created_at }];
+
+    expect(formatPublicRating(rating, replies)).toEqual({
+      id: 3,
+      stars: 2,
+      category: 'bug_fixing',
+      category_name: 'Bug Fixing',
+      category_emoji: '🐛',
+      comment: 'Printer jammed again.',
+      reviewer_name: 'Fred',
+      created_at: rating.created_at,
+      responses: replies
+    });
+  });
+
+  test('defaults to an empty thread', () => {
+    expect(formatPublicRating(rating).responses).toEqual([]);
+  });
+});
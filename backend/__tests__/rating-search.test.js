@@ -0,0 +1,32 @@
+/**
+ * Tests for full-text search headline parsing
+ */
+
+const { parseHeadline } = require('../database');
+
+describe('parseHeadline', () => {
+  test('splits matched and plain text into segments', () => {
+    expect(parseHeadline('the <mark>VPN</mark> dropped <mark>again</mark>')).toEqual([
+      { text: 'the ', match: false },
+      { text: 'VPN', match: true },
+      { text: ' dropped ', match: false },
+      { text: 'again', match: true }
+    ]);
+  });
+
+  test('returns a single plain segment when nothing matched', () => {
+    expect(parseHeadline('printer is fine')).toEqual([{ text: 'printer is fine', match: false }]);
+  });
+
+  test('keeps unbalanced markers as plain text', () => {
+    expect(parseHeadline('typed <mark> by a patient')).toEqual([
+      { text: 'typed <mark> by a patient', match: false }
+    ]);
+  });
+
+  test('never returns HTML for the client to interpret', () => {
+    const segments = parseHeadline('<mark><script>alert(1)</script></mark>');
+
+    expect(segments).toEqual([{ text: '<script>alert(1)</script>', match: true }]);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for shared rating validation
+ */
+
+const { validateRatingInput, MAX_COMMENT_LENGTH } = require('../rating-validation');
+
+const categoryMap = {
+  bug_fixing: { id: 'bug_fixing', name: 'Bug Fixing', active: true },
+  legacy: { id: 'legacy', name: 'Legacy', active: false }
+};
+
+describe('validateRatingInput', () => {
+  test('normalizes a valid rating for the database', () => {
+    const { errors, values } = validateRatingInput({
+      stars: 4,
+      category: 'bug_fixing',
+      comment: '  Quick fix  ',
+      reviewer_name: ' ',
+      resolves_issue: 'true',
+      issue_recurrence: false
+    }, categoryMap);
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      stars: 4,
+      category: 'bug_fixing',
+      provider_id: null,
+      survey_id: null,
+      ticket_ref: null,
+      invitation_id: null,
+      comment: 'Quick fix',
+      reviewer_name: 'Anonymous Patient',
+      resolves_issue: 1,
+      issue_recurrence: 0,
+      previous_issue_details: null,
+      answers: []
+    });
+  });
+
+  test('rejects out of range and non-integer stars', () => {
+    expect(validateRatingInput({ stars: 6, category: 'bug_fixing' }, categoryMap).errors).toHaveLength(1);
+    expect(validateRatingInput({ stars: 2.5, category: 'bug_fixing' }, categoryMap).errors).toHaveLength(1);
+    expect(validateRatingInput({ stars: '4', category: 'bug_fixing' }, categoryMap).errors).toHaveLength(1);
+  });
+
+  test('rejects unknown categories and retired ones unless allowed', () => {
+    expect(validateRatingInput({ stars: 3, category: 'nope' }, categoryMap).errors[0])
+      .toMatch(/valid care category/);
+    expect(validateRatingInput({ stars: 3, category: 'legacy' }, categoryMap).errors).toHaveLength(1);
+    expect(validateRatingInput({ stars: 3, category: 'legacy' }, categoryMap, { allowInactiveCategories: true }).errors)
+      .toEqual([]);
+  });
+
+  test('credits known technicians and rejects unknown ones or those who have left', () => {
+    const providerMap = {
+      3: { id: 3, name: 'Tadashi', active: true },
+      4: { id: 4, name: 'Callaghan', active: false }
+    };
+    const rate = (providerId, options = {}) =>
+      validateRatingInput({ stars: 5, category: 'bug_fixing', provider_id: providerId }, categoryMap, { providerMap, ...options });
+
+    expect(rate('3').values.provider_id).toBe(3);
+    expect(rate('').values.provider_id).toBeNull();
+    expect(rate(99).errors[0]).toMatch(/recognize that technician/);
+    expect(rate(4).errors).toHaveLength(1);
+    expect(rate(4, { allowInactiveProviders: true }).values.provider_id).toBe(4);
+  });
+
+  test('limits categories to the ones a survey offers', () => {
+    const fullCategoryMap = { ...categoryMap, integration: { id: 'integration', name: 'Integration', active: true } };
+    const rate = (category, survey) => validateRatingInput({ stars: 4, category }, fullCategoryMap, { survey });
+
+    expect(rate('bug_fixing', { id: 2, category_ids: ['bug_fixing'] }).values.survey_id).toBe(2);
+    expect(rate('integration', { id: 2, category_ids: ['bug_fixing'] }).errors[0]).toMatch(/not part of this survey/);
+    expect(rate('integration', { id: 3, category_ids: [] }).errors).toEqual([]);
+  });
+
+  test('records the ticket from an invitation and holds the rating to its technician and category', () => {
+    const fullCategoryMap = { ...categoryMap, integration: { id: 'integration', name: 'Integration', active: true } };
+    const providerMap = { 3: { id: 3, name: 'Tadashi', active: true } };
+    const invitation = { id: 12, ticket_ref: 'INC-1042', provider_id: 3, category: 'bug_fixing' };
+    const rate = (input) => validateRatingInput({ stars: 4, ...input }, fullCategoryMap, { providerMap, invitation });
+
+    const { errors, values } = rate({ category: 'bug_fixing', provider_id: 3 });
+    expect(errors).toEqual([]);
+    expect(values).toMatchObject({ ticket_ref: 'INC-1042', invitation_id: 12, provider_id: 3 });
+    expect(rate({ category: 'bug_fixing' }).errors[0]).toMatch(/technician doesn't match your invitation/);
+    expect(rate({ category: 'integration', provider_id: 3 }).errors[0]).toMatch(/category doesn't match your invitation/);
+
+    const open = { id: 13, ticket_ref: 'INC-1043', provider_id: null, category: null };
+    expect(validateRatingInput({ stars: 2, category: 'bug_fixing' }, categoryMap, { invitation: open }).errors).toEqual([]);
+  });
+
+  test('checks survey answers against the active questions', () => {
+    const questions = [
+      { id: 7, prompt: 'Would you recommend us?', type: 'yes_no', required: true, options: {} }
+    ];
+    const rate = (answers) => validateRatingInput({ stars: 5, category: 'bug_fixing', answers }, categoryMap, { questions });
+
+    expect(rate({ 7: 'true' }).values.answers).toEqual([{ question_id: 7, value: true }]);
+    expect(rate({}).errors[0]).toMatch(/Please answer "Would you recommend us\?"/);
+  });
+
+  test('enforces length limits', () => {
+    const { errors } = validateRatingInput({
+      stars: 3,
+      category: 'bug_fixing',
+      comment: 'x'.repeat(MAX_COMMENT_LENGTH + 1),
+      reviewer_name: 'y'.repeat(101)
+    }, categoryMap);
+
+    expect(errors).toEqual([
+      `Comment exceeds maximum length of ${MAX_COMMENT_LENGTH} characters.`,
+      'Name exceeds maximum length of 100 characters.'
+    ]);
+  });
+
+  test('requires previous issue details when the issue recurred', () => {
+    const { errors } = validateRatingInput({ stars: 2, category: 'bug_fixing', issue_recurrence: true }, categoryMap);
+
+    expect(errors).toEqual([
+      'Please describe the previous occurrence of this issue so I can better diagnose the pattern.'
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for listing the trash with the feedback log filters
+ */
+
+// The queries run against a fake pool that records them
+jest.mock('pg', () => {
+  const pool = { query: jest.fn() };
+  return { Pool: jest.fn(() => pool), mockPool: pool };
+});
+
+const { mockPool } = require('pg');
+const { getDeletedRatings, getDeletedRatingsCount } = require('../database');
+const { parseRatingFilters } = require('../rating-filters');
+
+describe('trash listing', () => {
+  beforeEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  test('narrows trashed ratings to the requested surveys and stars', async () => {
+    const trashed = { id: 9, survey_id: 3, stars: 1, deleted_at: new Date(), deleted_by_username: 'wasabi' };
+    mockPool.query.mockResolvedValueOnce({ rows: [trashed] });
+    const { errors, filters } = parseRatingFilters({ survey: '3', max_stars: '2' });
+
+    expect(errors).toEqual([]);
+    await expect(getDeletedRatings(20, 40, filters)).resolves.toEqual([trashed]);
+
+    const [sql, params] = mockPool.query.mock.calls[0];
+    expect(sql).toContain('WHERE r.deleted_at IS NOT NULL AND r.stars <= $1 AND r.survey_id = ANY($2)');
+    expect(sql).toContain('ORDER BY r.deleted_at DESC');
+    expect(sql).toContain('LIMIT $3 OFFSET $4');
+    expect(params).toEqual([2, [3], 20, 40]);
+  });
+
+  test('counts only the trashed ratings matching the filters', async () => {
+    mockPool.query.mockResolvedValueOnce({ rows: [{ count: '4' }] });
+    const { filters } = parseRatingFilters({ survey: '3,5', moderation: 'pending' });
+
+    await expect(getDeletedRatingsCount(filters)).resolves.toBe(4);
+
+    const [sql, params] = mockPool.query.mock.calls[0];
+    expect(sql).toContain('WHERE deleted_at IS NOT NULL AND survey_id = ANY($1) AND moderation_status = ANY($2)');
+    expect(params).toEqual([[3, 5], ['pending']]);
+  });
+
+  test('never lists live ratings, even without filters', async () => {
+    mockPool.query.mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+    await getDeletedRatingsCount();
+
+    expect(mockPool.query.mock.calls[0][0]).toContain('WHERE deleted_at IS NOT NULL');
+    expect(mockPool.query.mock.calls[0][1]).toEqual([]);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for the role-based access middleware and the session account check
+ */
+
+jest.mock('../auth-database', () => ({ findAdminById: jest.fn() }));
+
+const { findAdminById } = require('../auth-database');
+const { requireAuth, requireRole, requireModerator, requireOwner } = require('../middleware/auth');
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.clearCookie = jest.fn();
+  return res;
+}
+
+function mockRequest(userId = 1) {
+  return { session: { userId, destroy: jest.fn() } };
+}
+
+async function run(middleware, role) {
+  findAdminById.mockResolvedValueOnce(role ? { id: 1, username: 'hiro', role } : null);
+  const req = mockRequest();
+  const res = mockResponse();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+}
+
+describe('requireRole', () => {
+  beforeEach(() => findAdminById.mockReset());
+
+  test('lets listed roles through and exposes the admin row', async () => {
+    const { req, next } = await run(requireRole('viewer', 'owner'), 'viewer');
+
+    expect(next).toHaveBeenCalled();
+    expect(req.adminUser.role).toBe('viewer');
+  });
+
+  test('rejects other roles with 403', async () => {
+    const { res, next } = await run(requireOwner, 'moderator');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].error).toContain('owner role');
+  });
+
+  test('moderator routes admit moderators and owners but not viewers', async () => {
+    expect((await run(requireModerator, 'moderator')).next).toHaveBeenCalled();
+    expect((await run(requireModerator, 'owner')).next).toHaveBeenCalled();
+    expect((await run(requireModerator, 'viewer')).res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('ends sessions whose admin no longer exists', async () => {
+    const { req, res, next } = await run(requireModerator, null);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(req.session.destroy).toHaveBeenCalled();
+  });
+
+  test('reuses an admin row already loaded for the request', async () => {
+    const req = { ...mockRequest(), adminUser: { id: 1, role: 'owner' } };
+    const next = jest.fn();
+
+    await requireOwner(req, mockResponse(), next);
+
+    expect(findAdminById).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('requireAuth account check', () => {
+  beforeEach(() => findAdminById.mockReset());
+
+  async function runAuth(user) {
+    findAdminById.mockResolvedValueOnce(user);
+    const now = Date.now();
+    const req = { session: { userId: 1, createdAt: now, lastActivity: now, destroy: jest.fn() } };
+    const res = mockResponse();
+    const next = jest.fn();
+    await requireAuth(req, res, next);
+    return { req, res, next };
+  }
+
+  test('lets active admins through and loads their row once', async () => {
+    const { req, next } = await runAuth({ id: 1, role: 'owner', active: true });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.adminUser.role).toBe('owner');
+  });
+
+  test('ends sessions belonging to disabled admins', async () => {
+    const { req, res, next } = await runAuth({ id: 1, role: 'owner', active: false });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json.mock.calls[0][0].error).toContain('disabled');
+    expect(req.session.destroy).toHaveBeenCalled();
+  });
+
+  test('ends sessions whose admin was deleted', async () => {
+    const { req, res } = await runAuth(null);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(req.session.destroy).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for CSAT, net score, resolution rates and Bayesian-smoothed averages
+ */
+
+const { computeScoreMetrics, summarizeDistribution, bayesianAverage, resolutionRate } = require('../stats-metrics');
+
+// 10 ratings: two 1s, one 3, three 4s, four 5s (counts arrive as strings from COUNT(*))
+const distribution = [
+  { stars: 1, count: '2' },
+  { stars: 3, count: '1' },
+  { stars: 4, count: '3' },
+  { stars: 5, count: '4' }
+];
+
+describe('computeScoreMetrics', () => {
+  test('computes CSAT as the share of 4 and 5 star ratings', () => {
+    expect(computeScoreMetrics(distribution).csat).toBe(70);
+  });
+
+  test('computes the net score as promoters (5) minus detractors (1-3)', () => {
+    const scores = computeScoreMetrics(distribution);
+
+    expect(scores.promoters).toBe(4);
+    expect(scores.passives).toBe(3);
+    expect(scores.detractors).toBe(3);
+    expect(scores.net_score).toBe(10);
+  });
+
+  test('returns null scores when there are no ratings', () => {
+    expect(computeScoreMetrics([])).toEqual({
+      total: 0, csat: null, net_score: null, promoters: 0, passives: 0, detractors: 0
+    });
+  });
+});
+
+describe('summarizeDistribution', () => {
+  test('computes the overall mean and variance', () => {
+    const { mean, variance, total } = summarizeDistribution(distribution);
+
+    expect(total).toBe(10);
+    expect(mean).toBeCloseTo(3.7);
+    expect(variance).toBeCloseTo(2.21);
+  });
+});
+
+describe('bayesianAverage', () => {
+  const overall = { mean: 3.5, variance: 2.25 };
+
+  test('pulls small categories toward the overall average', () => {
+    // Three perfect ratings plus five virtual 3.5s
+    expect(bayesianAverage(3, 5, overall).bayesian_avg).toBe(4.06);
+  });
+
+  test('lets large categories keep their own average', () => {
+    expect(bayesianAverage(1000, 5, overall).bayesian_avg).toBeCloseTo(4.99, 2);
+  });
+
+  test('narrows the interval as ratings accumulate and clamps it to the star scale', () => {
+    const small = bayesianAverage(3, 5, overall);
+    const large = bayesianAverage(300, 5, overall);
+
+    expect(small.ci_high - small.ci_low).toBeGreaterThan(large.ci_high - large.ci_low);
+    expect(large.ci_high).toBeLessThanOrEqual(5);
+    expect(small.ci_low).toBeLessThan(small.bayesian_avg);
+  });
+});
+
+describe('resolutionRate', () => {
+  test('counts only answered questions', () => {
+    expect(resolutionRate('3', '1')).toBe(75);
+    expect(resolutionRate(0, 0)).toBeNull();
+  });
+});
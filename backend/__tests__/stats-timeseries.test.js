@@ -0,0 +1,88 @@
+/**
+ * Tests for time series query parsing and bucket formatting
+ */
+
+const { parseTimeseriesQuery, formatTimeseriesBucket } = require('../stats-timeseries');
+
+const now = new Date('2025-06-15T12:00:00.000Z');
+
+describe('parseTimeseriesQuery', () => {
+  test('defaults to daily buckets over the last 30 days', () => {
+    const { errors, interval, filters } = parseTimeseriesQuery({}, now);
+
+    expect(errors).toEqual([]);
+    expect(interval).toBe('day');
+    expect(filters.to).toBe(now);
+    expect(filters.from.toISOString()).toBe('2025-05-16T12:00:00.000Z');
+  });
+
+  test('sizes the default window to the interval', () => {
+    const { filters } = parseTimeseriesQuery({ interval: 'month' }, now);
+
+    expect(filters.from.toISOString()).toBe('2024-06-15T12:00:00.000Z');
+  });
+
+  test('keeps explicit ranges and ratings list filters', () => {
+    const { errors, filters } = parseTimeseriesQuery({
+      interval: 'week',
+      from: '2025-01-01',
+      to: '2025-03-31',
+      category: 'bug_fixing'
+    }, now);
+
+    expect(errors).toEqual([]);
+    expect(filters.from.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+    expect(filters.to.toISOString()).toBe('2025-04-01T00:00:00.000Z');
+    expect(filters.categories).toEqual(['bug_fixing']);
+  });
+
+  test('rejects unknown intervals', () => {
+    expect(parseTimeseriesQuery({ interval: 'hour' }, now).errors)
+      .toEqual(['interval must be one of: day, week, month.']);
+  });
+
+  test('rejects ranges with too many buckets', () => {
+    expect(parseTimeseriesQuery({ from: '2020-01-01' }, now).errors[0])
+      .toMatch(/too long for day buckets/);
+    expect(parseTimeseriesQuery({ interval: 'month', from: '2020-01-01' }, now).errors).toEqual([]);
+  });
+
+  test('rejects a start in the future', () => {
+    expect(parseTimeseriesQuery({ from: '2030-01-01' }, now).errors).toEqual(['from must be before to.']);
+  });
+});
+
+describe('formatTimeseriesBucket', () => {
+  test('converts counts and rounds the average', () => {
+    expect(formatTimeseriesBucket({
+      bucket: '2025-06-01',
+      count: '3',
+      avg_stars: '3.6666666',
+      stars_1: '0',
+      stars_2: '0',
+      stars_3: '1',
+      stars_4: '1',
+      stars_5: '1',
+      resolved: '2',
+      unresolved: '1'
+    })).toEqual({
+      bucket: '2025-06-01',
+      count: 3,
+      average_stars: 3.67,
+      star_distribution: { 1: 0, 2: 0, 3: 1, 4: 1, 5: 1 },
+      resolved: 2,
+      unresolved: 1
+    });
+  });
+
+  test('reports no average for empty buckets', () => {
+    const bucket = formatTimeseriesBucket({
+      bucket: '2025-06-02', count: '0', avg_stars: null,
+      stars_1: '0', stars_2: '0', stars_3: '0', stars_4: '0', stars_5: '0',
+      resolved: '0', unresolved: '0'
+    });
+
+    expect(bucket.count).toBe(0);
+    expect(bucket.average_stars).toBeNull();
+  });
+});
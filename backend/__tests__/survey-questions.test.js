@@ -0,0 +1,266 @@
+/**
+ * Tests for survey question definitions, answer validation and answer summaries
+ */
+
+const { normalizeQuestionInput, validateAnswers, summarizeAnswers } = require('../survey-questions');
+
+const questions = [
+  { id: 1, prompt: 'Was the technician on time?', type: 'yes_no', required: true, options: {} },
+  { id: 2, prompt: 'How did you reach us?', type: 'single_choice', required: false, options: { choices: ['Email', 'Chat', 'Walk-in'] } },
+  { id: 3, prompt: 'What did we fix?', type: 'multi_choice', required: false, options: { choices: ['Laptop', 'Phone', 'Printer'] } },
+  { id: 4, prompt: 'Anything else?', type: 'short_text', required: false, options: {} },
+  { id: 5, prompt: 'How easy was it?', type: 'scale', required: false, options: { min: 1, max: 7 } }
+];
+
+describe('question definitions', () => {
+  test('normalizes a choice question', () => {
+    const { errors, values } = normalizeQuestionInput({
+      prompt: '  How did you reach us? ',
+      type: 'single_choice',
+      required: true,
+      options: { choices: [' Email ', 'Chat', ''] }
+    });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      prompt: 'How did you reach us?',
+      type: 'single_choice',
+      required: true,
+      options: { choices: ['Email', 'Chat'] }
+    });
+  });
+
+  test('requires a prompt and a known type on create', () => {
+    const { errors } = normalizeQuestionInput({ type: 'essay' });
+
+    expect(errors[0]).toBe('Question text is required.');
+    expect(errors[1]).toMatch(/Question type must be one of/);
+  });
+
+  test('rejects too few or duplicate choices', () => {
+    expect(normalizeQuestionInput({ prompt: 'Pick', type: 'multi_choice', options: { choices: ['Only'] } }).errors[0])
+      .toMatch(/between 2 and 20 choices/);
+    expect(normalizeQuestionInput({ prompt: 'Pick', type: 'multi_choice', options: { choices: ['Yes', 'yes'] } }).errors)
+      .toEqual(['Each choice must be different.']);
+  });
+
+  test('defaults scales to 1-5 and rejects inverted ones', () => {
+    expect(normalizeQuestionInput({ prompt: 'Rate', type: 'scale' }).values.options).toEqual({ min: 1, max: 5 });
+    expect(normalizeQuestionInput({ prompt: 'Rate', type: 'scale', options: { min: 5, max: 1 } }).errors[0])
+      .toMatch(/lowest first/);
+  });
+
+  test('validates options against the existing type on update and keeps the type fixed', () => {
+    const update = normalizeQuestionInput({ options: { min: 0, max: 10, max_label: 'Effortless' } }, { partial: true, type: 'scale' });
+    expect(update.errors).toEqual([]);
+    expect(update.values).toEqual({ options: { min: 0, max: 10, max_label: 'Effortless' } });
+
+    expect(normalizeQuestionInput({ type: 'yes_no' }, { partial: true, type: 'scale' }).errors[0])
+      .toMatch(/cannot be changed/);
+  });
+});
+
+describe('branching rule definitions', () => {
+  const ruleTargets = { questions, categoryIds: ['bug_fixing', 'check_up'] };
+
+  test('normalizes conditions on built-in fields and earlier answers', () => {
+    const { errors, values } = normalizeQuestionInput({
+      prompt: 'What went wrong?',
+      type: 'short_text',
+      show_if: {
+        match: 'all',
+        conditions: [
+          { field: 'stars', op: 'in', value: ['1', 2, 2] },
+          { field: 'category', op: 'eq', value: 'bug_fixing' },
+          { field: 'question', question_id: '2', op: 'neq', value: 'Walk-in' }
+        ]
+      },
+      required_if: { conditions: [{ field: 'issue_recurrence', op: 'eq', value: 'true' }] }
+    }, ruleTargets);
+
+    expect(errors).toEqual([]);
+    expect(values.show_if).toEqual({
+      match: 'all',
+      conditions: [
+        { field: 'stars', op: 'in', value: [1, 2] },
+        { field: 'category', op: 'eq', value: 'bug_fixing' },
+        { field: 'question', question_id: 2, op: 'neq', value: 'Walk-in' }
+      ]
+    });
+    expect(values.required_if).toEqual({
+      match: 'all',
+      conditions: [{ field: 'issue_recurrence', op: 'eq', value: true }]
+    });
+  });
+
+  test('clears a rule with null or an empty condition list', () => {
+    const update = normalizeQuestionInput({ show_if: null, required_if: { match: 'any', conditions: [] } }, { partial: true, type: 'yes_no' });
+    expect(update.errors).toEqual([]);
+    expect(update.values).toEqual({ show_if: null, required_if: null });
+  });
+
+  test('rejects unknown fields, operators and values', () => {
+    const { errors } = normalizeQuestionInput({
+      prompt: 'Follow-up',
+      type: 'yes_no',
+      show_if: {
+        match: 'any',
+        conditions: [
+          { field: 'weather', op: 'eq', value: 'sunny' },
+          { field: 'stars', op: 'includes', value: 1 },
+          { field: 'stars', op: 'eq', value: 6 },
+          { field: 'category', op: 'eq', value: 'plumbing' },
+          { field: 'question', question_id: 2, op: 'in', value: ['Fax'] },
+          { field: 'question', question_id: 4, op: 'eq', value: 'hi' },
+          { field: 'question', question_id: 99, op: 'answered' }
+        ]
+      }
+    }, ruleTargets);
+
+    expect(errors).toHaveLength(7);
+    expect(errors[0]).toMatch(/^Show when, condition 1: field must be one of/);
+    expect(errors[1]).toBe('Show when, condition 2: operator must be one of eq, neq, in, not_in, lt, lte, gt, gte.');
+    expect(errors[2]).toBe('Show when, condition 3: value is not valid for that field.');
+    expect(errors[3]).toBe('Show when, condition 4: value is not valid for that field.');
+    expect(errors[4]).toBe('Show when, condition 5: values are not valid for that field.');
+    expect(errors[5]).toBe('Show when, condition 6: operator must be one of answered, not_answered.');
+    expect(errors[6]).toBe('Show when, condition 7: that question does not exist.');
+  });
+
+  test('rejects malformed groups and rules on the question itself', () => {
+    expect(normalizeQuestionInput({ prompt: 'x', type: 'yes_no', show_if: 'stars < 3' }).errors)
+      .toEqual(['Show when must be a rule with a list of conditions.']);
+    expect(normalizeQuestionInput({ prompt: 'x', type: 'yes_no', required_if: { match: 'some', conditions: [{}] } }).errors)
+      .toEqual(['Required when must match "all" or "any" of its conditions.']);
+    expect(normalizeQuestionInput({ prompt: 'x', type: 'yes_no', show_if: { conditions: Array(11).fill({ field: 'stars', op: 'eq', value: 1 }) } }).errors)
+      .toEqual(['Show when can have at most 10 conditions.']);
+    expect(normalizeQuestionInput(
+      { show_if: { conditions: [{ field: 'question', question_id: 1, op: 'answered' }] } },
+      { partial: true, type: 'yes_no', id: 1, questions }
+    ).errors).toEqual(['Show when, condition 1: a question cannot depend on its own answer.']);
+  });
+});
+
+describe('validateAnswers', () => {
+  test('normalizes answers of every type', () => {
+    const { errors, answers } = validateAnswers({
+      1: 'false',
+      2: 'Chat',
+      3: ['Printer', 'Laptop', 'Printer'],
+      4: '  Thanks!  ',
+      5: '6'
+    }, questions);
+
+    expect(errors).toEqual([]);
+    expect(answers).toEqual([
+      { question_id: 1, value: false },
+      { question_id: 2, value: 'Chat' },
+      { question_id: 3, value: ['Laptop', 'Printer'] },
+      { question_id: 4, value: 'Thanks!' },
+      { question_id: 5, value: 6 }
+    ]);
+  });
+
+  test('requires required questions and skips blank optional ones', () => {
+    const { errors, answers } = validateAnswers({ 2: '', 3: [] }, questions);
+
+    expect(errors).toEqual(['Please answer "Was the technician on time?". I need this to complete your diagnosis.']);
+    expect(answers).toEqual([]);
+  });
+
+  test('rejects answers outside the definition', () => {
+    const { errors } = validateAnswers({ 1: 'maybe', 2: 'Fax', 3: ['Laptop', 'Toaster'], 4: 'x'.repeat(201), 5: 8 }, questions);
+
+    expect(errors).toHaveLength(5);
+    expect(errors[1]).toBe('Please choose one of the listed answers to "How did you reach us?".');
+    expect(errors[4]).toBe('Please answer "How easy was it?" with a number from 1 to 7.');
+  });
+
+  test('ignores answers to questions that are not on the form', () => {
+    expect(validateAnswers({ 1: true, 99: 'stale' }, questions).answers).toEqual([{ question_id: 1, value: true }]);
+  });
+
+  describe('with branching rules', () => {
+    const branching = [
+      { id: 1, prompt: 'Was the technician on time?', type: 'yes_no', required: false, options: {} },
+      {
+        id: 2,
+        prompt: 'What went wrong?',
+        type: 'short_text',
+        required: true,
+        options: {},
+        show_if: {
+          match: 'all',
+          conditions: [
+            { field: 'stars', op: 'lte', value: 2 },
+            { field: 'category', op: 'eq', value: 'bug_fixing' }
+          ]
+        }
+      },
+      {
+        id: 3,
+        prompt: 'How late were they?',
+        type: 'scale',
+        required: false,
+        options: { min: 1, max: 5 },
+        required_if: { match: 'all', conditions: [{ field: 'question', question_id: 1, op: 'eq', value: false }] }
+      }
+    ];
+
+    test('requires a conditional question only when it is shown', () => {
+      expect(validateAnswers({}, branching, { stars: 2, category: 'bug_fixing' }).errors)
+        .toEqual(['Please answer "What went wrong?". I need this to complete your diagnosis.']);
+      expect(validateAnswers({}, branching, { stars: 4, category: 'bug_fixing' }).errors).toEqual([]);
+      expect(validateAnswers({}, branching, { stars: 1, category: 'check_up' }).errors).toEqual([]);
+    });
+
+    test('drops answers to hidden questions', () => {
+      const { errors, answers } = validateAnswers({ 1: true, 2: 'Nothing, it was great' }, branching, { stars: 5, category: 'bug_fixing' });
+      expect(errors).toEqual([]);
+      expect(answers).toEqual([{ question_id: 1, value: true }]);
+    });
+
+    test('makes a question required from an earlier answer', () => {
+      expect(validateAnswers({ 1: 'false' }, branching, { stars: 5 }).errors)
+        .toEqual(['Please answer "How late were they?". I need this to complete your diagnosis.']);
+      expect(validateAnswers({ 1: 'false', 3: 4 }, branching, { stars: 5 }).answers)
+        .toEqual([{ question_id: 1, value: false }, { question_id: 3, value: 4 }]);
+    });
+  });
+});
+
+describe('summarizeAnswers', () => {
+  test('counts yes/no answers', () => {
+    expect(summarizeAnswers(questions[0], [{ value: true, count: '3' }, { value: false, count: '1' }]))
+      .toEqual({ answered: 4, yes: 3, no: 1, yes_rate: 75 });
+  });
+
+  test('tallies choices, including ones since removed', () => {
+    const summary = summarizeAnswers(questions[2], [
+      { value: ['Laptop', 'Phone'], count: 2 },
+      { value: ['Laptop'], count: 1 },
+      { value: ['Scanner'], count: 1 }
+    ]);
+
+    expect(summary.answered).toBe(4);
+    expect(summary.choices).toEqual([
+      { choice: 'Laptop', count: 3, percent: 75 },
+      { choice: 'Phone', count: 2, percent: 50 },
+      { choice: 'Printer', count: 0, percent: 0 },
+      { choice: 'Scanner', count: 1, percent: 25 }
+    ]);
+  });
+
+  test('averages scales and fills the distribution', () => {
+    const summary = summarizeAnswers(questions[4], [{ value: 7, count: 2 }, { value: 4, count: 1 }]);
+
+    expect(summary.average).toBe(6);
+    expect(summary.distribution).toHaveLength(7);
+    expect(summary.distribution[6]).toEqual({ value: 7, count: 2 });
+  });
+
+  test('reports no average before the first answer', () => {
+    expect(summarizeAnswers(questions[4], []).average).toBeNull();
+    expect(summarizeAnswers(questions[3], [{ value: null, count: 2 }])).toEqual({ answered: 2 });
+  });
+});
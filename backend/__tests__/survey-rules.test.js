@@ -0,0 +1,111 @@
+/**
+ * Tests for the survey branching rules engine shared by the form and the server
+ */
+
+const {
+  evaluateCondition,
+  evaluateRuleGroup,
+  resolveQuestions,
+  needsPreviousIssueDetails
+} = require('../../shared/survey-rules');
+
+describe('evaluateCondition', () => {
+  const context = {
+    stars: 2,
+    category: 'bug_fixing',
+    resolves_issue: 0,
+    issue_recurrence: null,
+    answers: { 1: 'Email', 2: ['Laptop', 'Phone'], 3: 4, 4: false }
+  };
+
+  test.each([
+    [{ field: 'stars', op: 'eq', value: 2 }, true],
+    [{ field: 'stars', op: 'neq', value: 2 }, false],
+    [{ field: 'stars', op: 'lte', value: 2 }, true],
+    [{ field: 'stars', op: 'gt', value: 2 }, false],
+    [{ field: 'stars', op: 'in', value: [1, 2] }, true],
+    [{ field: 'category', op: 'not_in', value: ['check_up'] }, true],
+    [{ field: 'resolves_issue', op: 'eq', value: false }, true],
+    [{ field: 'issue_recurrence', op: 'eq', value: false }, false],
+    [{ field: 'issue_recurrence', op: 'not_answered' }, true],
+    [{ field: 'question', question_id: 1, op: 'eq', value: 'Email' }, true],
+    [{ field: 'question', question_id: 2, op: 'includes', value: 'Phone' }, true],
+    [{ field: 'question', question_id: 2, op: 'includes', value: 'Printer' }, false],
+    [{ field: 'question', question_id: 3, op: 'gte', value: 4 }, true],
+    [{ field: 'question', question_id: 4, op: 'eq', value: false }, true],
+    [{ field: 'question', question_id: 4, op: 'answered' }, true],
+    [{ field: 'question', question_id: 9, op: 'neq', value: 'Email' }, false]
+  ])('%j is %s', (condition, expected) => {
+    expect(evaluateCondition(condition, context)).toBe(expected);
+  });
+});
+
+describe('evaluateRuleGroup', () => {
+  const low = { field: 'stars', op: 'lte', value: 2 };
+  const bugs = { field: 'category', op: 'eq', value: 'bug_fixing' };
+
+  test('a missing or empty group always matches', () => {
+    expect(evaluateRuleGroup(null, {})).toBe(true);
+    expect(evaluateRuleGroup({ match: 'all', conditions: [] }, {})).toBe(true);
+  });
+
+  test('matches all or any of its conditions', () => {
+    const context = { stars: 1, category: 'check_up' };
+    expect(evaluateRuleGroup({ match: 'all', conditions: [low, bugs] }, context)).toBe(false);
+    expect(evaluateRuleGroup({ match: 'any', conditions: [low, bugs] }, context)).toBe(true);
+  });
+});
+
+describe('resolveQuestions', () => {
+  const questions = [
+    { id: 1, type: 'yes_no', required: false },
+    {
+      id: 2,
+      type: 'short_text',
+      required: true,
+      show_if: {
+        match: 'all',
+        conditions: [
+          { field: 'stars', op: 'in', value: [1, 2] },
+          { field: 'category', op: 'eq', value: 'bug_fixing' }
+        ]
+      }
+    },
+    {
+      id: 3,
+      type: 'short_text',
+      required: false,
+      show_if: { match: 'all', conditions: [{ field: 'question', question_id: 2, op: 'answered' }] },
+      required_if: { match: 'all', conditions: [{ field: 'question', question_id: 1, op: 'eq', value: true }] }
+    }
+  ];
+
+  const summarize = context => resolveQuestions(questions, context)
+    .map(({ question, visible, required }) => [question.id, visible, required]);
+
+  test('shows "What went wrong?" only for 1-2 stars on Bug Fixing', () => {
+    expect(summarize({ stars: 2, category: 'bug_fixing', answers: {} })).toEqual([[1, true, false], [2, true, true], [3, false, false]]);
+    expect(summarize({ stars: 3, category: 'bug_fixing', answers: {} })).toEqual([[1, true, false], [2, false, false], [3, false, false]]);
+    expect(summarize({ stars: 1, category: 'check_up', answers: {} })).toEqual([[1, true, false], [2, false, false], [3, false, false]]);
+  });
+
+  test('applies required_if only to visible questions', () => {
+    expect(summarize({ stars: 1, category: 'bug_fixing', answers: { 1: true, 2: 'It crashed' } }))
+      .toEqual([[1, true, false], [2, true, true], [3, true, true]]);
+  });
+
+  test('ignores answers left behind on hidden questions', () => {
+    // Question 2 was answered, then stars changed so it is hidden; question 3 must follow it
+    expect(summarize({ stars: 5, category: 'bug_fixing', answers: { 2: 'It crashed' } }))
+      .toEqual([[1, true, false], [2, false, false], [3, false, false]]);
+  });
+});
+
+describe('needsPreviousIssueDetails', () => {
+  test('asks for details only when the issue happened before', () => {
+    expect(needsPreviousIssueDetails({ issue_recurrence: true })).toBe(true);
+    expect(needsPreviousIssueDetails({ issue_recurrence: 1 })).toBe(true);
+    expect(needsPreviousIssueDetails({ issue_recurrence: 0 })).toBe(false);
+    expect(needsPreviousIssueDetails({ issue_recurrence: null })).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for admin survey campaign input validation and survey status
+ */
+
+const { normalizeSurveyInput, slugifySurveyTitle, getSurveyStatus } = require('../surveys-database');
+
+const categoryIds = ['bug_fixing', 'integration', 'feature_building'];
+
+describe('survey input validation', () => {
+  test('derives the link name from the title and normalizes the rest', () => {
+    const { errors, values } = normalizeSurveyInput({
+      title: '  Incident follow-up ',
+      intro: '  ',
+      category_ids: ['bug_fixing', ' integration', 'bug_fixing'],
+      opens_at: '2025-03-01',
+      closes_at: '2025-03-31'
+    }, { categoryIds });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      title: 'Incident follow-up',
+      slug: 'incident-follow-up',
+      intro: null,
+      category_ids: ['bug_fixing', 'integration'],
+      opens_at: new Date('2025-03-01T00:00:00.000Z'),
+      // A date-only closing date includes the whole day
+      closes_at: new Date('2025-04-01T00:00:00.000Z')
+    });
+  });
+
+  test('requires a title and a valid link name', () => {
+    expect(normalizeSurveyInput({}).errors).toEqual(['Survey title is required.']);
+    expect(normalizeSurveyInput({ title: 'Setup', slug: 'On Boarding!' }).errors[0])
+      .toMatch(/lowercase letters, numbers, and single hyphens/);
+    expect(slugifySurveyTitle('Café Onboarding -- 2025')).toBe('cafe-onboarding-2025');
+  });
+
+  test('rejects unknown categories and malformed lists', () => {
+    expect(normalizeSurveyInput({ title: 'x', category_ids: ['bug_fixing', 'plumbing'] }, { categoryIds }).errors)
+      .toEqual(['Unknown category "plumbing".']);
+    expect(normalizeSurveyInput({ title: 'x', category_ids: 'bug_fixing' }, { categoryIds }).errors)
+      .toEqual(['Survey categories must be a list of category IDs.']);
+    expect(normalizeSurveyInput({ category_ids: null }, { partial: true }).values).toEqual({ category_ids: [] });
+  });
+
+  test('checks the schedule, including against the saved dates on update', () => {
+    expect(normalizeSurveyInput({ title: 'x', opens_at: 'soon' }).errors)
+      .toEqual(['Opening date must be a date (YYYY-MM-DD) or ISO 8601 timestamp.']);
+    expect(normalizeSurveyInput({ title: 'x', opens_at: '2025-03-02', closes_at: '2025-03-01' }).errors)
+      .toEqual(['A survey must open before it closes.']);
+
+    const existing = { opens_at: new Date('2025-03-01T00:00:00Z'), closes_at: new Date('2025-04-01T00:00:00Z') };
+    expect(normalizeSurveyInput({ opens_at: '2025-05-01' }, { partial: true, existing }).errors)
+      .toEqual(['A survey must open before it closes.']);
+    expect(normalizeSurveyInput({ opens_at: '2025-05-01', closes_at: null }, { partial: true, existing }).errors)
+      .toEqual([]);
+  });
+});
+
+describe('getSurveyStatus', () => {
+  const now = new Date('2025-03-15T12:00:00Z');
+
+  test('reports whether a survey is taking responses', () => {
+    expect(getSurveyStatus({ active: true, opens_at: null, closes_at: null }, now)).toBe('open');
+    expect(getSurveyStatus({ active: false, opens_at: null, closes_at: null }, now)).toBe('inactive');
+    expect(getSurveyStatus({ active: true, opens_at: '2025-04-01T00:00:00Z', closes_at: null }, now)).toBe('scheduled');
+    expect(getSurveyStatus({ active: true, opens_at: null, closes_at: '2025-03-15T12:00:00Z' }, now)).toBe('closed');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for TOTP codes, recovery codes and the settings that can require them
+ */
+
+const {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  totpStep,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  TOTP_PERIOD_SECONDS,
+  RECOVERY_CODE_COUNT
+} = require('../two-factor');
+const { normalizeSettingsInput } = require('../settings-database');
+
+// RFC 6238 appendix B test secret ("12345678901234567890" in ASCII)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('base32', () => {
+  test('round-trips bytes and matches RFC 4648', () => {
+    expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Decode('mzxw 6ytb oi==').toString()).toBe('foobar');
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+  });
+
+  test('generates 160-bit secrets', () => {
+    expect(base32Decode(generateTotpSecret())).toHaveLength(20);
+  });
+});
+
+describe('TOTP', () => {
+  test('matches the RFC 6238 SHA-1 test vectors (last six digits)', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    expect(generateTotp(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+  });
+
+  test('accepts codes one step either side to allow for clock drift', () => {
+    const now = 1234567890 * 1000;
+    const previous = generateTotp(RFC_SECRET, now - TOTP_PERIOD_SECONDS * 1000);
+    const twoStepsAgo = generateTotp(RFC_SECRET, now - 2 * TOTP_PERIOD_SECONDS * 1000);
+
+    expect(verifyTotp(RFC_SECRET, previous, { timeMs: now })).toBe(totpStep(now) - 1);
+    expect(verifyTotp(RFC_SECRET, twoStepsAgo, { timeMs: now })).toBeNull();
+  });
+
+  test('refuses a code from a step that was already used', () => {
+    const now = 1234567890 * 1000;
+    const step = verifyTotp(RFC_SECRET, '005 924', { timeMs: now });
+
+    expect(step).toBe(totpStep(now));
+    expect(verifyTotp(RFC_SECRET, '005924', { timeMs: now, lastUsedStep: step })).toBeNull();
+  });
+
+  test('ignores malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, undefined)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef')).toBeNull();
+  });
+
+  test('builds a provisioning URI authenticator apps understand', () => {
+    const uri = buildOtpAuthUrl(RFC_SECRET, 'hiro hamada');
+    const url = new URL(uri);
+
+    expect(uri.startsWith('otpauth://totp/Baymax%20IT%20Care:hiro%20hamada?')).toBe(true);
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(url.searchParams.get('issuer')).toBe('Baymax IT Care');
+  });
+});
+
+describe('recovery codes', () => {
+  test('generates distinct, readable codes', () => {
+    const codes = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(RECOVERY_CODE_COUNT);
+    expect(new Set(codes).size).toBe(RECOVERY_CODE_COUNT);
+    codes.forEach(code => expect(code).toMatch(/^[a-hjkmnp-z2-9]{5}-[a-hjkmnp-z2-9]{5}$/));
+  });
+
+  test('hashes ignore case, spaces and dashes', () => {
+    expect(hashRecoveryCode(' ABCDE-fghjk ')).toBe(hashRecoveryCode('abcdefghjk'));
+    expect(hashRecoveryCode('abcdefghjk')).not.toBe(hashRecoveryCode('abcdefghjm'));
+  });
+});
+
+describe('settings input', () => {
+  test('accepts known settings of the right type', () => {
+    expect(normalizeSettingsInput({ require_two_factor: true })).toEqual({
+      errors: [],
+      values: { require_two_factor: true }
+    });
+  });
+
+  test('rejects unknown keys, wrong types and empty updates', () => {
+    expect(normalizeSettingsInput({ require_two_factor: 'yes' }).errors)
+      .toEqual(['require_two_factor must be true or false.']);
+    expect(normalizeSettingsInput({ theme: 'dark' }).errors).toEqual(['Unknown setting "theme".']);
+    expect(normalizeSettingsInput({}).errors).toEqual(['No settings to update.']);
+  });
+});
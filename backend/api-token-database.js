@@ -0,0 +1,190 @@
+/**
+ * API Token Database Module
+ * Personal access tokens that let scripts call admin endpoints without a session cookie
+ */
+
+const crypto = require('crypto');
+const { pool } = require('./database');
+
+// What each scope unlocks; a token can only reach endpoints that declare one of its scopes,
+// and never more than its owner's role allows
+const API_TOKEN_SCOPES = {
+  'ratings:read': 'List, search, and export ratings',
+  'ratings:write': 'Delete, restore, reply to, moderate, and import ratings',
+  'stats:read': 'Read care statistics and time series',
+  'invitations:read': 'List survey invitations and whether they were answered',
+  'invitations:write': 'Create and revoke survey invitation links'
+};
+
+// Validation constants
+const MAX_TOKEN_NAME_LENGTH = 100;
+const MIN_TOKEN_LIFETIME_DAYS = 1;
+const MAX_TOKEN_LIFETIME_DAYS = 365;
+const MAX_TOKENS_PER_USER = 20;
+
+// "bmx_" makes leaked tokens easy to recognize in logs and secret scanners
+const TOKEN_PREFIX = 'bmx_';
+const TOKEN_BYTES = 32;
+const TOKEN_PATTERN = /^bmx_[A-Za-z0-9_-]{43}$/;
+
+// Leading characters kept in the clear so admins can tell their tokens apart
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// Columns safe to return (never the hash)
+const API_TOKEN_COLUMNS = 'id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at';
+
+/**
+ * Generate a new token value
+ * @returns {string} e.g. "bmx_3q2-..."
+ */
+function generateApiToken() {
+  return `${TOKEN_PREFIX}${crypto.randomBytes(TOKEN_BYTES).toString('base64url')}`;
+}
+
+/**
+ * Hash a token for storage and lookup
+ * Tokens are 256-bit random values, so a fast hash is safe
+ * @param {string} token
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check that a string looks like one of our tokens before touching the database
+ * @param {*} token
+ * @returns {boolean}
+ */
+function isWellFormedApiToken(token) {
+  return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Validate and normalize a new token request
+ * @param {Object} input - Raw request body: { name, scopes, expires_in_days }
+ * @returns {{errors: string[], values: Object}}
+ */
+function normalizeApiTokenInput(input) {
+  const errors = [];
+  const values = {};
+  const body = input || {};
+
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) {
+    errors.push('Token name is required.');
+  } else if (name.length > MAX_TOKEN_NAME_LENGTH) {
+    errors.push(`Token name exceeds maximum length of ${MAX_TOKEN_NAME_LENGTH} characters.`);
+  } else {
+    values.name = name;
+  }
+
+  if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+    errors.push('Choose at least one scope.');
+  } else {
+    const unknown = body.scopes.filter(scope => !Object.hasOwn(API_TOKEN_SCOPES, scope));
+    if (unknown.length > 0) {
+      errors.push(`Unknown scope: ${unknown.join(', ')}. Valid scopes: ${Object.keys(API_TOKEN_SCOPES).join(', ')}.`);
+    } else {
+      values.scopes = [...new Set(body.scopes)].sort();
+    }
+  }
+
+  const days = Number(body.expires_in_days);
+  if (body.expires_in_days === undefined || body.expires_in_days === null || body.expires_in_days === '') {
+    errors.push('Expiry is required.');
+  } else if (!Number.isInteger(days) || days < MIN_TOKEN_LIFETIME_DAYS || days > MAX_TOKEN_LIFETIME_DAYS) {
+    errors.push(`Expiry must be a whole number of days from ${MIN_TOKEN_LIFETIME_DAYS} to ${MAX_TOKEN_LIFETIME_DAYS}.`);
+  } else {
+    values.expires_in_days = days;
+  }
+
+  return { errors, values };
+}
+
+/**
+ * List an admin's tokens, newest first (expired ones included until deleted)
+ * @param {number} userId
+ * @returns {Array}
+ */
+async function listApiTokens(userId) {
+  const result = await pool.query(
+    `SELECT ${API_TOKEN_COLUMNS} FROM api_tokens WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Create a token
+ * @param {number} userId - Admin the token acts as
+ * @param {Object} values - From normalizeApiTokenInput()
+ * @returns {{token: string, apiToken: Object}|null} The token value (shown only once) and its stored row,
+ *   or null if the admin already has MAX_TOKENS_PER_USER tokens
+ */
+async function createApiToken(userId, { name, scopes, expires_in_days: expiresInDays }) {
+  const token = generateApiToken();
+  const result = await pool.query(
+    `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+     SELECT $1, $2, $3, $4, $5, NOW() + make_interval(days => $6)
+     WHERE (SELECT COUNT(*) FROM api_tokens WHERE user_id = $1) < $7
+     RETURNING ${API_TOKEN_COLUMNS}`,
+    [userId, name, hashApiToken(token), token.slice(0, DISPLAY_PREFIX_LENGTH), scopes, expiresInDays, MAX_TOKENS_PER_USER]
+  );
+  return result.rows[0] ? { token, apiToken: result.rows[0] } : null;
+}
+
+/**
+ * Delete one of an admin's tokens
+ * @param {number} userId
+ * @param {number} tokenId
+ * @returns {Object|null} The deleted token, or null if the admin has no such token
+ */
+async function deleteApiToken(userId, tokenId) {
+  const result = await pool.query(
+    `DELETE FROM api_tokens WHERE id = $1 AND user_id = $2 RETURNING ${API_TOKEN_COLUMNS}`,
+    [tokenId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Look up an unexpired token by its value
+ * @param {string} token - Value from an Authorization header
+ * @returns {Object|null} {id, user_id, name, scopes}, or null if unknown or expired
+ */
+async function findApiToken(token) {
+  if (!isWellFormedApiToken(token)) return null;
+  const result = await pool.query(
+    `SELECT id, user_id, name, scopes FROM api_tokens
+     WHERE token_hash = $1 AND expires_at > NOW()`,
+    [hashApiToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record that a token was just used
+ * @param {number} tokenId
+ * @param {string} ipAddress
+ */
+async function recordApiTokenUse(tokenId, ipAddress) {
+  await pool.query(
+    'UPDATE api_tokens SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1',
+    [tokenId, ipAddress ?? null]
+  );
+}
+
+module.exports = {
+  generateApiToken,
+  hashApiToken,
+  isWellFormedApiToken,
+  normalizeApiTokenInput,
+  listApiTokens,
+  createApiToken,
+  deleteApiToken,
+  findApiToken,
+  recordApiTokenUse,
+  API_TOKEN_SCOPES,
+  MAX_TOKENS_PER_USER
+};
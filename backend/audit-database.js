@@ -0,0 +1,207 @@
+/**
+ * Audit Database Module
+ * Append-only record of who changed what: admin mutations and authentication events
+ */
+
+const { pool } = require('./database');
+const { parseDateBound, parseList } = require('./rating-filters');
+
+// Validation constants
+const MAX_AUDIT_ACTION_FILTERS = 20;
+const MAX_AUDIT_TEXT_FILTER_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 500;
+
+// Actions look like "category.update"; a trailing ".*" filters a whole group
+const AUDIT_ACTION_PATTERN = /^[a-z_]+(\.[a-z_]+)*(\.\*)?$/;
+
+// Fields never written into before/after snapshots
+const REDACTED_FIELDS = new Set(['password', 'password_hash', 'token', 'token_hash', 'secret', 'totp_secret']);
+
+/**
+ * Copy a snapshot without credentials or secrets
+ * @param {Object|null|undefined} snapshot
+ * @returns {Object|null}
+ */
+function redactSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object') return null;
+  return Object.fromEntries(
+    Object.entries(snapshot).filter(([key]) => !REDACTED_FIELDS.has(key))
+  );
+}
+
+/**
+ * Record an audit event for a request
+ * Auditing never breaks the action being audited: failures are logged and swallowed
+ * @param {Object} req - Express request (actor, IP, user agent and any API token are taken from it)
+ * @param {string} action - e.g. "rating.delete"
+ * @param {Object} details
+ * @param {string} [details.targetType] - e.g. "rating"
+ * @param {string|number} [details.targetId]
+ * @param {Object} [details.before] - Snapshot before the change
+ * @param {Object} [details.after] - Snapshot after the change
+ * @param {Object} [details.metadata] - Anything else worth keeping (counts, reasons)
+ * @param {{id: number, username: string}} [details.actor] - Overrides the session user (e.g. at login)
+ * @returns {Object|null} The stored event, or null if it could not be written
+ */
+async function recordAuditEvent(req, action, { targetType, targetId, before, after, metadata, actor } = {}) {
+  const actorId = actor ? actor.id : req.session?.userId;
+  const actorUsername = actor ? actor.username : req.session?.username;
+  const target = targetType ? `${targetType}${targetId !== undefined ? ` ${targetId}` : ''}` : '';
+  // Changes made by a script carry the API token it used
+  const eventMetadata = req.apiToken ? { ...metadata, api_token_id: req.apiToken.id } : metadata;
+
+  console.log(`[AUDIT] ${actorUsername ? `Admin "${actorUsername}" (ID: ${actorId ?? 'unknown'})` : 'Anonymous'} ${action}${target ? ` ${target}` : ''} at ${new Date().toISOString()}`);
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO audit_events
+         (actor_id, actor_username, action, target_type, target_id, ip_address, user_agent, before, after, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        actorId ?? null,
+        actorUsername ?? null,
+        action,
+        targetType ?? null,
+        targetId !== undefined && targetId !== null ? String(targetId) : null,
+        req.ip ?? null,
+        req.get?.('user-agent')?.slice(0, MAX_USER_AGENT_LENGTH) ?? null,
+        redactSnapshot(before),
+        redactSnapshot(after),
+        eventMetadata ?? null
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error(`[AUDIT] Failed to record "${action}" event:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Parse audit log query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{errors: string[], filters: Object}}
+ */
+function parseAuditFilters(query = {}) {
+  const errors = [];
+  const filters = {};
+
+  if (query.action !== undefined && query.action !== '') {
+    const actions = [...new Set(parseList(query.action))];
+    if (actions.length > MAX_AUDIT_ACTION_FILTERS) {
+      errors.push(`No more than ${MAX_AUDIT_ACTION_FILTERS} actions can be filtered at once.`);
+    } else if (!actions.every(action => AUDIT_ACTION_PATTERN.test(action))) {
+      errors.push('action must be an action name like "category.update" or a group like "auth.*".');
+    } else if (actions.length > 0) {
+      filters.actions = actions.filter(action => !action.endsWith('.*'));
+      filters.actionGroups = actions.filter(action => action.endsWith('.*')).map(action => action.slice(0, -1));
+    }
+  }
+
+  if (query.actor_id !== undefined && query.actor_id !== '') {
+    const actorId = Number(query.actor_id);
+    if (!Number.isInteger(actorId) || actorId <= 0) {
+      errors.push('actor_id must be a positive whole number.');
+    } else {
+      filters.actorId = actorId;
+    }
+  }
+
+  for (const [param, key] of [['actor', 'actor'], ['target_type', 'targetType'], ['target_id', 'targetId']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const value = String(query[param]).trim();
+    if (value.length > MAX_AUDIT_TEXT_FILTER_LENGTH) {
+      errors.push(`${param} exceeds maximum length of ${MAX_AUDIT_TEXT_FILTER_LENGTH} characters.`);
+    } else if (value) {
+      filters[key] = value;
+    }
+  }
+
+  for (const [param, key, endOfRange] of [['from', 'from', false], ['to', 'to', true]]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const date = parseDateBound(query[param], endOfRange);
+    if (!date) {
+      errors.push(`${param} must be a date (YYYY-MM-DD) or ISO 8601 timestamp.`);
+    } else {
+      filters[key] = date;
+    }
+  }
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    errors.push('from must be before to.');
+  }
+
+  return { errors, filters };
+}
+
+/**
+ * Build SQL conditions for parsed audit filters
+ * @param {Object} filters - Filters from parseAuditFilters()
+ * @param {Array} params - Query parameter array to append to
+ * @returns {string} WHERE clause, or an empty string when unfiltered
+ */
+function buildAuditFilterClause(filters = {}, params = []) {
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = [];
+
+  const actionConditions = [];
+  if (filters.actions?.length) actionConditions.push(`action = ANY(${param(filters.actions)})`);
+  filters.actionGroups?.forEach(prefix => {
+    actionConditions.push(`starts_with(action, ${param(prefix)})`);
+  });
+  if (actionConditions.length) conditions.push(`(${actionConditions.join(' OR ')})`);
+
+  if (filters.actorId !== undefined) conditions.push(`actor_id = ${param(filters.actorId)}`);
+  if (filters.actor) conditions.push(`LOWER(actor_username) = LOWER(${param(filters.actor)})`);
+  if (filters.targetType) conditions.push(`target_type = ${param(filters.targetType)}`);
+  if (filters.targetId) conditions.push(`target_id = ${param(filters.targetId)}`);
+  if (filters.from) conditions.push(`created_at >= ${param(filters.from)}`);
+  if (filters.to) conditions.push(`created_at < ${param(filters.to)}`);
+
+  return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+/**
+ * Get audit events, newest first
+ * @param {Object} options
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @param {Object} options.filters - Filters from parseAuditFilters()
+ * @returns {Array} Events
+ */
+async function getAuditEvents({ limit = 50, offset = 0, filters = {} } = {}) {
+  const params = [];
+  const where = buildAuditFilterClause(filters, params);
+  const result = await pool.query(
+    `SELECT * FROM audit_events
+     ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return result.rows;
+}
+
+/**
+ * Count audit events matching filters
+ * @param {Object} filters - Filters from parseAuditFilters()
+ * @returns {number}
+ */
+async function getAuditEventsCount(filters = {}) {
+  const params = [];
+  const where = buildAuditFilterClause(filters, params);
+  const result = await pool.query(`SELECT COUNT(*) as count FROM audit_events ${where}`, params);
+  return parseInt(result.rows[0].count, 10);
+}
+
+module.exports = {
+  recordAuditEvent,
+  redactSnapshot,
+  parseAuditFilters,
+  buildAuditFilterClause,
+  getAuditEvents,
+  getAuditEventsCount
+};
@@ -3,6 +3,7 @@
  * Manages admin users and login attempts for Baymax IT Care
  */
 
+const crypto = require('crypto');
 const { pool } = require('./database');
 const bcrypt = require('bcrypt');
 
@@ -10,52 +11,31 @@ const bcrypt = require('bcrypt');
 const SALT_ROUNDS = 12; // OWASP recommended minimum
 const MAX_FAILED_ATTEMPTS = 5;
 const LOCKOUT_DURATION_MS = 15 * 60 * 1000; // 15 minutes
+const PASSWORD_RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Admin roles, least to most privileged
+// viewer: read stats and ratings; moderator: also manage feedback; owner: also users and settings
+const ADMIN_ROLES = ['viewer', 'moderator', 'owner'];
+const DEFAULT_ADMIN_ROLE = 'viewer';
+
+// Admin account validation
+const MIN_USERNAME_LENGTH = 3;
+const MAX_USERNAME_LENGTH = 50;
+const MAX_DISPLAY_NAME_LENGTH = 100;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Columns safe to return from user management queries (never the password hash)
+const ADMIN_USER_COLUMNS = `id, username, display_name, email, role, active, must_change_password,
+  (totp_enabled_at IS NOT NULL) AS two_factor_enabled, (oidc_subject IS NOT NULL) AS sso, created_at, last_login`;
+
+// Attempts at a free username before giving up on provisioning an SSO admin
+const MAX_USERNAME_SUFFIX = 50;
 
 // Pre-computed dummy hash for constant-time comparison when user doesn't exist
 // This prevents timing attacks that could enumerate valid usernames
 // Generated with: bcrypt.hashSync('dummy_password_that_will_never_match', 12)
 const DUMMY_HASH = '$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/X4.VTtYA.qkAJcmai';
 
-/**
- * Initialize auth database tables
- */
-async function initializeAuthDatabase() {
-  const client = await pool.connect();
-  try {
-    // Create admin_users table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS admin_users (
-        id SERIAL PRIMARY KEY,
-        username TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        display_name TEXT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        last_login TIMESTAMP
-      )
-    `);
-
-    // Create login_attempts table for account-level lockout
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS login_attempts (
-        id SERIAL PRIMARY KEY,
-        username TEXT NOT NULL,
-        ip_address TEXT,
-        attempted_at TIMESTAMP DEFAULT NOW(),
-        success INTEGER DEFAULT 0
-      )
-    `);
-
-    // Add indexes for login attempts
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username, attempted_at)
-    `);
-
-    console.log('Admin authentication database is ready!');
-  } finally {
-    client.release();
-  }
-}
-
 // ============== USER MANAGEMENT ==============
 
 /**
@@ -63,16 +43,19 @@ async function initializeAuthDatabase() {
  * @param {string} username - Unique username
  * @param {string} password - Plain text password (will be hashed)
  * @param {string} displayName - Display name for UI
+ * @param {string} role - One of ADMIN_ROLES
+ * @param {Object} options
+ * @param {boolean} options.mustChangePassword - True when the password is temporary
  * @returns {Object} Created user (without password_hash)
  */
-async function createAdminUser(username, password, displayName = null) {
+async function createAdminUser(username, password, displayName = null, role = DEFAULT_ADMIN_ROLE, { mustChangePassword = false } = {}) {
   const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
   const result = await pool.query(
-    `INSERT INTO admin_users (username, password_hash, display_name)
-     VALUES ($1, $2, $3)
-     RETURNING id, username, display_name, created_at`,
-    [username, passwordHash, displayName || username]
+    `INSERT INTO admin_users (username, password_hash, display_name, role, must_change_password)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, username, display_name, role, must_change_password, created_at`,
+    [username, passwordHash, displayName || username, role, mustChangePassword]
   );
 
   return result.rows[0];
@@ -98,7 +81,7 @@ async function findAdminByUsername(username) {
  */
 async function findAdminById(id) {
   const result = await pool.query(
-    'SELECT id, username, display_name, created_at, last_login FROM admin_users WHERE id = $1',
+    `SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id = $1`,
     [id]
   );
   return result.rows[0] || null;
@@ -170,6 +153,581 @@ async function usernameExists(username) {
   return parseInt(result.rows[0].count, 10) > 0;
 }
 
+// ============== ADMIN ACCOUNT MANAGEMENT ==============
+
+/**
+ * Validate and normalize admin account input from an owner's request
+ * @param {Object} input - Raw request body
+ * @param {Object} options
+ * @param {boolean} options.partial - True for updates (only provided fields are checked)
+ * @returns {{errors: string[], values: Object}}
+ */
+function normalizeAdminUserInput(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  const body = input || {};
+
+  if (!partial || body.username !== undefined) {
+    const username = typeof body.username === 'string' ? body.username.trim() : '';
+    if (!username) {
+      errors.push('Username is required.');
+    } else if (username.length < MIN_USERNAME_LENGTH || username.length > MAX_USERNAME_LENGTH) {
+      errors.push(`Username must be ${MIN_USERNAME_LENGTH} to ${MAX_USERNAME_LENGTH} characters.`);
+    } else if (!USERNAME_PATTERN.test(username)) {
+      errors.push('Username may only contain letters, numbers, dots, dashes, and underscores.');
+    } else {
+      values.username = username;
+    }
+  }
+
+  if (body.display_name !== undefined) {
+    const displayName = body.display_name !== null ? String(body.display_name).trim() : '';
+    if (displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+      errors.push(`Display name exceeds maximum length of ${MAX_DISPLAY_NAME_LENGTH} characters.`);
+    } else {
+      values.display_name = displayName || null;
+    }
+  }
+
+  if (body.role !== undefined) {
+    if (!ADMIN_ROLES.includes(body.role)) {
+      errors.push(`Role must be one of: ${ADMIN_ROLES.join(', ')}.`);
+    } else {
+      values.role = body.role;
+    }
+  } else if (!partial) {
+    values.role = DEFAULT_ADMIN_ROLE;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('Active flag must be true or false.');
+    } else {
+      values.active = body.active;
+    }
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Error thrown when a change would leave nobody able to manage admins
+ * @returns {Error} With code LAST_ACTIVE_OWNER
+ */
+function lastActiveOwnerError() {
+  const error = new Error('At least one active owner must remain.');
+  error.code = 'LAST_ACTIVE_OWNER';
+  return error;
+}
+
+/**
+ * List every admin account
+ * @returns {Array} Users without password hashes
+ */
+async function listAdminUsers() {
+  const result = await pool.query(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users ORDER BY LOWER(username)`);
+  return result.rows;
+}
+
+/**
+ * Lock an admin row and check that changing it keeps an active owner around
+ * Active owners are locked too, so two owners can't demote each other at the same moment
+ * @param {Object} client - Client inside a transaction
+ * @param {number} id - Admin being changed
+ * @param {Object|null} changes - Fields being updated, or null when deleting
+ * @returns {Object|null} The admin row before the change, or null if not found
+ * @throws {Error} LAST_ACTIVE_OWNER if no other active owner would remain
+ */
+async function lockAdminForChange(client, id, changes) {
+  const owners = await client.query(
+    "SELECT id FROM admin_users WHERE role = 'owner' AND active = TRUE ORDER BY id FOR UPDATE"
+  );
+  const existing = await client.query(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id = $1 FOR UPDATE`, [id]);
+  const user = existing.rows[0];
+  if (!user) return null;
+
+  const after = changes ? { ...user, ...changes } : null;
+  const remainsActiveOwner = Boolean(after && after.role === 'owner' && after.active);
+  const isActiveOwner = owners.rows.some(row => row.id === id);
+  if (isActiveOwner && !remainsActiveOwner && owners.rows.length <= 1) {
+    throw lastActiveOwnerError();
+  }
+  return user;
+}
+
+/**
+ * Update an admin's username, display name, email, role or active flag
+ * @param {number} id - Admin user ID
+ * @param {Object} updates - Values from normalizeAdminUserInput({ partial: true })
+ * @returns {{before: Object, after: Object}|null} Null if the admin doesn't exist
+ * @throws {Error} LAST_ACTIVE_OWNER when demoting or disabling the only active owner
+ */
+async function updateAdminUser(id, updates) {
+  const allowedFields = ['username', 'display_name', 'email', 'role', 'active'];
+  const fields = allowedFields.filter(field => updates[field] !== undefined);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const before = await lockAdminForChange(client, id, updates);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    let after = before;
+    if (fields.length > 0) {
+      const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+      const result = await client.query(
+        `UPDATE admin_users SET ${assignments.join(', ')}
+         WHERE id = $1
+         RETURNING ${ADMIN_USER_COLUMNS}`,
+        [id, ...fields.map(field => updates[field])]
+      );
+      after = result.rows[0];
+    }
+
+    await client.query('COMMIT');
+    return { before, after };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Permanently delete an admin account
+ * Replies and audit events they authored are kept
+ * @param {number} id - Admin user ID
+ * @returns {Object|null} The deleted admin, or null if not found
+ * @throws {Error} LAST_ACTIVE_OWNER when deleting the only active owner
+ */
+async function deleteAdminUser(id) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const user = await lockAdminForChange(client, id, null);
+    if (user) {
+      await client.query('DELETE FROM admin_users WHERE id = $1', [id]);
+    }
+    await client.query('COMMIT');
+    return user;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * End an admin's stored sessions
+ * @param {number} userId - Admin user ID
+ * @param {Object} options
+ * @param {string} [options.exceptSid] - Session to keep (usually the caller's own)
+ * @returns {number} Sessions removed
+ */
+async function destroyUserSessions(userId, { exceptSid = null } = {}) {
+  const result = await pool.query(
+    `DELETE FROM "session"
+     WHERE sess->>'userId' = $1::text
+       AND ($2::text IS NULL OR sid <> $2)`,
+    [userId, exceptSid]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Public ID for a stored session
+ * The raw session ID is what the cookie carries, so it never leaves the server; listings and
+ * revocation use this hash instead
+ * @param {string} sid
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashSessionId(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex');
+}
+
+/**
+ * List an admin's unexpired sessions, newest first
+ * @param {number} userId - Admin user ID
+ * @returns {Array} Rows with sid, created_at, last_activity, ip_address, user_agent and expires_at
+ */
+async function listUserSessions(userId) {
+  const result = await pool.query(
+    `SELECT sid,
+            to_timestamp((sess->>'createdAt')::double precision / 1000) AS created_at,
+            to_timestamp((sess->>'lastActivity')::double precision / 1000) AS last_activity,
+            sess->>'ipAddress' AS ip_address,
+            sess->>'userAgent' AS user_agent,
+            expire AS expires_at
+     FROM "session"
+     WHERE sess->>'userId' = $1::text
+       AND expire > NOW()
+     ORDER BY (sess->>'createdAt')::double precision DESC NULLS LAST`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * End one of an admin's sessions, looked up by its public ID
+ * @param {number} userId - Admin user ID; sessions of other admins are never matched
+ * @param {string} sessionId - From hashSessionId()
+ * @returns {string|null} The raw session ID that was removed, or null if none matched
+ */
+async function destroyUserSession(userId, sessionId) {
+  const sessions = await listUserSessions(userId);
+  const match = sessions.find(session => hashSessionId(session.sid) === sessionId);
+  if (!match) return null;
+
+  const result = await pool.query(
+    `DELETE FROM "session" WHERE sid = $1 AND sess->>'userId' = $2::text`,
+    [match.sid, userId]
+  );
+  return result.rowCount > 0 ? match.sid : null;
+}
+
+/**
+ * End every admin session
+ * @param {Object} options
+ * @param {string} [options.exceptSid] - Session to keep (usually the caller's own)
+ * @returns {number} Sessions removed
+ */
+async function destroyAllSessions({ exceptSid = null } = {}) {
+  const result = await pool.query(
+    `DELETE FROM "session" WHERE ($1::text IS NULL OR sid <> $1)`,
+    [exceptSid]
+  );
+  return result.rowCount;
+}
+
+// ============== PASSWORD MANAGEMENT ==============
+
+/**
+ * Hash a reset token for storage; the token itself is only ever shown to the owner who issued it
+ * @param {string} token
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check an admin's current password
+ * @param {number} userId
+ * @param {string} password
+ * @returns {Promise<boolean>} False if the password is wrong or the admin doesn't exist
+ */
+async function verifyAdminPassword(userId, password) {
+  const result = await pool.query('SELECT password_hash FROM admin_users WHERE id = $1', [userId]);
+  const hash = result.rows[0]?.password_hash || DUMMY_HASH;
+  const isValid = await bcrypt.compare(String(password), hash);
+  return Boolean(result.rows[0]) && isValid;
+}
+
+/**
+ * Replace an admin's password
+ * Clears the forced-change flag and any outstanding reset links
+ * @param {number} userId
+ * @param {string} password - Plain text password (will be hashed)
+ * @param {Object} client - Optional client inside a transaction
+ * @returns {boolean} False if the admin doesn't exist
+ */
+async function setAdminPassword(userId, password, client = pool) {
+  const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+  const result = await client.query(
+    `UPDATE admin_users
+     SET password_hash = $2, must_change_password = FALSE, password_changed_at = NOW()
+     WHERE id = $1`,
+    [userId, passwordHash]
+  );
+  await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Issue a one-time password reset token, replacing any the admin hasn't used yet
+ * @param {number} userId - Admin whose password will be reset
+ * @param {number} createdBy - Owner issuing the token
+ * @returns {{token: string, expires_at: Date}}
+ */
+async function createPasswordResetToken(userId, createdBy) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [userId]);
+    const result = await client.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, created_by, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+       RETURNING expires_at`,
+      [userId, hashResetToken(token), createdBy, PASSWORD_RESET_TOKEN_TTL_MS / 1000]
+    );
+    await client.query('COMMIT');
+    return { token, expires_at: result.rows[0].expires_at };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Look up the active admin a reset token belongs to
+ * @param {string} token
+ * @returns {Object|null} {token_id, user_id, username}, or null if the token is unknown, used, expired,
+ *   or belongs to a disabled account
+ */
+async function findPasswordResetToken(token) {
+  const result = await pool.query(
+    `SELECT t.id AS token_id, u.id AS user_id, u.username
+     FROM password_reset_tokens t
+     JOIN admin_users u ON u.id = t.user_id
+     WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > NOW() AND u.active = TRUE`,
+    [hashResetToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Spend a reset token and set the new password in one transaction
+ * Marking the token used is conditional, so two requests racing with the same link can't both succeed
+ * @param {number} tokenId - From findPasswordResetToken()
+ * @param {number} userId
+ * @param {string} password - Already checked against the password policy
+ * @returns {boolean} False if the token was used or expired in the meantime
+ */
+async function redeemPasswordResetToken(tokenId, userId, password) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const claimed = await client.query(
+      `UPDATE password_reset_tokens SET used_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND used_at IS NULL AND expires_at > NOW()`,
+      [tokenId, userId]
+    );
+    if (claimed.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    await setAdminPassword(userId, password, client);
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============== TWO-FACTOR AUTHENTICATION ==============
+
+/**
+ * Get an admin's two-factor state, including the secret (never send it to a client)
+ * @param {number} userId
+ * @returns {Object|null} {totp_secret, totp_enabled_at, totp_last_used_step, recovery_codes_remaining}
+ */
+async function getTwoFactorState(userId) {
+  const result = await pool.query(
+    `SELECT u.totp_secret, u.totp_enabled_at, u.totp_last_used_step,
+            (SELECT COUNT(*) FROM admin_recovery_codes c WHERE c.user_id = u.id AND c.used_at IS NULL)
+              AS recovery_codes_remaining
+     FROM admin_users u
+     WHERE u.id = $1`,
+    [userId]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  return {
+    ...row,
+    totp_last_used_step: row.totp_last_used_step === null ? null : Number(row.totp_last_used_step),
+    recovery_codes_remaining: parseInt(row.recovery_codes_remaining, 10)
+  };
+}
+
+/**
+ * Store recovery code hashes, replacing any the admin already had
+ * @param {Object} client - Client inside a transaction
+ * @param {number} userId
+ * @param {string[]} codeHashes
+ */
+async function storeRecoveryCodes(client, userId, codeHashes) {
+  await client.query('DELETE FROM admin_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO admin_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::text[])`,
+    [userId, codeHashes]
+  );
+}
+
+/**
+ * Turn on two-factor authentication once the admin has proven their app works
+ * @param {number} userId
+ * @param {string} secret - Base32 TOTP secret
+ * @param {number} verifiedStep - Time step of the code used to confirm enrollment
+ * @param {string[]} codeHashes - Hashed recovery codes
+ * @returns {boolean} False if two-factor was already on
+ */
+async function enableTwoFactor(userId, secret, verifiedStep, codeHashes) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE admin_users
+       SET totp_secret = $2, totp_enabled_at = NOW(), totp_last_used_step = $3
+       WHERE id = $1 AND totp_enabled_at IS NULL`,
+      [userId, secret, verifiedStep]
+    );
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    await storeRecoveryCodes(client, userId, codeHashes);
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Turn off two-factor authentication and discard recovery codes
+ * @param {number} userId
+ * @returns {boolean} False if two-factor wasn't on
+ */
+async function disableTwoFactor(userId) {
+  const result = await pool.query(
+    `UPDATE admin_users
+     SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+     WHERE id = $1 AND totp_enabled_at IS NOT NULL`,
+    [userId]
+  );
+  await pool.query('DELETE FROM admin_recovery_codes WHERE user_id = $1', [userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Replace an admin's recovery codes
+ * @param {number} userId
+ * @param {string[]} codeHashes
+ */
+async function replaceRecoveryCodes(userId, codeHashes) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await storeRecoveryCodes(client, userId, codeHashes);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a TOTP time step as used
+ * Conditional, so the same code can't sign in twice even from two requests at once
+ * @param {number} userId
+ * @param {number} step - From verifyTotp()
+ * @returns {boolean} False if this or a later step was already used
+ */
+async function consumeTotpStep(userId, step) {
+  const result = await pool.query(
+    `UPDATE admin_users SET totp_last_used_step = $2
+     WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)`,
+    [userId, step]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Spend a recovery code
+ * @param {number} userId
+ * @param {string} codeHash - From hashRecoveryCode()
+ * @returns {boolean} False if the code is wrong or already used
+ */
+async function consumeRecoveryCode(userId, codeHash) {
+  const result = await pool.query(
+    `UPDATE admin_recovery_codes SET used_at = NOW()
+     WHERE id = (
+       SELECT id FROM admin_recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     ) AND used_at IS NULL`,
+    [userId, codeHash]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * End every session belonging to an admin without two-factor authentication
+ * Used when owners start requiring it, so those admins enroll at their next login
+ * SSO admins are left alone: their identity provider handles the second factor
+ * @returns {number} Sessions removed
+ */
+async function destroySessionsWithoutTwoFactor() {
+  const result = await pool.query(
+    `DELETE FROM "session"
+     WHERE sess->>'userId' IN (
+       SELECT id::text FROM admin_users WHERE totp_enabled_at IS NULL AND oidc_subject IS NULL
+     )`
+  );
+  return result.rowCount;
+}
+
+// ============== SINGLE SIGN-ON ==============
+
+/**
+ * Find the admin linked to an identity provider account
+ * @param {string} issuer
+ * @param {string} subject - The provider's stable user ID ("sub" claim)
+ * @returns {Object|null}
+ */
+async function findAdminByOidcIdentity(issuer, subject) {
+  const result = await pool.query(
+    `SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE oidc_issuer = $1 AND oidc_subject = $2`,
+    [issuer, subject]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Create an admin for someone signing in with SSO for the first time
+ * They get no password; if the username is taken, a numeric suffix is added
+ * @param {Object} identity
+ * @param {string} identity.issuer
+ * @param {string} identity.subject
+ * @param {string} identity.username - Preferred username
+ * @param {string|null} identity.displayName
+ * @param {string} identity.email
+ * @param {string} identity.role - One of ADMIN_ROLES
+ * @returns {Object} The new admin
+ */
+async function provisionOidcAdmin({ issuer, subject, username, displayName, email, role }) {
+  for (let suffix = 1; suffix <= MAX_USERNAME_SUFFIX; suffix++) {
+    const candidate = suffix === 1 ? username : `${username.slice(0, MAX_USERNAME_LENGTH - 4)}-${suffix}`;
+    const result = await pool.query(
+      `INSERT INTO admin_users (username, password_hash, display_name, email, role, oidc_issuer, oidc_subject)
+       VALUES ($1, NULL, $2, $3, $4, $5, $6)
+       ON CONFLICT (username) DO NOTHING
+       RETURNING ${ADMIN_USER_COLUMNS}`,
+      [candidate, displayName || candidate, email, role, issuer, subject]
+    );
+    if (result.rows[0]) return result.rows[0];
+  }
+  throw new Error(`No free username for SSO user "${username}"`);
+}
+
 // ============== ACCOUNT LOCKOUT ==============
 
 /**
@@ -261,7 +819,6 @@ async function cleanupOldLoginAttempts() {
 }
 
 module.exports = {
-  initializeAuthDatabase,
   createAdminUser,
   findAdminByUsername,
   findAdminById,
@@ -270,6 +827,35 @@ module.exports = {
   updateLastLogin,
   hasAdminUsers,
   usernameExists,
+  // Admin account management exports
+  normalizeAdminUserInput,
+  listAdminUsers,
+  updateAdminUser,
+  deleteAdminUser,
+  destroyUserSessions,
+  // Session exports
+  hashSessionId,
+  listUserSessions,
+  destroyUserSession,
+  destroyAllSessions,
+  // Password management exports
+  verifyAdminPassword,
+  setAdminPassword,
+  createPasswordResetToken,
+  findPasswordResetToken,
+  redeemPasswordResetToken,
+  PASSWORD_RESET_TOKEN_TTL_MS,
+  // Two-factor exports
+  getTwoFactorState,
+  enableTwoFactor,
+  disableTwoFactor,
+  replaceRecoveryCodes,
+  consumeTotpStep,
+  consumeRecoveryCode,
+  destroySessionsWithoutTwoFactor,
+  // Single sign-on exports
+  findAdminByOidcIdentity,
+  provisionOidcAdmin,
   // Account lockout exports
   recordLoginAttempt,
   getRecentFailedAttempts,
@@ -277,5 +863,7 @@ module.exports = {
   clearFailedAttempts,
   cleanupOldLoginAttempts,
   MAX_FAILED_ATTEMPTS,
-  LOCKOUT_DURATION_MS
+  LOCKOUT_DURATION_MS,
+  ADMIN_ROLES,
+  DEFAULT_ADMIN_ROLE
 };
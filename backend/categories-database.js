@@ -0,0 +1,216 @@
+/**
+ * Categories Database Module
+ * Manages the care categories patients can choose from
+ */
+
+const { pool } = require('./database');
+
+// Validation constants
+const MAX_CATEGORY_ID_LENGTH = 50;
+const MAX_CATEGORY_NAME_LENGTH = 60;
+const MAX_CATEGORY_DESCRIPTION_LENGTH = 200;
+const MAX_CATEGORY_EMOJI_LENGTH = 16;
+const CATEGORY_ID_PATTERN = /^[a-z0-9_]+$/;
+const DEFAULT_CATEGORY_EMOJI = '💊';
+
+/**
+ * Validate and normalize category input from an admin request
+ * @param {Object} input - Raw request body
+ * @param {Object} options
+ * @param {boolean} options.partial - True for updates (only provided fields are checked)
+ * @returns {{errors: string[], values: Object}}
+ */
+function normalizeCategoryInput(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  const body = input || {};
+
+  if (!partial || body.id !== undefined) {
+    const id = body.id !== undefined && body.id !== null
+      ? String(body.id).trim().toLowerCase()
+      : slugifyCategoryName(body.name);
+    if (!id) {
+      errors.push('Category ID is required.');
+    } else if (id.length > MAX_CATEGORY_ID_LENGTH) {
+      errors.push(`Category ID exceeds maximum length of ${MAX_CATEGORY_ID_LENGTH} characters.`);
+    } else if (!CATEGORY_ID_PATTERN.test(id)) {
+      errors.push('Category ID may only contain lowercase letters, numbers, and underscores.');
+    } else {
+      values.id = id;
+    }
+  }
+
+  if (!partial || body.name !== undefined) {
+    const name = body.name !== undefined && body.name !== null ? String(body.name).trim() : '';
+    if (!name) {
+      errors.push('Category name is required.');
+    } else if (name.length > MAX_CATEGORY_NAME_LENGTH) {
+      errors.push(`Category name exceeds maximum length of ${MAX_CATEGORY_NAME_LENGTH} characters.`);
+    } else {
+      values.name = name;
+    }
+  }
+
+  if (body.emoji !== undefined) {
+    const emoji = body.emoji !== null ? String(body.emoji).trim() : '';
+    if (emoji.length > MAX_CATEGORY_EMOJI_LENGTH) {
+      errors.push(`Category emoji exceeds maximum length of ${MAX_CATEGORY_EMOJI_LENGTH} characters.`);
+    } else {
+      values.emoji = emoji || DEFAULT_CATEGORY_EMOJI;
+    }
+  } else if (!partial) {
+    values.emoji = DEFAULT_CATEGORY_EMOJI;
+  }
+
+  if (body.description !== undefined) {
+    const description = body.description !== null ? String(body.description).trim() : '';
+    if (description.length > MAX_CATEGORY_DESCRIPTION_LENGTH) {
+      errors.push(`Category description exceeds maximum length of ${MAX_CATEGORY_DESCRIPTION_LENGTH} characters.`);
+    } else {
+      values.description = description || null;
+    }
+  }
+
+  if (body.sort_order !== undefined) {
+    const sortOrder = Number(body.sort_order);
+    if (!Number.isInteger(sortOrder)) {
+      errors.push('Sort order must be a whole number.');
+    } else {
+      values.sort_order = sortOrder;
+    }
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('Active flag must be true or false.');
+    } else {
+      values.active = body.active;
+    }
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Derive a category ID from its display name
+ * @param {string} name - e.g. "Security Review"
+ * @returns {string} e.g. "security_review"
+ */
+function slugifyCategoryName(name) {
+  if (!name) return '';
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Get categories ordered for display
+ * @param {Object} options
+ * @param {boolean} options.includeInactive - Include retired categories (admin views)
+ * @returns {Array} Categories
+ */
+async function getCategories({ includeInactive = false } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM categories
+     ${includeInactive ? '' : 'WHERE active = TRUE'}
+     ORDER BY sort_order ASC, name ASC`
+  );
+  return result.rows;
+}
+
+/**
+ * Get a category by ID (active or not)
+ * @param {string} id - Category ID
+ * @returns {Object|null} The category or null if not found
+ */
+async function getCategoryById(id) {
+  const result = await pool.query('SELECT * FROM categories WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get every category keyed by ID, including inactive ones
+ * Used to resolve names and emoji for historical ratings
+ * @returns {Object} Map of category ID to category
+ */
+async function getCategoryMap() {
+  const categories = await getCategories({ includeInactive: true });
+  return Object.fromEntries(categories.map(category => [category.id, category]));
+}
+
+/**
+ * Create a new category
+ * @param {Object} category - Normalized category values
+ * @returns {Object} The created category
+ */
+async function createCategory({ id, name, emoji, description, sort_order, active }) {
+  // New categories go to the end of the list unless a position is given
+  const result = await pool.query(
+    `INSERT INTO categories (id, name, emoji, description, sort_order, active)
+     VALUES ($1, $2, $3, $4,
+       COALESCE($5, (SELECT COALESCE(MAX(sort_order), 0) + 10 FROM categories)),
+       COALESCE($6, TRUE))
+     RETURNING *`,
+    [id, name, emoji || DEFAULT_CATEGORY_EMOJI, description ?? null, sort_order ?? null, active ?? null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update an existing category
+ * @param {string} id - Category ID
+ * @param {Object} updates - Normalized values to change (id changes are not allowed)
+ * @returns {Object|null} The updated category or null if not found
+ */
+async function updateCategory(id, updates) {
+  const allowedFields = ['name', 'emoji', 'description', 'sort_order', 'active'];
+  const fields = allowedFields.filter(field => updates[field] !== undefined);
+
+  if (fields.length === 0) {
+    return getCategoryById(id);
+  }
+
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+  const result = await pool.query(
+    `UPDATE categories SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...fields.map(field => updates[field])]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Count ratings that reference a category
+ * @param {string} id - Category ID
+ * @returns {number} Count of ratings
+ */
+async function getCategoryUsageCount(id) {
+  const result = await pool.query('SELECT COUNT(*) as count FROM ratings WHERE category = $1', [id]);
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Permanently delete a category
+ * @param {string} id - Category ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+async function deleteCategory(id) {
+  const result = await pool.query('DELETE FROM categories WHERE id = $1 RETURNING id', [id]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  normalizeCategoryInput,
+  slugifyCategoryName,
+  getCategories,
+  getCategoryById,
+  getCategoryMap,
+  createCategory,
+  updateCategory,
+  getCategoryUsageCount,
+  deleteCategory,
+  DEFAULT_CATEGORY_EMOJI
+};
@@ -1,6 +1,9 @@
 /**
  * Service Categories
  * "I cannot deactivate until you say you are satisfied with your care."
+ *
+ * Default categories seeded into the categories table by migrations/004_create_categories.js.
+ * Admins manage the live list through /api/admin/categories.
  */
 
 const CATEGORIES = {
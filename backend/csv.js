@@ -0,0 +1,98 @@
+/**
+ * CSV Helpers
+ * RFC 4180 quoting with a guard against spreadsheet formula injection, and a matching parser
+ */
+
+// Leading characters that spreadsheet apps treat as the start of a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Escape a single value for a CSV field
+ * Text that a spreadsheet would evaluate is prefixed with a single quote
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text.charAt(0))) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build one CSV line (CRLF terminated)
+ * @param {Array} values
+ * @returns {string}
+ */
+function toCsvRow(values) {
+  return values.map(escapeCsvField).join(',') + '\r\n';
+}
+
+/**
+ * Parse CSV text into records
+ * Handles quoted fields with embedded delimiters, quotes and line breaks,
+ * CRLF or LF line endings, and a leading byte order mark
+ * @param {string} text
+ * @returns {string[][]} Records (blank lines skipped)
+ * @throws {Error} If a quoted field is never closed
+ */
+function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const endRecord = () => {
+    record.push(field);
+    // A lone empty field is a blank line, not a record
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field.');
+  }
+  if (field !== '' || record.length > 0) endRecord();
+
+  return records;
+}
+
+module.exports = {
+  escapeCsvField,
+  toCsvRow,
+  parseCsv
+};
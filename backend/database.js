@@ -4,6 +4,27 @@
  */
 
 const { Pool } = require('pg');
+const {
+  buildRatingFilterClause,
+  buildRatingOrderClause,
+  buildRatingCursorCondition,
+  encodeRatingCursor,
+  DEFAULT_SORT
+} = require('./rating-filters');
+const { SATISFIED_MIN_STARS } = require('./stats-metrics');
+
+// Full-text search document for a rating: comments rank above previous issue details
+// The GIN index (migrations/006_add_ratings_search_index.js) is built on this exact expression,
+// so queries must reuse it verbatim
+const RATING_SEARCH_VECTOR = `(
+  setweight(to_tsvector('english', coalesce(comment, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(previous_issue_details, '')), 'B')
+)`;
+
+// Markers ts_headline wraps around matched terms
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_STOP = '</mark>';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" ... "`;
 
 // Create connection pool using DATABASE_URL
 const pool = new Pool({
@@ -12,163 +33,534 @@ const pool = new Pool({
 });
 
 /**
- * Initialize the database schema
- * Creates tables and runs migrations if needed
+ * Insert a new rating together with its survey answers
+ * With an invitation_id, the invitation is marked as used in the same transaction
+ * @param {Object} rating - Rating data; answers come from validateAnswers(),
+ *   moderation_status and moderation_flags from the auto-flagging rules (default approved, unflagged)
+ * @returns {Object|null} The inserted rating with id, or null if the invitation was already used or expired
  */
-async function initializeDatabase() {
+async function insertRating({ stars, category, provider_id, survey_id, ticket_ref, invitation_id, comment, reviewer_name, resolves_issue, issue_recurrence, previous_issue_details, moderation_status = 'approved', moderation_flags = [], answers = [] }) {
   const client = await pool.connect();
   try {
-    // Create the patient feedback table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS ratings (
-        id SERIAL PRIMARY KEY,
-        stars INTEGER NOT NULL CHECK(stars >= 1 AND stars <= 5),
-        category TEXT NOT NULL,
-        comment TEXT,
-        reviewer_name TEXT DEFAULT 'Anonymous Patient',
-        resolves_issue INTEGER DEFAULT NULL,
-        issue_recurrence INTEGER DEFAULT NULL,
-        previous_issue_details TEXT DEFAULT NULL,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Add index for faster queries on created_at (if not exists)
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_ratings_created_at ON ratings(created_at DESC)
-    `);
-
-    console.log('Patient feedback database is ready!');
+    await client.query('BEGIN');
+
+    // Claim the invitation first so two submissions racing on one link can't both succeed
+    if (invitation_id) {
+      const claimed = await client.query(
+        `UPDATE invitations SET used_at = NOW()
+         WHERE id = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING id`,
+        [invitation_id]
+      );
+      if (claimed.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+    }
+
+    const result = await client.query(
+      `INSERT INTO ratings (stars, category, provider_id, survey_id, ticket_ref, comment, reviewer_name, resolves_issue, issue_recurrence, previous_issue_details, moderation_status, moderation_flags)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [stars, category, provider_id ?? null, survey_id ?? null, ticket_ref ?? null, comment, reviewer_name || 'Anonymous Patient', resolves_issue, issue_recurrence, previous_issue_details, moderation_status, moderation_flags]
+    );
+    const rating = result.rows[0];
+
+    if (answers.length > 0) {
+      await client.query(
+        `INSERT INTO rating_answers (rating_id, question_id, value)
+         SELECT $1, question_id, value::jsonb
+         FROM unnest($2::int[], $3::text[]) AS t(question_id, value)`,
+        [rating.id, answers.map(answer => answer.question_id), answers.map(answer => JSON.stringify(answer.value))]
+      );
+    }
+
+    if (invitation_id) {
+      await client.query('UPDATE invitations SET rating_id = $1 WHERE id = $2', [rating.id, invitation_id]);
+    }
+
+    await client.query('COMMIT');
+    return rating;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a rating by ID (including trashed ratings; check deleted_at)
+ * @param {number} id - Rating ID
+ * @returns {Object|null} The rating or null if not found
+ */
+async function getRatingById(id) {
+  const result = await pool.query('SELECT * FROM ratings WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Insert many ratings in one all-or-nothing transaction
+ * Ratings without a created_at get the current time; without a moderation_status, approved
+ * @param {Array} ratings - Validated ratings (see validateImportRows()), with moderation from withModeration()
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Roll back instead of committing
+ * @returns {number} Number of ratings inserted (or that would have been)
+ */
+async function importRatings(ratings, { dryRun = false } = {}) {
+  const BATCH_SIZE = 1000;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    let inserted = 0;
+    for (let i = 0; i < ratings.length; i += BATCH_SIZE) {
+      const batch = ratings.slice(i, i + BATCH_SIZE);
+      const column = (name) => batch.map(rating => rating[name] ?? null);
+      const result = await client.query(
+        `INSERT INTO ratings (stars, category, provider_id, comment, reviewer_name, resolves_issue, issue_recurrence, previous_issue_details, created_at, moderation_status, moderation_flags)
+         SELECT stars, category, provider_id, comment, reviewer_name, resolves_issue, issue_recurrence, previous_issue_details, COALESCE(created_at, NOW()),
+           COALESCE(moderation_status, 'approved'), COALESCE(string_to_array(moderation_flags, ','), '{}')
+         FROM unnest($1::int[], $2::text[], $3::int[], $4::text[], $5::text[], $6::int[], $7::int[], $8::text[], $9::timestamptz[], $10::text[], $11::text[])
+           AS t(stars, category, provider_id, comment, reviewer_name, resolves_issue, issue_recurrence, previous_issue_details, created_at, moderation_status, moderation_flags)`,
+        [
+          column('stars'),
+          column('category'),
+          column('provider_id'),
+          column('comment'),
+          column('reviewer_name'),
+          column('resolves_issue'),
+          column('issue_recurrence'),
+          column('previous_issue_details'),
+          column('created_at'),
+          column('moderation_status'),
+          // Flags travel as comma-separated text: unnest() would flatten an array of arrays
+          batch.map(rating => (rating.moderation_flags ? rating.moderation_flags.join(',') : null))
+        ]
+      );
+      inserted += result.rowCount;
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return inserted;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
   } finally {
     client.release();
   }
 }
 
 /**
- * Insert a new rating
- * @param {Object} rating - Rating data
- * @returns {Object} The inserted rating with id
+ * Get a page of ratings
+ * Pass a cursor (keyset pagination, stable while ratings are added or removed)
+ * or an offset (kept for older clients); the cursor wins when both are given
+ * @param {Object} options
+ * @param {number} options.limit - Max number of ratings to return
+ * @param {number} options.offset - Number of ratings to skip
+ * @param {Object|null} options.cursor - Key values from decodeRatingCursor()
+ * @param {Object} options.filters - Filters from parseRatingFilters()
+ * @param {Object} options.sort - Sort from parseRatingFilters()
+ * @returns {{ratings: Array, hasMore: boolean, nextCursor: string|null}}
+ */
+async function getRatings({ limit = 20, offset = 0, cursor = null, filters = {}, sort = DEFAULT_SORT } = {}) {
+  const params = [];
+  let where = buildRatingFilterClause(filters, params);
+  if (cursor) {
+    where += ` AND ${buildRatingCursorCondition(cursor, sort, params)}`;
+  }
+
+  // Fetch one extra row to learn whether another page exists
+  const result = await pool.query(
+    `SELECT *, created_at::text AS cursor_created_at
+     FROM ratings ${where} ${buildRatingOrderClause(sort)}
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit + 1, cursor ? 0 : offset]
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const lastRow = rows[rows.length - 1];
+
+  return {
+    ratings: rows.map(({ cursor_created_at, ...rating }) => rating),
+    hasMore,
+    nextCursor: hasMore && lastRow ? encodeRatingCursor(lastRow, sort) : null
+  };
+}
+
+/**
+ * Get total count of ratings
+ * @param {Object} filters - Filters from parseRatingFilters()
+ * @returns {number} Total count
+ */
+async function getRatingsCount(filters = {}) {
+  const params = [];
+  const where = buildRatingFilterClause(filters, params);
+  const result = await pool.query(`SELECT COUNT(*) as count FROM ratings ${where}`, params);
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Stream every matching rating in batches through a server-side cursor
+ * Only one batch is held in memory at a time, so exports scale with the table
+ * Stop iterating early (break/return) to close the cursor and release the connection
+ * @param {Object} filters - Filters from parseRatingFilters()
+ * @param {Object} sort - Sort from parseRatingFilters()
+ * @param {number} batchSize - Rows fetched per round trip
+ * @yields {Array} Batches of ratings
+ */
+async function* streamRatings(filters = {}, sort = DEFAULT_SORT, batchSize = 500) {
+  const params = [];
+  const where = buildRatingFilterClause(filters, params);
+  const client = await pool.connect();
+  let failed = false;
+  try {
+    // Cursors only live inside a transaction; READ ONLY keeps the export side-effect free
+    await client.query('BEGIN READ ONLY');
+    await client.query(
+      `DECLARE ratings_export NO SCROLL CURSOR FOR
+       SELECT * FROM ratings ${where} ${buildRatingOrderClause(sort)}`,
+      params
+    );
+
+    while (true) {
+      const result = await client.query(`FETCH ${Number(batchSize)} FROM ratings_export`);
+      if (result.rows.length === 0) break;
+      yield result.rows;
+    }
+  } catch (error) {
+    failed = true;
+    throw error;
+  } finally {
+    try {
+      await client.query(failed ? 'ROLLBACK' : 'COMMIT');
+      client.release();
+    } catch (releaseError) {
+      // Discard the connection rather than return it to the pool mid-transaction
+      client.release(releaseError);
+    }
+  }
+}
+
+/**
+ * Full-text search over comments and previous issue details, best matches first
+ * @param {string} query - Search text (web search syntax: quotes, OR, -exclusion)
+ * @param {number} limit - Max number of ratings to return
+ * @param {number} offset - Number of ratings to skip
+ * @param {Object} filters - Filters from parseRatingFilters()
+ * @returns {Array} Ratings with rank and highlighted snippets
+ */
+async function searchRatings(query, limit = 20, offset = 0, filters = {}) {
+  const params = [query, HEADLINE_OPTIONS];
+  const where = buildRatingFilterClause(filters, params);
+  const result = await pool.query(
+    `SELECT ratings.*,
+       ts_rank_cd(${RATING_SEARCH_VECTOR}, q.query) AS rank,
+       CASE WHEN comment IS NOT NULL
+         THEN ts_headline('english', comment, q.query, $2) END AS comment_headline,
+       CASE WHEN previous_issue_details IS NOT NULL
+         THEN ts_headline('english', previous_issue_details, q.query, $2) END AS previous_issue_details_headline
+     FROM ratings, websearch_to_tsquery('english', $1) AS q(query)
+     ${where} AND ${RATING_SEARCH_VECTOR} @@ q.query
+     ORDER BY rank DESC, created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return result.rows.map(row => {
+    const { comment_headline, previous_issue_details_headline, ...rating } = row;
+    return {
+      ...rating,
+      rank: parseFloat(rating.rank),
+      highlights: {
+        comment: comment_headline ? parseHeadline(comment_headline) : null,
+        previous_issue_details: previous_issue_details_headline ? parseHeadline(previous_issue_details_headline) : null
+      }
+    };
+  });
+}
+
+/**
+ * Count ratings matching a full-text search
+ * @param {string} query - Search text
+ * @param {Object} filters - Filters from parseRatingFilters()
+ * @returns {number} Total count
+ */
+async function getSearchResultsCount(query, filters = {}) {
+  const params = [query];
+  const where = buildRatingFilterClause(filters, params);
+  const result = await pool.query(
+    `SELECT COUNT(*) as count
+     FROM ratings, websearch_to_tsquery('english', $1) AS q(query)
+     ${where} AND ${RATING_SEARCH_VECTOR} @@ q.query`,
+    params
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Split a ts_headline result into plain and matched segments
+ * Clients render segments as text, so comment content is never treated as HTML
+ * @param {string} headline - Text with matches wrapped in <mark></mark>
+ * @returns {Array<{text: string, match: boolean}>} Segments in order
+ */
+function parseHeadline(headline) {
+  const segments = [];
+  let remaining = headline;
+
+  while (remaining.length > 0) {
+    const start = remaining.indexOf(HIGHLIGHT_START);
+    const stop = start === -1 ? -1 : remaining.indexOf(HIGHLIGHT_STOP, start + HIGHLIGHT_START.length);
+    if (start === -1 || stop === -1) {
+      segments.push({ text: remaining, match: false });
+      break;
+    }
+    if (start > 0) {
+      segments.push({ text: remaining.slice(0, start), match: false });
+    }
+    segments.push({ text: remaining.slice(start + HIGHLIGHT_START.length, stop), match: true });
+    remaining = remaining.slice(stop + HIGHLIGHT_STOP.length);
+  }
+
+  return segments.filter(segment => segment.text.length > 0);
+}
+
+/**
+ * Move a rating to the trash (soft delete)
+ * @param {number} id - Rating ID
+ * @param {number} deletedBy - ID of the admin deleting the rating
+ * @returns {boolean} True if trashed, false if not found or already trashed
+ */
+async function deleteRating(id, deletedBy) {
+  const result = await pool.query(
+    `UPDATE ratings SET deleted_at = NOW(), deleted_by = $2
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING id`,
+    [id, deletedBy]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Restore a rating from the trash
+ * @param {number} id - Rating ID
+ * @returns {Object|null} The restored rating or null if not in the trash
  */
-async function insertRating({ stars, category, comment, reviewer_name, resolves_issue, issue_recurrence, previous_issue_details }) {
+async function restoreRating(id) {
   const result = await pool.query(
-    `INSERT INTO ratings (stars, category, comment, reviewer_name, resolves_issue, issue_recurrence, previous_issue_details)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `UPDATE ratings SET deleted_at = NULL, deleted_by = NULL
+     WHERE id = $1 AND deleted_at IS NOT NULL
      RETURNING *`,
-    [stars, category, comment, reviewer_name || 'Anonymous Patient', resolves_issue, issue_recurrence, previous_issue_details]
+    [id]
   );
-  return result.rows[0];
+  return result.rows[0] || null;
 }
 
 /**
- * Get a rating by ID
+ * Record a moderation decision on a rating that isn't in the trash
  * @param {number} id - Rating ID
- * @returns {Object|null} The rating or null if not found
+ * @param {string} status - 'pending', 'approved' or 'rejected'
+ * @param {number|null} moderatedBy - Admin making the decision
+ * @returns {Object|null} The updated rating, or null if not found or trashed
  */
-async function getRatingById(id) {
-  const result = await pool.query('SELECT * FROM ratings WHERE id = $1', [id]);
+async function moderateRating(id, status, moderatedBy) {
+  const result = await pool.query(
+    `UPDATE ratings SET moderation_status = $2, moderated_by = $3, moderated_at = NOW()
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING *`,
+    [id, status, moderatedBy ?? null]
+  );
   return result.rows[0] || null;
 }
 
 /**
- * Get ratings with pagination
+ * Get trashed ratings with pagination, most recently deleted first
  * @param {number} limit - Max number of ratings to return
  * @param {number} offset - Number of ratings to skip
- * @returns {Array} Array of ratings
+ * @param {Object} filters - Filters from parseRatingFilters()
+ * @returns {Array} Array of ratings with the deleting admin's username
  */
-async function getRatings(limit = 20, offset = 0) {
+async function getDeletedRatings(limit = 20, offset = 0, filters = {}) {
+  const params = [];
+  const where = buildRatingFilterClause(filters, params, 'r', { trashed: true });
   const result = await pool.query(
-    'SELECT * FROM ratings ORDER BY created_at DESC LIMIT $1 OFFSET $2',
-    [limit, offset]
+    `SELECT r.*, u.username AS deleted_by_username
+     FROM ratings r
+     LEFT JOIN admin_users u ON u.id = r.deleted_by
+     ${where}
+     ORDER BY r.deleted_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
   );
   return result.rows;
 }
 
 /**
- * Get total count of ratings
+ * Get total count of trashed ratings
+ * @param {Object} filters - Filters from parseRatingFilters()
  * @returns {number} Total count
  */
-async function getRatingsCount() {
-  const result = await pool.query('SELECT COUNT(*) as count FROM ratings');
+async function getDeletedRatingsCount(filters = {}) {
+  const params = [];
+  const where = buildRatingFilterClause(filters, params, '', { trashed: true });
+  const result = await pool.query(`SELECT COUNT(*) as count FROM ratings ${where}`, params);
   return parseInt(result.rows[0].count, 10);
 }
 
 /**
- * Delete a rating by ID
- * @param {number} id - Rating ID
- * @returns {boolean} True if deleted, false if not found
+ * Permanently remove ratings that have been in the trash longer than the retention period
+ * @param {number} retentionDays - Days a trashed rating is kept before purging
+ * @returns {number} Count of purged ratings
  */
-async function deleteRating(id) {
-  const result = await pool.query('DELETE FROM ratings WHERE id = $1 RETURNING id', [id]);
-  return result.rowCount > 0;
+async function purgeDeletedRatings(retentionDays) {
+  const result = await pool.query(
+    `DELETE FROM ratings
+     WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - ($1 || ' days')::interval`,
+    [retentionDays]
+  );
+  return result.rowCount;
 }
 
 /**
  * Get average stars
+ * @param {Object} filters - Filters from parseRatingFilters()
  * @returns {number} Average stars or 0 if no ratings
  */
-async function getAverageStars() {
-  const result = await pool.query('SELECT AVG(stars) as avg FROM ratings');
+async function getAverageStars(filters = {}) {
+  const params = [];
+  const where = buildRatingFilterClause(filters, params);
+  const result = await pool.query(`SELECT AVG(stars) as avg FROM ratings ${where}`, params);
   return parseFloat(result.rows[0].avg) || 0;
 }
 
 /**
  * Get category statistics
- * @returns {Array} Category stats with counts and averages
+ * @param {Object} filters - Filters from parseRatingFilters()
+ * @returns {Array} Category stats with counts, averages and satisfied (CSAT) counts
  */
-async function getCategoryStats() {
+async function getCategoryStats(filters = {}) {
+  const params = [SATISFIED_MIN_STARS];
+  const where = buildRatingFilterClause(filters, params);
   const result = await pool.query(`
-    SELECT category, COUNT(*) as count, AVG(stars) as avg_stars
+    SELECT category, COUNT(*) as count, AVG(stars) as avg_stars,
+      COUNT(*) FILTER (WHERE stars >= $1) as satisfied_count
     FROM ratings
+    ${where}
     GROUP BY category
     ORDER BY count DESC
-  `);
+  `, params);
   return result.rows;
 }
 
 /**
  * Get star distribution
+ * @param {Object} filters - Filters from parseRatingFilters()
  * @returns {Array} Distribution of stars
  */
-async function getStarDistribution() {
+async function getStarDistribution(filters = {}) {
+  const params = [];
+  const where = buildRatingFilterClause(filters, params);
   const result = await pool.query(`
     SELECT stars, COUNT(*) as count
     FROM ratings
+    ${where}
     GROUP BY stars
     ORDER BY stars
-  `);
+  `, params);
   return result.rows;
 }
 
 /**
  * Get count of ratings from the last 7 days
+ * @param {Object} filters - Filters from parseRatingFilters()
  * @returns {number} Count of recent ratings
  */
-async function getRecentRatingsCount() {
+async function getRecentRatingsCount(filters = {}) {
+  const params = [];
+  const where = buildRatingFilterClause(filters, params);
   const result = await pool.query(`
     SELECT COUNT(*) as count FROM ratings
-    WHERE created_at >= NOW() - INTERVAL '7 days'
-  `);
+    ${where} AND created_at >= NOW() - INTERVAL '7 days'
+  `, params);
   return parseInt(result.rows[0].count, 10);
 }
 
 /**
  * Get issue tracking stats
+ * @param {Object} filters - Filters from parseRatingFilters()
  * @returns {Object} Counts of resolved, unresolved, and recurring issues
  */
-async function getIssueTrackingStats() {
-  const [resolved, unresolved, recurring] = await Promise.all([
-    pool.query('SELECT COUNT(*) as count FROM ratings WHERE resolves_issue = 1'),
-    pool.query('SELECT COUNT(*) as count FROM ratings WHERE resolves_issue = 0'),
-    pool.query('SELECT COUNT(*) as count FROM ratings WHERE issue_recurrence = 1')
-  ]);
+async function getIssueTrackingStats(filters = {}) {
+  const params = [];
+  const where = buildRatingFilterClause(filters, params);
+  const result = await pool.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE resolves_issue = 1) as resolved,
+      COUNT(*) FILTER (WHERE resolves_issue = 0) as unresolved,
+      COUNT(*) FILTER (WHERE issue_recurrence = 1) as recurring
+    FROM ratings
+    ${where}
+  `, params);
+  const { resolved, unresolved, recurring } = result.rows[0];
 
   return {
-    resolved: parseInt(resolved.rows[0].count, 10),
-    unresolved: parseInt(unresolved.rows[0].count, 10),
-    recurring: parseInt(recurring.rows[0].count, 10)
+    resolved: parseInt(resolved, 10),
+    unresolved: parseInt(unresolved, 10),
+    recurring: parseInt(recurring, 10)
   };
 }
 
+/**
+ * Get rating stats bucketed by day, week or month
+ * Buckets with no ratings are included with zero counts
+ * @param {string} interval - 'day', 'week' or 'month' (validated by parseTimeseriesQuery())
+ * @param {Object} filters - Filters with from/to set (see parseTimeseriesQuery())
+ * @returns {Array} One row per bucket, oldest first
+ */
+async function getRatingsTimeseries(interval, filters) {
+  const params = [interval, filters.from, filters.to];
+  const where = buildRatingFilterClause(filters, params);
+  const result = await pool.query(
+    `WITH buckets AS (
+       SELECT generate_series(
+         date_trunc($1, $2::timestamptz::timestamp),
+         date_trunc($1, $3::timestamptz::timestamp - INTERVAL '1 microsecond'),
+         ('1 ' || $1)::interval
+       ) AS bucket
+     ),
+     totals AS (
+       SELECT date_trunc($1, created_at) AS bucket,
+         COUNT(*) AS count,
+         AVG(stars) AS avg_stars,
+         COUNT(*) FILTER (WHERE stars = 1) AS stars_1,
+         COUNT(*) FILTER (WHERE stars = 2) AS stars_2,
+         COUNT(*) FILTER (WHERE stars = 3) AS stars_3,
+         COUNT(*) FILTER (WHERE stars = 4) AS stars_4,
+         COUNT(*) FILTER (WHERE stars = 5) AS stars_5,
+         COUNT(*) FILTER (WHERE resolves_issue = 1) AS resolved,
+         COUNT(*) FILTER (WHERE resolves_issue = 0) AS unresolved
+       FROM ratings
+       ${where}
+       GROUP BY 1
+     )
+     SELECT to_char(b.bucket, 'YYYY-MM-DD') AS bucket,
+       COALESCE(t.count, 0) AS count,
+       t.avg_stars,
+       COALESCE(t.stars_1, 0) AS stars_1,
+       COALESCE(t.stars_2, 0) AS stars_2,
+       COALESCE(t.stars_3, 0) AS stars_3,
+       COALESCE(t.stars_4, 0) AS stars_4,
+       COALESCE(t.stars_5, 0) AS stars_5,
+       COALESCE(t.resolved, 0) AS resolved,
+       COALESCE(t.unresolved, 0) AS unresolved
+     FROM buckets b
+     LEFT JOIN totals t ON t.bucket = b.bucket
+     ORDER BY b.bucket`,
+    params
+  );
+  return result.rows;
+}
+
 /**
  * Test database connection
  * @returns {boolean} True if connected
@@ -187,17 +579,27 @@ async function closePool() {
 
 module.exports = {
   pool,
-  initializeDatabase,
   insertRating,
+  importRatings,
   getRatingById,
   getRatings,
   getRatingsCount,
+  streamRatings,
+  searchRatings,
+  getSearchResultsCount,
+  parseHeadline,
   deleteRating,
+  restoreRating,
+  moderateRating,
+  getDeletedRatings,
+  getDeletedRatingsCount,
+  purgeDeletedRatings,
   getAverageStars,
   getCategoryStats,
   getStarDistribution,
   getRecentRatingsCount,
   getIssueTrackingStats,
+  getRatingsTimeseries,
   testConnection,
   closePool
 };
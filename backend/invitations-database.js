@@ -0,0 +1,112 @@
+/**
+ * Invitations Database Module
+ * Stores survey invitations and tracks which ones were answered
+ */
+
+const { pool } = require('./database');
+
+// Columns returned for invitations, with who created them and the rating that answered them
+const INVITATION_COLUMNS = `i.*, u.username AS created_by_username, r.stars AS rating_stars`;
+
+const INVITATION_JOINS = `
+  LEFT JOIN admin_users u ON u.id = i.created_by
+  LEFT JOIN ratings r ON r.id = i.rating_id`;
+
+/**
+ * SQL condition for an invitation status filter
+ * @param {string} status - One of INVITATION_STATUS_FILTERS
+ * @returns {string} Condition on alias i (TRUE for 'all')
+ */
+function invitationStatusCondition(status) {
+  switch (status) {
+    case 'unanswered':
+      return 'i.used_at IS NULL';
+    case 'pending':
+      return 'i.used_at IS NULL AND i.expires_at > NOW()';
+    case 'expired':
+      return 'i.used_at IS NULL AND i.expires_at <= NOW()';
+    case 'answered':
+      return 'i.used_at IS NOT NULL';
+    default:
+      return 'TRUE';
+  }
+}
+
+/**
+ * Create an invitation
+ * @param {Object} values - From normalizeInvitationInput()
+ * @param {number|null} createdBy - Admin creating it
+ * @returns {Object} The stored invitation
+ */
+async function createInvitation({ ticket_ref, provider_id, category, expires_in_days: expiresInDays }, createdBy) {
+  const result = await pool.query(
+    `INSERT INTO invitations (ticket_ref, provider_id, category, expires_at, created_by)
+     VALUES ($1, $2, $3, NOW() + make_interval(days => $4), $5)
+     RETURNING *`,
+    [ticket_ref, provider_id ?? null, category ?? null, expiresInDays, createdBy ?? null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get an invitation by ID
+ * @param {number} id - Invitation ID
+ * @returns {Object|null} The invitation or null if not found
+ */
+async function getInvitationById(id) {
+  const result = await pool.query('SELECT * FROM invitations WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List invitations, newest first
+ * @param {Object} options
+ * @param {string} options.status - One of INVITATION_STATUS_FILTERS
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Array}
+ */
+async function getInvitations({ status = 'all', limit = 20, offset = 0 } = {}) {
+  const result = await pool.query(
+    `SELECT ${INVITATION_COLUMNS}
+     FROM invitations i ${INVITATION_JOINS}
+     WHERE ${invitationStatusCondition(status)}
+     ORDER BY i.created_at DESC, i.id DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+  return result.rows;
+}
+
+/**
+ * Count invitations with a status
+ * @param {string} status - One of INVITATION_STATUS_FILTERS
+ * @returns {number}
+ */
+async function getInvitationsCount(status = 'all') {
+  const result = await pool.query(
+    `SELECT COUNT(*) as count FROM invitations i WHERE ${invitationStatusCondition(status)}`
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Revoke an invitation that hasn't been answered
+ * @param {number} id - Invitation ID
+ * @returns {Object|null} The deleted invitation, or null if it doesn't exist or was already used
+ */
+async function deleteUnusedInvitation(id) {
+  const result = await pool.query(
+    'DELETE FROM invitations WHERE id = $1 AND used_at IS NULL RETURNING *',
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  createInvitation,
+  getInvitationById,
+  getInvitations,
+  getInvitationsCount,
+  deleteUnusedInvitation
+};
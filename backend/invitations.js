@@ -0,0 +1,233 @@
+/**
+ * Survey Invitations
+ * Signed, single-use links that tie a rating to a support ticket, and optionally to the
+ * technician and category it was about. The token carries its own details and an HMAC
+ * signature, so it can't be edited or guessed; the invitation row records whether it was used
+ */
+
+const crypto = require('crypto');
+
+// Validation constants
+const MAX_TICKET_REF_LENGTH = 100;
+const TICKET_REF_PATTERN = /^#?[A-Za-z0-9][A-Za-z0-9 #._:/-]*$/;
+const DEFAULT_INVITATION_LIFETIME_DAYS = 14;
+const MIN_INVITATION_LIFETIME_DAYS = 1;
+const MAX_INVITATION_LIFETIME_DAYS = 90;
+
+const DEV_INVITATION_SECRET = 'baymax-dev-secret-change-in-production';
+const SIGNATURE_ALGORITHM = 'sha256';
+
+// Which invitations the dashboard lists; "unanswered" covers both pending and expired ones
+const INVITATION_STATUS_FILTERS = ['unanswered', 'pending', 'expired', 'answered', 'all'];
+
+// Roles that create invitations, and so may see their links
+const INVITATION_SHARING_ROLES = ['moderator', 'owner'];
+
+/**
+ * Read invitation settings from the environment
+ * Tokens are signed with INVITATION_SECRET, or SESSION_SECRET when it isn't set
+ * (the server already refuses to start in production without a strong SESSION_SECRET)
+ * @param {Object} env
+ * @returns {{secret: string, appUrl: string}} Signing secret and the public form URL links point at
+ */
+function getInvitationConfig(env = process.env) {
+  const frontendUrl = String(env.FRONTEND_URL || '').split(',').map(url => url.trim()).find(Boolean);
+  return {
+    secret: env.INVITATION_SECRET || env.SESSION_SECRET || DEV_INVITATION_SECRET,
+    appUrl: (frontendUrl || 'http://localhost:5173').replace(/\/+$/, '')
+  };
+}
+
+/**
+ * Validate and normalize a new invitation request
+ * @param {Object} input - Raw request body: { ticket_ref, provider_id?, category?, expires_in_days? }
+ * @param {Object} options
+ * @param {number[]} options.providerIds - Active technician IDs
+ * @param {string[]} options.categoryIds - Active category IDs
+ * @returns {{errors: string[], values: Object}}
+ */
+function normalizeInvitationInput(input, { providerIds = [], categoryIds = [] } = {}) {
+  const errors = [];
+  const values = {};
+  const body = input || {};
+
+  const ticketRef = body.ticket_ref !== undefined && body.ticket_ref !== null ? String(body.ticket_ref).trim() : '';
+  if (!ticketRef) {
+    errors.push('Ticket reference is required.');
+  } else if (ticketRef.length > MAX_TICKET_REF_LENGTH) {
+    errors.push(`Ticket reference exceeds maximum length of ${MAX_TICKET_REF_LENGTH} characters.`);
+  } else if (!TICKET_REF_PATTERN.test(ticketRef)) {
+    errors.push('Ticket reference may only contain letters, numbers, spaces, and # . _ : / -');
+  } else {
+    values.ticket_ref = ticketRef;
+  }
+
+  values.provider_id = null;
+  if (body.provider_id !== undefined && body.provider_id !== null && body.provider_id !== '') {
+    const providerId = Number(body.provider_id);
+    if (!providerIds.includes(providerId)) {
+      errors.push('Unknown or inactive technician.');
+    } else {
+      values.provider_id = providerId;
+    }
+  }
+
+  values.category = null;
+  if (body.category !== undefined && body.category !== null && body.category !== '') {
+    const category = String(body.category);
+    if (!categoryIds.includes(category)) {
+      errors.push(`Unknown or inactive category "${category}".`);
+    } else {
+      values.category = category;
+    }
+  }
+
+  if (body.expires_in_days === undefined || body.expires_in_days === null || body.expires_in_days === '') {
+    values.expires_in_days = DEFAULT_INVITATION_LIFETIME_DAYS;
+  } else {
+    const days = Number(body.expires_in_days);
+    if (!Number.isInteger(days) || days < MIN_INVITATION_LIFETIME_DAYS || days > MAX_INVITATION_LIFETIME_DAYS) {
+      errors.push(`Expiry must be a whole number of days from ${MIN_INVITATION_LIFETIME_DAYS} to ${MAX_INVITATION_LIFETIME_DAYS}.`);
+    } else {
+      values.expires_in_days = days;
+    }
+  }
+
+  return { errors, values };
+}
+
+/**
+ * HMAC of a token's payload segment
+ * @param {string} payload - base64url-encoded JSON
+ * @param {string} secret
+ * @returns {string} base64url signature
+ */
+function signPayload(payload, secret) {
+  return crypto.createHmac(SIGNATURE_ALGORITHM, secret).update(payload).digest('base64url');
+}
+
+/**
+ * Create the token for an invitation
+ * @param {Object} invitation - Stored invitation: { id, ticket_ref, provider_id, category, expires_at }
+ * @param {string} secret
+ * @returns {string} "<payload>.<signature>", safe to put in a URL
+ */
+function signInvitationToken(invitation, secret) {
+  const payload = Buffer.from(JSON.stringify({
+    i: invitation.id,
+    t: invitation.ticket_ref,
+    p: invitation.provider_id ?? null,
+    c: invitation.category ?? null,
+    e: Math.floor(new Date(invitation.expires_at).getTime() / 1000)
+  })).toString('base64url');
+  return `${payload}.${signPayload(payload, secret)}`;
+}
+
+/**
+ * Check an invitation token's signature and expiry
+ * Whether it has already been used is up to the caller, which has the invitation row
+ * @param {*} token
+ * @param {string} secret
+ * @param {Date} now
+ * @returns {{error: string}|{invitation: Object}} error is 'invalid' or 'expired';
+ *   invitation holds { id, ticket_ref, provider_id, category, expires_at }
+ */
+function verifyInvitationToken(token, secret, now = new Date()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return { error: 'invalid' };
+  }
+
+  const [payload, signature] = parts;
+  const expected = Buffer.from(signPayload(payload, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { error: 'invalid' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'invalid' };
+  }
+  if (!claims || !Number.isInteger(claims.i) || typeof claims.t !== 'string' || !Number.isFinite(claims.e)) {
+    return { error: 'invalid' };
+  }
+
+  const expiresAt = new Date(claims.e * 1000);
+  if (now >= expiresAt) {
+    return { error: 'expired' };
+  }
+
+  return {
+    invitation: {
+      id: claims.i,
+      ticket_ref: claims.t,
+      provider_id: claims.p ?? null,
+      category: claims.c ?? null,
+      expires_at: expiresAt
+    }
+  };
+}
+
+/**
+ * Where an invitation stands
+ * @param {Object} invitation - Invitation row
+ * @param {Date} now - Reference time
+ * @returns {string} 'answered', 'expired' or 'pending'
+ */
+function getInvitationStatus(invitation, now = new Date()) {
+  if (invitation.used_at) return 'answered';
+  if (now >= new Date(invitation.expires_at)) return 'expired';
+  return 'pending';
+}
+
+/**
+ * Whether a caller may see invitation links
+ * A link lets whoever holds it answer as the patient, so read-only admins see only the list
+ * @param {Object} adminUser - The signed-in admin (req.adminUser)
+ * @param {Object|null} apiToken - The API token used, if any (req.apiToken)
+ * @returns {boolean} True for moderators and owners, and their tokens with invitations:write
+ */
+function canShareInvitationLinks(adminUser, apiToken = null) {
+  if (!adminUser || !INVITATION_SHARING_ROLES.includes(adminUser.role)) return false;
+  return !apiToken || apiToken.scopes.includes('invitations:write');
+}
+
+/**
+ * Shape an invitation for the dashboard
+ * Links are rebuilt from the row, so invitations still waiting for an answer can be copied again
+ * @param {Object} invitation - Invitation row
+ * @param {Object} maps - { providerMap, categoryMap }
+ * @param {Object} options
+ * @param {boolean} options.includeLink - Add the token and link (see canShareInvitationLinks())
+ * @param {Date} options.now
+ * @returns {Object}
+ */
+function formatInvitation(invitation, { providerMap = {}, categoryMap = {} } = {}, { includeLink = false, now = new Date() } = {}) {
+  const status = getInvitationStatus(invitation, now);
+  const { secret, appUrl } = getInvitationConfig();
+  const token = includeLink && status === 'pending' ? signInvitationToken(invitation, secret) : null;
+  return {
+    ...invitation,
+    provider_name: invitation.provider_id ? providerMap[invitation.provider_id]?.name || null : null,
+    category_name: invitation.category ? categoryMap[invitation.category]?.name || invitation.category : null,
+    status,
+    token,
+    url: token ? `${appUrl}/#/?invite=${token}` : null
+  };
+}
+
+module.exports = {
+  getInvitationConfig,
+  normalizeInvitationInput,
+  signInvitationToken,
+  verifyInvitationToken,
+  getInvitationStatus,
+  canShareInvitationLinks,
+  formatInvitation,
+  INVITATION_STATUS_FILTERS,
+  DEFAULT_INVITATION_LIFETIME_DAYS,
+  MAX_TICKET_REF_LENGTH
+};
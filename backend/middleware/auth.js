@@ -4,64 +4,265 @@
  */
 
 const rateLimit = require('express-rate-limit');
+const { findAdminById } = require('../auth-database');
+const { findApiToken, recordApiTokenUse } = require('../api-token-database');
 
 // Session timeout constants
 const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes idle timeout
 const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours absolute maximum
 
 /**
- * Middleware to require authentication for protected routes
- * Checks if a valid session exists with an authenticated user
- * Also validates session hasn't expired due to idle time or absolute age
+ * Read a Bearer token from the Authorization header
+ * @param {Object} req
+ * @returns {string|null} The token, or null if the request doesn't use Bearer auth
  */
-function requireAuth(req, res, next) {
-  if (!req.session || !req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      error: "Authentication required. Please log in to access this resource."
-    });
-  }
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get?.('authorization') || '');
+  return match ? match[1] : null;
+}
 
-  const now = Date.now();
+/**
+ * Middleware declaring the scope an API token needs for a route
+ * Place before requireAuth; routes without one only accept the session cookie
+ * @param {string} scope - A key of API_TOKEN_SCOPES in api-token-database.js
+ * @returns {Function} Express middleware
+ */
+function apiTokenScope(scope) {
+  return (req, res, next) => {
+    req.apiTokenScope = scope;
+    next();
+  };
+}
 
-  // Handle sessions missing metadata (created before this update)
-  // Force re-login for old session format to ensure security
-  if (!req.session.createdAt || !req.session.lastActivity) {
-    req.session.destroy(() => {});
-    res.clearCookie('baymax.sid');
-    return res.status(401).json({
-      success: false,
-      error: "Session format outdated. Please log in again."
-    });
+/**
+ * Middleware for session-only routes that don't go through requireAuth (login, logout, SSO, password reset)
+ * Bearer requests skip the session middleware, so without this they would reach the handler with no req.session
+ */
+function rejectApiTokens(req, res, next) {
+  if (getBearerToken(req) === null) {
+    return next();
   }
+  res.status(403).json({
+    success: false,
+    error: "API tokens can't be used for this endpoint. Please sign in to the dashboard."
+  });
+}
 
-  // Check absolute session age (session created too long ago)
-  if ((now - req.session.createdAt) > SESSION_MAX_AGE_MS) {
-    req.session.destroy(() => {});
-    res.clearCookie('baymax.sid');
-    return res.status(401).json({
-      success: false,
-      error: "Session expired. Please log in again."
-    });
-  }
+/**
+ * Authenticate a request made with an API token instead of a session
+ * Token requests have no stored session: a plain object stands in for req.session so route
+ * handlers and the audit log see the acting admin, and nothing is saved or sent as a cookie
+ */
+async function authenticateApiToken(req, res, next, token) {
+  try {
+    const apiToken = await findApiToken(token);
+    const user = apiToken && await findAdminById(apiToken.user_id);
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired API token."
+      });
+    }
+
+    if (!req.apiTokenScope) {
+      return rejectApiTokens(req, res, next);
+    }
+    if (!apiToken.scopes.includes(req.apiTokenScope)) {
+      return res.status(403).json({
+        success: false,
+        error: `This API token is missing the ${req.apiTokenScope} scope.`
+      });
+    }
 
-  // Check idle timeout (no activity for too long)
-  if ((now - req.session.lastActivity) > SESSION_IDLE_TIMEOUT_MS) {
-    req.session.destroy(() => {});
-    res.clearCookie('baymax.sid');
-    return res.status(401).json({
+    await recordApiTokenUse(apiToken.id, req.ip);
+
+    req.session = { userId: user.id, username: user.username };
+    req.adminUser = user;
+    req.apiToken = { id: apiToken.id, name: apiToken.name, scopes: apiToken.scopes };
+    next();
+  } catch (error) {
+    console.error('API token check error:', error);
+    res.status(500).json({
       success: false,
-      error: "Session timed out due to inactivity. Please log in again."
+      error: "Authentication system error. Please try again."
     });
   }
+}
+
+/**
+ * Build a middleware that requires an authenticated session
+ * Checks if a valid session exists with an authenticated user
+ * Also validates session hasn't expired due to idle time or absolute age,
+ * and that the admin still exists and hasn't been disabled
+ * Requests with an Authorization: Bearer token are checked against api_tokens instead,
+ * and only get through on routes that declare a scope the token has (see apiTokenScope())
+ * @param {Object} options
+ * @param {boolean} options.allowAccountSetup - Let through admins who still have to replace a temporary
+ *   password or enroll in two-factor authentication (only for the routes they need to do that)
+ * @returns {Function} Express middleware
+ */
+function authenticate({ allowAccountSetup = false } = {}) {
+  return async function (req, res, next) {
+    const bearerToken = getBearerToken(req);
+    if (bearerToken !== null) {
+      return authenticateApiToken(req, res, next, bearerToken);
+    }
 
-  // Update last activity timestamp
-  req.session.lastActivity = now;
+    if (!req.session || !req.session.userId) {
+      return res.status(401).json({
+        success: false,
+        error: "Authentication required. Please log in to access this resource."
+      });
+    }
 
-  // Session is valid, continue to the route handler
-  next();
+    const now = Date.now();
+
+    // Handle sessions missing metadata (created before this update)
+    // Force re-login for old session format to ensure security
+    if (!req.session.createdAt || !req.session.lastActivity) {
+      req.session.destroy(() => {});
+      res.clearCookie('baymax.sid');
+      return res.status(401).json({
+        success: false,
+        error: "Session format outdated. Please log in again."
+      });
+    }
+
+    // Check absolute session age (session created too long ago)
+    if ((now - req.session.createdAt) > SESSION_MAX_AGE_MS) {
+      req.session.destroy(() => {});
+      res.clearCookie('baymax.sid');
+      return res.status(401).json({
+        success: false,
+        error: "Session expired. Please log in again."
+      });
+    }
+
+    // Check idle timeout (no activity for too long)
+    if ((now - req.session.lastActivity) > SESSION_IDLE_TIMEOUT_MS) {
+      req.session.destroy(() => {});
+      res.clearCookie('baymax.sid');
+      return res.status(401).json({
+        success: false,
+        error: "Session timed out due to inactivity. Please log in again."
+      });
+    }
+
+    // The account may have been disabled or deleted since this session started
+    let user;
+    try {
+      user = await findAdminById(req.session.userId);
+    } catch (error) {
+      console.error('Session user lookup error:', error);
+      return res.status(500).json({
+        success: false,
+        error: "Authentication system error. Please try again."
+      });
+    }
+    if (!user || !user.active) {
+      req.session.destroy(() => {});
+      res.clearCookie('baymax.sid');
+      return res.status(401).json({
+        success: false,
+        error: user ? "This account has been disabled. Please contact an owner." : "Session invalid. Please log in again."
+      });
+    }
+    // requireRole() and route handlers reuse this instead of querying again
+    req.adminUser = user;
+
+    // Update last activity timestamp
+    req.session.lastActivity = now;
+
+    // Temporary passwords must be replaced before the dashboard can be used
+    if (req.session.mustChangePassword && !allowAccountSetup) {
+      return res.status(403).json({
+        success: false,
+        error: "Please choose a new password before continuing.",
+        password_change_required: true
+      });
+    }
+
+    // Likewise two-factor enrollment, when owners require it
+    if (req.session.mustEnrollTwoFactor && !allowAccountSetup) {
+      return res.status(403).json({
+        success: false,
+        error: "Please set up two-factor authentication before continuing.",
+        two_factor_enrollment_required: true
+      });
+    }
+
+    // Session is valid, continue to the route handler
+    next();
+  };
+}
+
+// Standard guard for admin routes
+const requireAuth = authenticate();
+
+// For /me, the password change and two-factor enrollment, which must work while setup is pending
+const requireSession = authenticate({ allowAccountSetup: true });
+
+/**
+ * Middleware factory restricting a route to admins with one of the given roles
+ * Use after requireAuth. The role is read from the database on every request,
+ * so a demotion takes effect immediately rather than at the next login
+ * @param {...string} roles - Allowed roles (see ADMIN_ROLES in auth-database.js)
+ * @returns {Function} Express middleware (the admin row is left on req.adminUser)
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const user = req.adminUser || await findAdminById(req.session.userId);
+      if (!user) {
+        req.session.destroy(() => {});
+        res.clearCookie('baymax.sid');
+        return res.status(401).json({
+          success: false,
+          error: "Session invalid. Please log in again."
+        });
+      }
+
+      req.adminUser = user;
+      if (!roles.includes(user.role)) {
+        return res.status(403).json({
+          success: false,
+          error: `I cannot let you do that. This action requires the ${roles.join(' or ')} role.`
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Role check error:', error);
+      res.status(500).json({
+        success: false,
+        error: "Authentication system error. Please try again."
+      });
+    }
+  };
 }
 
+// Shorthands for the two permission levels above read-only
+const requireModerator = requireRole('moderator', 'owner');
+const requireOwner = requireRole('owner');
+
+/**
+ * Rate limiter for password changes and reset links
+ * Guessing the current password or a reset token should be as slow as guessing a login
+ */
+const passwordRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    success: false,
+    error: "Too many password attempts. Please try again in 15 minutes."
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  // A new password failing the policy isn't a guess, so retrying it doesn't count
+  requestWasSuccessful: (req, res) => res.statusCode < 400 || res.locals.passwordPolicyRejected === true
+});
+
 /**
  * Rate limiter for login attempts
  * Prevents brute force attacks on the login endpoint
@@ -79,6 +280,21 @@ const loginRateLimiter = rateLimit({
   skipSuccessfulRequests: true
 });
 
+/**
+ * Rate limiter for starting single sign-on
+ * Every attempt stores a session for the round trip, so anonymous callers can't start unlimited ones
+ */
+const ssoRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: {
+    success: false,
+    error: "Too many sign-in attempts. Please try again in 15 minutes."
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 /**
  * Middleware to attach user info to request if session exists
  * Does not require auth, just enriches request if logged in
@@ -91,6 +307,15 @@ function attachUser(req, res, next) {
 
 module.exports = {
   requireAuth,
+  requireSession,
+  apiTokenScope,
+  getBearerToken,
+  rejectApiTokens,
+  requireRole,
+  requireModerator,
+  requireOwner,
   loginRateLimiter,
+  passwordRateLimiter,
+  ssoRateLimiter,
   attachUser
 };
@@ -0,0 +1,33 @@
+/**
+ * Patient feedback table
+ * Written to also bring databases created before migrations up to date:
+ * older installs may be missing the follow-up question columns
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ratings (
+      id SERIAL PRIMARY KEY,
+      stars INTEGER NOT NULL CHECK(stars >= 1 AND stars <= 5),
+      category TEXT NOT NULL,
+      comment TEXT,
+      reviewer_name TEXT DEFAULT 'Anonymous Patient',
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    ALTER TABLE ratings
+      ADD COLUMN IF NOT EXISTS resolves_issue INTEGER DEFAULT NULL,
+      ADD COLUMN IF NOT EXISTS issue_recurrence INTEGER DEFAULT NULL,
+      ADD COLUMN IF NOT EXISTS previous_issue_details TEXT DEFAULT NULL
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_ratings_created_at ON ratings(created_at DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS ratings');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+/**
+ * Admin accounts and login attempt tracking for account lockout
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id SERIAL PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      display_name TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_login TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      ip_address TEXT,
+      attempted_at TIMESTAMP DEFAULT NOW(),
+      success INTEGER DEFAULT 0
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username, attempted_at)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS login_attempts');
+  await client.query('DROP TABLE IF EXISTS admin_users');
+}
+
+module.exports = { up, down };
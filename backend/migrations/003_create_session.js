@@ -0,0 +1,21 @@
+/**
+ * Session store for express-session (schema expected by connect-pg-simple)
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS "session" (
+      "sid" varchar NOT NULL COLLATE "default" PRIMARY KEY,
+      "sess" json NOT NULL,
+      "expire" timestamp(6) NOT NULL
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS "IDX_session_expire" ON "session" ("expire")');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS "session"');
+}
+
+module.exports = { up, down };
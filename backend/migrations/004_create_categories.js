@@ -0,0 +1,38 @@
+/**
+ * Admin-managed care categories, seeded with the original hard-coded list
+ * Existing rows are left untouched so admin edits survive
+ */
+
+const CATEGORIES = require('../categories');
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS categories (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      emoji TEXT NOT NULL DEFAULT '💊',
+      description TEXT,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  const seeds = Object.values(CATEGORIES);
+  for (let i = 0; i < seeds.length; i++) {
+    const { id, name, emoji, description } = seeds[i];
+    await client.query(
+      `INSERT INTO categories (id, name, emoji, description, sort_order)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (id) DO NOTHING`,
+      [id, name, emoji, description, (i + 1) * 10]
+    );
+  }
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS categories');
+}
+
+module.exports = { up, down };
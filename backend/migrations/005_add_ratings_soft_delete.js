@@ -0,0 +1,25 @@
+/**
+ * Soft delete for ratings: trashed ratings keep their row until the retention purge
+ */
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE ratings
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP DEFAULT NULL,
+      ADD COLUMN IF NOT EXISTS deleted_by INTEGER DEFAULT NULL
+  `);
+
+  // Partial index for the trash view and retention purge
+  await client.query('CREATE INDEX IF NOT EXISTS idx_ratings_deleted_at ON ratings(deleted_at) WHERE deleted_at IS NOT NULL');
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_ratings_deleted_at');
+  await client.query(`
+    ALTER TABLE ratings
+      DROP COLUMN IF EXISTS deleted_by,
+      DROP COLUMN IF EXISTS deleted_at
+  `);
+}
+
+module.exports = { up, down };
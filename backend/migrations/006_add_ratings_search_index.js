@@ -0,0 +1,19 @@
+/**
+ * Full-text search index over comments and previous issue details
+ * The expression must match RATING_SEARCH_VECTOR in database.js exactly or queries won't use it
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_ratings_search ON ratings USING GIN ((
+      setweight(to_tsvector('english', coalesce(comment, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(previous_issue_details, '')), 'B')
+    ))
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_ratings_search');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+/**
+ * Admin replies to ratings, either internal notes or public "Baymax responds" replies
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rating_responses (
+      id SERIAL PRIMARY KEY,
+      rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+      author_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+      body TEXT NOT NULL,
+      visibility TEXT NOT NULL DEFAULT 'internal' CHECK (visibility IN ('internal', 'public')),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_rating_responses_rating_id ON rating_responses(rating_id, created_at)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS rating_responses');
+}
+
+module.exports = { up, down };
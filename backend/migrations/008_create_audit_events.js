@@ -0,0 +1,56 @@
+/**
+ * Append-only audit trail of admin actions and authentication events
+ * A trigger rejects UPDATE, DELETE and TRUNCATE so recorded events cannot be rewritten
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id BIGSERIAL PRIMARY KEY,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      actor_id INTEGER,
+      actor_username TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      ip_address TEXT,
+      user_agent TEXT,
+      before JSONB,
+      after JSONB,
+      metadata JSONB
+    )
+  `);
+
+  // actor_id deliberately has no foreign key: events must outlive the accounts they mention
+  await client.query('CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at DESC, id DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events(target_type, target_id)');
+
+  await client.query(`
+    CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_events is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  await client.query('DROP TRIGGER IF EXISTS audit_events_no_update ON audit_events');
+  await client.query(`
+    CREATE TRIGGER audit_events_no_update
+      BEFORE UPDATE OR DELETE ON audit_events
+      FOR EACH ROW EXECUTE FUNCTION audit_events_append_only()
+  `);
+  await client.query('DROP TRIGGER IF EXISTS audit_events_no_truncate ON audit_events');
+  await client.query(`
+    CREATE TRIGGER audit_events_no_truncate
+      BEFORE TRUNCATE ON audit_events
+      FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only()
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS audit_events');
+  await client.query('DROP FUNCTION IF EXISTS audit_events_append_only()');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+/**
+ * Admin roles: viewer (read-only), moderator (manages feedback) and owner (everything)
+ * Existing admins had full access, so they become owners; new accounts default to viewer
+ */
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE admin_users
+      ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'owner'
+        CHECK (role IN ('viewer', 'moderator', 'owner'))
+  `);
+  await client.query("ALTER TABLE admin_users ALTER COLUMN role SET DEFAULT 'viewer'");
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE admin_users DROP COLUMN IF EXISTS role');
+}
+
+module.exports = { up, down };
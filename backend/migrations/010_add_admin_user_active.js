@@ -0,0 +1,13 @@
+/**
+ * Disabled admin accounts: kept for history, but unable to sign in
+ */
+
+async function up(client) {
+  await client.query('ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE admin_users DROP COLUMN IF EXISTS active');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+/**
+ * Password management: a forced-change flag for temporary passwords,
+ * and one-time reset tokens issued by owners (only a SHA-256 hash of each token is stored)
+ */
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE admin_users
+      ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS password_reset_tokens');
+  await client.query(`
+    ALTER TABLE admin_users
+      DROP COLUMN IF EXISTS must_change_password,
+      DROP COLUMN IF EXISTS password_changed_at
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+/**
+ * Two-factor authentication: per-admin TOTP secrets, hashed single-use recovery codes,
+ * and a settings table for app-wide switches such as requiring 2FA for every admin
+ */
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE admin_users
+      ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+      ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      code_hash TEXT NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_user ON admin_recovery_codes(user_id)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key TEXT PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS app_settings');
+  await client.query('DROP TABLE IF EXISTS admin_recovery_codes');
+  await client.query(`
+    ALTER TABLE admin_users
+      DROP COLUMN IF EXISTS totp_secret,
+      DROP COLUMN IF EXISTS totp_enabled_at,
+      DROP COLUMN IF EXISTS totp_last_used_step
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+/**
+ * Personal API tokens: scoped, expiring Bearer credentials that scripts use instead of a session cookie
+ * Only a hash of each token is stored; the token itself is shown once when it's created
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix VARCHAR(16) NOT NULL,
+      scopes TEXT[] NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      last_used_at TIMESTAMP,
+      last_used_ip TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS api_tokens');
+}
+
+module.exports = { up, down };
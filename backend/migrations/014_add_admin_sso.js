@@ -0,0 +1,39 @@
+/**
+ * Single sign-on: admins provisioned from the identity provider are linked by issuer and subject,
+ * keep the email it reports, and have no password of their own
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE admin_users
+      ALTER COLUMN password_hash DROP NOT NULL,
+      ADD COLUMN IF NOT EXISTS email TEXT,
+      ADD COLUMN IF NOT EXISTS oidc_issuer TEXT,
+      ADD COLUMN IF NOT EXISTS oidc_subject TEXT
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_users_oidc_identity
+      ON admin_users(oidc_issuer, oidc_subject)
+      WHERE oidc_subject IS NOT NULL
+  `);
+}
+
+async function down(client) {
+  // SSO-only admins get a random password nobody knows, so the NOT NULL constraint can come back
+  const unusableHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+  await client.query('UPDATE admin_users SET password_hash = $1 WHERE password_hash IS NULL', [unusableHash]);
+
+  await client.query('DROP INDEX IF EXISTS idx_admin_users_oidc_identity');
+  await client.query(`
+    ALTER TABLE admin_users
+      DROP COLUMN IF EXISTS email,
+      DROP COLUMN IF EXISTS oidc_issuer,
+      DROP COLUMN IF EXISTS oidc_subject,
+      ALTER COLUMN password_hash SET NOT NULL
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+/**
+ * Technicians (providers) who give care, and an optional link from each rating to one
+ * The slug identifies a technician in survey links (/#/?tech=slug)
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS providers (
+      id SERIAL PRIMARY KEY,
+      slug TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      title TEXT,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    ALTER TABLE ratings
+      ADD COLUMN IF NOT EXISTS provider_id INTEGER REFERENCES providers(id) ON DELETE SET NULL
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_ratings_provider_id ON ratings(provider_id)');
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_ratings_provider_id');
+  await client.query('ALTER TABLE ratings DROP COLUMN IF EXISTS provider_id');
+  await client.query('DROP TABLE IF EXISTS providers');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+/**
+ * Admin-defined survey questions shown after the built-in follow-ups, and the answers to them
+ * One answer row per rating and question; value holds a boolean, string, number or
+ * array of strings depending on the question type
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS survey_questions (
+      id SERIAL PRIMARY KEY,
+      prompt TEXT NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('yes_no', 'single_choice', 'multi_choice', 'short_text', 'scale')),
+      options JSONB NOT NULL DEFAULT '{}'::jsonb,
+      required BOOLEAN NOT NULL DEFAULT FALSE,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rating_answers (
+      rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+      question_id INTEGER NOT NULL REFERENCES survey_questions(id) ON DELETE CASCADE,
+      value JSONB NOT NULL,
+      PRIMARY KEY (rating_id, question_id)
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_rating_answers_question_id ON rating_answers(question_id)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS rating_answers');
+  await client.query('DROP TABLE IF EXISTS survey_questions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+/**
+ * Branching rules for survey questions: when a question is shown, and when it is required
+ * Both hold a rule group evaluated by shared/survey-rules.js; NULL means always
+ * (shown) or only when the question's required flag is set (required)
+ */
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE survey_questions
+      ADD COLUMN IF NOT EXISTS show_if JSONB,
+      ADD COLUMN IF NOT EXISTS required_if JSONB
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE survey_questions
+      DROP COLUMN IF EXISTS show_if,
+      DROP COLUMN IF EXISTS required_if
+  `);
+}
+
+module.exports = { up, down };
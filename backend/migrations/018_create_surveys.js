@@ -0,0 +1,35 @@
+/**
+ * Named survey campaigns, each with its own public link (/#/s/:slug), and an optional link
+ * from each rating to the survey it was submitted through
+ * An empty category_ids list offers every active category; ratings from the main form have no survey
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS surveys (
+      id SERIAL PRIMARY KEY,
+      slug TEXT NOT NULL UNIQUE,
+      title TEXT NOT NULL,
+      intro TEXT,
+      category_ids TEXT[] NOT NULL DEFAULT '{}',
+      opens_at TIMESTAMP,
+      closes_at TIMESTAMP,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    ALTER TABLE ratings
+      ADD COLUMN IF NOT EXISTS survey_id INTEGER REFERENCES surveys(id) ON DELETE SET NULL
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_ratings_survey_id ON ratings(survey_id)');
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_ratings_survey_id');
+  await client.query('ALTER TABLE ratings DROP COLUMN IF EXISTS survey_id');
+  await client.query('DROP TABLE IF EXISTS surveys');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+/**
+ * Single-use survey invitations tied to a support ticket, and the ticket each rating is about
+ * The signed token is never stored; it names its invitation row, which records when it was answered
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS invitations (
+      id SERIAL PRIMARY KEY,
+      ticket_ref VARCHAR(100) NOT NULL,
+      provider_id INTEGER REFERENCES providers(id) ON DELETE SET NULL,
+      category TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+      used_at TIMESTAMP,
+      rating_id INTEGER UNIQUE REFERENCES ratings(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_invitations_ticket_ref ON invitations(ticket_ref)');
+  await client.query('ALTER TABLE ratings ADD COLUMN IF NOT EXISTS ticket_ref VARCHAR(100)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_ratings_ticket_ref ON ratings(ticket_ref)');
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_ratings_ticket_ref');
+  await client.query('ALTER TABLE ratings DROP COLUMN IF EXISTS ticket_ref');
+  await client.query('DROP TABLE IF EXISTS invitations');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+/**
+ * Moderation status on ratings, with the auto-flagging rules that held a rating for review
+ * Existing ratings were already visible to admins, so they start out approved
+ */
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE ratings
+      ADD COLUMN IF NOT EXISTS moderation_status TEXT NOT NULL DEFAULT 'approved'
+        CHECK (moderation_status IN ('pending', 'approved', 'rejected')),
+      ADD COLUMN IF NOT EXISTS moderation_flags TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS moderated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_ratings_moderation_status ON ratings(moderation_status)');
+}
+
+async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_ratings_moderation_status');
+  await client.query(`
+    ALTER TABLE ratings
+      DROP COLUMN IF EXISTS moderated_at,
+      DROP COLUMN IF EXISTS moderated_by,
+      DROP COLUMN IF EXISTS moderation_flags,
+      DROP COLUMN IF EXISTS moderation_status
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,238 @@
+/**
+ * Schema Migrations
+ * Applies the numbered files in migrations/ in order and records them in schema_migrations
+ *
+ * Each migration exports async up(client) and down(client) and runs in its own transaction.
+ * A PostgreSQL advisory lock serializes runners, so instances starting together can't race.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILENAME_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary constant shared by every runner of this app
+const MIGRATION_LOCK_KEY = 720154;
+
+/**
+ * Display name for a migration, matching its file name
+ * @param {{version: number, name: string}} migration
+ * @returns {string}
+ */
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+/**
+ * Load migration modules from a directory, ordered by version
+ * @param {string} dir
+ * @returns {Array<{version: number, name: string, up: Function, down: Function}>}
+ * @throws {Error} If files are misnamed, duplicate a version, or lack up/down
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const match = file.match(MIGRATION_FILENAME_PATTERN);
+      if (!match) {
+        throw new Error(`Migration file "${file}" must be named like 001_description.js`);
+      }
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration "${file}" must export up() and down() functions`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Pick the migrations to apply
+ * @param {Array} migrations - From loadMigrations()
+ * @param {Set<number>} applied - Versions already applied
+ * @param {number} [to] - Highest version to apply (default: all)
+ * @returns {Array} Migrations in the order to run them
+ */
+function planUp(migrations, applied, to = Infinity) {
+  return migrations.filter(m => !applied.has(m.version) && m.version <= to);
+}
+
+/**
+ * Pick the migrations to revert, newest first
+ * @param {Array} migrations - From loadMigrations()
+ * @param {Set<number>} applied - Versions already applied
+ * @param {Object} options
+ * @param {number} [options.steps=1] - How many to revert
+ * @param {number} [options.to] - Revert everything above this version instead
+ * @returns {Array} Migrations in the order to revert them
+ * @throws {Error} If an applied version has no migration file to revert it with
+ */
+function planDown(migrations, applied, { steps = 1, to } = {}) {
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  const appliedDesc = [...applied].sort((a, b) => b - a);
+  const targets = to !== undefined
+    ? appliedDesc.filter(version => version > to)
+    : appliedDesc.slice(0, steps);
+
+  return targets.map(version => {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Applied migration ${version} has no file in migrations/ and cannot be reverted`);
+    }
+    return migration;
+  });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations');
+  return new Set(result.rows.map(row => row.version));
+}
+
+/**
+ * Run a callback holding the migration lock
+ * @param {Function} callback - Receives a dedicated client
+ */
+async function withMigrationLock(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run one migration step inside a transaction
+ */
+async function runStep(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migrationLabel(migration)} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} options
+ * @param {number} [options.to] - Highest version to apply
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Array} Migrations applied
+ */
+async function migrateUp({ to, log = () => {} } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const plan = planUp(migrations, await getAppliedVersions(client), to);
+    for (const migration of plan) {
+      log(`Applying ${migrationLabel(migration)}...`);
+      await runStep(client, migration, 'up');
+    }
+    return plan;
+  });
+}
+
+/**
+ * Revert applied migrations, newest first
+ * @param {Object} options - See planDown()
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Array} Migrations reverted
+ */
+async function migrateDown({ steps, to, log = () => {} } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const plan = planDown(migrations, await getAppliedVersions(client), { steps, to });
+    for (const migration of plan) {
+      log(`Reverting ${migrationLabel(migration)}...`);
+      await runStep(client, migration, 'down');
+    }
+    return plan;
+  });
+}
+
+/**
+ * List every migration with whether and when it was applied
+ * @returns {Array<{version: number, name: string, applied_at: Date|null, missing?: boolean}>}
+ *   missing is true for versions applied to the database but absent from migrations/
+ */
+async function getMigrationStatus() {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    // Read-only: a database that has never been migrated simply has nothing applied
+    const exists = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+    const result = exists.rows[0].exists
+      ? await client.query('SELECT version, name, applied_at FROM schema_migrations')
+      : { rows: [] };
+    const applied = new Map(result.rows.map(row => [row.version, row]));
+    const known = new Set(migrations.map(m => m.version));
+
+    return [
+      ...migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        applied_at: applied.get(m.version)?.applied_at || null
+      })),
+      ...result.rows
+        .filter(row => !known.has(row.version))
+        .map(row => ({ ...row, missing: true }))
+    ].sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get migrations that have not been applied yet
+ * @returns {Array<{version: number, name: string}>}
+ */
+async function getPendingMigrations() {
+  const status = await getMigrationStatus();
+  return status.filter(m => !m.applied_at && !m.missing);
+}
+
+module.exports = {
+  migrationLabel,
+  loadMigrations,
+  planUp,
+  planDown,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  getPendingMigrations,
+  MIGRATIONS_DIR
+};
@@ -0,0 +1,155 @@
+/**
+ * Comment Moderation
+ * Auto-flagging rules for the free text on a rating, and the status a new rating starts in.
+ * Flagged ratings wait in the moderation queue until a moderator approves or rejects them
+ */
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Why a rating was held for review
+const MODERATION_FLAGS = {
+  blocklist: 'Blocklisted word',
+  link: 'Link',
+  caps: 'Excessive capitals'
+};
+
+// Text mostly in capitals reads as shouting; short bursts ("OK", "VPN") are fine
+const CAPS_MIN_LETTERS = 12;
+const CAPS_MIN_RATIO = 0.7;
+
+// URLs, www. addresses, and bare domains on common top-level domains
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.[a-z0-9-]+|\b[a-z0-9-]+\.(?:com|net|org|info|biz|io|co|ru|xyz|top|link|click|ly|me)\b/i;
+
+// Blocklist limits (the list is an owner-editable setting)
+const MAX_BLOCKLIST_ENTRIES = 200;
+const MAX_BLOCKLIST_ENTRY_LENGTH = 50;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Clean up a blocklist: trimmed, lowercase, no blanks or duplicates
+ * @param {*} value - Raw setting value
+ * @returns {{error: string}|{value: string[]}}
+ */
+function normalizeBlocklist(value) {
+  if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+    return { error: 'The blocklist must be a list of words.' };
+  }
+  const list = [...new Set(value.map(entry => entry.trim().toLowerCase()).filter(Boolean))];
+  if (list.length > MAX_BLOCKLIST_ENTRIES) {
+    return { error: `The blocklist can hold at most ${MAX_BLOCKLIST_ENTRIES} words.` };
+  }
+  if (list.some(entry => entry.length > MAX_BLOCKLIST_ENTRY_LENGTH)) {
+    return { error: `Blocklist words can be at most ${MAX_BLOCKLIST_ENTRY_LENGTH} characters.` };
+  }
+  return { value: list };
+}
+
+/**
+ * Whether text contains a blocklisted word or phrase as a whole word
+ * "ass" matches "Ass!" but not "class"; spaces in a phrase match any run of whitespace
+ * @param {string} text
+ * @param {string[]} blocklist - Normalized blocklist
+ * @returns {boolean}
+ */
+function containsBlocklistedWord(text, blocklist) {
+  return blocklist.some(entry =>
+    new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(entry).replace(/\s+/g, '\\s+')}($|[^\\p{L}\\p{N}])`, 'iu').test(text));
+}
+
+/**
+ * Whether text is mostly written in capitals
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isShouting(text) {
+  const letters = text.match(/\p{L}/gu) || [];
+  const cased = letters.filter(letter => letter.toLowerCase() !== letter.toUpperCase());
+  if (cased.length < CAPS_MIN_LETTERS) return false;
+  const upper = cased.filter(letter => letter === letter.toUpperCase()).length;
+  return upper / cased.length >= CAPS_MIN_RATIO;
+}
+
+/**
+ * Run the auto-flagging rules over a rating's free text
+ * @param {Object} rating - Normalized rating values (comment, previous_issue_details, reviewer_name)
+ * @param {Object} options
+ * @param {string[]} options.blocklist - Normalized blocklist
+ * @returns {string[]} Keys of MODERATION_FLAGS that matched, in that order
+ */
+function detectModerationFlags(rating, { blocklist = [] } = {}) {
+  const texts = [rating.comment, rating.previous_issue_details, rating.reviewer_name]
+    .filter(text => typeof text === 'string' && text.trim() !== '');
+
+  const flags = [];
+  if (blocklist.length > 0 && texts.some(text => containsBlocklistedWord(text, blocklist))) flags.push('blocklist');
+  if (texts.some(text => LINK_PATTERN.test(text))) flags.push('link');
+  if (texts.some(isShouting)) flags.push('caps');
+  return flags;
+}
+
+/**
+ * Status a new rating starts in
+ * Ratings without a comment have nothing to moderate; flagged ones always wait for review
+ * @param {Object} rating - Normalized rating values
+ * @param {string[]} flags - From detectModerationFlags()
+ * @param {Object} options
+ * @param {boolean} options.holdAllComments - Hold every comment for review, flagged or not
+ * @returns {string} 'pending' or 'approved'
+ */
+function initialModerationStatus(rating, flags, { holdAllComments = false } = {}) {
+  if (flags.length > 0) return 'pending';
+  const hasText = [rating.comment, rating.previous_issue_details].some(text => text && String(text).trim() !== '');
+  return hasText && holdAllComments ? 'pending' : 'approved';
+}
+
+/**
+ * Flag a new rating and set the status it starts in, whichever way it arrived
+ * @param {Object} rating - Normalized rating values
+ * @param {Object} settings - App settings: moderation_blocklist, hold_all_comments
+ * @returns {Object} The rating with moderation_status and moderation_flags
+ */
+function withModeration(rating, { moderation_blocklist: blocklist = [], hold_all_comments: holdAllComments = false } = {}) {
+  const flags = detectModerationFlags(rating, { blocklist });
+  return {
+    ...rating,
+    moderation_status: initialModerationStatus(rating, flags, { holdAllComments }),
+    moderation_flags: flags
+  };
+}
+
+/**
+ * Validate a moderation decision
+ * @param {Object} input - Raw request body: { status }
+ * @returns {{errors: string[], values: Object}}
+ */
+function normalizeModerationInput(input) {
+  const errors = [];
+  const values = {};
+  const status = input?.status;
+
+  if (!MODERATION_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${MODERATION_STATUSES.join(', ')}.`);
+  } else {
+    values.status = status;
+  }
+
+  return { errors, values };
+}
+
+module.exports = {
+  MODERATION_STATUSES,
+  MODERATION_FLAGS,
+  normalizeBlocklist,
+  detectModerationFlags,
+  initialModerationStatus,
+  withModeration,
+  normalizeModerationInput
+};
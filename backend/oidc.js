@@ -0,0 +1,443 @@
+/**
+ * OpenID Connect Single Sign-On
+ * Authorization code flow with PKCE against the team's identity provider: discovery,
+ * ID token verification, and mapping the signed-in person to an admin role
+ */
+
+const crypto = require('crypto');
+const { ADMIN_ROLES } = require('./auth-database');
+
+// How long discovery documents and signing keys are reused before being fetched again
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Tolerated clock difference with the identity provider
+const CLOCK_SKEW_SECONDS = 60;
+
+// Give up on an unresponsive identity provider rather than hang the login
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const DEFAULT_SCOPES = 'openid email profile';
+const DEFAULT_ROLE_CLAIM = 'roles';
+
+// Signature algorithms accepted on ID tokens ("none" and shared-secret HMAC never are)
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Error for a failed SSO step
+ * @param {string} code - Short reason, also used in the audit log and the login page's sso_error
+ * @param {string} message
+ * @returns {Error} With the given code
+ */
+function oidcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Split a comma-separated setting into trimmed, non-empty values
+ * @param {string|undefined} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read SSO settings from the environment
+ * SSO is on only when the issuer, client ID and allowed email domains are all set;
+ * OIDC_ALLOWED_DOMAINS=* deliberately allows any domain the issuer vouches for
+ * @param {Object} env
+ * @returns {Object|null} Config, or null when SSO isn't configured
+ * @throws {Error} When the role settings are invalid, so a typo fails at startup rather than at login
+ */
+function getOidcConfig(env = process.env) {
+  const issuer = (env.OIDC_ISSUER || '').trim().replace(/\/+$/, '');
+  const clientId = (env.OIDC_CLIENT_ID || '').trim();
+  const allowedDomains = splitList(env.OIDC_ALLOWED_DOMAINS).map(domain => domain.toLowerCase());
+  if (!issuer || !clientId || allowedDomains.length === 0) return null;
+
+  // "it-leads:owner,helpdesk:moderator" maps claim values to roles
+  const roleMap = {};
+  splitList(env.OIDC_ROLE_MAP).forEach(entry => {
+    const separator = entry.lastIndexOf(':');
+    const value = entry.slice(0, separator).trim();
+    const role = entry.slice(separator + 1).trim();
+    if (separator <= 0 || !ADMIN_ROLES.includes(role)) {
+      throw new Error(`Invalid OIDC_ROLE_MAP entry "${entry}". Use claim-value:role with a role of ${ADMIN_ROLES.join(', ')}.`);
+    }
+    roleMap[value] = role;
+  });
+
+  // Role for people whose claim maps to nothing; "none" refuses them instead
+  const defaultRoleSetting = (env.OIDC_DEFAULT_ROLE || 'viewer').trim();
+  if (defaultRoleSetting !== 'none' && !ADMIN_ROLES.includes(defaultRoleSetting)) {
+    throw new Error(`OIDC_DEFAULT_ROLE must be one of: ${[...ADMIN_ROLES, 'none'].join(', ')}.`);
+  }
+
+  return {
+    issuer,
+    clientId,
+    clientSecret: env.OIDC_CLIENT_SECRET || null,
+    redirectUri: (env.OIDC_REDIRECT_URI || '').trim() || null,
+    scopes: (env.OIDC_SCOPES || DEFAULT_SCOPES).trim(),
+    allowedDomains,
+    roleClaim: (env.OIDC_ROLE_CLAIM || DEFAULT_ROLE_CLAIM).trim(),
+    roleMap,
+    defaultRole: defaultRoleSetting === 'none' ? null : defaultRoleSetting,
+    // Some providers (Entra ID among them) never send email_verified; only then may it be trusted without one
+    allowUnverifiedEmail: (env.OIDC_ALLOW_UNVERIFIED_EMAIL || '').trim().toLowerCase() === 'true',
+    // Where the browser goes after signing in: the dashboard's own URL (not just its origin) when hosted under a path
+    appUrl: ((env.OIDC_APP_URL || '').trim() || splitList(env.FRONTEND_URL)[0] || 'http://localhost:5173').replace(/\/+$/, '')
+  };
+}
+
+/**
+ * Random URL-safe value for state, nonce and PKCE verifiers
+ * @returns {string}
+ */
+function randomUrlToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * RFC 7636 S256 code challenge for a verifier
+ * @param {string} codeVerifier
+ * @returns {string}
+ */
+function pkceChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+/**
+ * Fetch JSON from the identity provider with a timeout
+ * @param {string} url
+ * @param {Object} options - fetch options
+ * @returns {Object}
+ */
+async function fetchJson(url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (error) {
+    throw oidcError('provider_unreachable', `Could not reach the identity provider: ${error.message}`);
+  }
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw oidcError('provider_error', `Identity provider request failed: ${detail}`);
+  }
+  return body;
+}
+
+/**
+ * Load the issuer's discovery document (cached)
+ * @param {string} issuer
+ * @returns {Object} OpenID Provider metadata
+ */
+async function discover(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer !== issuer) {
+    throw oidcError('provider_error', `Discovery document is for issuer "${metadata.issuer}", expected "${issuer}".`);
+  }
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) {
+      throw oidcError('provider_error', `Discovery document is missing ${field}.`);
+    }
+  }
+
+  discoveryCache.set(issuer, { metadata, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+  return metadata;
+}
+
+/**
+ * Find the public key an ID token was signed with
+ * The key set is fetched again once when the key ID is unknown, to pick up key rotation
+ * @param {string} jwksUri
+ * @param {string|undefined} kid
+ * @param {string} alg
+ * @returns {crypto.KeyObject}
+ */
+async function getSigningKey(jwksUri, kid, alg) {
+  const findKey = (keys) => keys.find(key =>
+    (kid === undefined || key.kid === kid) &&
+    (!key.use || key.use === 'sig') &&
+    (!key.alg || key.alg === alg) &&
+    key.kty === (alg.startsWith('ES') ? 'EC' : 'RSA')
+  );
+
+  const cached = jwksCache.get(jwksUri);
+  let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+  if (!jwk) {
+    const { keys } = await fetchJson(jwksUri);
+    if (!Array.isArray(keys)) {
+      throw oidcError('provider_error', 'Signing key set is malformed.');
+    }
+    jwksCache.set(jwksUri, { keys, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+    jwk = findKey(keys);
+  }
+  if (!jwk) {
+    throw oidcError('invalid_id_token', 'No signing key matches the ID token.');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * URL to send the browser to for sign-in
+ * @param {Object} metadata - From discover()
+ * @param {Object} config - From getOidcConfig()
+ * @param {Object} params
+ * @param {string} params.redirectUri
+ * @param {string} params.state
+ * @param {string} params.nonce
+ * @param {string} params.codeVerifier
+ * @returns {string}
+ */
+function buildAuthorizationUrl(metadata, config, { redirectUri, state, nonce, codeVerifier }) {
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', config.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', pkceChallenge(codeVerifier));
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+}
+
+/**
+ * Trade an authorization code for tokens
+ * Confidential clients authenticate with client_secret_basic unless the provider only offers client_secret_post
+ * @returns {Object} Token response ({ id_token, access_token, ... })
+ */
+async function exchangeCode(metadata, config, { code, redirectUri, codeVerifier }) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (config.clientSecret && (methods.includes('client_secret_basic') || !methods.includes('client_secret_post'))) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', config.clientId);
+    if (config.clientSecret) body.set('client_secret', config.clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+  if (!tokens.id_token) {
+    throw oidcError('invalid_id_token', 'The identity provider did not return an ID token.');
+  }
+  return tokens;
+}
+
+/**
+ * Split a compact JWT into its parts without verifying it
+ * @param {string} token
+ * @returns {{header: Object, payload: Object, signingInput: string, signature: Buffer}}
+ */
+function decodeJwt(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw oidcError('invalid_id_token', 'ID token is not a JWT.');
+  }
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch {
+    throw oidcError('invalid_id_token', 'ID token is malformed.');
+  }
+}
+
+/**
+ * Check the standard ID token claims (OpenID Connect Core 3.1.3.7)
+ * @param {Object} payload
+ * @param {Object} expected
+ * @param {string} expected.issuer
+ * @param {string} expected.clientId
+ * @param {string} expected.nonce - Nonce sent with the authorization request
+ * @param {number} [expected.nowMs]
+ * @throws {Error} With code invalid_id_token
+ */
+function validateIdTokenClaims(payload, { issuer, clientId, nonce, nowMs = Date.now() }) {
+  const now = Math.floor(nowMs / 1000);
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+
+  if (payload.iss !== issuer) {
+    throw oidcError('invalid_id_token', 'ID token was issued by someone else.');
+  }
+  if (!audiences.includes(clientId) || (audiences.length > 1 && payload.azp !== clientId)) {
+    throw oidcError('invalid_id_token', 'ID token is meant for another application.');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw oidcError('invalid_id_token', 'ID token has expired.');
+  }
+  if (typeof payload.iat !== 'number' || payload.iat - CLOCK_SKEW_SECONDS > now) {
+    throw oidcError('invalid_id_token', 'ID token was issued in the future.');
+  }
+  if (!nonce || typeof payload.nonce !== 'string' ||
+      payload.nonce.length !== nonce.length ||
+      !crypto.timingSafeEqual(Buffer.from(payload.nonce), Buffer.from(nonce))) {
+    throw oidcError('invalid_id_token', 'ID token does not belong to this sign-in attempt.');
+  }
+  if (!payload.sub) {
+    throw oidcError('invalid_id_token', 'ID token has no subject.');
+  }
+}
+
+/**
+ * Verify an ID token's signature and claims
+ * @param {string} idToken
+ * @param {Object} metadata - From discover()
+ * @param {Object} config - From getOidcConfig()
+ * @param {Object} options
+ * @param {string} options.nonce
+ * @param {Function} [options.getKey] - (kid, alg) => KeyObject; defaults to the issuer's key set
+ * @returns {Object} The token's claims
+ */
+async function verifyIdToken(idToken, metadata, config, { nonce, getKey } = {}) {
+  const { header, payload, signingInput, signature } = decodeJwt(idToken);
+  const algorithm = SIGNING_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw oidcError('invalid_id_token', `ID token algorithm "${header.alg}" is not accepted.`);
+  }
+
+  const key = getKey
+    ? await getKey(header.kid, header.alg)
+    : await getSigningKey(metadata.jwks_uri, header.kid, header.alg);
+  const valid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(signingInput),
+    algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+    signature
+  );
+  if (!valid) {
+    throw oidcError('invalid_id_token', 'ID token signature is invalid.');
+  }
+
+  validateIdTokenClaims(payload, { issuer: config.issuer, clientId: config.clientId, nonce });
+  return payload;
+}
+
+/**
+ * Fetch extra claims from the userinfo endpoint, for providers that keep the ID token small
+ * @returns {Object} Claims, or {} when the provider has no userinfo endpoint
+ */
+async function fetchUserInfo(metadata, accessToken, subject) {
+  if (!metadata.userinfo_endpoint || !accessToken) return {};
+  const claims = await fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+  });
+  // Userinfo about someone else must be ignored (OpenID Connect Core 5.3.2)
+  return claims.sub === subject ? claims : {};
+}
+
+/**
+ * Whether an email address is in one of the allowed domains
+ * @param {string} email
+ * @param {string[]} allowedDomains - Lowercase domains, or ['*']
+ * @returns {boolean}
+ */
+function isEmailAllowed(email, allowedDomains) {
+  if (typeof email !== 'string' || !email.includes('@')) return false;
+  if (allowedDomains.includes('*')) return true;
+  const domain = email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+  return allowedDomains.includes(domain);
+}
+
+/**
+ * Whether the identity provider vouches for the email claim
+ * email_verified must be true; a missing claim is accepted only with OIDC_ALLOW_UNVERIFIED_EMAIL=true
+ * @param {Object} claims
+ * @param {Object} config - From getOidcConfig()
+ * @returns {boolean}
+ */
+function isEmailVerified(claims, config) {
+  if (claims.email_verified === true) return true;
+  return claims.email_verified === undefined && config.allowUnverifiedEmail;
+}
+
+/**
+ * Read a claim, following dots into nested objects (e.g. Keycloak's "realm_access.roles")
+ * @param {Object} claims
+ * @param {string} path
+ * @returns {*}
+ */
+function readClaim(claims, path) {
+  if (Object.hasOwn(claims, path)) return claims[path];
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+}
+
+/**
+ * Admin role for a person, from the configured role claim
+ * Claim values are looked up in OIDC_ROLE_MAP, or used directly when they already name a role;
+ * with several matches the most privileged role wins
+ * @param {Object} claims - ID token and userinfo claims
+ * @param {Object} config - From getOidcConfig()
+ * @returns {string|null} A role, or null if the person shouldn't get access
+ */
+function mapRole(claims, config) {
+  const raw = readClaim(claims, config.roleClaim);
+  const values = (Array.isArray(raw) ? raw : [raw]).filter(value => typeof value === 'string');
+
+  const roles = values
+    .map(value => config.roleMap[value] || (ADMIN_ROLES.includes(value) ? value : null))
+    .filter(Boolean);
+  if (roles.length === 0) return config.defaultRole;
+
+  return roles.reduce((best, role) => (ADMIN_ROLES.indexOf(role) > ADMIN_ROLES.indexOf(best) ? role : best));
+}
+
+/**
+ * Username for a newly provisioned admin: the preferred username or the email's local part,
+ * reduced to characters usernames allow
+ * @param {Object} claims
+ * @returns {string}
+ */
+function deriveUsername(claims) {
+  const source = claims.preferred_username || String(claims.email || '').split('@')[0] || 'sso-user';
+  const cleaned = String(source).split('@')[0].replace(/[^A-Za-z0-9_.-]+/g, '-').replace(/^[-.]+|[-.]+$/g, '');
+  const username = cleaned.slice(0, 40);
+  return username.length >= 3 ? username : `sso-${username || 'user'}`;
+}
+
+module.exports = {
+  oidcError,
+  getOidcConfig,
+  randomUrlToken,
+  pkceChallenge,
+  discover,
+  buildAuthorizationUrl,
+  exchangeCode,
+  decodeJwt,
+  validateIdTokenClaims,
+  verifyIdToken,
+  fetchUserInfo,
+  isEmailAllowed,
+  isEmailVerified,
+  mapRole,
+  deriveUsername,
+  SIGNING_ALGORITHMS
+};
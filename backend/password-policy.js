@@ -0,0 +1,68 @@
+/**
+ * Password Policy
+ * Rules every new admin password must meet, whether changed by its owner or set from a reset link
+ *
+ * Favors length over composition rules: long passphrases are easier to remember and harder to guess
+ */
+
+const MIN_PASSWORD_LENGTH = 12;
+
+// bcrypt ignores everything after the first 72 bytes, so longer passwords would be silently truncated
+const MAX_PASSWORD_BYTES = 72;
+
+// Guessed first by every credential-stuffing list; compared case-insensitively
+const COMMON_PASSWORDS = new Set([
+  'password1234',
+  'password12345',
+  'password123456',
+  'passwordpassword',
+  'qwertyuiop123',
+  '123456789012',
+  '1234567890123',
+  'iloveyou1234',
+  'letmein12345',
+  'welcome12345',
+  'administrator',
+  'baymaxitcare',
+  'baymax123456'
+]);
+
+/**
+ * Check a proposed password against the policy
+ * @param {*} password - Proposed password
+ * @param {Object} context
+ * @param {string} [context.username] - Account the password is for; it can't appear in the password
+ * @returns {string[]} Errors, empty if the password is acceptable
+ */
+function validatePassword(password, { username } = {}) {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['New password is required.'];
+  }
+
+  const errors = [];
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+  if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+    errors.push(`Password must be at most ${MAX_PASSWORD_BYTES} bytes.`);
+  }
+  if (new Set(password).size < 4) {
+    errors.push('Password must use more than a few different characters.');
+  }
+
+  const lowered = password.toLowerCase();
+  if (username && lowered.includes(String(username).toLowerCase())) {
+    errors.push('Password must not contain your username.');
+  }
+  if (COMMON_PASSWORDS.has(lowered)) {
+    errors.push('That password is too common. Please choose something less predictable.');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validatePassword,
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_BYTES
+};
@@ -0,0 +1,246 @@
+/**
+ * Providers Database Module
+ * Manages the technicians patients can credit with their care
+ */
+
+const { pool } = require('./database');
+const { SATISFIED_MIN_STARS } = require('./stats-metrics');
+const { buildRatingFilterClause } = require('./rating-filters');
+
+// Validation constants
+const MAX_PROVIDER_NAME_LENGTH = 100;
+const MAX_PROVIDER_TITLE_LENGTH = 60;
+const MAX_PROVIDER_SLUG_LENGTH = 50;
+const PROVIDER_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Validate and normalize technician input from an admin request
+ * @param {Object} input - Raw request body
+ * @param {Object} options
+ * @param {boolean} options.partial - True for updates (only provided fields are checked)
+ * @returns {{errors: string[], values: Object}}
+ */
+function normalizeProviderInput(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  const body = input || {};
+
+  if (!partial || body.name !== undefined) {
+    const name = body.name !== undefined && body.name !== null ? String(body.name).trim() : '';
+    if (!name) {
+      errors.push('Technician name is required.');
+    } else if (name.length > MAX_PROVIDER_NAME_LENGTH) {
+      errors.push(`Technician name exceeds maximum length of ${MAX_PROVIDER_NAME_LENGTH} characters.`);
+    } else {
+      values.name = name;
+    }
+  }
+
+  if ((!partial && values.name) || body.slug !== undefined) {
+    const slug = body.slug !== undefined && body.slug !== null && String(body.slug).trim() !== ''
+      ? String(body.slug).trim().toLowerCase()
+      : slugifyProviderName(values.name);
+    if (!slug) {
+      errors.push('Survey link name is required.');
+    } else if (slug.length > MAX_PROVIDER_SLUG_LENGTH) {
+      errors.push(`Survey link name exceeds maximum length of ${MAX_PROVIDER_SLUG_LENGTH} characters.`);
+    } else if (!PROVIDER_SLUG_PATTERN.test(slug)) {
+      errors.push('Survey link name may only contain lowercase letters, numbers, and single hyphens.');
+    } else {
+      values.slug = slug;
+    }
+  }
+
+  if (body.title !== undefined) {
+    const title = body.title !== null ? String(body.title).trim() : '';
+    if (title.length > MAX_PROVIDER_TITLE_LENGTH) {
+      errors.push(`Technician title exceeds maximum length of ${MAX_PROVIDER_TITLE_LENGTH} characters.`);
+    } else {
+      values.title = title || null;
+    }
+  }
+
+  if (body.sort_order !== undefined) {
+    const sortOrder = Number(body.sort_order);
+    if (!Number.isInteger(sortOrder)) {
+      errors.push('Sort order must be a whole number.');
+    } else {
+      values.sort_order = sortOrder;
+    }
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('Active flag must be true or false.');
+    } else {
+      values.active = body.active;
+    }
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Derive a survey link slug from a technician's name
+ * @param {string} name - e.g. "Tadashi Hamada"
+ * @returns {string} e.g. "tadashi-hamada"
+ */
+function slugifyProviderName(name) {
+  if (!name) return '';
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_PROVIDER_SLUG_LENGTH)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Get technicians ordered for display
+ * @param {Object} options
+ * @param {boolean} options.includeInactive - Include technicians who have left (admin views)
+ * @returns {Array} Technicians
+ */
+async function getProviders({ includeInactive = false } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM providers
+     ${includeInactive ? '' : 'WHERE active = TRUE'}
+     ORDER BY sort_order ASC, name ASC`
+  );
+  return result.rows;
+}
+
+/**
+ * Get a technician by ID (active or not)
+ * @param {number} id - Technician ID
+ * @returns {Object|null} The technician or null if not found
+ */
+async function getProviderById(id) {
+  const result = await pool.query('SELECT * FROM providers WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a technician by survey link slug (active or not)
+ * @param {string} slug
+ * @returns {Object|null} The technician or null if not found
+ */
+async function getProviderBySlug(slug) {
+  const result = await pool.query('SELECT * FROM providers WHERE slug = $1', [slug]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get every technician keyed by ID, including inactive ones
+ * Used to resolve names for historical ratings
+ * @returns {Object} Map of technician ID to technician
+ */
+async function getProviderMap() {
+  const providers = await getProviders({ includeInactive: true });
+  return Object.fromEntries(providers.map(provider => [provider.id, provider]));
+}
+
+/**
+ * Create a new technician
+ * @param {Object} provider - Normalized technician values
+ * @returns {Object} The created technician
+ */
+async function createProvider({ slug, name, title, sort_order, active }) {
+  // New technicians go to the end of the list unless a position is given
+  const result = await pool.query(
+    `INSERT INTO providers (slug, name, title, sort_order, active)
+     VALUES ($1, $2, $3,
+       COALESCE($4, (SELECT COALESCE(MAX(sort_order), 0) + 10 FROM providers)),
+       COALESCE($5, TRUE))
+     RETURNING *`,
+    [slug, name, title ?? null, sort_order ?? null, active ?? null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update an existing technician
+ * @param {number} id - Technician ID
+ * @param {Object} updates - Normalized values to change
+ * @returns {Object|null} The updated technician or null if not found
+ */
+async function updateProvider(id, updates) {
+  const allowedFields = ['slug', 'name', 'title', 'sort_order', 'active'];
+  const fields = allowedFields.filter(field => updates[field] !== undefined);
+
+  if (fields.length === 0) {
+    return getProviderById(id);
+  }
+
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+  const result = await pool.query(
+    `UPDATE providers SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...fields.map(field => updates[field])]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Count ratings credited to a technician (trashed ones included, since they can be restored)
+ * @param {number} id - Technician ID
+ * @returns {number} Count of ratings
+ */
+async function getProviderUsageCount(id) {
+  const result = await pool.query('SELECT COUNT(*) as count FROM ratings WHERE provider_id = $1', [id]);
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Permanently delete a technician
+ * @param {number} id - Technician ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+async function deleteProvider(id) {
+  const result = await pool.query('DELETE FROM providers WHERE id = $1 RETURNING id', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Get per-technician statistics
+ * Every active technician is listed, even before their first rating; inactive ones only with ratings
+ * @param {Object} filters - Filters from parseRatingFilters(), applied to the ratings counted
+ * @returns {Array} Technician stats with counts, averages, satisfied (CSAT) counts and resolution answers
+ */
+async function getProviderStats(filters = {}) {
+  const params = [SATISFIED_MIN_STARS];
+  const where = buildRatingFilterClause(filters, params);
+  const result = await pool.query(`
+    SELECT p.id AS provider_id, p.name AS provider_name, p.title AS provider_title, p.active,
+      COUNT(r.id) AS count,
+      AVG(r.stars) AS avg_stars,
+      COUNT(r.id) FILTER (WHERE r.stars >= $1) AS satisfied_count,
+      COUNT(r.id) FILTER (WHERE r.resolves_issue = 1) AS resolved_count,
+      COUNT(r.id) FILTER (WHERE r.resolves_issue = 0) AS unresolved_count
+    FROM providers p
+    LEFT JOIN (SELECT * FROM ratings ${where}) r ON r.provider_id = p.id
+    GROUP BY p.id
+    HAVING p.active OR COUNT(r.id) > 0
+    ORDER BY p.sort_order ASC, p.name ASC
+  `, params);
+  return result.rows;
+}
+
+module.exports = {
+  normalizeProviderInput,
+  slugifyProviderName,
+  getProviders,
+  getProviderById,
+  getProviderBySlug,
+  getProviderMap,
+  createProvider,
+  updateProvider,
+  getProviderUsageCount,
+  deleteProvider,
+  getProviderStats,
+  MAX_PROVIDER_SLUG_LENGTH
+};
@@ -0,0 +1,202 @@
+/**
+ * Survey Questions Database Module
+ * Stores admin-defined survey questions and patients' answers to them
+ */
+
+const { pool } = require('./database');
+const { summarizeAnswers } = require('./survey-questions');
+const { buildRatingFilterClause } = require('./rating-filters');
+
+// Latest free-text answers shown per short text question in stats
+const RECENT_TEXT_ANSWERS = 5;
+
+// JSONB columns; the rule columns may be cleared to NULL (a missing rule means "always")
+const JSON_FIELDS = ['options', 'show_if', 'required_if'];
+
+const toJsonColumn = value => (value === null || value === undefined ? null : JSON.stringify(value));
+
+/**
+ * Get questions ordered for display
+ * @param {Object} options
+ * @param {boolean} options.includeInactive - Include retired questions (admin views)
+ * @returns {Array} Questions
+ */
+async function getQuestions({ includeInactive = false } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM survey_questions
+     ${includeInactive ? '' : 'WHERE active = TRUE'}
+     ORDER BY sort_order ASC, id ASC`
+  );
+  return result.rows;
+}
+
+/**
+ * Get a question by ID (active or not)
+ * @param {number} id - Question ID
+ * @returns {Object|null} The question or null if not found
+ */
+async function getQuestionById(id) {
+  const result = await pool.query('SELECT * FROM survey_questions WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a new question
+ * @param {Object} question - Normalized question values
+ * @returns {Object} The created question
+ */
+async function createQuestion({ prompt, type, options, required, show_if, required_if, sort_order, active }) {
+  // New questions go to the end of the form unless a position is given
+  const result = await pool.query(
+    `INSERT INTO survey_questions (prompt, type, options, required, show_if, required_if, sort_order, active)
+     VALUES ($1, $2, $3, COALESCE($4, FALSE), $5, $6,
+       COALESCE($7, (SELECT COALESCE(MAX(sort_order), 0) + 10 FROM survey_questions)),
+       COALESCE($8, TRUE))
+     RETURNING *`,
+    [
+      prompt, type, JSON.stringify(options || {}), required ?? null,
+      toJsonColumn(show_if), toJsonColumn(required_if),
+      sort_order ?? null, active ?? null
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update an existing question
+ * @param {number} id - Question ID
+ * @param {Object} updates - Normalized values to change
+ * @returns {Object|null} The updated question or null if not found
+ */
+async function updateQuestion(id, updates) {
+  const allowedFields = ['prompt', 'options', 'required', 'show_if', 'required_if', 'sort_order', 'active'];
+  const fields = allowedFields.filter(field => updates[field] !== undefined);
+
+  if (fields.length === 0) {
+    return getQuestionById(id);
+  }
+
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+  const result = await pool.query(
+    `UPDATE survey_questions SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...fields.map(field => (JSON_FIELDS.includes(field) ? toJsonColumn(updates[field]) : updates[field]))]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Count answers given to a question (trashed ratings included, since they can be restored)
+ * @param {number} id - Question ID
+ * @returns {number} Count of answers
+ */
+async function getQuestionAnswerCount(id) {
+  const result = await pool.query('SELECT COUNT(*) as count FROM rating_answers WHERE question_id = $1', [id]);
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Permanently delete a question
+ * @param {number} id - Question ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+async function deleteQuestion(id) {
+  const result = await pool.query('DELETE FROM survey_questions WHERE id = $1 RETURNING id', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Get the answers to a set of ratings, in question order
+ * @param {number[]} ratingIds - Rating IDs
+ * @returns {Map<number, Object[]>} Answers with their question prompt and type, keyed by rating ID
+ *   (ratings without answers are absent)
+ */
+async function getAnswersForRatings(ratingIds) {
+  const byRating = new Map();
+  if (ratingIds.length === 0) return byRating;
+
+  const result = await pool.query(
+    `SELECT a.rating_id, a.question_id, a.value, q.prompt, q.type
+     FROM rating_answers a
+     JOIN survey_questions q ON q.id = a.question_id
+     WHERE a.rating_id = ANY($1)
+     ORDER BY q.sort_order ASC, q.id ASC`,
+    [ratingIds]
+  );
+
+  result.rows.forEach(({ rating_id, ...answer }) => {
+    if (!byRating.has(rating_id)) byRating.set(rating_id, []);
+    byRating.get(rating_id).push(answer);
+  });
+  return byRating;
+}
+
+/**
+ * Get a per-question breakdown of the answers to non-deleted ratings
+ * Every active question is listed, even before its first answer; retired ones only with answers
+ * @param {Object} filters - Filters from parseRatingFilters(), applied to the ratings counted
+ * @returns {Array} Questions with answered counts and a type-specific summary (see summarizeAnswers())
+ */
+async function getQuestionStats(filters = {}) {
+  const groupedParams = [];
+  const groupedWhere = buildRatingFilterClause(filters, groupedParams);
+  const recentParams = [RECENT_TEXT_ANSWERS];
+  const recentWhere = buildRatingFilterClause(filters, recentParams);
+
+  const [questions, grouped, recentText] = await Promise.all([
+    getQuestions({ includeInactive: true }),
+    // Free text is counted rather than grouped; everything else is grouped by stored value
+    pool.query(`
+      SELECT a.question_id,
+        CASE WHEN q.type = 'short_text' THEN NULL ELSE a.value END AS value,
+        COUNT(*) AS count
+      FROM rating_answers a
+      JOIN survey_questions q ON q.id = a.question_id
+      JOIN (SELECT id FROM ratings ${groupedWhere}) r ON r.id = a.rating_id
+      GROUP BY 1, 2
+    `, groupedParams),
+    pool.query(`
+      SELECT question_id, value, created_at FROM (
+        SELECT a.question_id, a.value, r.created_at,
+          ROW_NUMBER() OVER (PARTITION BY a.question_id ORDER BY r.created_at DESC, r.id DESC) AS position
+        FROM rating_answers a
+        JOIN survey_questions q ON q.id = a.question_id AND q.type = 'short_text'
+        JOIN (SELECT id, created_at FROM ratings ${recentWhere}) r ON r.id = a.rating_id
+      ) latest
+      WHERE position <= $1
+      ORDER BY created_at DESC
+    `, recentParams)
+  ]);
+
+  return questions
+    .map(question => {
+      const valueCounts = grouped.rows.filter(row => row.question_id === question.id);
+      const summary = summarizeAnswers(question, valueCounts);
+      if (question.type === 'short_text') {
+        summary.recent = recentText.rows
+          .filter(row => row.question_id === question.id)
+          .map(({ value, created_at }) => ({ value, created_at }));
+      }
+      return {
+        question_id: question.id,
+        prompt: question.prompt,
+        type: question.type,
+        required: question.required,
+        active: question.active,
+        ...summary
+      };
+    })
+    .filter(stat => stat.active || stat.answered > 0);
+}
+
+module.exports = {
+  getQuestions,
+  getQuestionById,
+  createQuestion,
+  updateQuestion,
+  getQuestionAnswerCount,
+  deleteQuestion,
+  getAnswersForRatings,
+  getQuestionStats
+};
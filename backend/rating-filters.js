@@ -0,0 +1,368 @@
+/**
+ * Rating Filters
+ * Parses admin query parameters into filters and builds the matching SQL
+ */
+
+const { MODERATION_STATUSES } = require('./moderation');
+
+const MAX_REVIEWER_FILTER_LENGTH = 100;
+const MAX_CATEGORY_FILTERS = 50;
+const MAX_PROVIDER_FILTERS = 50;
+const MAX_SURVEY_FILTERS = 50;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Ratings at or below this many stars should get a reply from the team
+const LOW_RATING_MAX_STARS = 2;
+
+// Sortable columns exposed to the API, mapped to SQL
+const SORT_COLUMNS = {
+  created_at: 'created_at',
+  stars: 'stars'
+};
+
+const DEFAULT_SORT = { column: 'created_at', direction: 'desc' };
+
+// Text form of a PostgreSQL TIMESTAMP (microsecond precision survives the round trip)
+const CURSOR_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+
+/**
+ * Parse a yes/no/unanswered query value
+ * @param {string} value
+ * @returns {number|null|undefined} 1, 0, null (unanswered) or undefined if invalid
+ */
+function parseTriState(value) {
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(normalized)) return 1;
+  if (['false', '0', 'no'].includes(normalized)) return 0;
+  if (['null', 'unanswered', 'none'].includes(normalized)) return null;
+  return undefined;
+}
+
+/**
+ * Parse a date or timestamp query value
+ * Date-only values at the upper bound include the whole day
+ * @param {string} value - YYYY-MM-DD or ISO 8601 timestamp
+ * @param {boolean} endOfRange - True for the "to" bound
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseDateBound(value, endOfRange) {
+  const raw = String(value).trim();
+  const date = new Date(DATE_ONLY_PATTERN.test(raw) ? `${raw}T00:00:00.000Z` : raw);
+  if (isNaN(date.getTime())) return null;
+  if (endOfRange && DATE_ONLY_PATTERN.test(raw)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+/**
+ * Collect a list parameter given either repeated (?a=1&a=2) or comma-separated (?a=1,2)
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse rating filter and sort query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{errors: string[], filters: Object, sort: {column: string, direction: string}}}
+ */
+function parseRatingFilters(query = {}) {
+  const errors = [];
+  const filters = {};
+
+  for (const [param, key] of [['min_stars', 'minStars'], ['max_stars', 'maxStars']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const stars = Number(query[param]);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      errors.push(`${param} must be a whole number from 1 to 5.`);
+    } else {
+      filters[key] = stars;
+    }
+  }
+  if (filters.minStars && filters.maxStars && filters.minStars > filters.maxStars) {
+    errors.push('min_stars cannot be greater than max_stars.');
+  }
+
+  if (query.category !== undefined && query.category !== '') {
+    const categories = [...new Set(parseList(query.category))];
+    if (categories.length > MAX_CATEGORY_FILTERS) {
+      errors.push(`No more than ${MAX_CATEGORY_FILTERS} categories can be filtered at once.`);
+    } else if (categories.length > 0) {
+      filters.categories = categories;
+    }
+  }
+
+  if (query.provider !== undefined && query.provider !== '') {
+    const values = [...new Set(parseList(query.provider))];
+    const providers = values.map(Number);
+    if (values.length > MAX_PROVIDER_FILTERS) {
+      errors.push(`No more than ${MAX_PROVIDER_FILTERS} technicians can be filtered at once.`);
+    } else if (providers.some(id => !Number.isInteger(id) || id <= 0)) {
+      errors.push('provider must be one or more technician IDs.');
+    } else if (providers.length > 0) {
+      filters.providers = providers;
+    }
+  }
+
+  if (query.survey !== undefined && query.survey !== '') {
+    const values = [...new Set(parseList(query.survey))];
+    const surveys = values.map(Number);
+    if (values.length > MAX_SURVEY_FILTERS) {
+      errors.push(`No more than ${MAX_SURVEY_FILTERS} surveys can be filtered at once.`);
+    } else if (surveys.some(id => !Number.isInteger(id) || id <= 0)) {
+      errors.push('survey must be one or more survey IDs.');
+    } else if (surveys.length > 0) {
+      filters.surveys = surveys;
+    }
+  }
+
+  if (query.moderation !== undefined && query.moderation !== '') {
+    const statuses = [...new Set(parseList(query.moderation))];
+    if (statuses.some(status => !MODERATION_STATUSES.includes(status))) {
+      errors.push(`moderation must be one or more of: ${MODERATION_STATUSES.join(', ')}.`);
+    } else if (statuses.length > 0) {
+      filters.moderation = statuses;
+    }
+  }
+
+  for (const [param, key, endOfRange] of [['from', 'from', false], ['to', 'to', true]]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const date = parseDateBound(query[param], endOfRange);
+    if (!date) {
+      errors.push(`${param} must be a date (YYYY-MM-DD) or ISO 8601 timestamp.`);
+    } else {
+      filters[key] = date;
+    }
+  }
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    errors.push('from must be before to.');
+  }
+
+  for (const [param, key] of [['resolves_issue', 'resolvesIssue'], ['issue_recurrence', 'issueRecurrence']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const value = parseTriState(query[param]);
+    if (value === undefined) {
+      errors.push(`${param} must be true, false, or unanswered.`);
+    } else {
+      filters[key] = value;
+    }
+  }
+
+  if (query.has_comment !== undefined && query.has_comment !== '') {
+    const value = parseTriState(query.has_comment);
+    if (value === undefined || value === null) {
+      errors.push('has_comment must be true or false.');
+    } else {
+      filters.hasComment = value === 1;
+    }
+  }
+
+  if (query.needs_response !== undefined && query.needs_response !== '') {
+    const value = parseTriState(query.needs_response);
+    if (value === undefined || value === null) {
+      errors.push('needs_response must be true or false.');
+    } else {
+      filters.needsResponse = value === 1;
+    }
+  }
+
+  if (query.reviewer !== undefined && query.reviewer !== '') {
+    const reviewer = String(query.reviewer).trim();
+    if (reviewer.length > MAX_REVIEWER_FILTER_LENGTH) {
+      errors.push(`reviewer exceeds maximum length of ${MAX_REVIEWER_FILTER_LENGTH} characters.`);
+    } else if (reviewer) {
+      filters.reviewer = reviewer;
+    }
+  }
+
+  const sort = { ...DEFAULT_SORT };
+  if (query.sort !== undefined && query.sort !== '') {
+    if (!SORT_COLUMNS[query.sort]) {
+      errors.push(`sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}.`);
+    } else {
+      sort.column = query.sort;
+    }
+  }
+  if (query.order !== undefined && query.order !== '') {
+    const order = String(query.order).toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+      errors.push('order must be asc or desc.');
+    } else {
+      sort.direction = order;
+    }
+  }
+
+  return { errors, filters, sort };
+}
+
+/**
+ * Escape LIKE wildcards so user input matches literally
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Build SQL conditions for parsed filters
+ * Excludes trashed ratings, or with options.trashed matches only them
+ * @param {Object} filters - Filters from parseRatingFilters()
+ * @param {Array} params - Query parameter array to append to (values are pushed in place)
+ * @param {string} alias - Optional table alias for the ratings table
+ * @param {Object} options
+ * @param {boolean} options.trashed - Filter the trash instead of live ratings
+ * @returns {string} WHERE clause (including the WHERE keyword)
+ */
+function buildRatingFilterClause(filters = {}, params = [], alias = '', { trashed = false } = {}) {
+  const col = (name) => (alias ? `${alias}.${name}` : name);
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = [`${col('deleted_at')} ${trashed ? 'IS NOT NULL' : 'IS NULL'}`];
+
+  if (filters.minStars !== undefined) conditions.push(`${col('stars')} >= ${param(filters.minStars)}`);
+  if (filters.maxStars !== undefined) conditions.push(`${col('stars')} <= ${param(filters.maxStars)}`);
+  if (filters.categories) conditions.push(`${col('category')} = ANY(${param(filters.categories)})`);
+  if (filters.providers) conditions.push(`${col('provider_id')} = ANY(${param(filters.providers)})`);
+  if (filters.surveys) conditions.push(`${col('survey_id')} = ANY(${param(filters.surveys)})`);
+  if (filters.moderation) conditions.push(`${col('moderation_status')} = ANY(${param(filters.moderation)})`);
+  if (filters.from) conditions.push(`${col('created_at')} >= ${param(filters.from)}`);
+  if (filters.to) conditions.push(`${col('created_at')} < ${param(filters.to)}`);
+
+  for (const [key, column] of [['resolvesIssue', 'resolves_issue'], ['issueRecurrence', 'issue_recurrence']]) {
+    if (filters[key] === undefined) continue;
+    conditions.push(filters[key] === null
+      ? `${col(column)} IS NULL`
+      : `${col(column)} = ${param(filters[key])}`);
+  }
+
+  if (filters.hasComment !== undefined) {
+    conditions.push(filters.hasComment
+      ? `${col('comment')} IS NOT NULL AND ${col('comment')} <> ''`
+      : `(${col('comment')} IS NULL OR ${col('comment')} = '')`);
+  }
+
+  if (filters.reviewer) {
+    conditions.push(`${col('reviewer_name')} ILIKE ${param(`%${escapeLikePattern(filters.reviewer)}%`)}`);
+  }
+
+  if (filters.needsResponse !== undefined) {
+    // Low ratings nobody has replied to yet (internal notes count as a reply)
+    // The outer ID is always qualified: a bare "id" would resolve to rating_responses.id
+    const ratingId = alias ? `${alias}.id` : 'ratings.id';
+    const needsResponse = `${col('stars')} <= ${param(LOW_RATING_MAX_STARS)}
+      AND NOT EXISTS (SELECT 1 FROM rating_responses rr WHERE rr.rating_id = ${ratingId})`;
+    conditions.push(filters.needsResponse ? needsResponse : `NOT (${needsResponse})`);
+  }
+
+  return `WHERE ${conditions.join(' AND ')}`;
+}
+
+/**
+ * Build an ORDER BY clause for a parsed sort
+ * Ties fall back to newest first, then ID, so pagination is stable
+ * @param {{column: string, direction: string}} sort
+ * @param {string} alias - Optional table alias for the ratings table
+ * @returns {string} ORDER BY clause
+ */
+function buildRatingOrderClause(sort = DEFAULT_SORT, alias = '') {
+  const col = (name) => (alias ? `${alias}.${name}` : name);
+  const column = SORT_COLUMNS[sort.column] || SORT_COLUMNS.created_at;
+  const direction = sort.direction === 'asc' ? 'ASC' : 'DESC';
+
+  if (column === 'created_at') {
+    return `ORDER BY ${col('created_at')} ${direction}, ${col('id')} ${direction}`;
+  }
+  return `ORDER BY ${col(column)} ${direction}, ${col('created_at')} DESC, ${col('id')} DESC`;
+}
+
+// ============== KEYSET CURSORS ==============
+
+/**
+ * Encode an opaque cursor pointing just past a rating in the given sort order
+ * @param {Object} rating - Rating row including cursor_created_at (created_at as text)
+ * @param {{column: string, direction: string}} sort
+ * @returns {string} base64url cursor
+ */
+function encodeRatingCursor(rating, sort = DEFAULT_SORT) {
+  const key = sort.column === 'stars'
+    ? [rating.stars, rating.cursor_created_at, rating.id]
+    : [rating.cursor_created_at, rating.id];
+  return Buffer.from(JSON.stringify({ s: sort.column, d: sort.direction, k: key })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeRatingCursor()
+ * Cursors are only valid for the sort order they were issued for
+ * @param {string} cursor
+ * @param {{column: string, direction: string}} sort
+ * @returns {{stars?: number, createdAt: string, id: number}|null} Key values or null if invalid
+ */
+function decodeRatingCursor(cursor, sort = DEFAULT_SORT) {
+  if (typeof cursor !== 'string' || cursor.length === 0 || cursor.length > 200) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!payload || payload.s !== sort.column || payload.d !== sort.direction || !Array.isArray(payload.k)) {
+    return null;
+  }
+
+  const key = [...payload.k];
+  const stars = sort.column === 'stars' ? key.shift() : undefined;
+  const [createdAt, id] = key;
+
+  if (key.length !== 2 || typeof createdAt !== 'string' || !CURSOR_TIMESTAMP_PATTERN.test(createdAt)) return null;
+  if (!Number.isInteger(id) || id <= 0) return null;
+  if (sort.column === 'stars' && (!Number.isInteger(stars) || stars < 1 || stars > 5)) return null;
+
+  return sort.column === 'stars' ? { stars, createdAt, id } : { createdAt, id };
+}
+
+/**
+ * Build the keyset condition selecting rows after a cursor
+ * Mirrors the tie-breaking in buildRatingOrderClause()
+ * @param {Object} key - Values from decodeRatingCursor()
+ * @param {{column: string, direction: string}} sort
+ * @param {Array} params - Query parameter array to append to
+ * @returns {string} SQL condition (without WHERE/AND)
+ */
+function buildRatingCursorCondition(key, sort = DEFAULT_SORT, params = []) {
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const after = sort.direction === 'asc' ? '>' : '<';
+
+  if (sort.column === 'stars') {
+    const stars = param(key.stars);
+    // Ties on stars fall back to newest first regardless of the stars direction
+    return `(stars ${after} ${stars} OR (stars = ${stars} AND (created_at, id) < (${param(key.createdAt)}::timestamp, ${param(key.id)})))`;
+  }
+  return `(created_at, id) ${after} (${param(key.createdAt)}::timestamp, ${param(key.id)})`;
+}
+
+module.exports = {
+  parseRatingFilters,
+  buildRatingFilterClause,
+  buildRatingOrderClause,
+  encodeRatingCursor,
+  decodeRatingCursor,
+  buildRatingCursorCondition,
+  parseDateBound,
+  parseList,
+  DEFAULT_SORT,
+  LOW_RATING_MAX_STARS
+};
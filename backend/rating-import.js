@@ -0,0 +1,178 @@
+/**
+ * Rating Import
+ * Parses CSV or NDJSON exports from other tools into ratings,
+ * validated with the same rules as the public feedback form
+ */
+
+const { parseCsv } = require('./csv');
+const { validateRatingInput } = require('./rating-validation');
+
+const MAX_IMPORT_ROWS = 10000;
+
+const IMPORT_FORMATS = {
+  csv: ['text/csv', 'application/csv'],
+  ndjson: ['application/x-ndjson', 'application/ndjson', 'application/jsonl']
+};
+
+// CSV headers accepted for each rating field (the second form matches our own CSV export)
+const CSV_COLUMN_ALIASES = {
+  stars: ['stars'],
+  category: ['category', 'category_id'],
+  comment: ['comment'],
+  reviewer_name: ['reviewer_name'],
+  resolves_issue: ['resolves_issue'],
+  issue_recurrence: ['issue_recurrence'],
+  previous_issue_details: ['previous_issue_details'],
+  provider_id: ['provider_id'],
+  created_at: ['created_at']
+};
+
+/**
+ * Work out the payload format from an explicit ?format= or the Content-Type
+ * @param {string|undefined} format - Query parameter value
+ * @param {string|undefined} contentType - Request Content-Type header
+ * @returns {string|null} 'csv', 'ndjson' or null if unsupported
+ */
+function detectImportFormat(format, contentType = '') {
+  if (format) {
+    const normalized = String(format).toLowerCase();
+    return IMPORT_FORMATS[normalized] ? normalized : null;
+  }
+  const mediaType = String(contentType).split(';')[0].trim().toLowerCase();
+  return Object.keys(IMPORT_FORMATS).find(key => IMPORT_FORMATS[key].includes(mediaType)) || null;
+}
+
+/**
+ * Convert a CSV cell to the type a JSON client would have sent
+ * @param {string} field - Rating field name
+ * @param {string} value - Raw cell text
+ * @returns {*}
+ */
+function coerceCsvValue(field, value) {
+  const text = value.trim();
+  if (field === 'stars' || field === 'provider_id') {
+    return /^\d+$/.test(text) ? Number(text) : text;
+  }
+  if (field === 'resolves_issue' || field === 'issue_recurrence') {
+    const normalized = text.toLowerCase();
+    if (['yes', 'true', '1'].includes(normalized)) return true;
+    if (['no', 'false', '0'].includes(normalized)) return false;
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Split an import payload into numbered rows of raw rating fields
+ * @param {string} text - Request body
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {{error?: string, rows: Array<{row: number, input?: Object, error?: string}>}}
+ */
+function parseImportPayload(text, format) {
+  if (format === 'csv') {
+    let records;
+    try {
+      records = parseCsv(text);
+    } catch (error) {
+      return { error: `Could not read CSV: ${error.message}`, rows: [] };
+    }
+
+    const [header = [], ...dataRecords] = records;
+    const columns = header.map(name => name.trim().toLowerCase());
+    const fieldIndexes = Object.entries(CSV_COLUMN_ALIASES)
+      .map(([field, aliases]) => [field, columns.findIndex(name => aliases.includes(name))])
+      .filter(([, index]) => index !== -1);
+
+    if (!fieldIndexes.some(([field]) => field === 'stars') || !fieldIndexes.some(([field]) => field === 'category')) {
+      return { error: 'CSV header must include stars and category columns.', rows: [] };
+    }
+
+    return {
+      rows: dataRecords.map((record, i) => {
+        const input = {};
+        fieldIndexes.forEach(([field, index]) => {
+          if (record[index] !== undefined) input[field] = coerceCsvValue(field, record[index]);
+        });
+        return { row: i + 1, input };
+      })
+    };
+  }
+
+  const rows = [];
+  String(text).split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === '') return;
+    try {
+      const input = JSON.parse(line);
+      if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        rows.push({ row: i + 1, error: 'Each line must be a JSON object.' });
+      } else {
+        rows.push({ row: i + 1, input });
+      }
+    } catch {
+      rows.push({ row: i + 1, error: 'Line is not valid JSON.' });
+    }
+  });
+  return { rows };
+}
+
+/**
+ * Parse an optional original submission time
+ * @param {*} value
+ * @param {Date} now
+ * @returns {{error?: string, value?: Date|null}}
+ */
+function parseCreatedAt(value, now) {
+  if (value === undefined || value === null || String(value).trim() === '') return { value: null };
+  const date = new Date(typeof value === 'string' ? value.trim() : value);
+  if (typeof value === 'boolean' || isNaN(date.getTime())) {
+    return { error: 'created_at must be an ISO 8601 timestamp.' };
+  }
+  if (date > now) {
+    return { error: 'created_at cannot be in the future.' };
+  }
+  return { value: date };
+}
+
+/**
+ * Validate parsed import rows
+ * Retired categories and technicians who have left are accepted since historical ratings may predate them
+ * @param {Array} rows - Rows from parseImportPayload()
+ * @param {Object} categoryMap - All categories keyed by ID
+ * @param {Date} now - Reference time for rejecting future timestamps
+ * @param {Object} providerMap - All technicians keyed by ID
+ * @returns {{ratings: Object[], rowErrors: Array<{row: number, errors: string[]}>}}
+ */
+function validateImportRows(rows, categoryMap, now = new Date(), providerMap = {}) {
+  const ratings = [];
+  const rowErrors = [];
+
+  rows.forEach(({ row, input, error }) => {
+    if (error) {
+      rowErrors.push({ row, errors: [error] });
+      return;
+    }
+
+    const { errors, values } = validateRatingInput(input, categoryMap, {
+      allowInactiveCategories: true,
+      providerMap,
+      allowInactiveProviders: true
+    });
+    const createdAt = parseCreatedAt(input.created_at, now);
+    if (createdAt.error) errors.push(createdAt.error);
+
+    if (errors.length > 0) {
+      rowErrors.push({ row, errors });
+    } else {
+      ratings.push({ ...values, created_at: createdAt.value });
+    }
+  });
+
+  return { ratings, rowErrors };
+}
+
+module.exports = {
+  detectImportFormat,
+  parseImportPayload,
+  validateImportRows,
+  MAX_IMPORT_ROWS
+};
@@ -0,0 +1,146 @@
+/**
+ * Rating Validation
+ * The rules every rating passes before it reaches the database,
+ * shared by the public feedback form and the admin bulk import
+ */
+
+const { validateAnswers } = require('./survey-questions');
+const { needsPreviousIssueDetails } = require('../shared/survey-rules');
+
+const MAX_COMMENT_LENGTH = 500;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Normalize an optional yes/no answer to 1/0/null for the database
+ * @param {*} value
+ * @returns {number|null}
+ */
+function normalizeBoolean(value) {
+  if (value === true || value === 'true' || value === 1) return 1;
+  if (value === false || value === 'false' || value === 0) return 0;
+  return null;
+}
+
+/**
+ * Trim optional free text, treating blank input as absent
+ * @param {*} value
+ * @returns {string|null}
+ */
+function normalizeText(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  return text.length > 0 ? text : null;
+}
+
+/**
+ * Validate and normalize a submitted rating
+ * @param {Object} input - Raw rating fields
+ * @param {Object} categoryMap - Known categories keyed by ID
+ * @param {Object} options
+ * @param {boolean} options.allowInactiveCategories - Accept retired categories (historical imports)
+ * @param {Object} options.providerMap - Known technicians keyed by ID; provider_id is optional
+ * @param {boolean} options.allowInactiveProviders - Accept technicians who have left (historical imports)
+ * @param {Array} options.questions - Active survey questions to check input.answers against
+ * @param {Object|null} options.survey - The open survey the rating was submitted through, if any
+ * @param {Object|null} options.invitation - The verified, unused invitation the rating answers, if any
+ * @returns {{errors: string[], values: Object}} Errors (first is the most important) and database-ready values
+ */
+function validateRatingInput(
+  input = {},
+  categoryMap = {},
+  { allowInactiveCategories = false, providerMap = {}, allowInactiveProviders = false, questions = [], survey = null, invitation = null } = {}
+) {
+  const errors = [];
+  const { stars, category } = input;
+
+  if (!stars || stars < 1 || stars > 5 || !Number.isInteger(stars)) {
+    errors.push("On a scale of 1 to 5, please rate your satisfaction. I cannot process values outside this range.");
+  }
+
+  // Retired categories no longer accept new ratings
+  const categoryInfo = category ? categoryMap[String(category)] : null;
+  if (!categoryInfo || (!categoryInfo.active && !allowInactiveCategories)) {
+    errors.push("Please select a valid care category. This helps me improve my diagnostics.");
+  } else if (survey && survey.category_ids.length > 0 && !survey.category_ids.includes(categoryInfo.id)) {
+    // Surveys can offer a subset of the categories
+    errors.push("That care category is not part of this survey. Please choose one from the list.");
+  }
+
+  // Crediting a technician is optional, but a credited one must exist (and still be on the team)
+  let providerId = null;
+  if (input.provider_id !== undefined && input.provider_id !== null && input.provider_id !== '') {
+    const providerInfo = providerMap[Number(input.provider_id)];
+    if (!providerInfo || (!providerInfo.active && !allowInactiveProviders)) {
+      errors.push("I do not recognize that technician. Please choose one from the list.");
+    } else {
+      providerId = providerInfo.id;
+    }
+  }
+
+  // An invitation fixes the technician and category when it names them
+  if (invitation) {
+    if (invitation.category && categoryInfo && categoryInfo.id !== invitation.category) {
+      errors.push("That care category doesn't match your invitation.");
+    }
+    if (invitation.provider_id && providerId !== invitation.provider_id) {
+      errors.push("That technician doesn't match your invitation.");
+    }
+  }
+
+  const comment = normalizeText(input.comment);
+  if (comment && comment.length > MAX_COMMENT_LENGTH) {
+    errors.push(`Comment exceeds maximum length of ${MAX_COMMENT_LENGTH} characters.`);
+  }
+
+  const reviewerName = normalizeText(input.reviewer_name);
+  if (reviewerName && reviewerName.length > MAX_NAME_LENGTH) {
+    errors.push(`Name exceeds maximum length of ${MAX_NAME_LENGTH} characters.`);
+  }
+
+  const resolvesIssue = normalizeBoolean(input.resolves_issue);
+  const issueRecurrence = normalizeBoolean(input.issue_recurrence);
+
+  const previousIssueDetails = normalizeText(input.previous_issue_details);
+  if (previousIssueDetails && previousIssueDetails.length > MAX_COMMENT_LENGTH) {
+    errors.push(`Previous issue details exceeds maximum length of ${MAX_COMMENT_LENGTH} characters.`);
+  }
+
+  // Same rule the form uses to show the box: required when the issue has happened before
+  if (needsPreviousIssueDetails({ issue_recurrence: issueRecurrence }) && !previousIssueDetails) {
+    errors.push("Please describe the previous occurrence of this issue so I can better diagnose the pattern.");
+  }
+
+  // Branching rules see the rating as the patient filled it in
+  const { errors: answerErrors, answers } = validateAnswers(input.answers, questions, {
+    stars,
+    category: categoryInfo ? categoryInfo.id : category,
+    resolves_issue: resolvesIssue,
+    issue_recurrence: issueRecurrence
+  });
+  errors.push(...answerErrors);
+
+  return {
+    errors,
+    values: {
+      stars,
+      category: categoryInfo ? categoryInfo.id : category,
+      provider_id: providerId,
+      survey_id: survey ? survey.id : null,
+      ticket_ref: invitation ? invitation.ticket_ref : null,
+      invitation_id: invitation ? invitation.id : null,
+      comment,
+      reviewer_name: reviewerName || 'Anonymous Patient',
+      resolves_issue: resolvesIssue,
+      issue_recurrence: issueRecurrence,
+      previous_issue_details: previousIssueDetails,
+      answers
+    }
+  };
+}
+
+module.exports = {
+  validateRatingInput,
+  normalizeBoolean,
+  MAX_COMMENT_LENGTH,
+  MAX_NAME_LENGTH
+};
@@ -0,0 +1,159 @@
+/**
+ * Rating Responses Database Module
+ * Admin replies to patient feedback: internal notes for the team,
+ * or public "Baymax responds" replies shown with the rating
+ */
+
+const { pool } = require('./database');
+const { LOW_RATING_MAX_STARS } = require('./rating-filters');
+
+// Validation constants
+const MAX_RESPONSE_LENGTH = 1000;
+const RESPONSE_VISIBILITIES = ['internal', 'public'];
+const DEFAULT_RESPONSE_VISIBILITY = 'internal';
+
+/**
+ * Validate and normalize a reply from an admin request
+ * Replies are internal unless explicitly made public
+ * @param {Object} input - Raw request body
+ * @returns {{errors: string[], values: {body?: string, visibility?: string}}}
+ */
+function normalizeResponseInput(input) {
+  const errors = [];
+  const values = {};
+  const body = input || {};
+
+  const text = typeof body.body === 'string' ? body.body.trim() : '';
+  if (!text) {
+    errors.push('Response text is required.');
+  } else if (text.length > MAX_RESPONSE_LENGTH) {
+    errors.push(`Response exceeds maximum length of ${MAX_RESPONSE_LENGTH} characters.`);
+  } else {
+    values.body = text;
+  }
+
+  if (body.visibility === undefined || body.visibility === null || body.visibility === '') {
+    values.visibility = DEFAULT_RESPONSE_VISIBILITY;
+  } else if (!RESPONSE_VISIBILITIES.includes(body.visibility)) {
+    errors.push(`Visibility must be one of: ${RESPONSE_VISIBILITIES.join(', ')}.`);
+  } else {
+    values.visibility = body.visibility;
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Whether a rating is low enough to need a reply and has none yet
+ * @param {{stars: number}} rating
+ * @param {Array} responses - All replies to the rating, internal ones included
+ * @returns {boolean}
+ */
+function needsResponse(rating, responses = []) {
+  return rating.stars <= LOW_RATING_MAX_STARS && responses.length === 0;
+}
+
+/**
+ * Shape a reply row for the API
+ * Public views only get the text and date, never the author or internal notes
+ * @param {Object} row - rating_responses row joined with the author's names
+ * @param {boolean} includeInternal - Admin view
+ * @returns {Object}
+ */
+function formatResponse(row, includeInternal) {
+  if (!includeInternal) {
+    return { id: row.id, body: row.body, created_at: row.created_at };
+  }
+  return {
+    id: row.id,
+    rating_id: row.rating_id,
+    body: row.body,
+    visibility: row.visibility,
+    author_id: row.author_id,
+    author_name: row.author_display_name || row.author_username || 'Former admin',
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Shape a rating for the public feedback log
+ * Only what the patient wrote, the category and the public replies: no ticket, technician,
+ * survey answers or moderation details
+ * @param {Object} rating - Rating row with category_name and category_emoji attached
+ * @param {Object[]} replies - Public replies from getResponsesForRatings()
+ * @returns {Object}
+ */
+function formatPublicRating(rating, replies = []) {
+  return {
+    id: rating.id,
+    stars: rating.stars,
+    category: rating.category,
+    category_name: rating.category_name,
+    category_emoji: rating.category_emoji,
+    comment: rating.comment,
+    reviewer_name: rating.reviewer_name,
+    created_at: rating.created_at,
+    responses: replies
+  };
+}
+
+/**
+ * Add a reply to a rating
+ * @param {number} ratingId - Rating ID
+ * @param {number} authorId - Admin user ID
+ * @param {{body: string, visibility: string}} values - From normalizeResponseInput()
+ * @returns {Object} The created reply in admin shape
+ */
+async function createRatingResponse(ratingId, authorId, { body, visibility }) {
+  const result = await pool.query(
+    `WITH inserted AS (
+       INSERT INTO rating_responses (rating_id, author_id, body, visibility)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *
+     )
+     SELECT inserted.*, u.username AS author_username, u.display_name AS author_display_name
+     FROM inserted
+     LEFT JOIN admin_users u ON u.id = inserted.author_id`,
+    [ratingId, authorId, body, visibility]
+  );
+  return formatResponse(result.rows[0], true);
+}
+
+/**
+ * Get the replies to a set of ratings, oldest first
+ * @param {number[]} ratingIds - Rating IDs
+ * @param {Object} options
+ * @param {boolean} options.includeInternal - Include internal notes and authors (admin views)
+ * @returns {Map<number, Object[]>} Replies keyed by rating ID (ratings without replies are absent)
+ */
+async function getResponsesForRatings(ratingIds, { includeInternal = false } = {}) {
+  const byRating = new Map();
+  if (ratingIds.length === 0) return byRating;
+
+  const result = await pool.query(
+    `SELECT r.*, u.username AS author_username, u.display_name AS author_display_name
+     FROM rating_responses r
+     LEFT JOIN admin_users u ON u.id = r.author_id
+     WHERE r.rating_id = ANY($1)
+       ${includeInternal ? '' : "AND r.visibility = 'public'"}
+     ORDER BY r.created_at ASC, r.id ASC`,
+    [ratingIds]
+  );
+
+  result.rows.forEach(row => {
+    if (!byRating.has(row.rating_id)) byRating.set(row.rating_id, []);
+    byRating.get(row.rating_id).push(formatResponse(row, includeInternal));
+  });
+  return byRating;
+}
+
+module.exports = {
+  normalizeResponseInput,
+  needsResponse,
+  formatResponse,
+  formatPublicRating,
+  createRatingResponse,
+  getResponsesForRatings,
+  MAX_RESPONSE_LENGTH,
+  RESPONSE_VISIBILITIES
+};
@@ -0,0 +1,138 @@
+/**
+ * API Token Routes
+ * Admins create and revoke personal access tokens for scripts
+ * Managing tokens always needs a dashboard session: these routes don't accept tokens themselves
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  normalizeApiTokenInput,
+  listApiTokens,
+  createApiToken,
+  deleteApiToken,
+  API_TOKEN_SCOPES,
+  MAX_TOKENS_PER_USER
+} = require('../api-token-database');
+const { requireAuth } = require('../middleware/auth');
+const { recordAuditEvent } = require('../audit-database');
+
+router.use(requireAuth);
+
+/**
+ * Parse a token ID route parameter
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseTokenId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) || id <= 0 || String(id) !== String(value) ? null : id;
+}
+
+/**
+ * GET /api/admin/tokens
+ * Your tokens, plus the scopes a new token can have
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tokens: await listApiTokens(req.session.userId),
+      scopes: API_TOKEN_SCOPES
+    });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: "API tokens temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/tokens
+ * Create a token; its value is returned only in this response
+ * Body: { name, scopes: string[], expires_in_days }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { errors, values } = normalizeApiTokenInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const created = await createApiToken(req.session.userId, values);
+    if (!created) {
+      return res.status(400).json({
+        success: false,
+        error: `You already have ${MAX_TOKENS_PER_USER} API tokens. Delete one you no longer use first.`
+      });
+    }
+
+    await recordAuditEvent(req, 'auth.api_token_create', {
+      targetType: 'api_token',
+      targetId: created.apiToken.id,
+      after: created.apiToken
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API token created. Copy it now; it won't be shown again.",
+      token: created.token,
+      api_token: created.apiToken
+    });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error creating the API token. Please try again."
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/tokens/:id
+ * Revoke one of your tokens immediately
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseTokenId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid token ID."
+      });
+    }
+
+    const deleted = await deleteApiToken(req.session.userId, id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: "API token not found."
+      });
+    }
+
+    await recordAuditEvent(req, 'auth.api_token_revoke', {
+      targetType: 'api_token',
+      targetId: id,
+      before: deleted
+    });
+
+    res.json({
+      success: true,
+      message: "API token revoked."
+    });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error revoking the API token. Please try again."
+    });
+  }
+});
+
+module.exports = router;
@@ -1,32 +1,170 @@
 /**
  * Authentication Routes
- * Handles admin login, logout, and session verification
+ * Handles admin login (with an optional two-factor step or single sign-on), logout, session verification,
+ * and password changes
  */
 
 const express = require('express');
 const router = express.Router();
 const {
   findAdminById,
+  findAdminByUsername,
   verifyCredentialsConstantTime,
   updateLastLogin,
   recordLoginAttempt,
   isAccountLocked,
   clearFailedAttempts,
+  verifyAdminPassword,
+  setAdminPassword,
+  findPasswordResetToken,
+  redeemPasswordResetToken,
+  destroyUserSessions,
+  consumeTotpStep,
+  consumeRecoveryCode,
+  findAdminByOidcIdentity,
+  provisionOidcAdmin,
+  updateAdminUser,
   MAX_FAILED_ATTEMPTS
 } = require('../auth-database');
-const { requireAuth, loginRateLimiter } = require('../middleware/auth');
+const {
+  requireSession,
+  rejectApiTokens,
+  loginRateLimiter,
+  passwordRateLimiter,
+  ssoRateLimiter
+} = require('../middleware/auth');
+const { recordAuditEvent } = require('../audit-database');
+const { validatePassword } = require('../password-policy');
+const { verifyTotp, hashRecoveryCode } = require('../two-factor');
+const { getSetting } = require('../settings-database');
+const {
+  getOidcConfig,
+  randomUrlToken,
+  discover,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+  isEmailAllowed,
+  isEmailVerified,
+  mapRole,
+  deriveUsername
+} = require('../oidc');
+
+// How long a password-verified login waits for its two-factor code
+const PENDING_TWO_FACTOR_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Same cap as the audit log
+const MAX_SESSION_USER_AGENT_LENGTH = 500;
+
+// How long a browser may spend at the identity provider before the SSO attempt is abandoned
+const PENDING_SSO_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// Read once at startup so a misconfiguration fails loudly; null when SSO is off
+const oidcConfig = getOidcConfig();
+
+/**
+ * Finish a successful login: reset lockout counters and start a fresh session
+ * Regenerating the session prevents session fixation attacks
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} user - Admin row from findAdminByUsername()
+ * @param {Object} options
+ * @param {string} [options.twoFactorMethod] - 'totp' or 'recovery_code' when a second factor was used
+ * @param {boolean} [options.mustEnrollTwoFactor] - Owners require 2FA and this admin hasn't set it up
+ * @param {Object} [options.redirect] - For browser redirects (SSO) instead of a JSON response:
+ *   { success, failure } URLs
+ */
+async function startAdminSession(req, res, user, { twoFactorMethod = null, mustEnrollTwoFactor = false, redirect = null } = {}) {
+  const fail = () => (redirect
+    ? res.redirect(redirect.failure)
+    : res.status(500).json({
+      success: false,
+      error: "Authentication system error. Please try again."
+    }));
+
+  // Successful login - clear failed attempts and record success
+  await clearFailedAttempts(user.username);
+  await recordLoginAttempt(user.username, req.ip, true);
+
+  // Update last login timestamp
+  await updateLastLogin(user.id);
+
+  // Regenerate session to prevent session fixation attacks
+  req.session.regenerate((err) => {
+    if (err) {
+      console.error('Session regeneration error:', err);
+      // CRITICAL: Destroy old session on regeneration failure to prevent session fixation
+      req.session.destroy(() => {});
+      res.clearCookie('baymax.sid');
+      return fail();
+    }
+
+    // Create session with user info and metadata for expiry tracking
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    req.session.createdAt = Date.now();
+    req.session.lastActivity = Date.now();
+    // Shown on the Security page so admins can recognize their sessions
+    req.session.ipAddress = req.ip ?? null;
+    req.session.userAgent = req.get('user-agent')?.slice(0, MAX_SESSION_USER_AGENT_LENGTH) ?? null;
+    req.session.mustChangePassword = user.must_change_password;
+    req.session.mustEnrollTwoFactor = mustEnrollTwoFactor;
+
+    // Save session and respond
+    req.session.save((saveErr) => {
+      if (saveErr) {
+        console.error('Session save error:', saveErr);
+        // Destroy session on save error
+        req.session.destroy(() => {});
+        res.clearCookie('baymax.sid');
+        return fail();
+      }
+
+      // Not awaited: recordAuditEvent() never throws, and the login shouldn't wait on it
+      recordAuditEvent(req, 'auth.login', {
+        targetType: 'admin_user',
+        targetId: user.id,
+        metadata: twoFactorMethod ? { two_factor: twoFactorMethod } : redirect ? { method: 'oidc' } : undefined
+      });
+
+      if (redirect) {
+        return res.redirect(redirect.success);
+      }
+
+      // Return user info (without sensitive data)
+      res.json({
+        success: true,
+        message: "Authentication successful. Welcome back, administrator.",
+        user: {
+          id: user.id,
+          username: user.username,
+          display_name: user.display_name,
+          role: user.role,
+          must_change_password: user.must_change_password,
+          two_factor_enabled: Boolean(user.totp_enabled_at),
+          must_enroll_two_factor: mustEnrollTwoFactor,
+          sso: false
+        }
+      });
+    });
+  });
+}
 
 /**
  * POST /api/admin/login
  * Authenticate admin user and create session
  */
-router.post('/login', loginRateLimiter, async (req, res) => {
+router.post('/login', rejectApiTokens, loginRateLimiter, async (req, res) => {
   try {
     const { username, password } = req.body;
     const clientIp = req.ip;
 
     // Validate input
     if (!username || !password) {
+      await recordAuditEvent(req, 'auth.login_failed', {
+        metadata: { username: username ? String(username) : null, reason: 'missing_credentials' }
+      });
       return res.status(400).json({
         success: false,
         error: "Username and password are required for authentication."
@@ -37,6 +175,7 @@ router.post('/login', loginRateLimiter, async (req, res) => {
     // This prevents timing attacks from revealing valid usernames
     const lockoutStatus = await isAccountLocked(username);
     if (lockoutStatus.locked) {
+      await recordAuditEvent(req, 'auth.login_blocked', { metadata: { username, reason: 'account_locked' } });
       const minutesRemaining = lockoutStatus.lockoutEndsAt
         ? Math.ceil((lockoutStatus.lockoutEndsAt.getTime() - Date.now()) / 60000)
         : 15;
@@ -57,7 +196,11 @@ router.post('/login', loginRateLimiter, async (req, res) => {
 
       // Check new lockout status after this failed attempt
       const newLockoutStatus = await isAccountLocked(username);
+      await recordAuditEvent(req, 'auth.login_failed', {
+        metadata: { username, reason: 'invalid_credentials', remaining_attempts: newLockoutStatus.remainingAttempts }
+      });
       if (newLockoutStatus.locked) {
+        await recordAuditEvent(req, 'auth.lockout', { metadata: { username, failed_attempts: MAX_FAILED_ATTEMPTS } });
         return res.status(429).json({
           success: false,
           error: `Account locked due to too many failed attempts. Try again in 15 minutes.`
@@ -70,37 +213,20 @@ router.post('/login', loginRateLimiter, async (req, res) => {
       });
     }
 
-    // Successful login - clear failed attempts and record success
-    await clearFailedAttempts(username);
-    await recordLoginAttempt(username, clientIp, true);
-
-    // Update last login timestamp
-    await updateLastLogin(user.id);
-
-    // Regenerate session to prevent session fixation attacks
-    req.session.regenerate((err) => {
-      if (err) {
-        console.error('Session regeneration error:', err);
-        // CRITICAL: Destroy old session on regeneration failure to prevent session fixation
-        req.session.destroy(() => {});
-        res.clearCookie('baymax.sid');
-        return res.status(500).json({
-          success: false,
-          error: "Authentication system error. Please try again."
-        });
-      }
+    // Disabled accounts are only revealed after a correct password, so this doesn't leak usernames
+    if (!user.active) {
+      await recordAuditEvent(req, 'auth.login_blocked', { metadata: { username, reason: 'account_disabled' } });
+      return res.status(403).json({
+        success: false,
+        error: "This account has been disabled. Please contact an owner."
+      });
+    }
 
-      // Create session with user info and metadata for expiry tracking
-      req.session.userId = user.id;
-      req.session.username = user.username;
-      req.session.createdAt = Date.now();
-      req.session.lastActivity = Date.now();
-
-      // Save session and respond
-      req.session.save((saveErr) => {
-        if (saveErr) {
-          console.error('Session save error:', saveErr);
-          // Destroy session on save error
+    // With two-factor on, the password only earns a short-lived challenge; userId is set after the code
+    if (user.totp_enabled_at) {
+      return req.session.regenerate((err) => {
+        if (err) {
+          console.error('Session regeneration error:', err);
           req.session.destroy(() => {});
           res.clearCookie('baymax.sid');
           return res.status(500).json({
@@ -109,18 +235,26 @@ router.post('/login', loginRateLimiter, async (req, res) => {
           });
         }
 
-        // Return user info (without sensitive data)
-        res.json({
-          success: true,
-          message: "Authentication successful. Welcome back, administrator.",
-          user: {
-            id: user.id,
-            username: user.username,
-            display_name: user.display_name
+        req.session.pendingTwoFactor = { userId: user.id, username: user.username, startedAt: Date.now() };
+        req.session.save((saveErr) => {
+          if (saveErr) {
+            console.error('Session save error:', saveErr);
+            return res.status(500).json({
+              success: false,
+              error: "Authentication system error. Please try again."
+            });
           }
+          res.json({
+            success: true,
+            two_factor_required: true,
+            message: "Password accepted. Please enter the code from your authenticator app."
+          });
         });
       });
-    });
+    }
+
+    const mustEnrollTwoFactor = await getSetting('require_two_factor');
+    await startAdminSession(req, res, user, { mustEnrollTwoFactor });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -130,11 +264,280 @@ router.post('/login', loginRateLimiter, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/login/2fa
+ * Second login step for admins with two-factor authentication
+ * Body: { code } from the authenticator app, or { recovery_code }
+ * Wrong codes count toward the same lockout as wrong passwords
+ */
+router.post('/login/2fa', rejectApiTokens, loginRateLimiter, async (req, res) => {
+  try {
+    const pending = req.session?.pendingTwoFactor;
+    if (!pending || (Date.now() - pending.startedAt) > PENDING_TWO_FACTOR_TTL_MS) {
+      if (req.session) delete req.session.pendingTwoFactor;
+      return res.status(401).json({
+        success: false,
+        error: "Your sign-in attempt has expired. Please enter your password again.",
+        two_factor_expired: true
+      });
+    }
+
+    const { code, recovery_code: recoveryCode } = req.body || {};
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        error: "Please enter the code from your authenticator app or a recovery code."
+      });
+    }
+
+    const lockoutStatus = await isAccountLocked(pending.username);
+    if (lockoutStatus.locked) {
+      delete req.session.pendingTwoFactor;
+      await recordAuditEvent(req, 'auth.login_blocked', { metadata: { username: pending.username, reason: 'account_locked' } });
+      return res.status(429).json({
+        success: false,
+        error: "Account temporarily locked due to too many failed attempts. Please try again later."
+      });
+    }
+
+    // Re-read the account: it may have been disabled or had 2FA reset since the password step
+    const user = await findAdminByUsername(pending.username);
+    if (!user || user.id !== pending.userId || !user.active || !user.totp_enabled_at) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({
+        success: false,
+        error: "Your sign-in attempt has expired. Please enter your password again.",
+        two_factor_expired: true
+      });
+    }
+
+    let method;
+    let verified = false;
+    if (recoveryCode) {
+      method = 'recovery_code';
+      verified = await consumeRecoveryCode(user.id, hashRecoveryCode(recoveryCode));
+    } else {
+      method = 'totp';
+      const lastUsedStep = user.totp_last_used_step === null ? null : Number(user.totp_last_used_step);
+      const step = verifyTotp(user.totp_secret, code, { lastUsedStep });
+      verified = step !== null && await consumeTotpStep(user.id, step);
+    }
+
+    if (!verified) {
+      await recordLoginAttempt(user.username, req.ip, false);
+      const newLockoutStatus = await isAccountLocked(user.username);
+      await recordAuditEvent(req, 'auth.login_failed', {
+        metadata: {
+          username: user.username,
+          reason: method === 'totp' ? 'invalid_two_factor_code' : 'invalid_recovery_code',
+          remaining_attempts: newLockoutStatus.remainingAttempts
+        }
+      });
+      if (newLockoutStatus.locked) {
+        delete req.session.pendingTwoFactor;
+        await recordAuditEvent(req, 'auth.lockout', { metadata: { username: user.username, failed_attempts: MAX_FAILED_ATTEMPTS } });
+        return res.status(429).json({
+          success: false,
+          error: `Account locked due to too many failed attempts. Try again in 15 minutes.`
+        });
+      }
+      return res.status(401).json({
+        success: false,
+        error: `That code didn't work. ${newLockoutStatus.remainingAttempts} attempt(s) remaining before lockout.`
+      });
+    }
+
+    await startAdminSession(req, res, user, { twoFactorMethod: method });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Authentication system error. Please try again."
+    });
+  }
+});
+
+// ============== SINGLE SIGN-ON ==============
+
+/**
+ * Login page URL carrying an SSO error code for it to explain
+ * @param {string} reason
+ * @returns {string}
+ */
+function ssoErrorUrl(reason) {
+  return `${oidcConfig.appUrl}/#/admin/login?sso_error=${encodeURIComponent(reason)}`;
+}
+
+/**
+ * GET /api/admin/oidc
+ * Whether single sign-on is configured (the login page shows its button when it is)
+ */
+router.get('/oidc', (req, res) => {
+  res.json({
+    success: true,
+    enabled: Boolean(oidcConfig)
+  });
+});
+
+/**
+ * GET /api/admin/oidc/login
+ * Start single sign-on: remember state, nonce and PKCE verifier in the session,
+ * then send the browser to the identity provider
+ */
+router.get('/oidc/login', rejectApiTokens, ssoRateLimiter, async (req, res) => {
+  if (!oidcConfig) {
+    return res.status(404).json({
+      success: false,
+      error: "Single sign-on is not configured."
+    });
+  }
+
+  try {
+    const metadata = await discover(oidcConfig.issuer);
+    const pending = {
+      state: randomUrlToken(),
+      nonce: randomUrlToken(),
+      codeVerifier: randomUrlToken(),
+      redirectUri: oidcConfig.redirectUri || `${req.protocol}://${req.get('host')}${req.baseUrl}/oidc/callback`,
+      startedAt: Date.now()
+    };
+
+    req.session.pendingSso = pending;
+    req.session.save((saveErr) => {
+      if (saveErr) {
+        console.error('Session save error:', saveErr);
+        return res.redirect(ssoErrorUrl('failed'));
+      }
+      res.redirect(buildAuthorizationUrl(metadata, oidcConfig, pending));
+    });
+  } catch (error) {
+    console.error('SSO start error:', error);
+    await recordAuditEvent(req, 'auth.login_failed', { metadata: { method: 'oidc', reason: error.code || 'failed' } });
+    res.redirect(ssoErrorUrl(error.code || 'failed'));
+  }
+});
+
+/**
+ * GET /api/admin/oidc/callback
+ * The identity provider sends the browser back here with a code (or an error)
+ * First-time users are provisioned; every sign-in re-syncs the role from the role claim
+ */
+router.get('/oidc/callback', rejectApiTokens, async (req, res) => {
+  if (!oidcConfig) {
+    return res.status(404).json({
+      success: false,
+      error: "Single sign-on is not configured."
+    });
+  }
+
+  const fail = async (reason, metadata = {}) => {
+    await recordAuditEvent(req, 'auth.login_failed', { metadata: { method: 'oidc', reason, ...metadata } });
+    res.redirect(ssoErrorUrl(reason));
+  };
+
+  // Each attempt can be completed once
+  const pending = req.session?.pendingSso;
+  if (pending) delete req.session.pendingSso;
+
+  const state = typeof req.query.state === 'string' ? req.query.state : '';
+  if (!pending || (Date.now() - pending.startedAt) > PENDING_SSO_TTL_MS || state !== pending.state) {
+    return fail('expired');
+  }
+  if (req.query.error) {
+    return fail(req.query.error === 'access_denied' ? 'cancelled' : 'provider_error', {
+      provider_error: String(req.query.error).slice(0, 100)
+    });
+  }
+  if (typeof req.query.code !== 'string' || !req.query.code) {
+    return fail('provider_error');
+  }
+
+  try {
+    const metadata = await discover(oidcConfig.issuer);
+    const tokens = await exchangeCode(metadata, oidcConfig, {
+      code: req.query.code,
+      redirectUri: pending.redirectUri,
+      codeVerifier: pending.codeVerifier
+    });
+    let claims = await verifyIdToken(tokens.id_token, metadata, oidcConfig, { nonce: pending.nonce });
+
+    // Some providers leave email, email_verified or group claims out of the ID token
+    if (!claims.email || claims.email_verified === undefined || claims[oidcConfig.roleClaim] === undefined) {
+      claims = { ...(await fetchUserInfo(metadata, tokens.access_token, claims.sub)), ...claims };
+    }
+
+    const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null;
+    if (!isEmailVerified(claims, oidcConfig)) {
+      return fail('unverified_email', { email });
+    }
+    if (!isEmailAllowed(email, oidcConfig.allowedDomains)) {
+      return fail('domain_not_allowed', { email });
+    }
+
+    let user = await findAdminByOidcIdentity(oidcConfig.issuer, claims.sub);
+    if (user && !user.active) {
+      return fail('account_disabled', { username: user.username });
+    }
+
+    const role = mapRole(claims, oidcConfig);
+    if (!role) {
+      return fail('no_role', { email });
+    }
+
+    const actor = (admin) => ({ id: admin.id, username: admin.username });
+    if (!user) {
+      user = await provisionOidcAdmin({
+        issuer: oidcConfig.issuer,
+        subject: claims.sub,
+        username: deriveUsername(claims),
+        displayName: typeof claims.name === 'string' ? claims.name.slice(0, 100) : null,
+        email,
+        role
+      });
+      await recordAuditEvent(req, 'user.create', {
+        targetType: 'admin_user',
+        targetId: user.id,
+        after: user,
+        actor: actor(user),
+        metadata: { source: 'oidc' }
+      });
+    } else if (user.role !== role || user.email !== email) {
+      let changes;
+      try {
+        changes = await updateAdminUser(user.id, { role, email });
+      } catch (error) {
+        if (error.code !== 'LAST_ACTIVE_OWNER') throw error;
+        // The identity provider can't demote the last active owner; keep the role, update the email
+        console.warn(`SSO role claim would demote the last active owner "${user.username}"; keeping the owner role`);
+        changes = await updateAdminUser(user.id, { email });
+      }
+      if (changes.before.role !== changes.after.role) {
+        await recordAuditEvent(req, 'user.update', {
+          targetType: 'admin_user',
+          targetId: user.id,
+          before: { role: changes.before.role },
+          after: { role: changes.after.role },
+          actor: actor(user),
+          metadata: { source: 'oidc' }
+        });
+      }
+      user = changes.after;
+    }
+
+    await startAdminSession(req, res, user, {
+      redirect: { success: `${oidcConfig.appUrl}/#/admin/dashboard`, failure: ssoErrorUrl('failed') }
+    });
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    await fail(error.code && /^[a-z_]+$/.test(error.code) ? error.code : 'failed');
+  }
+});
+
 /**
  * POST /api/admin/logout
  * Destroy session and log out
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', rejectApiTokens, async (req, res) => {
   if (!req.session) {
     return res.json({
       success: true,
@@ -142,6 +545,10 @@ router.post('/logout', (req, res) => {
     });
   }
 
+  if (req.session.userId) {
+    await recordAuditEvent(req, 'auth.logout', { targetType: 'admin_user', targetId: req.session.userId });
+  }
+
   req.session.destroy((err) => {
     if (err) {
       console.error('Logout error:', err);
@@ -166,11 +573,12 @@ router.post('/logout', (req, res) => {
  * Get current authenticated user info
  * Used by frontend to check auth state on page load
  */
-router.get('/me', requireAuth, async (req, res) => {
+router.get('/me', requireSession, async (req, res) => {
   try {
     // Validate userId is a valid integer
     const userId = parseInt(req.session.userId, 10);
     if (isNaN(userId) || userId <= 0) {
+      await recordAuditEvent(req, 'auth.session_invalid', { metadata: { reason: 'malformed_user_id' } });
       req.session.destroy(() => {});
       res.clearCookie('baymax.sid');
       return res.status(401).json({
@@ -183,6 +591,11 @@ router.get('/me', requireAuth, async (req, res) => {
 
     if (!user) {
       // Session exists but user doesn't - invalid state
+      await recordAuditEvent(req, 'auth.session_invalid', {
+        targetType: 'admin_user',
+        targetId: userId,
+        metadata: { reason: 'user_not_found' }
+      });
       req.session.destroy(() => {});
       res.clearCookie('baymax.sid');
       return res.status(401).json({
@@ -200,6 +613,11 @@ router.get('/me', requireAuth, async (req, res) => {
         id: user.id,
         username: user.username,
         display_name: user.display_name,
+        role: user.role,
+        must_change_password: user.must_change_password,
+        two_factor_enabled: user.two_factor_enabled,
+        must_enroll_two_factor: Boolean(req.session.mustEnrollTwoFactor),
+        sso: user.sso,
         last_login: user.last_login
       }
     });
@@ -212,4 +630,134 @@ router.get('/me', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/password
+ * Change your own password; also how a temporary password gets replaced
+ * Body: { current_password, new_password }
+ * Every other session for the account is signed out
+ */
+router.post('/password', requireSession, passwordRateLimiter, async (req, res) => {
+  try {
+    const { current_password: currentPassword, new_password: newPassword } = req.body || {};
+    const user = await findAdminById(req.session.userId);
+    if (!user) {
+      req.session.destroy(() => {});
+      res.clearCookie('baymax.sid');
+      return res.status(401).json({
+        success: false,
+        error: "Session invalid. Please log in again."
+      });
+    }
+
+    if (user.sso) {
+      return res.status(400).json({
+        success: false,
+        error: "You sign in with single sign-on, so your password is managed by your identity provider."
+      });
+    }
+
+    if (!currentPassword || !(await verifyAdminPassword(user.id, currentPassword))) {
+      await recordAuditEvent(req, 'auth.password_change_failed', {
+        targetType: 'admin_user',
+        targetId: user.id,
+        metadata: { reason: 'invalid_current_password' }
+      });
+      return res.status(400).json({
+        success: false,
+        error: "Your current password is incorrect."
+      });
+    }
+
+    const errors = validatePassword(newPassword, { username: user.username });
+    if (errors.length === 0 && await verifyAdminPassword(user.id, newPassword)) {
+      errors.push('New password must be different from your current password.');
+    }
+    if (errors.length > 0) {
+      res.locals.passwordPolicyRejected = true;
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    await setAdminPassword(user.id, newPassword);
+    const sessionsEnded = await destroyUserSessions(user.id, { exceptSid: req.sessionID });
+    req.session.mustChangePassword = false;
+
+    await recordAuditEvent(req, 'auth.password_change', {
+      targetType: 'admin_user',
+      targetId: user.id,
+      metadata: { sessions_ended: sessionsEnded, was_temporary: user.must_change_password }
+    });
+
+    res.json({
+      success: true,
+      message: "Password updated. Your other sessions have been signed out."
+    });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error updating password. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/password/reset
+ * Set a new password with a one-time reset token issued by an owner
+ * Body: { token, new_password }
+ * Every session for the account is signed out
+ */
+router.post('/password/reset', rejectApiTokens, passwordRateLimiter, async (req, res) => {
+  try {
+    const { token, new_password: newPassword } = req.body || {};
+    const reset = token ? await findPasswordResetToken(token) : null;
+    if (!reset) {
+      await recordAuditEvent(req, 'auth.password_reset_failed', { metadata: { reason: 'invalid_token' } });
+      return res.status(400).json({
+        success: false,
+        error: "This reset link is invalid or has expired. Ask an owner for a new one."
+      });
+    }
+
+    const errors = validatePassword(newPassword, { username: reset.username });
+    if (errors.length > 0) {
+      res.locals.passwordPolicyRejected = true;
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    if (!(await redeemPasswordResetToken(reset.token_id, reset.user_id, newPassword))) {
+      return res.status(400).json({
+        success: false,
+        error: "This reset link is invalid or has expired. Ask an owner for a new one."
+      });
+    }
+    const sessionsEnded = await destroyUserSessions(reset.user_id);
+
+    await recordAuditEvent(req, 'auth.password_reset', {
+      targetType: 'admin_user',
+      targetId: reset.user_id,
+      metadata: { sessions_ended: sessionsEnded },
+      actor: { id: reset.user_id, username: reset.username }
+    });
+
+    res.json({
+      success: true,
+      message: "Password updated. You can now log in with your new password."
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error resetting password. Please try again."
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,178 @@
+/**
+ * Category Management Routes
+ * Admin CRUD for the care categories offered on the public form
+ * Every admin can list categories; only owners can change them
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  normalizeCategoryInput,
+  getCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  getCategoryUsageCount,
+  deleteCategory
+} = require('../categories-database');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { recordAuditEvent } = require('../audit-database');
+
+router.use(requireAuth);
+
+/**
+ * GET /api/admin/categories
+ * List all categories, including inactive ones
+ */
+router.get('/', async (req, res) => {
+  try {
+    const categories = await getCategories({ includeInactive: true });
+
+    res.json({
+      success: true,
+      categories
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      error: "Care category records temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/categories
+ * Create a new category
+ */
+router.post('/', requireOwner, async (req, res) => {
+  try {
+    const { errors, values } = normalizeCategoryInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    if (await getCategoryById(values.id)) {
+      return res.status(409).json({
+        success: false,
+        error: `A category with ID "${values.id}" already exists.`
+      });
+    }
+
+    const category = await createCategory(values);
+
+    await recordAuditEvent(req, 'category.create', { targetType: 'category', targetId: category.id, after: category });
+
+    res.status(201).json({
+      success: true,
+      message: "New care category added to my treatment protocols.",
+      category
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error saving care category. Please try again."
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/categories/:id
+ * Update a category's name, emoji, description, sort order or active flag
+ */
+router.patch('/:id', requireOwner, async (req, res) => {
+  try {
+    const existing = await getCategoryById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Category not found."
+      });
+    }
+
+    // Category IDs are stored on ratings, so they cannot be renamed
+    if (req.body?.id !== undefined && req.body.id !== existing.id) {
+      return res.status(400).json({
+        success: false,
+        error: "Category ID cannot be changed. Create a new category instead."
+      });
+    }
+
+    const { errors, values } = normalizeCategoryInput({ ...req.body, id: undefined }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const category = await updateCategory(existing.id, values);
+
+    await recordAuditEvent(req, 'category.update', {
+      targetType: 'category',
+      targetId: category.id,
+      before: existing,
+      after: category
+    });
+
+    res.json({
+      success: true,
+      message: "Care category updated.",
+      category
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error updating care category. Please try again."
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/categories/:id
+ * Permanently delete a category that no rating references
+ * Categories with ratings must be deactivated instead so history keeps resolving
+ */
+router.delete('/:id', requireOwner, async (req, res) => {
+  try {
+    const existing = await getCategoryById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Category not found."
+      });
+    }
+
+    const usageCount = await getCategoryUsageCount(existing.id);
+    if (usageCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `This category is referenced by ${usageCount} rating(s). Deactivate it instead so patient history is preserved.`
+      });
+    }
+
+    await deleteCategory(existing.id);
+
+    await recordAuditEvent(req, 'category.delete', { targetType: 'category', targetId: existing.id, before: existing });
+
+    res.json({
+      success: true,
+      message: "Care category has been removed."
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error removing care category. Please try again."
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+/**
+ * Survey Invitation Routes
+ * Moderators and owners (or API tokens with invitations:write) create single-use invitation
+ * links for a support ticket; every admin can see which ones were answered, but only those
+ * who can create invitations see their links
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  normalizeInvitationInput,
+  canShareInvitationLinks,
+  formatInvitation,
+  INVITATION_STATUS_FILTERS
+} = require('../invitations');
+const {
+  createInvitation,
+  getInvitations,
+  getInvitationsCount,
+  deleteUnusedInvitation
+} = require('../invitations-database');
+const { getProviders, getProviderMap } = require('../providers-database');
+const { getCategories, getCategoryMap } = require('../categories-database');
+const { requireAuth, requireModerator, apiTokenScope } = require('../middleware/auth');
+const { recordAuditEvent } = require('../audit-database');
+
+/**
+ * Parse an invitation ID route parameter
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseInvitationId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) || id <= 0 || String(id) !== String(value) ? null : id;
+}
+
+/**
+ * GET /api/admin/invitations
+ * List invitations, newest first
+ * status=unanswered|pending|expired|answered|all (default unanswered), limit, offset
+ * token and url are null for viewers and for tokens without invitations:write
+ */
+router.get('/', apiTokenScope('invitations:read'), requireAuth, async (req, res) => {
+  try {
+    const status = req.query.status === undefined ? 'unanswered' : String(req.query.status);
+    if (!INVITATION_STATUS_FILTERS.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${INVITATION_STATUS_FILTERS.join(', ')}.`
+      });
+    }
+
+    const parsedLimit = parseInt(req.query.limit, 10);
+    const limit = Math.min(Math.max(isNaN(parsedLimit) ? 20 : parsedLimit, 1), 100);
+    const parsedOffset = parseInt(req.query.offset, 10);
+    const offset = Math.max(isNaN(parsedOffset) ? 0 : parsedOffset, 0);
+
+    const [invitations, total, providerMap, categoryMap] = await Promise.all([
+      getInvitations({ status, limit, offset }),
+      getInvitationsCount(status),
+      getProviderMap(),
+      getCategoryMap()
+    ]);
+    const options = { includeLink: canShareInvitationLinks(req.adminUser, req.apiToken), now: new Date() };
+
+    res.json({
+      success: true,
+      invitations: invitations.map(invitation => formatInvitation(invitation, { providerMap, categoryMap }, options)),
+      total,
+      limit,
+      offset,
+      hasMore: offset + invitations.length < total
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({
+      success: false,
+      error: "Invitation records temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/invitations
+ * Create an invitation; the response includes its token and link
+ * Body: { ticket_ref, provider_id?, category?, expires_in_days? (default 14) }
+ */
+router.post('/', apiTokenScope('invitations:write'), requireAuth, requireModerator, async (req, res) => {
+  try {
+    const [providers, categories] = await Promise.all([getProviders(), getCategories()]);
+    const { errors, values } = normalizeInvitationInput(req.body, {
+      providerIds: providers.map(provider => provider.id),
+      categoryIds: categories.map(category => category.id)
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const invitation = await createInvitation(values, req.session.userId);
+
+    await recordAuditEvent(req, 'invitation.create', {
+      targetType: 'invitation',
+      targetId: invitation.id,
+      after: invitation
+    });
+
+    const providerMap = Object.fromEntries(providers.map(provider => [provider.id, provider]));
+    const categoryMap = Object.fromEntries(categories.map(category => [category.id, category]));
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation ready for ticket ${invitation.ticket_ref}.`,
+      invitation: formatInvitation(invitation, { providerMap, categoryMap }, { includeLink: true })
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error creating the invitation. Please try again."
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/invitations/:id
+ * Revoke an invitation that hasn't been answered; its link stops working
+ */
+router.delete('/:id', apiTokenScope('invitations:write'), requireAuth, requireModerator, async (req, res) => {
+  try {
+    const id = parseInvitationId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid invitation ID."
+      });
+    }
+
+    const deleted = await deleteUnusedInvitation(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: "No unanswered invitation with that ID."
+      });
+    }
+
+    await recordAuditEvent(req, 'invitation.revoke', {
+      targetType: 'invitation',
+      targetId: id,
+      before: deleted
+    });
+
+    res.json({
+      success: true,
+      message: "Invitation revoked."
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error revoking the invitation. Please try again."
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+/**
+ * Technician Management Routes
+ * Admin CRUD for the technicians patients can credit on the public form
+ * Every admin can list technicians; only owners can change them
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  normalizeProviderInput,
+  getProviders,
+  getProviderById,
+  getProviderBySlug,
+  createProvider,
+  updateProvider,
+  getProviderUsageCount,
+  deleteProvider
+} = require('../providers-database');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { recordAuditEvent } = require('../audit-database');
+
+router.use(requireAuth);
+
+/**
+ * Parse a technician ID route parameter
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseProviderId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) || id <= 0 || String(id) !== String(value) ? null : id;
+}
+
+/**
+ * Load the technician named in the route, or answer 400/404
+ * @returns {Object|null} The technician, or null when a response was already sent
+ */
+async function findRouteProvider(req, res) {
+  const id = parseProviderId(req.params.id);
+  if (!id) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid technician ID."
+    });
+    return null;
+  }
+
+  const provider = await getProviderById(id);
+  if (!provider) {
+    res.status(404).json({
+      success: false,
+      error: "Technician not found."
+    });
+    return null;
+  }
+  return provider;
+}
+
+/**
+ * GET /api/admin/providers
+ * List all technicians, including inactive ones
+ */
+router.get('/', async (req, res) => {
+  try {
+    const providers = await getProviders({ includeInactive: true });
+
+    res.json({
+      success: true,
+      providers
+    });
+  } catch (error) {
+    console.error('Error fetching technicians:', error);
+    res.status(500).json({
+      success: false,
+      error: "Technician records temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/providers
+ * Add a technician
+ * Body: { name, slug?, title? } - the slug defaults to one derived from the name
+ */
+router.post('/', requireOwner, async (req, res) => {
+  try {
+    const { errors, values } = normalizeProviderInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    if (await getProviderBySlug(values.slug)) {
+      return res.status(409).json({
+        success: false,
+        error: `A technician with the survey link name "${values.slug}" already exists.`
+      });
+    }
+
+    const provider = await createProvider(values);
+
+    await recordAuditEvent(req, 'provider.create', { targetType: 'provider', targetId: provider.id, after: provider });
+
+    res.status(201).json({
+      success: true,
+      message: "New technician added to my care team.",
+      provider
+    });
+  } catch (error) {
+    console.error('Error creating technician:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error saving technician. Please try again."
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/providers/:id
+ * Update a technician's name, survey link name, title, sort order or active flag
+ */
+router.patch('/:id', requireOwner, async (req, res) => {
+  try {
+    const existing = await findRouteProvider(req, res);
+    if (!existing) return;
+
+    const { errors, values } = normalizeProviderInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    if (values.slug && values.slug !== existing.slug) {
+      const taken = await getProviderBySlug(values.slug);
+      if (taken) {
+        return res.status(409).json({
+          success: false,
+          error: `A technician with the survey link name "${values.slug}" already exists.`
+        });
+      }
+    }
+
+    const provider = await updateProvider(existing.id, values);
+
+    await recordAuditEvent(req, 'provider.update', {
+      targetType: 'provider',
+      targetId: provider.id,
+      before: existing,
+      after: provider
+    });
+
+    res.json({
+      success: true,
+      message: "Technician updated.",
+      provider
+    });
+  } catch (error) {
+    console.error('Error updating technician:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error updating technician. Please try again."
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/providers/:id
+ * Permanently delete a technician no rating credits
+ * Technicians with ratings must be deactivated instead so their history keeps resolving
+ */
+router.delete('/:id', requireOwner, async (req, res) => {
+  try {
+    const existing = await findRouteProvider(req, res);
+    if (!existing) return;
+
+    const usageCount = await getProviderUsageCount(existing.id);
+    if (usageCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `This technician is credited on ${usageCount} rating(s). Deactivate them instead so patient history is preserved.`
+      });
+    }
+
+    await deleteProvider(existing.id);
+
+    await recordAuditEvent(req, 'provider.delete', { targetType: 'provider', targetId: existing.id, before: existing });
+
+    res.json({
+      success: true,
+      message: "Technician has been removed."
+    });
+  } catch (error) {
+    console.error('Error deleting technician:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error removing technician. Please try again."
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+/**
+ * Survey Question Routes
+ * Admin CRUD for the questions asked after the built-in follow-ups on the public form
+ * Every admin can list questions; only owners can change them
+ */
+
+const express = require('express');
+const router = express.Router();
+const { normalizeQuestionInput } = require('../survey-questions');
+const {
+  getQuestions,
+  getQuestionById,
+  createQuestion,
+  updateQuestion,
+  getQuestionAnswerCount,
+  deleteQuestion
+} = require('../questions-database');
+const { getCategories } = require('../categories-database');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { recordAuditEvent } = require('../audit-database');
+
+router.use(requireAuth);
+
+/**
+ * Parse a question ID route parameter
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseQuestionId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) || id <= 0 || String(id) !== String(value) ? null : id;
+}
+
+/**
+ * Load the question named in the route, or answer 400/404
+ * @returns {Object|null} The question, or null when a response was already sent
+ */
+async function findRouteQuestion(req, res) {
+  const id = parseQuestionId(req.params.id);
+  if (!id) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid question ID."
+    });
+    return null;
+  }
+
+  const question = await getQuestionById(id);
+  if (!question) {
+    res.status(404).json({
+      success: false,
+      error: "Question not found."
+    });
+    return null;
+  }
+  return question;
+}
+
+/**
+ * What branching rules may reference: every question and every category
+ * @returns {{questions: Array, categoryIds: string[]}}
+ */
+async function loadRuleTargets() {
+  const [questions, categories] = await Promise.all([
+    getQuestions({ includeInactive: true }),
+    getCategories({ includeInactive: true })
+  ]);
+  return { questions, categoryIds: categories.map(category => category.id) };
+}
+
+/**
+ * Questions whose branching rules look at the given question's answer
+ * @param {Array} questions - All questions
+ * @param {number} id - Question ID
+ * @returns {Array} Dependent questions
+ */
+function findDependentQuestions(questions, id) {
+  return questions.filter(question => question.id !== id &&
+    [question.show_if, question.required_if].some(group =>
+      (group?.conditions || []).some(condition => condition.field === 'question' && condition.question_id === id)
+    )
+  );
+}
+
+/**
+ * GET /api/admin/questions
+ * List all survey questions, including retired ones
+ */
+router.get('/', async (req, res) => {
+  try {
+    const questions = await getQuestions({ includeInactive: true });
+
+    res.json({
+      success: true,
+      questions
+    });
+  } catch (error) {
+    console.error('Error fetching survey questions:', error);
+    res.status(500).json({
+      success: false,
+      error: "Survey questions temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/questions
+ * Add a survey question
+ * Body: { prompt, type, required?, options?, show_if?, required_if? } - options holds choices or
+ * scale bounds; show_if and required_if are branching rule groups (see shared/survey-rules.js)
+ */
+router.post('/', requireOwner, async (req, res) => {
+  try {
+    const { errors, values } = normalizeQuestionInput(req.body, await loadRuleTargets());
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const question = await createQuestion(values);
+
+    await recordAuditEvent(req, 'question.create', { targetType: 'question', targetId: question.id, after: question });
+
+    res.status(201).json({
+      success: true,
+      message: "New question added to my survey protocol.",
+      question
+    });
+  } catch (error) {
+    console.error('Error creating survey question:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error saving question. Please try again."
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/questions/:id
+ * Update a question's text, options, required flag, branching rules, sort order or active flag
+ * The type is fixed once created because existing answers are stored in its shape
+ */
+router.patch('/:id', requireOwner, async (req, res) => {
+  try {
+    const existing = await findRouteQuestion(req, res);
+    if (!existing) return;
+
+    const { errors, values } = normalizeQuestionInput(req.body, {
+      partial: true,
+      type: existing.type,
+      id: existing.id,
+      ...(await loadRuleTargets())
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const question = await updateQuestion(existing.id, values);
+
+    await recordAuditEvent(req, 'question.update', {
+      targetType: 'question',
+      targetId: question.id,
+      before: existing,
+      after: question
+    });
+
+    res.json({
+      success: true,
+      message: "Question updated.",
+      question
+    });
+  } catch (error) {
+    console.error('Error updating survey question:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error updating question. Please try again."
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/questions/:id
+ * Permanently delete a question nobody has answered
+ * Answered questions must be deactivated instead so their results are kept, and questions
+ * other questions' rules depend on must be unlinked first
+ */
+router.delete('/:id', requireOwner, async (req, res) => {
+  try {
+    const existing = await findRouteQuestion(req, res);
+    if (!existing) return;
+
+    const answerCount = await getQuestionAnswerCount(existing.id);
+    if (answerCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `This question has ${answerCount} answer(s). Deactivate it instead so its results are preserved.`
+      });
+    }
+
+    const dependents = findDependentQuestions(await getQuestions({ includeInactive: true }), existing.id);
+    if (dependents.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `"${dependents[0].prompt}" is shown or required based on this question. Remove that rule first.`
+      });
+    }
+
+    await deleteQuestion(existing.id);
+
+    await recordAuditEvent(req, 'question.delete', { targetType: 'question', targetId: existing.id, before: existing });
+
+    res.json({
+      success: true,
+      message: "Question has been removed."
+    });
+  } catch (error) {
+    console.error('Error deleting survey question:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error removing question. Please try again."
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+/**
+ * Session Routes
+ * Lets admins see where they're signed in and end sessions remotely
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  hashSessionId,
+  listUserSessions,
+  destroyUserSession,
+  destroyAllSessions
+} = require('../auth-database');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { recordAuditEvent } = require('../audit-database');
+
+router.use(requireAuth);
+
+/**
+ * GET /api/admin/sessions
+ * Your own unexpired sessions, newest first
+ * Each session is identified by a hash of its ID; the real ID stays in the cookie
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.session.userId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: hashSessionId(session.sid),
+        current: session.sid === req.sessionID,
+        created_at: session.created_at,
+        last_activity: session.last_activity,
+        ip_address: session.ip_address,
+        user_agent: session.user_agent,
+        expires_at: session.expires_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: "Session records temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/sessions
+ * Sign out every admin except you (owner)
+ */
+router.delete('/', requireOwner, async (req, res) => {
+  try {
+    const sessionsEnded = await destroyAllSessions({ exceptSid: req.sessionID });
+
+    await recordAuditEvent(req, 'auth.sessions_revoke_all', {
+      metadata: { sessions_ended: sessionsEnded }
+    });
+
+    res.json({
+      success: true,
+      message: `Signed out ${sessionsEnded} session${sessionsEnded === 1 ? '' : 's'}. Everyone else will need to log in again.`,
+      sessions_ended: sessionsEnded
+    });
+  } catch (error) {
+    console.error('Error ending all sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error signing everyone out. Please try again."
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/sessions/:sid
+ * End one of your own sessions, e.g. one left open on a shared machine
+ * :sid is the id from GET /api/admin/sessions
+ */
+router.delete('/:sid', async (req, res) => {
+  try {
+    const { sid } = req.params;
+
+    if (sid === hashSessionId(req.sessionID)) {
+      return res.status(400).json({
+        success: false,
+        error: "That is this session. Use Logout to end it."
+      });
+    }
+
+    if (!(await destroyUserSession(req.session.userId, sid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found. It may have already ended."
+      });
+    }
+
+    await recordAuditEvent(req, 'auth.session_revoke', {
+      targetType: 'admin_user',
+      targetId: req.session.userId,
+      metadata: { session: sid }
+    });
+
+    res.json({
+      success: true,
+      message: "Session ended."
+    });
+  } catch (error) {
+    console.error('Error ending session:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error ending the session. Please try again."
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+/**
+ * Settings Routes
+ * Owners read and change app-wide security and moderation settings
+ */
+
+const express = require('express');
+const router = express.Router();
+const { normalizeSettingsInput, getSettings, updateSettings } = require('../settings-database');
+const { destroySessionsWithoutTwoFactor } = require('../auth-database');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { recordAuditEvent } = require('../audit-database');
+
+router.use(requireAuth, requireOwner);
+
+/**
+ * GET /api/admin/settings
+ * Current settings, with defaults for any never changed
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: await getSettings()
+    });
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({
+      success: false,
+      error: "Settings temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/settings
+ * Change one or more settings
+ * Body: { require_two_factor?, hold_all_comments?, moderation_blocklist? }
+ * Turning on require_two_factor signs out every admin without 2FA, so they enroll at their next login
+ */
+router.patch('/', async (req, res) => {
+  try {
+    const { errors, values } = normalizeSettingsInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    // Otherwise the owner would be signed out by their own change (SSO owners aren't affected)
+    if (values.require_two_factor && !req.adminUser.two_factor_enabled && !req.adminUser.sso) {
+      return res.status(400).json({
+        success: false,
+        error: "Set up two-factor authentication on your own account before requiring it for everyone."
+      });
+    }
+
+    const { before, after } = await updateSettings(values, req.session.userId);
+    const sessionsEnded = after.require_two_factor && !before.require_two_factor
+      ? await destroySessionsWithoutTwoFactor()
+      : null;
+
+    await recordAuditEvent(req, 'settings.update', {
+      targetType: 'settings',
+      before,
+      after,
+      metadata: sessionsEnded !== null ? { sessions_ended: sessionsEnded } : undefined
+    });
+
+    res.json({
+      success: true,
+      message: "Settings updated.",
+      settings: after
+    });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error updating settings. Please try again."
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+/**
+ * Survey Campaign Routes
+ * Admin CRUD for named surveys, each published at its own link (/#/s/:slug)
+ * Every admin can list surveys; only owners can change them
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  normalizeSurveyInput,
+  getSurveyStatus,
+  getSurveys,
+  getSurveyById,
+  getSurveyBySlug,
+  createSurvey,
+  updateSurvey,
+  getSurveyUsageCount,
+  deleteSurvey
+} = require('../surveys-database');
+const { getCategories } = require('../categories-database');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { recordAuditEvent } = require('../audit-database');
+
+router.use(requireAuth);
+
+/**
+ * Parse a survey ID route parameter
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseSurveyId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) || id <= 0 || String(id) !== String(value) ? null : id;
+}
+
+/**
+ * Load the survey named in the route, or answer 400/404
+ * @returns {Object|null} The survey, or null when a response was already sent
+ */
+async function findRouteSurvey(req, res) {
+  const id = parseSurveyId(req.params.id);
+  if (!id) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid survey ID."
+    });
+    return null;
+  }
+
+  const survey = await getSurveyById(id);
+  if (!survey) {
+    res.status(404).json({
+      success: false,
+      error: "Survey not found."
+    });
+    return null;
+  }
+  return survey;
+}
+
+/**
+ * IDs of every category a survey may offer (retired ones included)
+ * @returns {string[]}
+ */
+async function getCategoryIds() {
+  const categories = await getCategories({ includeInactive: true });
+  return categories.map(category => category.id);
+}
+
+/**
+ * GET /api/admin/surveys
+ * List all surveys, including inactive ones, with their status and rating counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const surveys = await getSurveys({ includeInactive: true });
+    const now = new Date();
+
+    res.json({
+      success: true,
+      surveys: surveys.map(survey => ({ ...survey, status: getSurveyStatus(survey, now) }))
+    });
+  } catch (error) {
+    console.error('Error fetching surveys:', error);
+    res.status(500).json({
+      success: false,
+      error: "Survey records temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/surveys
+ * Add a survey
+ * Body: { title, slug?, intro?, category_ids?, opens_at?, closes_at? } - the slug defaults to
+ * one derived from the title; no category_ids offers every active category
+ */
+router.post('/', requireOwner, async (req, res) => {
+  try {
+    const { errors, values } = normalizeSurveyInput(req.body, { categoryIds: await getCategoryIds() });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    if (await getSurveyBySlug(values.slug)) {
+      return res.status(409).json({
+        success: false,
+        error: `A survey with the link name "${values.slug}" already exists.`
+      });
+    }
+
+    const survey = await createSurvey(values);
+
+    await recordAuditEvent(req, 'survey.create', { targetType: 'survey', targetId: survey.id, after: survey });
+
+    res.status(201).json({
+      success: true,
+      message: "New survey ready to collect feedback.",
+      survey: { ...survey, status: getSurveyStatus(survey) }
+    });
+  } catch (error) {
+    console.error('Error creating survey:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error saving survey. Please try again."
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/surveys/:id
+ * Update a survey's title, link name, introduction, categories, schedule or active flag
+ */
+router.patch('/:id', requireOwner, async (req, res) => {
+  try {
+    const existing = await findRouteSurvey(req, res);
+    if (!existing) return;
+
+    const { errors, values } = normalizeSurveyInput(req.body, {
+      partial: true,
+      existing,
+      categoryIds: await getCategoryIds()
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    if (values.slug && values.slug !== existing.slug) {
+      const taken = await getSurveyBySlug(values.slug);
+      if (taken) {
+        return res.status(409).json({
+          success: false,
+          error: `A survey with the link name "${values.slug}" already exists.`
+        });
+      }
+    }
+
+    const survey = await updateSurvey(existing.id, values);
+
+    await recordAuditEvent(req, 'survey.update', {
+      targetType: 'survey',
+      targetId: survey.id,
+      before: existing,
+      after: survey
+    });
+
+    res.json({
+      success: true,
+      message: "Survey updated.",
+      survey: { ...survey, status: getSurveyStatus(survey) }
+    });
+  } catch (error) {
+    console.error('Error updating survey:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error updating survey. Please try again."
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/surveys/:id
+ * Permanently delete a survey nobody has responded to
+ * Surveys with ratings must be deactivated (or closed) instead so their results are kept
+ */
+router.delete('/:id', requireOwner, async (req, res) => {
+  try {
+    const existing = await findRouteSurvey(req, res);
+    if (!existing) return;
+
+    const usageCount = await getSurveyUsageCount(existing.id);
+    if (usageCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `This survey has ${usageCount} rating(s). Deactivate it instead so its results are preserved.`
+      });
+    }
+
+    await deleteSurvey(existing.id);
+
+    await recordAuditEvent(req, 'survey.delete', { targetType: 'survey', targetId: existing.id, before: existing });
+
+    res.json({
+      success: true,
+      message: "Survey has been removed."
+    });
+  } catch (error) {
+    console.error('Error deleting survey:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error removing survey. Please try again."
+    });
+  }
+});
+
+module.exports = router;
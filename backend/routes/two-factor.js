@@ -0,0 +1,290 @@
+/**
+ * Two-Factor Authentication Routes
+ * Lets each admin enroll an authenticator app, manage recovery codes, and turn 2FA off
+ */
+
+const express = require('express');
+const router = express.Router();
+const QRCode = require('qrcode');
+const {
+  findAdminById,
+  verifyAdminPassword,
+  getTwoFactorState,
+  enableTwoFactor,
+  disableTwoFactor,
+  replaceRecoveryCodes,
+  destroyUserSessions
+} = require('../auth-database');
+const { requireSession, passwordRateLimiter } = require('../middleware/auth');
+const { recordAuditEvent } = require('../audit-database');
+const { getSetting } = require('../settings-database');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../two-factor');
+
+// Enrollment has to work while owners are making it mandatory
+router.use(requireSession);
+
+/**
+ * Load the signed-in admin, ending the session if they no longer exist
+ * @returns {Object|null} Admin row, or null after responding with 401
+ */
+async function loadCurrentAdmin(req, res) {
+  const user = await findAdminById(req.session.userId);
+  if (!user) {
+    req.session.destroy(() => {});
+    res.clearCookie('baymax.sid');
+    res.status(401).json({
+      success: false,
+      error: "Session invalid. Please log in again."
+    });
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Check the password sent to confirm a sensitive change
+ * @returns {boolean} True if correct; otherwise responds with 400
+ */
+async function confirmPassword(req, res, user, action) {
+  const password = req.body?.password;
+  if (password && await verifyAdminPassword(user.id, password)) {
+    return true;
+  }
+  await recordAuditEvent(req, 'auth.two_factor_change_failed', {
+    targetType: 'admin_user',
+    targetId: user.id,
+    metadata: { action, reason: 'invalid_password' }
+  });
+  res.status(400).json({
+    success: false,
+    error: "Your password is incorrect."
+  });
+  return false;
+}
+
+/**
+ * GET /api/admin/2fa
+ * Two-factor status for the signed-in admin
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [state, required] = await Promise.all([
+      getTwoFactorState(req.session.userId),
+      getSetting('require_two_factor')
+    ]);
+    if (!state) {
+      return res.status(401).json({
+        success: false,
+        error: "Session invalid. Please log in again."
+      });
+    }
+
+    // Owners may have stopped requiring 2FA since this session was told to enroll
+    if (!required && req.session.mustEnrollTwoFactor) {
+      req.session.mustEnrollTwoFactor = false;
+    }
+
+    res.json({
+      success: true,
+      two_factor: {
+        enabled: Boolean(state.totp_enabled_at),
+        enabled_at: state.totp_enabled_at,
+        recovery_codes_remaining: state.totp_enabled_at ? state.recovery_codes_remaining : 0,
+        required
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({
+      success: false,
+      error: "Security settings temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/2fa/setup
+ * Start enrollment: a new secret with its provisioning URI and QR code
+ * The secret is held in the session until POST /enable confirms a code from it
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await loadCurrentAdmin(req, res);
+    if (!user) return;
+
+    if (user.sso) {
+      return res.status(400).json({
+        success: false,
+        error: "You sign in with single sign-on, so two-factor authentication is handled by your identity provider."
+      });
+    }
+    if (user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: "Two-factor authentication is already on. Turn it off first to enroll a new device."
+      });
+    }
+
+    const secret = generateTotpSecret();
+    const otpauthUrl = buildOtpAuthUrl(secret, user.username);
+    req.session.pendingTotpSecret = secret;
+
+    res.json({
+      success: true,
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 200 })
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error starting two-factor setup. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/2fa/enable
+ * Finish enrollment with a code from the app; returns recovery codes, shown only this once
+ * Body: { code }
+ * Other sessions, which were signed in without the second factor, are signed out
+ */
+router.post('/enable', passwordRateLimiter, async (req, res) => {
+  try {
+    const user = await loadCurrentAdmin(req, res);
+    if (!user) return;
+
+    const secret = req.session.pendingTotpSecret;
+    if (!secret) {
+      return res.status(400).json({
+        success: false,
+        error: "Please start two-factor setup first."
+      });
+    }
+
+    const step = verifyTotp(secret, req.body?.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: "That code didn't match. Check that your device's clock is correct and try again."
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    if (!(await enableTwoFactor(user.id, secret, step, recoveryCodes.map(hashRecoveryCode)))) {
+      delete req.session.pendingTotpSecret;
+      return res.status(409).json({
+        success: false,
+        error: "Two-factor authentication is already on."
+      });
+    }
+
+    delete req.session.pendingTotpSecret;
+    req.session.mustEnrollTwoFactor = false;
+    const sessionsEnded = await destroyUserSessions(user.id, { exceptSid: req.sessionID });
+
+    await recordAuditEvent(req, 'auth.two_factor_enable', {
+      targetType: 'admin_user',
+      targetId: user.id,
+      metadata: { sessions_ended: sessionsEnded }
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication is on. Store your recovery codes somewhere safe.",
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error enabling two-factor authentication. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/2fa/recovery-codes
+ * Replace all recovery codes; the new ones are shown only in this response
+ * Body: { password }
+ */
+router.post('/recovery-codes', passwordRateLimiter, async (req, res) => {
+  try {
+    const user = await loadCurrentAdmin(req, res);
+    if (!user) return;
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is not on."
+      });
+    }
+    if (!(await confirmPassword(req, res, user, 'regenerate_recovery_codes'))) return;
+
+    const recoveryCodes = generateRecoveryCodes();
+    await replaceRecoveryCodes(user.id, recoveryCodes.map(hashRecoveryCode));
+
+    await recordAuditEvent(req, 'auth.two_factor_recovery_codes', { targetType: 'admin_user', targetId: user.id });
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated. The old ones no longer work.",
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error generating recovery codes. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/2fa/disable
+ * Turn off two-factor authentication for yourself
+ * Body: { password }
+ */
+router.post('/disable', passwordRateLimiter, async (req, res) => {
+  try {
+    const user = await loadCurrentAdmin(req, res);
+    if (!user) return;
+
+    if (await getSetting('require_two_factor')) {
+      return res.status(400).json({
+        success: false,
+        error: "Owners require two-factor authentication for every admin, so it can't be turned off."
+      });
+    }
+    if (!(await confirmPassword(req, res, user, 'disable'))) return;
+
+    if (!(await disableTwoFactor(user.id))) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is not on."
+      });
+    }
+
+    await recordAuditEvent(req, 'auth.two_factor_disable', { targetType: 'admin_user', targetId: user.id });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication is off."
+    });
+  } catch (error) {
+    console.error('Error disabling two-factor:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error disabling two-factor authentication. Please try again."
+    });
+  }
+});
+
+module.exports = router;
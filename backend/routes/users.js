@@ -0,0 +1,360 @@
+/**
+ * Admin User Management Routes
+ * Owners list, invite, rename, re-role, disable and delete admin accounts,
+ * issue one-time password reset links, and reset lost two-factor devices
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const {
+  normalizeAdminUserInput,
+  createAdminUser,
+  usernameExists,
+  listAdminUsers,
+  updateAdminUser,
+  deleteAdminUser,
+  destroyUserSessions,
+  findAdminById,
+  createPasswordResetToken,
+  disableTwoFactor
+} = require('../auth-database');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { recordAuditEvent } = require('../audit-database');
+
+router.use(requireAuth, requireOwner);
+
+// PostgreSQL unique_violation, raised when two requests claim the same username at once
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Generate a temporary password for an invited admin
+ * @returns {string}
+ */
+function generateTemporaryPassword() {
+  return crypto.randomBytes(15).toString('base64url');
+}
+
+/**
+ * Parse a user ID route parameter
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseUserId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) || id <= 0 || String(id) !== String(value) ? null : id;
+}
+
+/**
+ * GET /api/admin/users
+ * List every admin account
+ */
+router.get('/', async (req, res) => {
+  try {
+    const users = await listAdminUsers();
+
+    res.json({
+      success: true,
+      users
+    });
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({
+      success: false,
+      error: "Care team records temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users
+ * Invite a new admin with a temporary password, returned only in this response
+ * The invitee must choose their own password at first login
+ * Body: { username, display_name?, role? } - role defaults to viewer
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { errors, values } = normalizeAdminUserInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    if (await usernameExists(values.username)) {
+      return res.status(409).json({
+        success: false,
+        error: `An admin named "${values.username}" already exists.`
+      });
+    }
+
+    const temporaryPassword = generateTemporaryPassword();
+    const user = await createAdminUser(values.username, temporaryPassword, values.display_name, values.role, {
+      mustChangePassword: true
+    });
+
+    await recordAuditEvent(req, 'user.create', { targetType: 'admin_user', targetId: user.id, after: user });
+
+    res.status(201).json({
+      success: true,
+      message: "New care team member added. Share the temporary password with them securely; it will not be shown again.",
+      user: { ...user, active: true, last_login: null },
+      temporary_password: temporaryPassword
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        success: false,
+        error: "An admin with that username already exists."
+      });
+    }
+    console.error('Error creating admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error adding care team member. Please try again."
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:id
+ * Rename, change the role of, disable or re-enable an admin
+ * Disabling signs the admin out everywhere
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const id = parseUserId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid user ID."
+      });
+    }
+
+    const { errors, values } = normalizeAdminUserInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    if (id === req.session.userId && values.active === false) {
+      return res.status(400).json({
+        success: false,
+        error: "You cannot disable your own account."
+      });
+    }
+
+    const result = await updateAdminUser(id, values);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: "Admin user not found."
+      });
+    }
+
+    const { before, after } = result;
+    if (before.active && !after.active) {
+      await destroyUserSessions(id);
+    }
+
+    await recordAuditEvent(req, 'user.update', { targetType: 'admin_user', targetId: id, before, after });
+
+    res.json({
+      success: true,
+      message: "Care team member updated.",
+      user: after
+    });
+  } catch (error) {
+    if (error.code === 'LAST_ACTIVE_OWNER') {
+      return res.status(409).json({
+        success: false,
+        error: "This is the last active owner. Make another admin an owner first."
+      });
+    }
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        success: false,
+        error: "An admin with that username already exists."
+      });
+    }
+    console.error('Error updating admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error updating care team member. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/password-reset
+ * Issue a one-time reset token, returned only in this response
+ * Replaces any unused token for the same admin; the admin redeems it at POST /api/admin/password/reset
+ */
+router.post('/:id/password-reset', async (req, res) => {
+  try {
+    const id = parseUserId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid user ID."
+      });
+    }
+
+    const user = await findAdminById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "Admin user not found."
+      });
+    }
+    if (!user.active) {
+      return res.status(400).json({
+        success: false,
+        error: "Enable this account before resetting its password."
+      });
+    }
+    if (user.sso) {
+      return res.status(400).json({
+        success: false,
+        error: "This admin signs in with single sign-on and has no password here."
+      });
+    }
+
+    const { token, expires_at: expiresAt } = await createPasswordResetToken(id, req.session.userId);
+
+    await recordAuditEvent(req, 'user.password_reset_issued', {
+      targetType: 'admin_user',
+      targetId: id,
+      metadata: { expires_at: expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Reset link created. Share it with them securely; it works once and will not be shown again.",
+      token,
+      expires_at: expiresAt
+    });
+  } catch (error) {
+    console.error('Error creating password reset token:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error creating reset link. Please try again."
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/2fa
+ * Turn off two-factor authentication for an admin who lost their device and recovery codes
+ * Their sessions end; if owners require 2FA, they enroll again at their next login
+ */
+router.delete('/:id/2fa', async (req, res) => {
+  try {
+    const id = parseUserId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid user ID."
+      });
+    }
+
+    if (id === req.session.userId) {
+      return res.status(400).json({
+        success: false,
+        error: "Manage your own two-factor authentication from the Security page."
+      });
+    }
+
+    const user = await findAdminById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "Admin user not found."
+      });
+    }
+
+    if (!(await disableTwoFactor(id))) {
+      return res.status(400).json({
+        success: false,
+        error: "This admin does not have two-factor authentication on."
+      });
+    }
+
+    const sessionsEnded = await destroyUserSessions(id);
+    await recordAuditEvent(req, 'user.two_factor_reset', {
+      targetType: 'admin_user',
+      targetId: id,
+      metadata: { sessions_ended: sessionsEnded }
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication has been reset for this care team member."
+    });
+  } catch (error) {
+    console.error('Error resetting two-factor:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error resetting two-factor authentication. Please try again."
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id
+ * Permanently remove an admin and end their sessions
+ * Their replies and audit history are kept
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseUserId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid user ID."
+      });
+    }
+
+    if (id === req.session.userId) {
+      return res.status(400).json({
+        success: false,
+        error: "You cannot delete your own account."
+      });
+    }
+
+    const user = await deleteAdminUser(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "Admin user not found."
+      });
+    }
+
+    await destroyUserSessions(id);
+    await recordAuditEvent(req, 'user.delete', { targetType: 'admin_user', targetId: id, before: user });
+
+    res.json({
+      success: true,
+      message: "Care team member has been removed."
+    });
+  } catch (error) {
+    if (error.code === 'LAST_ACTIVE_OWNER') {
+      return res.status(409).json({
+        success: false,
+        error: "This is the last active owner. Make another admin an owner first."
+      });
+    }
+    console.error('Error deleting admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error removing care team member. Please try again."
+    });
+  }
+});
+
+module.exports = router;
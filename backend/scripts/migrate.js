@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Schema Migration CLI
+ *
+ * Usage:
+ *   npm run migrate up [-- --to <version>]      Apply pending migrations
+ *   npm run migrate down [-- --steps <n>]       Revert the newest migration(s) (default 1)
+ *   npm run migrate down -- --to <version>      Revert everything above a version
+ *   npm run migrate status                      List applied and pending migrations
+ */
+require('dotenv').config();
+const { closePool } = require('../database');
+const { migrateUp, migrateDown, getMigrationStatus, migrationLabel } = require('../migrator');
+
+/**
+ * Read a numeric --flag value from argv
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {number|undefined}
+ */
+function readNumberFlag(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) return undefined;
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${flag} needs a whole number`);
+  }
+  return value;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const log = (message) => console.log(`  ${message}`);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp({ to: readNumberFlag(args, '--to'), log });
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s).`
+        : 'Database schema is already up to date.');
+      break;
+    }
+
+    case 'down': {
+      const to = readNumberFlag(args, '--to');
+      const steps = readNumberFlag(args, '--steps');
+      const reverted = await migrateDown({ to, steps: steps ?? 1, log });
+      console.log(reverted.length > 0
+        ? `Reverted ${reverted.length} migration(s).`
+        : 'Nothing to revert.');
+      break;
+    }
+
+    case 'status': {
+      const status = await getMigrationStatus();
+      status.forEach(m => {
+        const state = m.missing
+          ? 'applied (file missing)'
+          : m.applied_at ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+        console.log(`  ${migrationLabel(m)}  ${state}`);
+      });
+      const pending = status.filter(m => !m.applied_at && !m.missing).length;
+      console.log(pending > 0 ? `${pending} pending migration(s).` : 'Database schema is up to date.');
+      break;
+    }
+
+    default:
+      console.error('Usage: npm run migrate <up|down|status> [-- --to <version> | --steps <n>]');
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closePool());
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Mock OpenID Connect Issuer
+ * A tiny identity provider for trying single sign-on locally and for tests. Never use it in production:
+ * it signs in anyone as whoever they type
+ *
+ * Usage: node scripts/mock-oidc-issuer.js
+ *   Then start the backend with:
+ *   OIDC_ISSUER=http://localhost:9400 OIDC_CLIENT_ID=baymax-local OIDC_CLIENT_SECRET=local-secret \
+ *   OIDC_ALLOWED_DOMAINS=example.com OIDC_ROLE_MAP=it-leads:owner,helpdesk:moderator
+ *
+ * Environment: MOCK_OIDC_PORT (9400), MOCK_OIDC_CLIENT_ID (baymax-local), MOCK_OIDC_CLIENT_SECRET (local-secret)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+// Codes expire quickly, like a real provider's
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Build the issuer's Express app
+ * @param {Object} options
+ * @param {string} options.issuer - Public base URL, e.g. http://localhost:9400
+ * @param {string} options.clientId
+ * @param {string|null} [options.clientSecret] - Null for a public client (PKCE only)
+ * @returns {express.Application}
+ */
+function createMockIssuer({ issuer, clientId, clientSecret = null }) {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const signJwt = (payload) => {
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(payload)}`;
+    const signature = crypto.sign('sha256', Buffer.from(signingInput), privateKey).toString('base64url');
+    return `${signingInput}.${signature}`;
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  // Sign-in page: type any email and roles
+  app.get('/authorize', (req, res) => {
+    if (req.query.client_id !== clientId || req.query.response_type !== 'code') {
+      return res.status(400).send('Unknown client or unsupported response_type');
+    }
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+      .join('');
+    res.send(`<!doctype html><title>Mock SSO</title>
+      <form action="/authorize/approve" method="get" style="font-family:sans-serif;max-width:20rem;margin:4rem auto;display:grid;gap:.5rem">
+        <h1>Mock SSO</h1>
+        ${hidden}
+        <label>Email <input name="email" value="hiro@example.com" required></label>
+        <label>Name <input name="name" value="Hiro Hamada"></label>
+        <label>Roles (comma-separated) <input name="roles" value="it-leads"></label>
+        <button>Sign in</button>
+        <button name="deny" value="1">Cancel</button>
+      </form>`);
+  });
+
+  app.get('/authorize/approve', (req, res) => {
+    const { redirect_uri: redirectUri, state } = req.query;
+    const back = new URL(redirectUri);
+    if (state) back.searchParams.set('state', state);
+
+    if (req.query.deny) {
+      back.searchParams.set('error', 'access_denied');
+      return res.redirect(back.toString());
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    const email = String(req.query.email || '').trim().toLowerCase();
+    codes.set(code, {
+      clientId: req.query.client_id,
+      redirectUri,
+      nonce: req.query.nonce,
+      codeChallenge: req.query.code_challenge,
+      expiresAt: Date.now() + CODE_TTL_MS,
+      claims: {
+        sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+        email,
+        email_verified: true,
+        name: req.query.name || email,
+        preferred_username: email.split('@')[0],
+        roles: String(req.query.roles || '').split(',').map(role => role.trim()).filter(Boolean)
+      }
+    });
+    back.searchParams.set('code', code);
+    res.redirect(back.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    let id = req.body.client_id;
+    let secret = req.body.client_secret;
+    const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+    if (basic) {
+      [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const fail = (error) => res.status(400).json({ error });
+
+    if (id !== clientId || (clientSecret && secret !== clientSecret)) return res.status(401).json({ error: 'invalid_client' });
+    if (req.body.grant_type !== 'authorization_code') return fail('unsupported_grant_type');
+    if (!grant || grant.expiresAt < Date.now() || grant.clientId !== id) return fail('invalid_grant');
+    if (req.body.redirect_uri !== grant.redirectUri) return fail('invalid_grant');
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) return fail('invalid_grant');
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, grant.claims);
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ID_TOKEN_TTL_SECONDS,
+      id_token: signJwt({
+        iss: issuer,
+        aud: clientId,
+        iat: now,
+        exp: now + ID_TOKEN_TTL_SECONDS,
+        nonce: grant.nonce,
+        ...grant.claims
+      })
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = /^Bearer (.+)$/.exec(req.get('authorization') || '')?.[1];
+    const claims = accessTokens.get(token);
+    if (!claims) return res.status(401).json({ error: 'invalid_token' });
+    res.json(claims);
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 9400;
+  const issuer = `http://localhost:${port}`;
+  const clientId = process.env.MOCK_OIDC_CLIENT_ID || 'baymax-local';
+  const clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET || 'local-secret';
+  const app = createMockIssuer({ issuer, clientId, clientSecret });
+  app.listen(port, () => {
+    console.log(`Mock OIDC issuer running at ${issuer} (never use in production)`);
+    console.log('Start the backend with:');
+    console.log(`  OIDC_ISSUER=${issuer}`);
+    console.log(`  OIDC_CLIENT_ID=${clientId}`);
+    console.log(`  OIDC_CLIENT_SECRET=${clientSecret}`);
+    console.log('  OIDC_ALLOWED_DOMAINS=example.com');
+    console.log('  OIDC_ROLE_MAP=it-leads:owner,helpdesk:moderator');
+  });
+}
+
+module.exports = { createMockIssuer };
@@ -11,9 +11,9 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { initializeDatabase, closePool } = require('../database');
+const { closePool } = require('../database');
+const { getPendingMigrations } = require('../migrator');
 const {
-  initializeAuthDatabase,
   createAdminUser,
   usernameExists,
   hasAdminUsers
@@ -43,7 +43,7 @@ function saveCredentialsSecurely(username, password) {
 # Username: ${username}
 # Password: ${password}
 #
-# Change this password after first login!
+# You will be asked to choose a new password at first login.
 `;
 
   // Write file with restricted permissions (owner read/write only)
@@ -56,9 +56,11 @@ async function seedAdmin() {
   console.log('================================\n');
 
   try {
-    // Initialize databases first
-    await initializeDatabase();
-    await initializeAuthDatabase();
+    // The admin tables come from migrations
+    if ((await getPendingMigrations()).length > 0) {
+      console.error('Database schema is out of date. Run "npm run migrate up" first.\n');
+      process.exit(1);
+    }
 
     // Check if user already exists
     if (await usernameExists(ADMIN_USERNAME)) {
@@ -67,14 +69,18 @@ async function seedAdmin() {
       return;
     }
 
-    // Create the admin user
-    const user = await createAdminUser(ADMIN_USERNAME, TEMP_PASSWORD, ADMIN_DISPLAY_NAME);
+    // Create the admin user (the bootstrap account can manage everyone else)
+    // A generated password has been written to disk, so it must be replaced at first login
+    const user = await createAdminUser(ADMIN_USERNAME, TEMP_PASSWORD, ADMIN_DISPLAY_NAME, 'owner', {
+      mustChangePassword: !PASSWORD_PROVIDED
+    });
 
     console.log('Admin user created successfully!\n');
     console.log('   User Details:');
     console.log('   ─────────────────────────────────');
     console.log(`   Username:     ${user.username}`);
     console.log(`   Display Name: ${user.display_name}`);
+    console.log(`   Role:         ${user.role}`);
     console.log(`   Created At:   ${user.created_at}`);
     console.log('   ─────────────────────────────────\n');
 
@@ -90,7 +96,9 @@ async function seedAdmin() {
       console.log('\n   Read the password from that file, then DELETE IT!');
       console.log('   Run: cat ' + credFile + ' && rm ' + credFile);
     }
-    console.log('\n   Please change this password after first login!\n');
+    console.log(PASSWORD_PROVIDED
+      ? '\n   Please change this password after first login!\n'
+      : '\n   You will be asked to choose a new password at first login.\n');
 
     // Summary
     const totalAdmins = await hasAdminUsers();
@@ -13,24 +13,100 @@ const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
 const {
   pool,
-  initializeDatabase,
   insertRating,
+  importRatings,
   getRatingById,
   getRatings,
   getRatingsCount,
+  streamRatings,
+  searchRatings,
+  getSearchResultsCount,
   deleteRating,
+  restoreRating,
+  moderateRating,
+  getDeletedRatings,
+  getDeletedRatingsCount,
+  purgeDeletedRatings,
   getAverageStars,
   getCategoryStats,
   getStarDistribution,
   getRecentRatingsCount,
   getIssueTrackingStats,
+  getRatingsTimeseries,
   testConnection,
   closePool
 } = require('./database');
-const { initializeAuthDatabase, cleanupOldLoginAttempts } = require('./auth-database');
-const CATEGORIES = require('./categories');
+const { cleanupOldLoginAttempts } = require('./auth-database');
+const {
+  getCategories,
+  getCategoryById,
+  getCategoryMap,
+  DEFAULT_CATEGORY_EMOJI
+} = require('./categories-database');
+const {
+  getProviders,
+  getProviderById,
+  getProviderMap,
+  getProviderStats
+} = require('./providers-database');
+const {
+  getQuestions,
+  getAnswersForRatings,
+  getQuestionStats
+} = require('./questions-database');
+const {
+  getSurveyStatus,
+  getSurveyById,
+  getSurveyBySlug,
+  getSurveyMap
+} = require('./surveys-database');
+const { getInvitationConfig, verifyInvitationToken } = require('./invitations');
+const { getInvitationById } = require('./invitations-database');
+const { getSettings } = require('./settings-database');
+const { parseRatingFilters, decodeRatingCursor } = require('./rating-filters');
+const { toCsvRow } = require('./csv');
+const { validateRatingInput } = require('./rating-validation');
+const { withModeration, normalizeModerationInput } = require('./moderation');
+const { parseTimeseriesQuery, formatTimeseriesBucket } = require('./stats-timeseries');
+const {
+  normalizeResponseInput,
+  needsResponse,
+  formatPublicRating,
+  createRatingResponse,
+  getResponsesForRatings
+} = require('./responses-database');
+const {
+  computeScoreMetrics,
+  summarizeDistribution,
+  bayesianAverage,
+  resolutionRate,
+  BAYESIAN_PRIOR_WEIGHT
+} = require('./stats-metrics');
+const {
+  detectImportFormat,
+  parseImportPayload,
+  validateImportRows,
+  MAX_IMPORT_ROWS
+} = require('./rating-import');
 const authRoutes = require('./routes/auth');
-const { requireAuth } = require('./middleware/auth');
+const categoryRoutes = require('./routes/categories');
+const providerRoutes = require('./routes/providers');
+const questionRoutes = require('./routes/questions');
+const surveyRoutes = require('./routes/surveys');
+const invitationRoutes = require('./routes/invitations');
+const userRoutes = require('./routes/users');
+const twoFactorRoutes = require('./routes/two-factor');
+const settingsRoutes = require('./routes/settings');
+const sessionRoutes = require('./routes/sessions');
+const apiTokenRoutes = require('./routes/api-tokens');
+const { requireAuth, requireModerator, requireOwner, apiTokenScope, getBearerToken } = require('./middleware/auth');
+const {
+  recordAuditEvent,
+  parseAuditFilters,
+  getAuditEvents,
+  getAuditEventsCount
+} = require('./audit-database');
+const { getPendingMigrations, migrationLabel } = require('./migrator');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -69,8 +145,11 @@ if (TRUST_PROXY === 'true' || TRUST_PROXY === '1') {
 }
 
 // Validation constants
-const MAX_COMMENT_LENGTH = 500;
-const MAX_NAME_LENGTH = 100;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const MAX_IMPORT_BODY_SIZE = '5mb';
+
+// Days a deleted rating stays in the trash before it is purged for good
+const TRASH_RETENTION_DAYS = Math.max(parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30, 1);
 
 // ============== MIDDLEWARE ==============
 
@@ -126,8 +205,8 @@ app.use(cors({
       callback(new Error('CORS policy: Origin not allowed'));
     }
   },
-  methods: ['GET', 'POST', 'DELETE'],
-  allowedHeaders: ['Content-Type'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: true // Enable cookies for session auth
 }));
 
@@ -135,11 +214,10 @@ app.use(cors({
 app.use(express.json());
 
 // Session middleware with PostgreSQL store
-app.use(session({
+const sessionMiddleware = session({
   store: new pgSession({
     pool: pool,
-    tableName: 'session',
-    createTableIfMissing: true
+    tableName: 'session' // Created by migrations/003_create_session.js
   }),
   secret: SESSION_SECRET,
   name: 'baymax.sid',
@@ -151,7 +229,11 @@ app.use(session({
     maxAge: 24 * 60 * 60 * 1000, // 24 hours
     sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax' // 'none' for cross-origin cookies in production
   }
-}));
+});
+
+// API token requests authenticate on every call (see requireAuth), so they never get a stored session or cookie
+// Session-only routes outside requireAuth turn them away with rejectApiTokens
+app.use((req, res, next) => (getBearerToken(req) !== null ? next() : sessionMiddleware(req, res, next)));
 
 // Rate limiting - prevent spam submissions
 const ratingsLimiter = rateLimit({
@@ -218,6 +300,114 @@ function getBaymaxResponse(stars) {
   return messages[Math.floor(Math.random() * messages.length)];
 }
 
+/**
+ * Column layout for the ratings CSV export
+ * Follow-up answers are stored as 1/0/NULL; spreadsheets get yes/no/blank
+ */
+const YES_NO = { 1: 'yes', 0: 'no' };
+const RATING_EXPORT_COLUMNS = [
+  ['id', rating => rating.id],
+  ['created_at', rating => rating.created_at],
+  ['stars', rating => rating.stars],
+  ['category_id', rating => rating.category],
+  ['category_name', rating => rating.category_name],
+  ['provider_id', rating => rating.provider_id],
+  ['provider_name', rating => rating.provider_name],
+  ['survey_id', rating => rating.survey_id],
+  ['survey_title', rating => rating.survey_title],
+  ['ticket_ref', rating => rating.ticket_ref],
+  ['reviewer_name', rating => rating.reviewer_name],
+  ['comment', rating => rating.comment],
+  ['resolves_issue', rating => YES_NO[rating.resolves_issue]],
+  ['issue_recurrence', rating => YES_NO[rating.issue_recurrence]],
+  ['previous_issue_details', rating => rating.previous_issue_details],
+  ['moderation_status', rating => rating.moderation_status]
+];
+
+/**
+ * Wait until a response can take more data, or the client has gone away
+ * @param {import('http').ServerResponse} res
+ * @returns {Promise<void>}
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Attach display info for a rating's category
+ * Inactive categories still resolve so historical ratings keep their name and emoji
+ * @param {Object} rating - Rating (or stats row) with a category ID
+ * @param {Object} categoryMap - Map from getCategoryMap()
+ * @returns {Object} Rating with category_name and category_emoji
+ */
+function withCategoryInfo(rating, categoryMap) {
+  const categoryInfo = categoryMap[rating.category] || {};
+  return {
+    ...rating,
+    category_name: categoryInfo.name || rating.category,
+    category_emoji: categoryInfo.emoji || DEFAULT_CATEGORY_EMOJI
+  };
+}
+
+/**
+ * Attach the name of the technician a rating credits, if any
+ * Inactive technicians still resolve so historical ratings keep their name
+ * @param {Object} rating - Rating with a provider_id
+ * @param {Object} providerMap - Map from getProviderMap()
+ * @returns {Object} Rating with provider_name (null when no technician is credited)
+ */
+function withProviderInfo(rating, providerMap) {
+  return {
+    ...rating,
+    provider_name: rating.provider_id ? providerMap[rating.provider_id]?.name || null : null
+  };
+}
+
+/**
+ * Attach the title of the survey a rating was submitted through, if any
+ * @param {Object} rating - Rating with a survey_id
+ * @param {Object} surveyMap - Map from getSurveyMap()
+ * @returns {Object} Rating with survey_title (null for the main form)
+ */
+function withSurveyInfo(rating, surveyMap) {
+  return {
+    ...rating,
+    survey_title: rating.survey_id ? surveyMap[rating.survey_id]?.title || null : null
+  };
+}
+
+/**
+ * Attach survey answers, with their question text, to ratings for admin views
+ * @param {Array} ratings - Rating rows
+ * @returns {Array} Ratings with answers (empty when none were given)
+ */
+async function withSurveyAnswers(ratings) {
+  const answers = await getAnswersForRatings(ratings.map(rating => rating.id));
+  return ratings.map(rating => ({ ...rating, answers: answers.get(rating.id) || [] }));
+}
+
+/**
+ * Attach every reply (internal notes included) to ratings for admin views
+ * and flag low ratings still waiting for one
+ * @param {Array} ratings - Rating rows
+ * @returns {Array} Ratings with responses and needs_response
+ */
+async function withAdminResponses(ratings) {
+  const responses = await getResponsesForRatings(ratings.map(rating => rating.id), { includeInternal: true });
+  return ratings.map(rating => {
+    const thread = responses.get(rating.id) || [];
+    return { ...rating, responses: thread, needs_response: needsResponse(rating, thread) };
+  });
+}
+
 // ============== AUTH ROUTES ==============
 
 // Mount authentication routes
@@ -227,118 +417,268 @@ app.use('/api/admin', authRoutes);
 
 /**
  * GET /api/categories
- * Returns all care categories
+ * Returns the active care categories
  */
-app.get('/api/categories', (req, res) => {
-  res.json({
-    success: true,
-    categories: Object.values(CATEGORIES)
-  });
+app.get('/api/categories', async (req, res) => {
+  try {
+    const categories = await getCategories();
+
+    res.json({
+      success: true,
+      categories: categories.map(({ id, name, emoji, description }) => ({ id, name, emoji, description }))
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      error: "I cannot access my care categories right now. Please try again."
+    });
+  }
 });
 
 /**
- * POST /api/ratings
- * Submit a new care rating
+ * GET /api/questions
+ * Get the active survey questions for the public form, with the branching rules
+ * that decide when each one is shown or required
  */
-app.post('/api/ratings', ratingsLimiter, async (req, res) => {
+app.get('/api/questions', async (req, res) => {
   try {
-    let { stars, category, comment, reviewer_name, resolves_issue, issue_recurrence, previous_issue_details } = req.body;
+    const questions = await getQuestions();
 
-    // Validate stars
-    if (!stars || stars < 1 || stars > 5 || !Number.isInteger(stars)) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      questions: questions.map(({ id, prompt, type, options, required, show_if, required_if }) => ({
+        id, prompt, type, options, required, show_if, required_if
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching survey questions:', error);
+    res.status(500).json({
+      success: false,
+      error: "I cannot access my survey questions right now. Please try again."
+    });
+  }
+});
+
+// What patients are told when a survey link can't take responses
+const SURVEY_UNAVAILABLE_MESSAGES = {
+  inactive: "I could not find that survey. Please check your link.",
+  scheduled: "This survey is not open yet. Please come back later.",
+  closed: "This survey has closed. Thank you for wanting to help me improve."
+};
+
+/**
+ * GET /api/surveys/:slug
+ * Returns a survey campaign and the categories it offers
+ * Closed and not-yet-open surveys are returned with their status so the form can explain;
+ * inactive ones are hidden
+ */
+app.get('/api/surveys/:slug', async (req, res) => {
+  try {
+    const survey = await getSurveyBySlug(String(req.params.slug).toLowerCase());
+    if (!survey || !survey.active) {
+      return res.status(404).json({
         success: false,
-        error: "On a scale of 1 to 5, please rate your satisfaction. I cannot process values outside this range."
+        error: SURVEY_UNAVAILABLE_MESSAGES.inactive
       });
     }
 
-    // Validate category
-    if (!category || !CATEGORIES[category]) {
-      return res.status(400).json({
+    const status = getSurveyStatus(survey);
+    const categories = (await getCategories())
+      .filter(category => survey.category_ids.length === 0 || survey.category_ids.includes(category.id));
+
+    res.json({
+      success: true,
+      survey: {
+        id: survey.id,
+        slug: survey.slug,
+        title: survey.title,
+        intro: survey.intro,
+        opens_at: survey.opens_at,
+        closes_at: survey.closes_at,
+        status,
+        message: SURVEY_UNAVAILABLE_MESSAGES[status] || null
+      },
+      categories: categories.map(({ id, name, emoji, description }) => ({ id, name, emoji, description }))
+    });
+  } catch (error) {
+    console.error('Error fetching survey:', error);
+    res.status(500).json({
+      success: false,
+      error: "I cannot access that survey right now. Please try again."
+    });
+  }
+});
+
+const INVITATION_UNAVAILABLE_MESSAGES = {
+  invalid: "I could not verify that invitation link. Please check that it was copied in full.",
+  expired: "This invitation link has expired. You are still welcome to leave feedback without it.",
+  used: "This invitation has already been answered. Thank you, I have your feedback on file."
+};
+
+/**
+ * Check an invitation token from a link or a submitted rating
+ * @param {string} token
+ * @returns {{error: string}|{invitation: Object}} error is a key of INVITATION_UNAVAILABLE_MESSAGES
+ */
+async function resolveInvitation(token) {
+  const { error, invitation } = verifyInvitationToken(token, getInvitationConfig().secret);
+  if (error) return { error };
+
+  // Revoked invitations no longer have a row
+  const stored = await getInvitationById(invitation.id);
+  if (!stored) return { error: 'invalid' };
+  if (stored.used_at) return { error: 'used' };
+  return { invitation };
+}
+
+/**
+ * GET /api/invitations/:token
+ * Returns what an invitation link pre-fills on the rating form: the ticket, and the technician
+ * and category when it names them
+ */
+app.get('/api/invitations/:token', async (req, res) => {
+  try {
+    const { error, invitation } = await resolveInvitation(req.params.token);
+    if (error) {
+      return res.status(error === 'invalid' ? 404 : 410).json({
         success: false,
-        error: "Please select a valid care category. This helps me improve my diagnostics."
+        error: INVITATION_UNAVAILABLE_MESSAGES[error]
       });
     }
 
-    // Server-side validation and sanitization for comment
-    if (comment) {
-      comment = String(comment).trim();
-      if (comment.length > MAX_COMMENT_LENGTH) {
-        return res.status(400).json({
-          success: false,
-          error: `Comment exceeds maximum length of ${MAX_COMMENT_LENGTH} characters.`
-        });
-      }
-      if (comment.length === 0) {
-        comment = null;
+    res.json({
+      success: true,
+      invitation: {
+        ticket_ref: invitation.ticket_ref,
+        provider_id: invitation.provider_id,
+        category: invitation.category,
+        expires_at: invitation.expires_at
       }
-    }
+    });
+  } catch (error) {
+    console.error('Error fetching invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: "I cannot check that invitation right now. Please try again."
+    });
+  }
+});
 
-    // Server-side validation and sanitization for reviewer_name
-    if (reviewer_name) {
-      reviewer_name = String(reviewer_name).trim();
-      if (reviewer_name.length > MAX_NAME_LENGTH) {
-        return res.status(400).json({
+/**
+ * GET /api/providers
+ * Returns the active technicians patients can credit
+ */
+app.get('/api/providers', async (req, res) => {
+  try {
+    const providers = await getProviders();
+
+    res.json({
+      success: true,
+      providers: providers.map(({ id, slug, name, title }) => ({ id, slug, name, title }))
+    });
+  } catch (error) {
+    console.error('Error fetching technicians:', error);
+    res.status(500).json({
+      success: false,
+      error: "I cannot access my care team roster right now. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/ratings
+ * Submit a new care rating
+ * provider_id optionally credits an active technician;
+ * survey_id names the survey campaign the rating came through (omitted on the main form);
+ * invitation is the token from an invitation link, accepted once; its technician and category
+ * are used when the body leaves them out;
+ * answers holds replies to the survey questions, keyed by question ID
+ */
+app.post('/api/ratings', ratingsLimiter, async (req, res) => {
+  try {
+    let invitation = null;
+    if (req.body?.invitation !== undefined && req.body?.invitation !== null && req.body?.invitation !== '') {
+      const resolved = await resolveInvitation(req.body.invitation);
+      if (resolved.error) {
+        return res.status(resolved.error === 'used' ? 409 : 400).json({
           success: false,
-          error: `Name exceeds maximum length of ${MAX_NAME_LENGTH} characters.`
+          error: INVITATION_UNAVAILABLE_MESSAGES[resolved.error]
         });
       }
-      if (reviewer_name.length === 0) {
-        reviewer_name = null;
-      }
+      invitation = resolved.invitation;
     }
 
-    // Normalize and validate optional boolean fields (convert to 0/1/null for database)
-    const normalizeBoolean = (value) => {
-      if (value === true || value === 'true' || value === 1) return 1;
-      if (value === false || value === 'false' || value === 0) return 0;
-      return null;
+    const input = {
+      ...req.body,
+      category: req.body?.category ?? invitation?.category ?? undefined,
+      provider_id: req.body?.provider_id ?? invitation?.provider_id ?? undefined
     };
-    const resolvesIssueValue = normalizeBoolean(resolves_issue);
-    const issueRecurrenceValue = normalizeBoolean(issue_recurrence);
-
-    // Validate and sanitize previous_issue_details
-    let previousIssueDetailsValue = null;
-    if (previous_issue_details) {
-      previousIssueDetailsValue = String(previous_issue_details).trim();
-      if (previousIssueDetailsValue.length > MAX_COMMENT_LENGTH) {
+    const category = input.category;
+    const providerId = parseInt(input.provider_id, 10);
+    const surveyRequested = req.body?.survey_id !== undefined && req.body?.survey_id !== null && req.body?.survey_id !== '';
+    const surveyId = parseInt(req.body?.survey_id, 10);
+    const [categoryInfo, providerInfo, questions, survey, settings] = await Promise.all([
+      category ? getCategoryById(String(category)) : null,
+      providerId > 0 ? getProviderById(providerId) : null,
+      getQuestions(),
+      surveyRequested && surveyId > 0 ? getSurveyById(surveyId) : null,
+      getSettings()
+    ]);
+
+    // Survey links only take responses while the survey is open
+    if (surveyRequested) {
+      const status = survey ? getSurveyStatus(survey) : 'inactive';
+      if (status !== 'open') {
         return res.status(400).json({
           success: false,
-          error: `Previous issue details exceeds maximum length of ${MAX_COMMENT_LENGTH} characters.`
+          error: SURVEY_UNAVAILABLE_MESSAGES[status]
         });
       }
-      if (previousIssueDetailsValue.length === 0) {
-        previousIssueDetailsValue = null;
-      }
     }
 
-    // If issue recurrence is true, previous_issue_details is required
-    if (issueRecurrenceValue === 1 && !previousIssueDetailsValue) {
+    const { errors, values } = validateRatingInput(
+      input,
+      categoryInfo ? { [categoryInfo.id]: categoryInfo } : {},
+      {
+        providerMap: providerInfo ? { [providerInfo.id]: providerInfo } : {},
+        // A technician named by an invitation can still be credited after leaving the team
+        allowInactiveProviders: Boolean(invitation?.provider_id && providerInfo?.id === invitation.provider_id),
+        questions,
+        survey,
+        invitation
+      }
+    );
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        error: "Please describe the previous occurrence of this issue so I can better diagnose the pattern."
+        error: errors[0],
+        errors
       });
     }
 
-    const newRating = await insertRating({
-      stars,
-      category,
-      comment: comment || null,
-      reviewer_name: reviewer_name || 'Anonymous Patient',
-      resolves_issue: resolvesIssueValue,
-      issue_recurrence: issueRecurrenceValue,
-      previous_issue_details: previousIssueDetailsValue
-    });
-
-    const categoryInfo = CATEGORIES[newRating.category] || {};
+    // Comments tripping an auto-flagging rule wait in the moderation queue
+    const newRating = await insertRating(withModeration(values, settings));
+    if (!newRating) {
+      // Another submission claimed the invitation (or it expired) after it was checked
+      return res.status(409).json({
+        success: false,
+        error: INVITATION_UNAVAILABLE_MESSAGES.used
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: getBaymaxResponse(stars),
+      message: getBaymaxResponse(values.stars),
       rating: {
-        ...newRating,
-        category_name: categoryInfo.name || newRating.category,
-        category_emoji: categoryInfo.emoji || "💊"
+        ...withSurveyInfo(
+          withProviderInfo(
+            withCategoryInfo(newRating, { [categoryInfo.id]: categoryInfo }),
+            providerInfo ? { [providerInfo.id]: providerInfo } : {}
+          ),
+          survey ? { [survey.id]: survey } : {}
+        ),
+        answers: values.answers
       }
     });
   } catch (error) {
@@ -350,6 +690,86 @@ app.post('/api/ratings', ratingsLimiter, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/ratings
+ * Public feedback log: approved ratings, newest first, with their public "Baymax responds" replies
+ * Pending and rejected comments never leave the dashboard
+ */
+app.get('/api/ratings', async (req, res) => {
+  try {
+    const parsedLimit = parseInt(req.query.limit, 10);
+    const limit = Math.min(Math.max(isNaN(parsedLimit) ? 10 : parsedLimit, 1), 50);
+    const parsedOffset = parseInt(req.query.offset, 10);
+    const offset = Math.max(isNaN(parsedOffset) ? 0 : parsedOffset, 0);
+    const filters = { moderation: ['approved'] };
+
+    const [page, total, categoryMap] = await Promise.all([
+      getRatings({ limit, offset, filters }),
+      getRatingsCount(filters),
+      getCategoryMap()
+    ]);
+    const replies = await getResponsesForRatings(page.ratings.map(rating => rating.id));
+
+    res.json({
+      success: true,
+      ratings: page.ratings.map(rating => formatPublicRating(withCategoryInfo(rating, categoryMap), replies.get(rating.id))),
+      total,
+      limit,
+      offset,
+      hasMore: page.hasMore
+    });
+  } catch (error) {
+    console.error('Error fetching public ratings:', error);
+    res.status(500).json({
+      success: false,
+      error: "Patient records temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * GET /api/stats
+ * Public care statistics for the home page: totals, star distribution and the busiest categories
+ * Like the admin stats, every rating counts whatever its moderation status; no comments are included
+ */
+app.get('/api/stats', async (req, res) => {
+  try {
+    const [totalRatings, avgStars, categoryStats, starDistribution, recentCount, categoryMap] = await Promise.all([
+      getRatingsCount(),
+      getAverageStars(),
+      getCategoryStats(),
+      getStarDistribution(),
+      getRecentRatingsCount(),
+      getCategoryMap()
+    ]);
+
+    res.json({
+      success: true,
+      stats: {
+        total_ratings: totalRatings,
+        average_stars: Math.round(avgStars * 100) / 100,
+        ratings_this_week: recentCount,
+        star_distribution: starDistribution.map(({ stars, count }) => ({ stars, count: parseInt(count, 10) })),
+        category_breakdown: categoryStats.map(stat => ({
+          ...withCategoryInfo({ category: stat.category }, categoryMap),
+          count: parseInt(stat.count, 10),
+          avg_stars: Math.round(parseFloat(stat.avg_stars) * 10) / 10
+        })),
+        fun_facts: {
+          features_built: parseInt(categoryStats.find(c => c.category === 'feature_building')?.count || 0, 10),
+          bugs_fixed: parseInt(categoryStats.find(c => c.category === 'bug_fixing')?.count || 0, 10)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching public stats:', error);
+    res.status(500).json({
+      success: false,
+      error: "Statistics module is recalibrating. Please try again."
+    });
+  }
+});
+
 /**
  * GET /api/health
  * Health check endpoint - also verifies database connectivity
@@ -377,39 +797,79 @@ app.get('/api/health', async (req, res) => {
 
 // ============== PROTECTED ADMIN API ROUTES ==============
 
+// Mount category, technician, survey question and survey campaign management routes
+app.use('/api/admin/categories', categoryRoutes);
+app.use('/api/admin/providers', providerRoutes);
+app.use('/api/admin/questions', questionRoutes);
+app.use('/api/admin/surveys', surveyRoutes);
+app.use('/api/admin/invitations', invitationRoutes);
+
+// Mount admin user management routes (owners only)
+app.use('/api/admin/users', userRoutes);
+
+// Mount two-factor enrollment, sessions and API tokens for the signed-in admin, and app-wide settings (owners only)
+app.use('/api/admin/2fa', twoFactorRoutes);
+app.use('/api/admin/settings', settingsRoutes);
+app.use('/api/admin/sessions', sessionRoutes);
+app.use('/api/admin/tokens', apiTokenRoutes);
+
 /**
  * GET /api/admin/ratings
- * Retrieve all ratings (admin only)
+ * Retrieve ratings (admin only)
+ *
+ * Filters: min_stars, max_stars, category, provider and survey (comma-separated), from, to,
+ * resolves_issue, issue_recurrence, has_comment, reviewer,
+ * needs_response (low ratings without a reply), moderation (pending, approved, rejected; comma-separated)
+ * Sorting: sort=created_at|stars, order=asc|desc
+ * Paging: pass the previous response's nextCursor as cursor (offset still works)
  */
-app.get('/api/admin/ratings', requireAuth, async (req, res) => {
+app.get('/api/admin/ratings', apiTokenScope('ratings:read'), requireAuth, async (req, res) => {
   try {
     const parsedLimit = parseInt(req.query.limit, 10);
     const limit = Math.min(Math.max(isNaN(parsedLimit) ? 20 : parsedLimit, 1), 100);
     const parsedOffset = parseInt(req.query.offset, 10);
     const offset = Math.max(isNaN(parsedOffset) ? 0 : parsedOffset, 0);
 
-    const [ratings, total] = await Promise.all([
-      getRatings(limit, offset),
-      getRatingsCount()
+    const { errors, filters, sort } = parseRatingFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    let cursor = null;
+    if (req.query.cursor !== undefined) {
+      cursor = decodeRatingCursor(req.query.cursor, sort);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid cursor. Start again from the first page."
+        });
+      }
+    }
+
+    const [page, total, categoryMap, providerMap, surveyMap] = await Promise.all([
+      getRatings({ limit, offset, cursor, filters, sort }),
+      getRatingsCount(filters),
+      getCategoryMap(),
+      getProviderMap(),
+      getSurveyMap()
     ]);
 
-    // Enrich with category info
-    const enrichedRatings = ratings.map(rating => {
-      const categoryInfo = CATEGORIES[rating.category] || {};
-      return {
-        ...rating,
-        category_name: categoryInfo.name || rating.category,
-        category_emoji: categoryInfo.emoji || "💊"
-      };
-    });
+    // Enrich with category, technician and survey info, survey answers and reply threads
+    const enrichedRatings = (await withAdminResponses(await withSurveyAnswers(page.ratings)))
+      .map(rating => withSurveyInfo(withProviderInfo(withCategoryInfo(rating, categoryMap), providerMap), surveyMap));
 
     res.json({
       success: true,
       ratings: enrichedRatings,
       total,
       limit,
-      offset,
-      hasMore: offset + ratings.length < total
+      offset: cursor ? null : offset,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
     });
   } catch (error) {
     console.error('Error fetching ratings:', error);
@@ -421,80 +881,567 @@ app.get('/api/admin/ratings', requireAuth, async (req, res) => {
 });
 
 /**
- * DELETE /api/admin/ratings/:id
- * Delete a rating (admin only)
+ * GET /api/admin/ratings/search
+ * Full-text search over comments and previous issue details (admin only)
+ * Accepts the same filters as GET /api/admin/ratings; results are ranked by relevance
  */
-app.delete('/api/admin/ratings/:id', requireAuth, async (req, res) => {
+app.get('/api/admin/ratings/search', apiTokenScope('ratings:read'), requireAuth, async (req, res) => {
   try {
-    const id = parseInt(req.params.id, 10);
-    if (isNaN(id) || id <= 0) {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
       return res.status(400).json({
         success: false,
-        error: "Invalid rating ID."
+        error: "Please tell me what to search for."
       });
     }
-
-    // Check if rating exists
-    const rating = await getRatingById(id);
-    if (!rating) {
-      return res.status(404).json({
+    if (q.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({
         success: false,
-        error: "Rating not found."
+        error: `Search query exceeds maximum length of ${MAX_SEARCH_QUERY_LENGTH} characters.`
       });
     }
 
-    // Delete the rating
-    await deleteRating(id);
+    const parsedLimit = parseInt(req.query.limit, 10);
+    const limit = Math.min(Math.max(isNaN(parsedLimit) ? 20 : parsedLimit, 1), 100);
+    const parsedOffset = parseInt(req.query.offset, 10);
+    const offset = Math.max(isNaN(parsedOffset) ? 0 : parsedOffset, 0);
+
+    const { errors, filters } = parseRatingFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
 
-    // Audit log: Record admin deletion
-    console.log(`[AUDIT] Admin "${req.session.username}" (ID: ${req.session.userId}) deleted rating ID ${id} at ${new Date().toISOString()}. Rating details: stars=${rating.stars}, category=${rating.category}, reviewer="${rating.reviewer_name}"`);
+    const [ratings, total, categoryMap, providerMap, surveyMap] = await Promise.all([
+      searchRatings(q, limit, offset, filters),
+      getSearchResultsCount(q, filters),
+      getCategoryMap(),
+      getProviderMap(),
+      getSurveyMap()
+    ]);
 
     res.json({
       success: true,
-      message: "Patient record has been removed from the database."
+      query: q,
+      ratings: (await withAdminResponses(await withSurveyAnswers(ratings)))
+        .map(rating => withSurveyInfo(withProviderInfo(withCategoryInfo(rating, categoryMap), providerMap), surveyMap)),
+      total,
+      limit,
+      offset,
+      hasMore: offset + ratings.length < total
     });
   } catch (error) {
-    console.error('Error deleting rating:', error);
+    console.error('Error searching ratings:', error);
     res.status(500).json({
       success: false,
-      error: "Error removing patient record. Please try again."
+      error: "My search scanners are recalibrating. Please try again."
     });
   }
 });
 
 /**
- * GET /api/admin/stats
- * Get care statistics (admin only)
+ * GET /api/admin/ratings/export.csv
+ * Download every rating matching the list filters as CSV (moderators and owners)
+ * Rows are streamed from a database cursor instead of being loaded at once
  */
-app.get('/api/admin/stats', requireAuth, async (req, res) => {
+app.get('/api/admin/ratings/export.csv', apiTokenScope('ratings:read'), requireAuth, requireModerator, async (req, res) => {
+  const { errors, filters, sort } = parseRatingFilters(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors[0],
+      errors
+    });
+  }
+
+  // Stop reading from the database if the download is abandoned
+  let aborted = false;
+  res.on('close', () => {
+    aborted = true;
+  });
+
   try {
-    const [
-      totalRatings,
-      avgStars,
-      categoryStats,
-      starDistribution,
-      recentCount,
-      issueTracking
-    ] = await Promise.all([
-      getRatingsCount(),
-      getAverageStars(),
-      getCategoryStats(),
-      getStarDistribution(),
-      getRecentRatingsCount(),
-      getIssueTrackingStats()
-    ]);
+    const [categoryMap, providerMap, surveyMap] = await Promise.all([getCategoryMap(), getProviderMap(), getSurveyMap()]);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="ratings-${date}.csv"`,
+      'Cache-Control': 'no-store'
+    });
+    // Byte order mark so Excel reads emoji and accents as UTF-8
+    res.write('\uFEFF' + toCsvRow(RATING_EXPORT_COLUMNS.map(([header]) => header)));
+
+    let exported = 0;
+    for await (const batch of streamRatings(filters, sort)) {
+      if (aborted) break;
+      const chunk = batch
+        .map(rating => withSurveyInfo(withProviderInfo(withCategoryInfo(rating, categoryMap), providerMap), surveyMap))
+        .map(rating => toCsvRow(RATING_EXPORT_COLUMNS.map(([, value]) => value(rating))))
+        .join('');
+      exported += batch.length;
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    }
+
+    if (aborted) return;
+    res.end();
+
+    await recordAuditEvent(req, 'rating.export', {
+      targetType: 'rating',
+      metadata: { exported, filters: req.query }
+    });
+  } catch (error) {
+    console.error('Error exporting ratings:', error);
+    if (res.headersSent) {
+      // Part of the file is already out; cut the download so it isn't mistaken for a complete export
+      res.destroy(error);
+    } else {
+      res.status(500).json({
+        success: false,
+        error: "Error exporting patient records. Please try again."
+      });
+    }
+  }
+});
+
+// Import bodies are raw CSV/NDJSON text; oversized uploads get a JSON error like every other route
+const importBodyParser = express.text({ type: () => true, limit: MAX_IMPORT_BODY_SIZE });
+const parseImportBody = (req, res, next) => {
+  importBodyParser(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        error: error.type === 'entity.too.large'
+          ? `Import file exceeds the maximum size of ${MAX_IMPORT_BODY_SIZE}. Split it into smaller files.`
+          : "I could not read that import file."
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * POST /api/admin/ratings/import
+ * Bulk import historical ratings from CSV or NDJSON (moderators and owners)
+ *
+ * Format: ?format=csv|ndjson, or a text/csv / application/x-ndjson Content-Type
+ * Every row is validated like POST /api/ratings; created_at is kept when provided.
+ * Nothing is saved unless every row is valid. Pass dry_run=true to validate only.
+ */
+app.post('/api/admin/ratings/import', apiTokenScope('ratings:write'), requireAuth, requireModerator, parseImportBody, async (req, res) => {
+  try {
+    const format = detectImportFormat(req.query.format, req.get('Content-Type'));
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: "Unsupported import format. Send CSV (text/csv) or NDJSON (application/x-ndjson)."
+      });
+    }
+
+    const dryRun = ['true', '1', 'yes'].includes(String(req.query.dry_run).toLowerCase());
+    const body = typeof req.body === 'string' ? req.body : '';
+
+    const { error, rows } = parseImportPayload(body, format);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "The import file contains no ratings."
+      });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `Imports are limited to ${MAX_IMPORT_ROWS} ratings at a time. Split the file and try again.`
+      });
+    }
+
+    const [categoryMap, providerMap, settings] = await Promise.all([getCategoryMap(), getProviderMap(), getSettings()]);
+    const { ratings, rowErrors } = validateImportRows(rows, categoryMap, new Date(), providerMap);
+
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${rowErrors.length} of ${rows.length} row(s) failed validation. Nothing was imported.`,
+        dry_run: dryRun,
+        total_rows: rows.length,
+        valid_rows: ratings.length,
+        row_errors: rowErrors
+      });
+    }
+
+    // Imported comments go through the same auto-flagging rules as new feedback
+    const imported = await importRatings(ratings.map(rating => withModeration(rating, settings)), { dryRun });
+
+    if (!dryRun) {
+      await recordAuditEvent(req, 'rating.import', {
+        targetType: 'rating',
+        metadata: { imported, format }
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run complete. All ${imported} rating(s) are valid and ready to import.`
+        : `${imported} historical rating(s) added to the Vault of Gratitude.`,
+      dry_run: dryRun,
+      total_rows: rows.length,
+      imported: dryRun ? 0 : imported
+    });
+  } catch (error) {
+    console.error('Error importing ratings:', error);
+    res.status(500).json({
+      success: false,
+      error: "My import processors malfunctioned. No ratings were saved. Please try again."
+    });
+  }
+});
+
+/**
+ * GET /api/admin/ratings/trash
+ * Retrieve deleted ratings awaiting purge (admin only)
+ * Accepts the same filters as GET /api/admin/ratings, such as survey; always newest deletion first
+ */
+app.get('/api/admin/ratings/trash', apiTokenScope('ratings:read'), requireAuth, async (req, res) => {
+  try {
+    const parsedLimit = parseInt(req.query.limit, 10);
+    const limit = Math.min(Math.max(isNaN(parsedLimit) ? 20 : parsedLimit, 1), 100);
+    const parsedOffset = parseInt(req.query.offset, 10);
+    const offset = Math.max(isNaN(parsedOffset) ? 0 : parsedOffset, 0);
+
+    const { errors, filters } = parseRatingFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const [ratings, total, categoryMap, providerMap, surveyMap] = await Promise.all([
+      getDeletedRatings(limit, offset, filters),
+      getDeletedRatingsCount(filters),
+      getCategoryMap(),
+      getProviderMap(),
+      getSurveyMap()
+    ]);
+
+    res.json({
+      success: true,
+      ratings: ratings.map(rating => withSurveyInfo(withProviderInfo(withCategoryInfo(rating, categoryMap), providerMap), surveyMap)),
+      total,
+      limit,
+      offset,
+      hasMore: offset + ratings.length < total,
+      retention_days: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error fetching trashed ratings:', error);
+    res.status(500).json({
+      success: false,
+      error: "Patient records temporarily unavailable. Please try again."
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/ratings/:id
+ * Move a rating to the trash (moderators and owners)
+ */
+app.delete('/api/admin/ratings/:id', apiTokenScope('ratings:write'), requireAuth, requireModerator, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid rating ID."
+      });
+    }
+
+    // Check if rating exists (trashed ratings count as already removed)
+    const rating = await getRatingById(id);
+    if (!rating || rating.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        error: "Rating not found."
+      });
+    }
+
+    // Move the rating to the trash
+    await deleteRating(id, req.session.userId);
+
+    await recordAuditEvent(req, 'rating.delete', { targetType: 'rating', targetId: id, before: rating });
+
+    res.json({
+      success: true,
+      message: `Patient record moved to the trash. It will be purged in ${TRASH_RETENTION_DAYS} days.`,
+      id,
+      retention_days: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error deleting rating:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error removing patient record. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/ratings/:id/restore
+ * Restore a rating from the trash (moderators and owners)
+ */
+app.post('/api/admin/ratings/:id/restore', apiTokenScope('ratings:write'), requireAuth, requireModerator, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid rating ID."
+      });
+    }
+
+    const [rating, categoryMap, providerMap] = await Promise.all([
+      restoreRating(id),
+      getCategoryMap(),
+      getProviderMap()
+    ]);
+    if (!rating) {
+      return res.status(404).json({
+        success: false,
+        error: "Rating not found in the trash."
+      });
+    }
+
+    await recordAuditEvent(req, 'rating.restore', { targetType: 'rating', targetId: id, after: rating });
+
+    res.json({
+      success: true,
+      message: "Patient record has been restored.",
+      rating: withProviderInfo(withCategoryInfo(rating, categoryMap), providerMap)
+    });
+  } catch (error) {
+    console.error('Error restoring rating:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error restoring patient record. Please try again."
+    });
+  }
+});
+
+// Confirmation for each moderation decision
+const MODERATION_MESSAGES = {
+  approved: "Comment approved.",
+  rejected: "Comment rejected.",
+  pending: "Comment returned to the moderation queue."
+};
+
+/**
+ * POST /api/admin/ratings/:id/moderate
+ * Approve or reject a rating's comment, or send it back to the queue (moderators and owners)
+ * Body: { status: 'approved' | 'rejected' | 'pending' }
+ */
+app.post('/api/admin/ratings/:id/moderate', apiTokenScope('ratings:write'), requireAuth, requireModerator, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid rating ID."
+      });
+    }
+
+    const { errors, values } = normalizeModerationInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const before = await getRatingById(id);
+    if (!before || before.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        error: "Rating not found."
+      });
+    }
+
+    const [rating, categoryMap, providerMap] = await Promise.all([
+      moderateRating(id, values.status, req.session.userId),
+      getCategoryMap(),
+      getProviderMap()
+    ]);
+    if (!rating) {
+      return res.status(404).json({
+        success: false,
+        error: "Rating not found."
+      });
+    }
+
+    await recordAuditEvent(req, 'rating.moderate', {
+      targetType: 'rating',
+      targetId: id,
+      before: { moderation_status: before.moderation_status },
+      after: { moderation_status: rating.moderation_status },
+      metadata: rating.moderation_flags.length > 0 ? { flags: rating.moderation_flags } : undefined
+    });
+
+    res.json({
+      success: true,
+      message: MODERATION_MESSAGES[rating.moderation_status],
+      rating: withProviderInfo(withCategoryInfo(rating, categoryMap), providerMap)
+    });
+  } catch (error) {
+    console.error('Error moderating rating:', error);
+    res.status(500).json({
+      success: false,
+      error: "Error recording the moderation decision. Please try again."
+    });
+  }
+});
+
+/**
+ * POST /api/admin/ratings/:id/responses
+ * Reply to a rating (moderators and owners)
+ * Body: { body, visibility: 'internal' | 'public' } - public replies are shown with the rating
+ */
+app.post('/api/admin/ratings/:id/responses', apiTokenScope('ratings:write'), requireAuth, requireModerator, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid rating ID."
+      });
+    }
+
+    const { errors, values } = normalizeResponseInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const rating = await getRatingById(id);
+    if (!rating || rating.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        error: "Rating not found."
+      });
+    }
+
+    const response = await createRatingResponse(id, req.session.userId, values);
+
+    await recordAuditEvent(req, 'rating_response.create', {
+      targetType: 'rating',
+      targetId: id,
+      after: response
+    });
+
+    res.status(201).json({
+      success: true,
+      message: values.visibility === 'public'
+        ? "Your reply has been published with the patient's feedback."
+        : "Your internal note has been recorded.",
+      response
+    });
+  } catch (error) {
+    console.error('Error creating rating response:', error);
+    res.status(500).json({
+      success: false,
+      error: "I could not record that reply. Please try again."
+    });
+  }
+});
+
+/**
+ * GET /api/admin/stats
+ * Get care statistics (admin only)
+ * Pass survey (comma-separated IDs) for the results of particular survey campaigns
+ */
+app.get('/api/admin/stats', apiTokenScope('stats:read'), requireAuth, async (req, res) => {
+  try {
+    const { errors, filters } = parseRatingFilters({ survey: req.query.survey });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const [
+      totalRatings,
+      avgStars,
+      categoryStats,
+      starDistribution,
+      recentCount,
+      issueTracking,
+      awaitingResponse,
+      categoryMap,
+      providerStats,
+      questionStats
+    ] = await Promise.all([
+      getRatingsCount(filters),
+      getAverageStars(filters),
+      getCategoryStats(filters),
+      getStarDistribution(filters),
+      getRecentRatingsCount(filters),
+      getIssueTrackingStats(filters),
+      getRatingsCount({ ...filters, needsResponse: true }),
+      getCategoryMap(),
+      getProviderStats(filters),
+      getQuestionStats(filters)
+    ]);
+
+    // Raw averages mislead for small categories, so each also gets a smoothed score
+    const overall = summarizeDistribution(starDistribution);
+    const scores = computeScoreMetrics(starDistribution);
 
     // Enrich category stats
     const enrichedCategoryStats = categoryStats.map(stat => {
-      const categoryInfo = CATEGORIES[stat.category] || {};
+      const count = parseInt(stat.count, 10);
+      const avgStars = parseFloat(stat.avg_stars);
       return {
-        ...stat,
-        category_name: categoryInfo.name || stat.category,
-        category_emoji: categoryInfo.emoji || "💊",
-        avg_stars: Math.round(parseFloat(stat.avg_stars) * 10) / 10
+        ...withCategoryInfo(stat, categoryMap),
+        avg_stars: Math.round(avgStars * 10) / 10,
+        csat: count > 0 ? Math.round((parseInt(stat.satisfied_count, 10) / count) * 1000) / 10 : null,
+        ...bayesianAverage(count, avgStars, overall)
       };
     });
 
+    // Technician leaderboard: ranked by smoothed average so one lucky 5-star rating doesn't top it,
+    // with technicians still waiting for their first rating at the end
+    const providerBreakdown = providerStats
+      .map(stat => {
+        const count = parseInt(stat.count, 10);
+        const avgStars = parseFloat(stat.avg_stars);
+        return {
+          provider_id: stat.provider_id,
+          provider_name: stat.provider_name,
+          provider_title: stat.provider_title,
+          active: stat.active,
+          count,
+          avg_stars: count > 0 ? Math.round(avgStars * 10) / 10 : null,
+          csat: count > 0 ? Math.round((parseInt(stat.satisfied_count, 10) / count) * 1000) / 10 : null,
+          resolution_rate: resolutionRate(stat.resolved_count, stat.unresolved_count),
+          ...(count > 0 ? bayesianAverage(count, avgStars, overall) : { bayesian_avg: null, ci_low: null, ci_high: null })
+        };
+      })
+      .sort((a, b) => (b.bayesian_avg ?? -1) - (a.bayesian_avg ?? -1) || b.count - a.count);
+
     // Baymax care level titles based on average rating
     let careLevel = "Healthcare Companion in Training";
     if (avgStars >= 4.5) careLevel = "Superior Healthcare Companion";
@@ -509,9 +1456,20 @@ app.get('/api/admin/stats', requireAuth, async (req, res) => {
         total_ratings: totalRatings,
         average_stars: Math.round(avgStars * 100) / 100,
         hero_title: careLevel,
+        scores: {
+          csat: scores.csat,
+          net_score: scores.net_score,
+          promoters: scores.promoters,
+          passives: scores.passives,
+          detractors: scores.detractors,
+          bayesian_prior_weight: BAYESIAN_PRIOR_WEIGHT
+        },
         ratings_this_week: recentCount,
+        awaiting_response: awaitingResponse,
         star_distribution: starDistribution,
         category_breakdown: enrichedCategoryStats,
+        provider_breakdown: providerBreakdown,
+        question_breakdown: questionStats,
         fun_facts: {
           features_built: categoryStats.find(c => c.category === 'feature_building')?.count || 0,
           bugs_fixed: categoryStats.find(c => c.category === 'bug_fixing')?.count || 0
@@ -528,13 +1486,100 @@ app.get('/api/admin/stats', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/stats/timeseries
+ * Rating trends bucketed by day, week or month (admin only)
+ *
+ * interval=day|week|month (default day), from, to, category, survey, plus the ratings list filters
+ * Without from, the range covers the last 30 days / 12 weeks / 12 months
+ */
+app.get('/api/admin/stats/timeseries', apiTokenScope('stats:read'), requireAuth, async (req, res) => {
+  try {
+    const { errors, interval, filters } = parseTimeseriesQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const rows = await getRatingsTimeseries(interval, filters);
+
+    res.json({
+      success: true,
+      interval,
+      from: filters.from.toISOString(),
+      to: filters.to.toISOString(),
+      buckets: rows.map(formatTimeseriesBucket)
+    });
+  } catch (error) {
+    console.error('Error fetching stats timeseries:', error);
+    res.status(500).json({
+      success: false,
+      error: "Trend analysis module is recalibrating. Please try again."
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ * Browse the audit trail, newest first (owners only)
+ *
+ * Filters: action (comma-separated names, or a group like auth.*), actor, actor_id,
+ * target_type, target_id, from, to
+ */
+app.get('/api/admin/audit', requireAuth, requireOwner, async (req, res) => {
+  try {
+    const parsedLimit = parseInt(req.query.limit, 10);
+    const limit = Math.min(Math.max(isNaN(parsedLimit) ? 20 : parsedLimit, 1), 100);
+    const parsedOffset = parseInt(req.query.offset, 10);
+    const offset = Math.max(isNaN(parsedOffset) ? 0 : parsedOffset, 0);
+
+    const { errors, filters } = parseAuditFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0],
+        errors
+      });
+    }
+
+    const [events, total] = await Promise.all([
+      getAuditEvents({ limit, offset, filters }),
+      getAuditEventsCount(filters)
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      total,
+      limit,
+      offset,
+      hasMore: offset + events.length < total
+    });
+  } catch (error) {
+    console.error('Error fetching audit events:', error);
+    res.status(500).json({
+      success: false,
+      error: "Audit records temporarily unavailable. Please try again."
+    });
+  }
+});
+
 // ============== SERVER STARTUP ==============
 
 async function startServer() {
   try {
-    // Initialize database tables
-    await initializeDatabase();
-    await initializeAuthDatabase();
+    // Refuse to run against a schema older than this code expects
+    const pending = await getPendingMigrations();
+    if (pending.length > 0) {
+      console.error('Database schema is out of date. Pending migrations:');
+      pending.forEach(m => console.error(`  ${migrationLabel(m)}`));
+      console.error('Run "npm run migrate up" and start the server again.');
+      await closePool();
+      process.exit(1);
+    }
 
     // Start the server
     const server = app.listen(PORT, () => {
@@ -574,6 +1619,21 @@ async function startServer() {
       console.error('[MAINTENANCE] Initial login attempts cleanup failed:', err.message);
     }
 
+    // Purge ratings that have outlived the trash retention period every 6 hours
+    const TRASH_PURGE_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+    const purgeTrash = async () => {
+      try {
+        const purged = await purgeDeletedRatings(TRASH_RETENTION_DAYS);
+        if (purged > 0) {
+          console.log(`[MAINTENANCE] Purged ${purged} rating(s) trashed more than ${TRASH_RETENTION_DAYS} days ago`);
+        }
+      } catch (err) {
+        console.error('[MAINTENANCE] Error purging trashed ratings:', err.message);
+      }
+    };
+    const trashPurgeInterval = setInterval(purgeTrash, TRASH_PURGE_INTERVAL);
+    await purgeTrash();
+
     // ============== GRACEFUL SHUTDOWN ==============
     // Handle SIGTERM and SIGINT for process managers
 
@@ -585,8 +1645,9 @@ async function startServer() {
 
       console.log(`\nBaymax received ${signal}. Initiating graceful shutdown...`);
 
-      // Clear the cleanup interval
+      // Clear the maintenance intervals
       clearInterval(cleanupInterval);
+      clearInterval(trashPurgeInterval);
 
       // Stop accepting new connections
       server.close(async (err) => {
@@ -0,0 +1,101 @@
+/**
+ * Settings Database Module
+ * App-wide switches owners can change from the dashboard
+ */
+
+const { pool } = require('./database');
+const { normalizeBlocklist } = require('./moderation');
+
+// Every setting with its type and the value used until an owner changes it
+// normalize, when present, validates and cleans the value: it returns { error } or { value }
+const SETTING_DEFINITIONS = {
+  require_two_factor: { type: 'boolean', defaultValue: false },
+  hold_all_comments: { type: 'boolean', defaultValue: false },
+  moderation_blocklist: { type: 'list', defaultValue: [], normalize: normalizeBlocklist }
+};
+
+/**
+ * Validate a partial settings update
+ * @param {Object} input - Raw request body
+ * @returns {{errors: string[], values: Object}}
+ */
+function normalizeSettingsInput(input) {
+  const errors = [];
+  const values = {};
+  const body = input || {};
+
+  Object.keys(body).forEach(key => {
+    const definition = SETTING_DEFINITIONS[key];
+    if (!definition) {
+      errors.push(`Unknown setting "${key}".`);
+    } else if (definition.normalize) {
+      const result = definition.normalize(body[key]);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        values[key] = result.value;
+      }
+    } else if (typeof body[key] !== definition.type) {
+      errors.push(`${key} must be ${definition.type === 'boolean' ? 'true or false' : `a ${definition.type}`}.`);
+    } else {
+      values[key] = body[key];
+    }
+  });
+
+  if (errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push('No settings to update.');
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Get every setting, with defaults filled in
+ * @returns {Object} Setting values keyed by name
+ */
+async function getSettings() {
+  const result = await pool.query('SELECT key, value FROM app_settings');
+  const stored = new Map(result.rows.map(row => [row.key, row.value]));
+
+  return Object.fromEntries(Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [
+    key,
+    stored.has(key) ? stored.get(key) : definition.defaultValue
+  ]));
+}
+
+/**
+ * Get one setting
+ * @param {string} key - A key of SETTING_DEFINITIONS
+ * @returns {*} The stored value, or the default
+ */
+async function getSetting(key) {
+  const result = await pool.query('SELECT value FROM app_settings WHERE key = $1', [key]);
+  return result.rows[0] ? result.rows[0].value : SETTING_DEFINITIONS[key].defaultValue;
+}
+
+/**
+ * Save settings
+ * @param {Object} values - From normalizeSettingsInput()
+ * @param {number} updatedBy - Owner making the change
+ * @returns {{before: Object, after: Object}} Every setting before and after the change
+ */
+async function updateSettings(values, updatedBy) {
+  const before = await getSettings();
+  for (const [key, value] of Object.entries(values)) {
+    await pool.query(
+      `INSERT INTO app_settings (key, value, updated_by, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+      [key, JSON.stringify(value), updatedBy]
+    );
+  }
+  return { before, after: { ...before, ...values } };
+}
+
+module.exports = {
+  normalizeSettingsInput,
+  getSettings,
+  getSetting,
+  updateSettings,
+  SETTING_DEFINITIONS
+};
@@ -0,0 +1,117 @@
+/**
+ * Stats Metrics
+ * Satisfaction scores derived from star counts:
+ * CSAT, a promoter-minus-detractor net score, and Bayesian-smoothed averages
+ */
+
+// Stars counted as satisfied for CSAT
+const SATISFIED_MIN_STARS = 4;
+
+// Net score buckets on the 5-star scale, mirroring NPS (promoters 9-10, detractors 0-6)
+const PROMOTER_MIN_STARS = 5;
+const DETRACTOR_MAX_STARS = 3;
+
+// How many "virtual" overall-average ratings each category starts with
+// Small categories are pulled toward the overall average until they earn their own
+const BAYESIAN_PRIOR_WEIGHT = 5;
+
+// Two-sided 95% normal quantile
+const CONFIDENCE_Z = 1.96;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Compute CSAT and net score from a star distribution
+ * @param {Array<{stars: number, count: number}>} distribution
+ * @returns {{total: number, csat: number|null, net_score: number|null, promoters: number, passives: number, detractors: number}}
+ *   csat is a percentage (0-100); net_score ranges from -100 to 100
+ */
+function computeScoreMetrics(distribution = []) {
+  let total = 0;
+  let satisfied = 0;
+  let promoters = 0;
+  let detractors = 0;
+
+  distribution.forEach(({ stars, count }) => {
+    const n = Number(count) || 0;
+    total += n;
+    if (stars >= SATISFIED_MIN_STARS) satisfied += n;
+    if (stars >= PROMOTER_MIN_STARS) promoters += n;
+    if (stars <= DETRACTOR_MAX_STARS) detractors += n;
+  });
+
+  return {
+    total,
+    csat: total > 0 ? round((satisfied / total) * 100, 1) : null,
+    net_score: total > 0 ? round(((promoters - detractors) / total) * 100, 1) : null,
+    promoters,
+    passives: total - promoters - detractors,
+    detractors
+  };
+}
+
+/**
+ * Mean and variance of all ratings from a star distribution
+ * @param {Array<{stars: number, count: number}>} distribution
+ * @returns {{mean: number, variance: number, total: number}}
+ */
+function summarizeDistribution(distribution = []) {
+  let total = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  distribution.forEach(({ stars, count }) => {
+    const n = Number(count) || 0;
+    total += n;
+    sum += stars * n;
+    sumSquares += stars * stars * n;
+  });
+
+  if (total === 0) return { mean: 0, variance: 0, total };
+  const mean = sum / total;
+  return { mean, variance: Math.max(sumSquares / total - mean * mean, 0), total };
+}
+
+/**
+ * Bayesian-smoothed average with a 95% interval
+ * The overall mean acts as a prior worth BAYESIAN_PRIOR_WEIGHT ratings; the interval
+ * uses the overall variance, so it narrows as a category collects ratings
+ * @param {number} count - Ratings in the category
+ * @param {number} average - Raw average stars in the category
+ * @param {{mean: number, variance: number}} overall - From summarizeDistribution()
+ * @param {number} priorWeight
+ * @returns {{bayesian_avg: number, ci_low: number, ci_high: number}}
+ */
+function bayesianAverage(count, average, overall, priorWeight = BAYESIAN_PRIOR_WEIGHT) {
+  const weight = count + priorWeight;
+  const smoothed = weight > 0 ? (count * average + priorWeight * overall.mean) / weight : overall.mean;
+  const margin = weight > 0 ? CONFIDENCE_Z * Math.sqrt(overall.variance / weight) : 0;
+
+  return {
+    bayesian_avg: round(smoothed, 2),
+    ci_low: round(Math.max(1, smoothed - margin), 2),
+    ci_high: round(Math.min(5, smoothed + margin), 2)
+  };
+}
+
+/**
+ * Share of answered "Does this resolve your issue?" questions answered yes
+ * Unanswered ratings are left out, so skipping the question doesn't count against anyone
+ * @param {number} resolved - Ratings answered yes
+ * @param {number} unresolved - Ratings answered no
+ * @returns {number|null} Percentage (0-100), or null with no answers
+ */
+function resolutionRate(resolved, unresolved) {
+  const answered = (Number(resolved) || 0) + (Number(unresolved) || 0);
+  return answered > 0 ? round(((Number(resolved) || 0) / answered) * 100, 1) : null;
+}
+
+module.exports = {
+  computeScoreMetrics,
+  resolutionRate,
+  summarizeDistribution,
+  bayesianAverage,
+  BAYESIAN_PRIOR_WEIGHT,
+  SATISFIED_MIN_STARS,
+  PROMOTER_MIN_STARS,
+  DETRACTOR_MAX_STARS
+};
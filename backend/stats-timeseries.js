@@ -0,0 +1,76 @@
+/**
+ * Stats Time Series
+ * Parses trend query parameters and shapes bucketed rating stats
+ */
+
+const { parseRatingFilters } = require('./rating-filters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Supported bucket sizes: default look-back window and the most buckets one request may ask for
+const TIMESERIES_INTERVALS = {
+  day: { defaultSpanDays: 30, approxDays: 1, maxBuckets: 366 },
+  week: { defaultSpanDays: 12 * 7, approxDays: 7, maxBuckets: 260 },
+  month: { defaultSpanDays: 365, approxDays: 30.44, maxBuckets: 120 }
+};
+
+const DEFAULT_INTERVAL = 'day';
+
+/**
+ * Parse time series query parameters
+ * Accepts the same filters as the ratings list; from defaults to a window sized for the interval
+ * @param {Object} query - Express req.query
+ * @param {Date} now - Reference time for the default range
+ * @returns {{errors: string[], interval: string, filters: Object}}
+ */
+function parseTimeseriesQuery(query = {}, now = new Date()) {
+  const { errors, filters } = parseRatingFilters(query);
+
+  let interval = DEFAULT_INTERVAL;
+  if (query.interval !== undefined && query.interval !== '') {
+    const requested = String(query.interval).toLowerCase();
+    if (!TIMESERIES_INTERVALS[requested]) {
+      errors.push(`interval must be one of: ${Object.keys(TIMESERIES_INTERVALS).join(', ')}.`);
+    } else {
+      interval = requested;
+    }
+  }
+
+  const config = TIMESERIES_INTERVALS[interval];
+  const to = filters.to || now;
+  const from = filters.from || new Date(to.getTime() - config.defaultSpanDays * DAY_MS);
+
+  if (from >= to) {
+    if (!errors.includes('from must be before to.')) errors.push('from must be before to.');
+  } else if ((to - from) / DAY_MS / config.approxDays > config.maxBuckets) {
+    errors.push(`That range is too long for ${interval} buckets (maximum ${config.maxBuckets}). Choose a shorter range or a larger interval.`);
+  }
+
+  return { errors, interval, filters: { ...filters, from, to } };
+}
+
+/**
+ * Convert a bucket row from the database into API shape
+ * @param {Object} row - Row from getRatingsTimeseries()
+ * @returns {Object}
+ */
+function formatTimeseriesBucket(row) {
+  const count = parseInt(row.count, 10);
+  return {
+    bucket: row.bucket,
+    count,
+    average_stars: count > 0 ? Math.round(parseFloat(row.avg_stars) * 100) / 100 : null,
+    star_distribution: [1, 2, 3, 4, 5].reduce((distribution, stars) => {
+      distribution[stars] = parseInt(row[`stars_${stars}`], 10);
+      return distribution;
+    }, {}),
+    resolved: parseInt(row.resolved, 10),
+    unresolved: parseInt(row.unresolved, 10)
+  };
+}
+
+module.exports = {
+  parseTimeseriesQuery,
+  formatTimeseriesBucket,
+  TIMESERIES_INTERVALS
+};
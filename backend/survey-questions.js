@@ -0,0 +1,408 @@
+/**
+ * Survey Questions
+ * Admin-defined questions asked after the built-in follow-ups:
+ * validating question definitions and their branching rules, validating patient answers
+ * against them, and summarizing the answers for stats
+ */
+
+const {
+  BUILT_IN_FIELDS,
+  OPERATORS_BY_FIELD_TYPE,
+  LIST_OPERATORS,
+  PRESENCE_OPERATORS,
+  conditionFieldType,
+  resolveQuestions,
+  isBlank
+} = require('../shared/survey-rules');
+
+const QUESTION_TYPES = ['yes_no', 'single_choice', 'multi_choice', 'short_text', 'scale'];
+const CHOICE_TYPES = ['single_choice', 'multi_choice'];
+
+// Validation constants
+const MAX_PROMPT_LENGTH = 200;
+const MAX_CHOICES = 20;
+const MIN_CHOICES = 2;
+const MAX_CHOICE_LENGTH = 80;
+const MAX_SCALE_LABEL_LENGTH = 40;
+const SCALE_BOUNDS = { min: 0, max: 10 };
+const DEFAULT_SCALE = { min: 1, max: 5 };
+const MAX_SHORT_TEXT_LENGTH = 200;
+const MAX_RULE_CONDITIONS = 10;
+const RULE_MATCHES = ['all', 'any'];
+const RULE_LABELS = { show_if: 'Show when', required_if: 'Required when' };
+
+/**
+ * Validate the type-specific options of a question
+ * @param {string} type - Question type
+ * @param {*} input - Raw options
+ * @param {string[]} errors - Collects validation errors
+ * @returns {Object} Normalized options ({} for types without any)
+ */
+function normalizeQuestionOptions(type, input, errors) {
+  const options = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+
+  if (CHOICE_TYPES.includes(type)) {
+    const choices = Array.isArray(options.choices)
+      ? options.choices.map(choice => (choice === null || choice === undefined ? '' : String(choice).trim())).filter(Boolean)
+      : [];
+    if (choices.length < MIN_CHOICES || choices.length > MAX_CHOICES) {
+      errors.push(`Choice questions need between ${MIN_CHOICES} and ${MAX_CHOICES} choices.`);
+    } else if (choices.some(choice => choice.length > MAX_CHOICE_LENGTH)) {
+      errors.push(`Each choice must be ${MAX_CHOICE_LENGTH} characters or fewer.`);
+    } else if (new Set(choices.map(choice => choice.toLowerCase())).size !== choices.length) {
+      errors.push('Each choice must be different.');
+    }
+    return { choices };
+  }
+
+  if (type === 'scale') {
+    const min = options.min === undefined ? DEFAULT_SCALE.min : Number(options.min);
+    const max = options.max === undefined ? DEFAULT_SCALE.max : Number(options.max);
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < SCALE_BOUNDS.min || max > SCALE_BOUNDS.max || min >= max) {
+      errors.push(`Scale must run between whole numbers from ${SCALE_BOUNDS.min} to ${SCALE_BOUNDS.max}, lowest first.`);
+    }
+    const scale = { min, max };
+    ['min_label', 'max_label'].forEach(key => {
+      const label = options[key] !== undefined && options[key] !== null ? String(options[key]).trim() : '';
+      if (label.length > MAX_SCALE_LABEL_LENGTH) {
+        errors.push(`Scale labels must be ${MAX_SCALE_LABEL_LENGTH} characters or fewer.`);
+      } else if (label) {
+        scale[key] = label;
+      }
+    });
+    return scale;
+  }
+
+  return {};
+}
+
+/**
+ * Validate one value a rule condition compares against
+ * @param {string} fieldType - See conditionFieldType()
+ * @param {*} value
+ * @param {Object} context - { question, categoryIds }
+ * @returns {*} The normalized value, or undefined when invalid
+ */
+function normalizeRuleValue(fieldType, value, { question, categoryIds }) {
+  if (fieldType === 'stars' || fieldType === 'scale') {
+    const number = Number(value);
+    const min = fieldType === 'stars' ? 1 : question.options?.min ?? DEFAULT_SCALE.min;
+    const max = fieldType === 'stars' ? 5 : question.options?.max ?? DEFAULT_SCALE.max;
+    return value !== '' && value !== null && Number.isInteger(number) && number >= min && number <= max ? number : undefined;
+  }
+  if (fieldType === 'yes_no') {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return undefined;
+  }
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (fieldType === 'category') {
+    return text && (!categoryIds || categoryIds.includes(text)) ? text : undefined;
+  }
+  return (question.options?.choices || []).includes(text) ? text : undefined;
+}
+
+/**
+ * Validate a branching rule group from an admin request
+ * @param {*} input - Raw rule group, or null to clear it
+ * @param {string} label - "Show when" or "Required when", for error messages
+ * @param {Object} options
+ * @param {number} options.questionId - The question the rule belongs to (updates), which it can't reference
+ * @param {Object} options.questionsById - Existing questions keyed by ID
+ * @param {string[]} options.categoryIds - Known category IDs, when categories should be checked
+ * @param {string[]} errors - Collects validation errors
+ * @returns {Object|null} The normalized rule group, or null for "always"
+ */
+function normalizeRuleGroup(input, label, { questionId, questionsById = {}, categoryIds }, errors) {
+  if (input === null || input === undefined || input === '') return null;
+  if (typeof input !== 'object' || Array.isArray(input) || !Array.isArray(input.conditions)) {
+    errors.push(`${label} must be a rule with a list of conditions.`);
+    return null;
+  }
+  if (input.conditions.length === 0) return null;
+
+  const match = input.match === undefined ? 'all' : input.match;
+  if (!RULE_MATCHES.includes(match)) {
+    errors.push(`${label} must match "all" or "any" of its conditions.`);
+    return null;
+  }
+  if (input.conditions.length > MAX_RULE_CONDITIONS) {
+    errors.push(`${label} can have at most ${MAX_RULE_CONDITIONS} conditions.`);
+    return null;
+  }
+
+  const conditions = [];
+  input.conditions.forEach((raw, index) => {
+    const prefix = `${label}, condition ${index + 1}:`;
+    const condition = raw && typeof raw === 'object' ? raw : {};
+
+    if (condition.field !== 'question' && !BUILT_IN_FIELDS.includes(condition.field)) {
+      errors.push(`${prefix} field must be one of ${[...BUILT_IN_FIELDS, 'question'].join(', ')}.`);
+      return;
+    }
+
+    const normalized = { field: condition.field };
+    let question = null;
+    if (condition.field === 'question') {
+      const referencedId = Number(condition.question_id);
+      question = questionsById[referencedId];
+      if (!question) {
+        errors.push(`${prefix} that question does not exist.`);
+        return;
+      }
+      if (referencedId === questionId) {
+        errors.push(`${prefix} a question cannot depend on its own answer.`);
+        return;
+      }
+      normalized.question_id = referencedId;
+    }
+
+    const fieldType = conditionFieldType(normalized, questionsById);
+    const operators = OPERATORS_BY_FIELD_TYPE[fieldType];
+    if (!operators.includes(condition.op)) {
+      errors.push(`${prefix} operator must be one of ${operators.join(', ')}.`);
+      return;
+    }
+    normalized.op = condition.op;
+
+    if (PRESENCE_OPERATORS.includes(condition.op)) {
+      conditions.push(normalized);
+      return;
+    }
+
+    const rawValues = LIST_OPERATORS.includes(condition.op)
+      ? (Array.isArray(condition.value) ? condition.value : [])
+      : [condition.value];
+    const values = rawValues.map(value => normalizeRuleValue(fieldType, value, { question, categoryIds }));
+    if (values.length === 0 || values.some(value => value === undefined)) {
+      errors.push(`${prefix} ${LIST_OPERATORS.includes(condition.op) ? 'values are' : 'value is'} not valid for that field.`);
+      return;
+    }
+    normalized.value = LIST_OPERATORS.includes(condition.op) ? [...new Set(values)] : values[0];
+    conditions.push(normalized);
+  });
+
+  return { match, conditions };
+}
+
+/**
+ * Validate and normalize a question definition from an admin request
+ * @param {Object} input - Raw request body
+ * @param {Object} options
+ * @param {boolean} options.partial - True for updates (only provided fields are checked)
+ * @param {string} options.type - The existing question's type (updates)
+ * @param {number} options.id - The existing question's ID (updates)
+ * @param {Array} options.questions - Every existing question, for rules that reference one
+ * @param {string[]} options.categoryIds - Known category IDs, for rules on the category
+ * @returns {{errors: string[], values: Object}}
+ */
+function normalizeQuestionInput(input, { partial = false, type: existingType, id, questions = [], categoryIds } = {}) {
+  const errors = [];
+  const values = {};
+  const body = input || {};
+
+  if (!partial || body.prompt !== undefined) {
+    const prompt = body.prompt !== undefined && body.prompt !== null ? String(body.prompt).trim() : '';
+    if (!prompt) {
+      errors.push('Question text is required.');
+    } else if (prompt.length > MAX_PROMPT_LENGTH) {
+      errors.push(`Question text exceeds maximum length of ${MAX_PROMPT_LENGTH} characters.`);
+    } else {
+      values.prompt = prompt;
+    }
+  }
+
+  // Answers are stored in the shape of the type, so it is fixed once the question exists
+  let type = existingType;
+  if (partial) {
+    if (body.type !== undefined && body.type !== existingType) {
+      errors.push('A question type cannot be changed. Add a new question instead.');
+    }
+  } else if (!QUESTION_TYPES.includes(body.type)) {
+    errors.push(`Question type must be one of: ${QUESTION_TYPES.join(', ')}.`);
+  } else {
+    type = body.type;
+    values.type = type;
+  }
+
+  if (type && (!partial || body.options !== undefined)) {
+    values.options = normalizeQuestionOptions(type, body.options, errors);
+  }
+
+  const questionsById = Object.fromEntries(questions.map(question => [question.id, question]));
+  Object.entries(RULE_LABELS).forEach(([key, label]) => {
+    if (body[key] !== undefined) {
+      values[key] = normalizeRuleGroup(body[key], label, { questionId: id, questionsById, categoryIds }, errors);
+    }
+  });
+
+  ['required', 'active'].forEach(key => {
+    if (body[key] !== undefined) {
+      if (typeof body[key] !== 'boolean') {
+        errors.push(`${key === 'required' ? 'Required' : 'Active'} flag must be true or false.`);
+      } else {
+        values[key] = body[key];
+      }
+    }
+  });
+
+  if (body.sort_order !== undefined) {
+    const sortOrder = Number(body.sort_order);
+    if (!Number.isInteger(sortOrder)) {
+      errors.push('Sort order must be a whole number.');
+    } else {
+      values.sort_order = sortOrder;
+    }
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Normalize one answer to the value stored for its question
+ * @param {Object} question - Question definition
+ * @param {*} raw - Submitted answer (already known not to be blank)
+ * @returns {{value: *, error: string|null}}
+ */
+function normalizeAnswer(question, raw) {
+  const { type, options = {}, prompt } = question;
+
+  if (type === 'yes_no') {
+    if (raw === true || raw === 'true' || raw === 1) return { value: true, error: null };
+    if (raw === false || raw === 'false' || raw === 0) return { value: false, error: null };
+    return { value: null, error: `Please answer yes or no to "${prompt}".` };
+  }
+
+  if (type === 'single_choice') {
+    const choice = String(raw).trim();
+    return (options.choices || []).includes(choice)
+      ? { value: choice, error: null }
+      : { value: null, error: `Please choose one of the listed answers to "${prompt}".` };
+  }
+
+  if (type === 'multi_choice') {
+    const picked = (Array.isArray(raw) ? raw : [raw]).map(choice => String(choice).trim());
+    const choices = options.choices || [];
+    if (picked.some(choice => !choices.includes(choice))) {
+      return { value: null, error: `Please choose only listed answers to "${prompt}".` };
+    }
+    // Keep the admin's choice order so identical selections are stored identically
+    return { value: choices.filter(choice => picked.includes(choice)), error: null };
+  }
+
+  if (type === 'scale') {
+    const number = Number(raw);
+    const min = options.min ?? DEFAULT_SCALE.min;
+    const max = options.max ?? DEFAULT_SCALE.max;
+    return Number.isInteger(number) && number >= min && number <= max
+      ? { value: number, error: null }
+      : { value: null, error: `Please answer "${prompt}" with a number from ${min} to ${max}.` };
+  }
+
+  // short_text
+  const text = String(raw).trim();
+  return text.length > MAX_SHORT_TEXT_LENGTH
+    ? { value: null, error: `Your answer to "${prompt}" exceeds maximum length of ${MAX_SHORT_TEXT_LENGTH} characters.` }
+    : { value: text, error: null };
+}
+
+/**
+ * Validate submitted answers against the active questions and their branching rules
+ * Answers to unknown or retired questions, and to questions the rules hide, are ignored,
+ * so a form loaded before an admin change can still be submitted
+ * @param {Object} answers - Raw answers keyed by question ID
+ * @param {Array} questions - Active question definitions in form order
+ * @param {Object} context - The rest of the rating the rules can look at:
+ *   { stars, category, resolves_issue, issue_recurrence }
+ * @returns {{errors: string[], answers: Array<{question_id: number, value: *}>}}
+ */
+function validateAnswers(answers, questions = [], context = {}) {
+  const errors = [];
+  const normalized = [];
+  const submitted = answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : {};
+
+  // Rules compare normalized values, exactly as the form holds them
+  const typed = {};
+  const answerErrors = {};
+  questions.forEach(question => {
+    const raw = submitted[question.id];
+    if (isBlank(raw)) return;
+    const { value, error } = normalizeAnswer(question, raw);
+    if (error) {
+      answerErrors[question.id] = error;
+    } else {
+      typed[question.id] = value;
+    }
+  });
+
+  resolveQuestions(questions, { ...context, answers: typed }).forEach(({ question, visible, required }) => {
+    if (!visible) return;
+    if (answerErrors[question.id]) {
+      errors.push(answerErrors[question.id]);
+    } else if (typed[question.id] !== undefined) {
+      normalized.push({ question_id: question.id, value: typed[question.id] });
+    } else if (required) {
+      errors.push(`Please answer "${question.prompt}". I need this to complete your diagnosis.`);
+    }
+  });
+
+  return { errors, answers: normalized };
+}
+
+const percentOf = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+
+/**
+ * Summarize the answers to one question for the stats endpoint
+ * @param {Object} question - Question definition
+ * @param {Array<{value: *, count: number}>} valueCounts - How often each distinct stored value occurs
+ *   (free text is not grouped: short text questions pass a single { count } row)
+ * @returns {Object} answered count plus a type-specific breakdown
+ */
+function summarizeAnswers(question, valueCounts = []) {
+  const counts = valueCounts.map(row => ({ value: row.value, count: parseInt(row.count, 10) }));
+  const answered = counts.reduce((sum, row) => sum + row.count, 0);
+  const summary = { answered };
+
+  if (question.type === 'yes_no') {
+    const yes = counts.filter(row => row.value === true).reduce((sum, row) => sum + row.count, 0);
+    return { ...summary, yes, no: answered - yes, yes_rate: percentOf(yes, answered) };
+  }
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    // Choices removed since an answer was given still show, after the current ones
+    const tally = new Map((question.options?.choices || []).map(choice => [choice, 0]));
+    counts.forEach(({ value, count }) => {
+      (Array.isArray(value) ? value : [value]).forEach(choice => {
+        tally.set(choice, (tally.get(choice) || 0) + count);
+      });
+    });
+    return {
+      ...summary,
+      choices: [...tally].map(([choice, count]) => ({ choice, count, percent: percentOf(count, answered) }))
+    };
+  }
+
+  if (question.type === 'scale') {
+    const min = question.options?.min ?? DEFAULT_SCALE.min;
+    const max = question.options?.max ?? DEFAULT_SCALE.max;
+    const total = counts.reduce((sum, row) => sum + Number(row.value) * row.count, 0);
+    const distribution = [];
+    for (let value = min; value <= max; value++) {
+      const found = counts.find(row => Number(row.value) === value);
+      distribution.push({ value, count: found ? found.count : 0 });
+    }
+    return { ...summary, average: answered > 0 ? Math.round((total / answered) * 100) / 100 : null, distribution };
+  }
+
+  return summary;
+}
+
+module.exports = {
+  normalizeQuestionInput,
+  validateAnswers,
+  summarizeAnswers,
+  QUESTION_TYPES,
+  CHOICE_TYPES,
+  MAX_SHORT_TEXT_LENGTH,
+  MAX_RULE_CONDITIONS
+};
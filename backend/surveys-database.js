@@ -0,0 +1,267 @@
+/**
+ * Surveys Database Module
+ * Manages named survey campaigns, each with its own public link, categories and schedule
+ */
+
+const { pool } = require('./database');
+const { parseDateBound } = require('./rating-filters');
+
+// Validation constants
+const MAX_SURVEY_TITLE_LENGTH = 100;
+const MAX_SURVEY_INTRO_LENGTH = 500;
+const MAX_SURVEY_SLUG_LENGTH = 50;
+const MAX_SURVEY_CATEGORIES = 50;
+const SURVEY_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Parse an optional open/close date; null or blank clears it
+ * @param {*} value
+ * @param {boolean} endOfRange - Date-only closing dates include the whole day
+ * @returns {Date|null|undefined} The date, null to clear, or undefined if invalid
+ */
+function parseScheduleDate(value, endOfRange) {
+  if (value === null || String(value).trim() === '') return null;
+  return parseDateBound(value, endOfRange) || undefined;
+}
+
+/**
+ * Validate and normalize survey input from an admin request
+ * @param {Object} input - Raw request body
+ * @param {Object} options
+ * @param {boolean} options.partial - True for updates (only provided fields are checked)
+ * @param {Object} options.existing - The survey being updated, to check the schedule against
+ * @param {string[]} options.categoryIds - Known category IDs
+ * @returns {{errors: string[], values: Object}}
+ */
+function normalizeSurveyInput(input, { partial = false, existing = null, categoryIds } = {}) {
+  const errors = [];
+  const values = {};
+  const body = input || {};
+
+  if (!partial || body.title !== undefined) {
+    const title = body.title !== undefined && body.title !== null ? String(body.title).trim() : '';
+    if (!title) {
+      errors.push('Survey title is required.');
+    } else if (title.length > MAX_SURVEY_TITLE_LENGTH) {
+      errors.push(`Survey title exceeds maximum length of ${MAX_SURVEY_TITLE_LENGTH} characters.`);
+    } else {
+      values.title = title;
+    }
+  }
+
+  if ((!partial && values.title) || body.slug !== undefined) {
+    const slug = body.slug !== undefined && body.slug !== null && String(body.slug).trim() !== ''
+      ? String(body.slug).trim().toLowerCase()
+      : slugifySurveyTitle(values.title);
+    if (!slug) {
+      errors.push('Survey link name is required.');
+    } else if (slug.length > MAX_SURVEY_SLUG_LENGTH) {
+      errors.push(`Survey link name exceeds maximum length of ${MAX_SURVEY_SLUG_LENGTH} characters.`);
+    } else if (!SURVEY_SLUG_PATTERN.test(slug)) {
+      errors.push('Survey link name may only contain lowercase letters, numbers, and single hyphens.');
+    } else {
+      values.slug = slug;
+    }
+  }
+
+  if (body.intro !== undefined) {
+    const intro = body.intro !== null ? String(body.intro).trim() : '';
+    if (intro.length > MAX_SURVEY_INTRO_LENGTH) {
+      errors.push(`Survey introduction exceeds maximum length of ${MAX_SURVEY_INTRO_LENGTH} characters.`);
+    } else {
+      values.intro = intro || null;
+    }
+  }
+
+  // An empty list offers every active category
+  if (body.category_ids !== undefined) {
+    const raw = body.category_ids === null ? [] : body.category_ids;
+    const ids = Array.isArray(raw) ? [...new Set(raw.map(id => String(id).trim()).filter(Boolean))] : null;
+    if (!ids) {
+      errors.push('Survey categories must be a list of category IDs.');
+    } else if (ids.length > MAX_SURVEY_CATEGORIES) {
+      errors.push(`A survey can offer at most ${MAX_SURVEY_CATEGORIES} categories.`);
+    } else if (categoryIds && ids.some(id => !categoryIds.includes(id))) {
+      errors.push(`Unknown category "${ids.find(id => !categoryIds.includes(id))}".`);
+    } else {
+      values.category_ids = ids;
+    }
+  }
+
+  for (const [key, label, endOfRange] of [['opens_at', 'Opening date', false], ['closes_at', 'Closing date', true]]) {
+    if (body[key] === undefined) continue;
+    const date = parseScheduleDate(body[key], endOfRange);
+    if (date === undefined) {
+      errors.push(`${label} must be a date (YYYY-MM-DD) or ISO 8601 timestamp.`);
+    } else {
+      values[key] = date;
+    }
+  }
+
+  const opensAt = values.opens_at !== undefined ? values.opens_at : existing?.opens_at;
+  const closesAt = values.closes_at !== undefined ? values.closes_at : existing?.closes_at;
+  if (opensAt && closesAt && new Date(opensAt) >= new Date(closesAt)) {
+    errors.push('A survey must open before it closes.');
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('Active flag must be true or false.');
+    } else {
+      values.active = body.active;
+    }
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Derive a survey link slug from a survey's title
+ * @param {string} title - e.g. "Incident follow-up"
+ * @returns {string} e.g. "incident-follow-up"
+ */
+function slugifySurveyTitle(title) {
+  if (!title) return '';
+  return String(title)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SURVEY_SLUG_LENGTH)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Whether a survey is accepting responses
+ * @param {Object} survey - Survey row
+ * @param {Date} now - Reference time
+ * @returns {string} 'open', 'scheduled' (not open yet), 'closed' or 'inactive'
+ */
+function getSurveyStatus(survey, now = new Date()) {
+  if (!survey.active) return 'inactive';
+  if (survey.opens_at && now < new Date(survey.opens_at)) return 'scheduled';
+  if (survey.closes_at && now >= new Date(survey.closes_at)) return 'closed';
+  return 'open';
+}
+
+/**
+ * Get surveys with the number of (non-deleted) ratings each has collected
+ * @param {Object} options
+ * @param {boolean} options.includeInactive - Include switched-off surveys (admin views)
+ * @returns {Array} Surveys, newest first
+ */
+async function getSurveys({ includeInactive = false } = {}) {
+  const result = await pool.query(
+    `SELECT s.*,
+       (SELECT COUNT(*) FROM ratings r WHERE r.survey_id = s.id AND r.deleted_at IS NULL)::int AS rating_count
+     FROM surveys s
+     ${includeInactive ? '' : 'WHERE s.active = TRUE'}
+     ORDER BY s.created_at DESC, s.id DESC`
+  );
+  return result.rows;
+}
+
+/**
+ * Get a survey by ID (active or not)
+ * @param {number} id - Survey ID
+ * @returns {Object|null} The survey or null if not found
+ */
+async function getSurveyById(id) {
+  const result = await pool.query('SELECT * FROM surveys WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a survey by its public link slug (active or not)
+ * @param {string} slug
+ * @returns {Object|null} The survey or null if not found
+ */
+async function getSurveyBySlug(slug) {
+  const result = await pool.query('SELECT * FROM surveys WHERE slug = $1', [slug]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get every survey keyed by ID, including inactive ones
+ * Used to resolve titles for historical ratings
+ * @returns {Object} Map of survey ID to survey
+ */
+async function getSurveyMap() {
+  const result = await pool.query('SELECT * FROM surveys');
+  return Object.fromEntries(result.rows.map(survey => [survey.id, survey]));
+}
+
+/**
+ * Create a new survey
+ * @param {Object} survey - Normalized survey values
+ * @returns {Object} The created survey
+ */
+async function createSurvey({ slug, title, intro, category_ids, opens_at, closes_at, active }) {
+  const result = await pool.query(
+    `INSERT INTO surveys (slug, title, intro, category_ids, opens_at, closes_at, active)
+     VALUES ($1, $2, $3, COALESCE($4::text[], '{}'), $5, $6, COALESCE($7, TRUE))
+     RETURNING *`,
+    [slug, title, intro ?? null, category_ids ?? null, opens_at ?? null, closes_at ?? null, active ?? null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update an existing survey
+ * @param {number} id - Survey ID
+ * @param {Object} updates - Normalized values to change
+ * @returns {Object|null} The updated survey or null if not found
+ */
+async function updateSurvey(id, updates) {
+  const allowedFields = ['slug', 'title', 'intro', 'category_ids', 'opens_at', 'closes_at', 'active'];
+  const fields = allowedFields.filter(field => updates[field] !== undefined);
+
+  if (fields.length === 0) {
+    return getSurveyById(id);
+  }
+
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+  const result = await pool.query(
+    `UPDATE surveys SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...fields.map(field => updates[field])]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Count ratings submitted through a survey (trashed ones included, since they can be restored)
+ * @param {number} id - Survey ID
+ * @returns {number} Count of ratings
+ */
+async function getSurveyUsageCount(id) {
+  const result = await pool.query('SELECT COUNT(*) as count FROM ratings WHERE survey_id = $1', [id]);
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Permanently delete a survey
+ * @param {number} id - Survey ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+async function deleteSurvey(id) {
+  const result = await pool.query('DELETE FROM surveys WHERE id = $1 RETURNING id', [id]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  normalizeSurveyInput,
+  slugifySurveyTitle,
+  getSurveyStatus,
+  getSurveys,
+  getSurveyById,
+  getSurveyBySlug,
+  getSurveyMap,
+  createSurvey,
+  updateSurvey,
+  getSurveyUsageCount,
+  deleteSurvey
+};
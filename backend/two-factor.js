@@ -0,0 +1,211 @@
+/**
+ * Two-Factor Authentication
+ * RFC 6238 time-based one-time passwords (the codes authenticator apps show)
+ * and the single-use recovery codes handed out at enrollment
+ */
+
+const crypto = require('crypto');
+
+// Authenticator apps assume these defaults and many ignore the URI parameters, so don't change them
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ALGORITHM = 'sha1';
+
+// Accept the previous and next code too, to allow for clock drift and slow typing
+const TOTP_WINDOW_STEPS = 1;
+
+// 160-bit secrets, as RFC 4226 recommends
+const TOTP_SECRET_BYTES = 20;
+
+const TOTP_ISSUER = 'Baymax IT Care';
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_LENGTH = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Recovery codes skip look-alike characters (0/o, 1/l/i) since they're read off paper
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the base32 alphabet
+ */
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 secret
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(TOTP_SECRET_BYTES));
+}
+
+/**
+ * RFC 4226 HOTP value for one counter
+ * @param {Buffer} key
+ * @param {number} counter
+ * @returns {string} Zero-padded code
+ */
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac(TOTP_ALGORITHM, key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Time step a moment falls in
+ * @param {number} timeMs - Unix time in milliseconds
+ * @returns {number}
+ */
+function totpStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Code an authenticator app would show for a secret at a moment
+ * @param {string} secret - Base32 secret
+ * @param {number} timeMs - Unix time in milliseconds
+ * @returns {string}
+ */
+function generateTotp(secret, timeMs = Date.now()) {
+  return hotp(base32Decode(secret), totpStep(timeMs));
+}
+
+/**
+ * Check a code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {*} code - Code typed by the admin (spaces are ignored)
+ * @param {Object} options
+ * @param {number} [options.timeMs] - Current time
+ * @param {number|null} [options.lastUsedStep] - Step of the last accepted code; it and earlier steps are
+ *   refused so an observed code can't be replayed
+ * @returns {number|null} The matching time step, or null if the code is wrong or already used
+ */
+function verifyTotp(secret, code, { timeMs = Date.now(), lastUsedStep = null } = {}) {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const current = totpStep(timeMs);
+  for (let step = current - TOTP_WINDOW_STEPS; step <= current + TOTP_WINDOW_STEPS; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Provisioning URI for authenticator apps (what the enrollment QR code encodes)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app next to the issuer
+ * @returns {string} otpauth:// URI
+ */
+function buildOtpAuthUrl(secret, accountName) {
+  const label = `${encodeURIComponent(TOTP_ISSUER)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: TOTP_ALGORITHM.toUpperCase(),
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate a fresh set of recovery codes, formatted like "abcde-fghjk"
+ * @param {number} count
+ * @returns {string[]}
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const bytes = crypto.randomBytes(RECOVERY_CODE_LENGTH);
+    const chars = [...bytes].map(byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+    const half = RECOVERY_CODE_LENGTH / 2;
+    return `${chars.slice(0, half).join('')}-${chars.slice(half).join('')}`;
+  });
+}
+
+/**
+ * Normalize a typed recovery code so formatting differences don't matter
+ * @param {*} code
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return String(code ?? '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Hash a recovery code for storage
+ * Codes are random and long enough that a fast hash is safe; only the hash is ever stored
+ * @param {string} code
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  totpStep,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  hashRecoveryCode,
+  TOTP_PERIOD_SECONDS,
+  RECOVERY_CODE_COUNT
+};
@@ -1,56 +1,38 @@
-import { HashRouter, Routes, Route, Navigate, Link } from 'react-router-dom';
+import { useState } from 'react';
+import { HashRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import HealthCheckWrapper from './components/HealthCheckWrapper';
 import ProtectedRoute from './components/ProtectedRoute';
 import RatingForm from './components/RatingForm';
-import BaymaxFace from './components/BaymaxFace';
-import BackgroundBlobs from './components/BackgroundBlobs';
+import PublicLayout from './components/PublicLayout';
+import StatsDisplay from './components/StatsDisplay';
+import RecentRatings from './components/RecentRatings';
+import SurveyPage from './pages/SurveyPage';
 import AdminLogin from './pages/AdminLogin';
 import AdminDashboard from './pages/AdminDashboard';
+import AdminUsers from './pages/AdminUsers';
+import AdminPassword from './pages/AdminPassword';
+import AdminSecurity from './pages/AdminSecurity';
 import './App.css';
 
 /**
- * Public Home Page - Rating submission form
+ * Public Home Page - Rating submission form, with the care statistics and feedback log
+ * (approved comments and public replies) refreshed after each submission
  */
 function HomePage() {
-  return (
-    <div className="app">
-      <BackgroundBlobs count={3} animate={false} />
-
-      <header className="app-header glass-panel">
-        <div className="baymax-icon">
-          <BaymaxFace emotion="happy" size={100} animate={false} />
-        </div>
-        <h1>Baymax IT Care</h1>
-        <p className="tagline">
-          "Hello. I am Baymax, your personal IT healthcare companion."
-          <br />
-          <span className="subtitle">I was alerted to the need for technical assistance.</span>
-        </p>
-      </header>
-
-      <main className="app-main">
-        <div className="main-content">
-          <div className="form-section">
-            <RatingForm />
-          </div>
-        </div>
-      </main>
+  const [refreshTrigger, setRefreshTrigger] = useState(0);
 
-      <footer className="app-footer glass-panel">
-        <div className="footer-content">
-          <BaymaxFace emotion="happy" size={40} animate={false} />
-          <p>
-            "I cannot deactivate until you say you are satisfied with your care."
-            <br />
-            <span className="footer-note">Ba-la-la-la-la</span>
-          </p>
-        </div>
-        <Link to="/admin" className="admin-link">
-          Admin Portal
-        </Link>
-      </footer>
-    </div>
+  return (
+    <PublicLayout
+      sidebar={(
+        <>
+          <StatsDisplay refreshTrigger={refreshTrigger} />
+          <RecentRatings refreshTrigger={refreshTrigger} />
+        </>
+      )}
+    >
+      <RatingForm onRatingSubmitted={() => setRefreshTrigger(count => count + 1)} />
+    </PublicLayout>
   );
 }
 
@@ -65,7 +47,9 @@ function App() {
           <Routes>
             {/* Public routes */}
             <Route path="/" element={<HomePage />} />
+            <Route path="/s/:slug" element={<SurveyPage />} />
             <Route path="/admin/login" element={<AdminLogin />} />
+            <Route path="/admin/reset-password/:token" element={<AdminPassword />} />
 
             {/* Protected admin routes */}
             <Route
@@ -76,6 +60,30 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/admin/password"
+              element={
+                <ProtectedRoute>
+                  <AdminPassword />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/security"
+              element={
+                <ProtectedRoute>
+                  <AdminSecurity />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/users"
+              element={
+                <ProtectedRoute roles={['owner']}>
+                  <AdminUsers />
+                </ProtectedRoute>
+              }
+            />
 
             {/* Redirect /admin to dashboard (will redirect to login if not authenticated) */}
             <Route path="/admin" element={<Navigate to="/admin/dashboard" replace />} />
@@ -32,7 +32,7 @@ function CategoryPicker({ categories, selectedCategory, setSelectedCategory, dis
     <div className="category-picker" role="group" aria-labelledby="category-picker-label">
       <h3 id="category-picker-label">What type of care was provided?</h3>
       <div className="category-grid">
-        {categories.map((category) => {
+        {categories.filter(category => category.active !== false).map((category) => {
           const isSelected = selectedCategory === category.id;
           const isHovered = hoveredCategory === category.id;
           const isJustSelected = justSelected === category.id;
@@ -78,7 +78,8 @@ CategoryPicker.propTypes = {
     id: PropTypes.string.isRequired,
     name: PropTypes.string.isRequired,
     emoji: PropTypes.string.isRequired,
-    description: PropTypes.string
+    description: PropTypes.string,
+    active: PropTypes.bool
   })).isRequired,
   selectedCategory: PropTypes.string,
   setSelectedCategory: PropTypes.func.isRequired,
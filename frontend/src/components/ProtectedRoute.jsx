@@ -1,15 +1,16 @@
 /**
  * ProtectedRoute Component
- * Wraps routes that require admin authentication
+ * Wraps routes that require admin authentication, optionally limited to certain roles
  */
 
 import { Navigate, useLocation } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import { useAuth } from '../context/AuthContext';
 import BaymaxFace from './BaymaxFace';
+import { hasRole } from '../roles';
 
-function ProtectedRoute({ children }) {
-  const { isAuthenticated, loading } = useAuth();
+function ProtectedRoute({ children, roles }) {
+  const { isAuthenticated, loading, user } = useAuth();
   const location = useLocation();
 
   // Show loading state while checking authentication
@@ -28,12 +29,28 @@ function ProtectedRoute({ children }) {
     return <Navigate to="/admin/login" state={{ from: location }} replace />;
   }
 
+  // A temporary password has to be replaced before anything else
+  if (user?.must_change_password && location.pathname !== '/admin/password') {
+    return <Navigate to="/admin/password" replace />;
+  }
+
+  // Owners require 2FA and this admin hasn't set it up yet
+  if (user?.must_enroll_two_factor && location.pathname !== '/admin/security') {
+    return <Navigate to="/admin/security" replace />;
+  }
+
+  // Signed in but not allowed here: send them back to the dashboard
+  if (roles && !hasRole(user, ...roles)) {
+    return <Navigate to="/admin/dashboard" replace />;
+  }
+
   // Render protected content
   return children;
 }
 
 ProtectedRoute.propTypes = {
-  children: PropTypes.node.isRequired
+  children: PropTypes.node.isRequired,
+  roles: PropTypes.arrayOf(PropTypes.string)
 };
 
 export default ProtectedRoute;
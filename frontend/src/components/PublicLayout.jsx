@@ -0,0 +1,63 @@
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import BaymaxFace from './BaymaxFace';
+import BackgroundBlobs from './BackgroundBlobs';
+
+/**
+ * Shared frame for the public pages: header, main content, an optional sidebar and footer
+ */
+function PublicLayout({ title = 'Baymax IT Care', tagline, sidebar = null, children }) {
+  return (
+    <div className="app">
+      <BackgroundBlobs count={3} animate={false} />
+
+      <header className="app-header glass-panel">
+        <div className="baymax-icon">
+          <BaymaxFace emotion="happy" size={100} animate={false} />
+        </div>
+        <h1>{title}</h1>
+        <p className="tagline">
+          {tagline || (
+            <>
+              "Hello. I am Baymax, your personal IT healthcare companion."
+              <br />
+              <span className="subtitle">I was alerted to the need for technical assistance.</span>
+            </>
+          )}
+        </p>
+      </header>
+
+      <main className="app-main">
+        <div className="main-content">
+          <div className="form-section">
+            {children}
+          </div>
+          {sidebar && <aside className="sidebar">{sidebar}</aside>}
+        </div>
+      </main>
+
+      <footer className="app-footer glass-panel">
+        <div className="footer-content">
+          <BaymaxFace emotion="happy" size={40} animate={false} />
+          <p>
+            "I cannot deactivate until you say you are satisfied with your care."
+            <br />
+            <span className="footer-note">Ba-la-la-la-la</span>
+          </p>
+        </div>
+        <Link to="/admin" className="admin-link">
+          Admin Portal
+        </Link>
+      </footer>
+    </div>
+  );
+}
+
+PublicLayout.propTypes = {
+  title: PropTypes.string,
+  tagline: PropTypes.node,
+  sidebar: PropTypes.node,
+  children: PropTypes.node.isRequired
+};
+
+export default PublicLayout;
@@ -1,19 +1,37 @@
 import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import StarRating from './StarRating';
 import CategoryPicker from './CategoryPicker';
+import SurveyQuestion from './SurveyQuestion';
 import BaymaxFace from './BaymaxFace';
 import Confetti from './Confetti';
 import { API_URL } from '../config';
+import { resolveQuestions, needsPreviousIssueDetails, isBlank } from '../surveyRules';
 
-function RatingForm({ onRatingSubmitted }) {
+/**
+ * The public feedback form
+ * On a survey campaign page, `survey` supplies the campaign ID and the categories it offers
+ * An invitation link (?invite=<token>) ties the rating to a ticket and pre-fills its technician and category
+ */
+function RatingForm({ onRatingSubmitted, survey = null }) {
+  // Survey links can name the technician who helped: /#/?tech=tadashi-hamada
+  const [searchParams] = useSearchParams();
+  const linkedProviderSlug = searchParams.get('tech');
+  const inviteToken = searchParams.get('invite');
+  const [invitation, setInvitation] = useState(null);
+  const [invitationError, setInvitationError] = useState(null);
   const [stars, setStars] = useState(0);
   const [category, setCategory] = useState('');
+  const [providers, setProviders] = useState([]);
+  const [providerId, setProviderId] = useState('');
   const [comment, setComment] = useState('');
   const [reviewerName, setReviewerName] = useState('');
   const [resolvesIssue, setResolvesIssue] = useState(null);
   const [issueRecurrence, setIssueRecurrence] = useState(null);
   const [previousIssueDetails, setPreviousIssueDetails] = useState('');
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState({});
   const [categories, setCategories] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitMessage, setSubmitMessage] = useState(null);
@@ -23,8 +41,9 @@ function RatingForm({ onRatingSubmitted }) {
   const successRef = useRef(null);
   const formRef = useRef(null);
 
-  // Fetch categories on mount
+  // Fetch categories on mount (survey campaigns bring their own)
   useEffect(() => {
+    if (survey) return;
     fetch(`${API_URL}/categories`)
       .then(res => {
         if (!res.ok) {
@@ -41,8 +60,81 @@ function RatingForm({ onRatingSubmitted }) {
         console.error('Failed to fetch categories:', err);
         setError('I cannot connect to my care database. Is my server running?');
       });
+  }, [survey]);
+
+  const categoryOptions = survey ? survey.categories : categories;
+
+  // Fetch technicians; the question is skipped when there are none
+  useEffect(() => {
+    fetch(`${API_URL}/providers`)
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setProviders(data.providers);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch technicians:', err);
+      });
+  }, []);
+
+  // Fetch the admin-defined survey questions asked after the built-in follow-ups
+  useEffect(() => {
+    fetch(`${API_URL}/questions`)
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setQuestions(data.questions);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch survey questions:', err);
+      });
   }, []);
 
+  // Check the invitation and pre-fill what it names; an unusable one leaves a plain form
+  useEffect(() => {
+    if (!inviteToken) return;
+    fetch(`${API_URL}/invitations/${encodeURIComponent(inviteToken)}`)
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setInvitation(data.invitation);
+          if (data.invitation.category) setCategory(data.invitation.category);
+          if (data.invitation.provider_id) setProviderId(String(data.invitation.provider_id));
+        } else {
+          setInvitationError(data.error);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to check invitation:', err);
+      });
+  }, [inviteToken]);
+
+  const setAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
+  };
+
+  // The branching rules decide which questions are shown and required, exactly as the server will
+  const resolvedQuestions = resolveQuestions(questions, {
+    stars: stars || null,
+    category,
+    resolves_issue: resolvesIssue,
+    issue_recurrence: issueRecurrence,
+    answers
+  });
+  const visibleQuestions = resolvedQuestions.filter(({ visible }) => visible);
+  const showPreviousIssueDetails = needsPreviousIssueDetails({ issue_recurrence: issueRecurrence });
+
+  const linkedProvider = providers.find(provider => provider.slug === linkedProviderSlug);
+
+  // Pre-select the technician named in the survey link
+  useEffect(() => {
+    if (linkedProvider) {
+      setProviderId(String(linkedProvider.id));
+    }
+  }, [linkedProvider]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
@@ -57,10 +149,15 @@ function RatingForm({ onRatingSubmitted }) {
       setError("Please select a care category so I can improve my services.");
       return;
     }
-    if (issueRecurrence && !previousIssueDetails.trim()) {
+    if (showPreviousIssueDetails && !previousIssueDetails.trim()) {
       setError("Please describe the previous occurrence of this issue so I can better diagnose the pattern.");
       return;
     }
+    const unanswered = visibleQuestions.find(({ question, required }) => required && isBlank(answers[question.id]));
+    if (unanswered) {
+      setError(`Please answer "${unanswered.question.prompt}". I need this to complete your diagnosis.`);
+      return;
+    }
 
     setIsSubmitting(true);
 
@@ -71,11 +168,18 @@ function RatingForm({ onRatingSubmitted }) {
         body: JSON.stringify({
           stars,
           category,
+          provider_id: providerId ? Number(providerId) : null,
+          survey_id: survey ? survey.id : undefined,
+          invitation: invitation ? inviteToken : undefined,
           comment: comment.trim() || null,
           reviewer_name: reviewerName.trim() || null,
           resolves_issue: resolvesIssue,
           issue_recurrence: issueRecurrence,
-          previous_issue_details: issueRecurrence ? previousIssueDetails.trim() : null
+          previous_issue_details: showPreviousIssueDetails ? previousIssueDetails.trim() : null,
+          // Answers left on questions the rules have since hidden are not sent
+          answers: Object.fromEntries(visibleQuestions
+            .filter(({ question }) => !isBlank(answers[question.id]))
+            .map(({ question }) => [question.id, answers[question.id]]))
         })
       });
 
@@ -92,15 +196,18 @@ function RatingForm({ onRatingSubmitted }) {
         setShowCelebration(true);
         setSubmitMessage(data.message);
 
-        // Reset form after celebration starts
+        // Reset form after celebration starts; the invitation has been used up
         setTimeout(() => {
+          setInvitation(null);
           setStars(0);
           setCategory('');
+          setProviderId(linkedProvider ? String(linkedProvider.id) : '');
           setComment('');
           setReviewerName('');
           setResolvesIssue(null);
           setIssueRecurrence(null);
           setPreviousIssueDetails('');
+          setAnswers({});
         }, 500);
 
         // Notify parent
@@ -146,6 +253,15 @@ function RatingForm({ onRatingSubmitted }) {
       <h2>Patient Satisfaction Survey</h2>
       <p className="form-subtitle">I cannot deactivate until you say you are satisfied with your care.</p>
 
+      {invitation && (
+        <p className="invitation-note">
+          Feedback for ticket <strong>{invitation.ticket_ref}</strong>
+        </p>
+      )}
+      {invitationError && !invitation && (
+        <p className="invitation-note unavailable">{invitationError}</p>
+      )}
+
       {submitMessage && (
         <div
           className={`message success ${submitSuccess ? 'celebration' : ''}`}
@@ -178,13 +294,33 @@ function RatingForm({ onRatingSubmitted }) {
 
       <div className="form-section">
         <CategoryPicker
-          categories={categories}
+          categories={categoryOptions}
           selectedCategory={category}
           setSelectedCategory={setCategory}
-          disabled={isSubmitting}
+          disabled={isSubmitting || Boolean(invitation?.category)}
         />
       </div>
 
+      {providers.length > 0 && (
+        <div className="form-section">
+          <label htmlFor="provider">Who provided your care?</label>
+          <select
+            id="provider"
+            className="provider-select"
+            value={providerId}
+            onChange={(e) => setProviderId(e.target.value)}
+            disabled={isSubmitting || Boolean(invitation?.provider_id)}
+          >
+            <option value="">I&apos;m not sure</option>
+            {providers.map(provider => (
+              <option key={provider.id} value={provider.id}>
+                {provider.name}{provider.title ? ` - ${provider.title}` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
       <div className="form-section">
         <label htmlFor="comment">Additional Symptoms or Feedback</label>
         <textarea
@@ -218,7 +354,7 @@ function RatingForm({ onRatingSubmitted }) {
       </div>
 
       <div className="form-section follow-up-section">
-        <label>Follow-up Questions (optional)</label>
+        <label>Follow-up Questions{visibleQuestions.some(({ required }) => required) ? '' : ' (optional)'}</label>
 
         <div className="follow-up-question">
           <span className="question-text">Does this resolve your issue?</span>
@@ -277,7 +413,7 @@ function RatingForm({ onRatingSubmitted }) {
           </div>
         </div>
 
-        {issueRecurrence && (
+        {showPreviousIssueDetails && (
           <div className="follow-up-details">
             <label htmlFor="previousIssueDetails">
               Please describe the previous occurrence <span className="required-indicator">*</span>
@@ -298,6 +434,17 @@ function RatingForm({ onRatingSubmitted }) {
             </span>
           </div>
         )}
+
+        {visibleQuestions.map(({ question, required }) => (
+          <SurveyQuestion
+            key={question.id}
+            question={question}
+            required={required}
+            value={answers[question.id]}
+            onChange={(value) => setAnswer(question.id, value)}
+            disabled={isSubmitting}
+          />
+        ))}
       </div>
 
       <button
@@ -327,7 +474,11 @@ function RatingForm({ onRatingSubmitted }) {
 }
 
 RatingForm.propTypes = {
-  onRatingSubmitted: PropTypes.func
+  onRatingSubmitted: PropTypes.func,
+  survey: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    categories: PropTypes.arrayOf(PropTypes.object).isRequired
+  })
 };
 
 export default RatingForm;
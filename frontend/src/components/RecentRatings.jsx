@@ -178,6 +178,19 @@ function RecentRatings({ refreshTrigger }) {
                 <span className="rating-author">— {rating.reviewer_name}</span>
                 <span className="rating-date">{formatDate(rating.created_at)}</span>
               </div>
+              {rating.responses?.length > 0 && (
+                <div className="response-thread">
+                  {rating.responses.map(reply => (
+                    <div key={reply.id} className="response-item public">
+                      <div className="response-meta">
+                        <span className="response-visibility public">Baymax responds</span>
+                        <span className="response-date">{formatDate(reply.created_at)}</span>
+                      </div>
+                      <p className="response-body">{reply.body}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
               {isNew && <span className="new-badge">NEW</span>}
             </div>
           );
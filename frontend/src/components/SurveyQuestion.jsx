@@ -0,0 +1,106 @@
+import PropTypes from 'prop-types';
+
+// Matches MAX_SHORT_TEXT_LENGTH in backend/survey-questions.js
+const MAX_SHORT_TEXT_LENGTH = 200;
+
+/**
+ * One admin-defined survey question, rendered for its type
+ * Clicking a selected answer again clears it, like the built-in follow-ups
+ * `required` overrides the question's own flag when a branching rule makes it required
+ */
+function SurveyQuestion({ question, value, onChange, required = question.required, disabled = false }) {
+  const { id, prompt, type, options = {} } = question;
+  const inputId = `question-${id}`;
+
+  const label = (
+    <span className="question-text" id={`${inputId}-label`}>
+      {prompt}
+      {required && <span className="required-indicator"> *</span>}
+    </span>
+  );
+
+  const renderToggle = (key, text, selected, onClick, tone = 'yes') => (
+    <button
+      key={key}
+      type="button"
+      className={`toggle-btn ${selected ? `selected ${tone}` : ''}`}
+      onClick={onClick}
+      disabled={disabled}
+      aria-pressed={selected}
+    >
+      {text}
+    </button>
+  );
+
+  if (type === 'short_text') {
+    return (
+      <div className="follow-up-question survey-question stacked">
+        <label htmlFor={inputId}>{label}</label>
+        <input
+          type="text"
+          id={inputId}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="Your answer"
+          disabled={disabled}
+          maxLength={MAX_SHORT_TEXT_LENGTH}
+          aria-required={required}
+        />
+      </div>
+    );
+  }
+
+  let buttons;
+  if (type === 'yes_no') {
+    buttons = [
+      renderToggle('yes', 'Yes', value === true, () => onChange(value === true ? null : true)),
+      renderToggle('no', 'No', value === false, () => onChange(value === false ? null : false), 'no')
+    ];
+  } else if (type === 'single_choice') {
+    buttons = (options.choices || []).map(choice =>
+      renderToggle(choice, choice, value === choice, () => onChange(value === choice ? null : choice))
+    );
+  } else if (type === 'multi_choice') {
+    const selected = Array.isArray(value) ? value : [];
+    buttons = (options.choices || []).map(choice =>
+      renderToggle(choice, choice, selected.includes(choice), () => onChange(
+        selected.includes(choice) ? selected.filter(c => c !== choice) : [...selected, choice]
+      ))
+    );
+  } else if (type === 'scale') {
+    const points = [];
+    for (let point = options.min ?? 1; point <= (options.max ?? 5); point++) {
+      points.push(point);
+    }
+    buttons = points.map(point =>
+      renderToggle(point, point, value === point, () => onChange(value === point ? null : point))
+    );
+  }
+
+  return (
+    <div className={`follow-up-question survey-question ${type === 'yes_no' ? '' : 'stacked'}`}>
+      {label}
+      <div className="toggle-buttons" role="group" aria-labelledby={`${inputId}-label`}>
+        {type === 'scale' && options.min_label && <span className="scale-label">{options.min_label}</span>}
+        {buttons}
+        {type === 'scale' && options.max_label && <span className="scale-label">{options.max_label}</span>}
+      </div>
+    </div>
+  );
+}
+
+SurveyQuestion.propTypes = {
+  question: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    prompt: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(['yes_no', 'single_choice', 'multi_choice', 'short_text', 'scale']).isRequired,
+    options: PropTypes.object,
+    required: PropTypes.bool
+  }).isRequired,
+  value: PropTypes.oneOfType([PropTypes.bool, PropTypes.string, PropTypes.number, PropTypes.arrayOf(PropTypes.string)]),
+  onChange: PropTypes.func.isRequired,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool
+};
+
+export default SurveyQuestion;
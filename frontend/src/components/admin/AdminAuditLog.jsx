@@ -0,0 +1,238 @@
+/**
+ * AdminAuditLog Component
+ * Owner view of the audit log, filterable by action, admin and date, with before/after snapshots
+ */
+
+import { Fragment, useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import BaymaxFace from '../BaymaxFace';
+import { API_URL } from '../../config';
+
+const AUDIT_EVENTS_PER_PAGE = 25;
+
+const AUDIT_ACTION_GROUPS = [
+  { value: '', label: 'All actions' },
+  { value: 'auth.*', label: 'Sign-ins and sessions' },
+  { value: 'rating.*', label: 'Ratings' },
+  { value: 'rating_response.*', label: 'Replies' },
+  { value: 'category.*', label: 'Categories' },
+  { value: 'provider.*', label: 'Technicians' },
+  { value: 'question.*', label: 'Survey questions' },
+  { value: 'survey.*', label: 'Surveys' },
+  { value: 'invitation.*', label: 'Invitations' },
+  { value: 'user.*', label: 'Admin users' },
+  { value: 'settings.*', label: 'Settings' }
+];
+
+const EMPTY_AUDIT_FILTERS = { action: '', actor: '', from: '', to: '' };
+
+function AuditSnapshot({ label, value }) {
+  if (!value) return null;
+  return (
+    <div className="audit-snapshot">
+      <span className="audit-snapshot-label">{label}</span>
+      <pre>{JSON.stringify(value, null, 2)}</pre>
+    </div>
+  );
+}
+
+function AdminAuditLog({ refreshTrigger }) {
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const filterQuery = useMemo(() => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value.trim()) params.set(key, value.trim());
+    });
+    return params.toString();
+  }, [filters]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_URL}/admin/audit?limit=${AUDIT_EVENTS_PER_PAGE}${filterQuery ? `&${filterQuery}` : ''}`, {
+      credentials: 'include'
+    })
+      .then(response => response.json())
+      .then(data => {
+        if (cancelled) return;
+        if (data.success) {
+          setEvents(data.events);
+          setTotal(data.total);
+          setHasMore(data.hasMore);
+          setError(null);
+        } else {
+          setError(data.error || 'Audit records temporarily unavailable');
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch audit events:', err);
+        if (!cancelled) setError('Audit records temporarily unavailable');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [filterQuery, refreshTrigger]);
+
+  const handleFilterChange = (changes) => {
+    setLoading(true);
+    setExpandedId(null);
+    setFilters(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const response = await fetch(
+        `${API_URL}/admin/audit?limit=${AUDIT_EVENTS_PER_PAGE}&offset=${events.length}${filterQuery ? `&${filterQuery}` : ''}`,
+        { credentials: 'include' }
+      );
+      const data = await response.json();
+      if (data.success) {
+        setEvents(prev => [...prev, ...data.events]);
+        setTotal(data.total);
+        setHasMore(data.hasMore);
+      }
+    } catch (err) {
+      console.error('Failed to fetch more audit events:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const describeActor = (event) => {
+    if (event.actor_username) return event.actor_username;
+    if (event.metadata?.username) return `Anonymous (as "${event.metadata.username}")`;
+    return 'Anonymous';
+  };
+
+  return (
+    <div className="recent-ratings audit-log">
+      <h3>
+        Audit Log
+        {!loading && !error && <span className="total-count">({total} events)</span>}
+      </h3>
+
+      <div className="ratings-filter-bar">
+        <div className="filter-row">
+          <label className="filter-field">
+            <span>Action</span>
+            <select value={filters.action} onChange={(e) => handleFilterChange({ action: e.target.value })}>
+              {AUDIT_ACTION_GROUPS.map(group => (
+                <option key={group.value} value={group.value}>{group.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="filter-field">
+            <span>From</span>
+            <input type="date" value={filters.from} onChange={(e) => handleFilterChange({ from: e.target.value })} />
+          </label>
+          <label className="filter-field">
+            <span>To</span>
+            <input type="date" value={filters.to} onChange={(e) => handleFilterChange({ to: e.target.value })} />
+          </label>
+          <label className="filter-field filter-field-grow">
+            <span>Admin</span>
+            <input
+              key={filters.actor}
+              type="text"
+              defaultValue={filters.actor}
+              placeholder="Username..."
+              maxLength={100}
+              onBlur={(e) => {
+                if (e.target.value.trim() !== filters.actor) handleFilterChange({ actor: e.target.value.trim() });
+              }}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') e.currentTarget.blur();
+              }}
+            />
+          </label>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Reviewing my activity logs...</p>
+        </div>
+      ) : error ? (
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-text">{error}</p>
+        </div>
+      ) : events.length === 0 ? (
+        <div className="empty-state">
+          <BaymaxFace emotion="neutral" size={80} className="empty-baymax" />
+          <p className="empty-title">No Matching Events</p>
+        </div>
+      ) : (
+        <div className="audit-table-wrapper">
+          <table className="audit-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Admin</th>
+                <th>Action</th>
+                <th>Target</th>
+                <th>IP Address</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(event => {
+                const hasDetails = event.before || event.after || event.metadata || event.user_agent;
+                const isExpanded = expandedId === event.id;
+                return (
+                  <Fragment key={event.id}>
+                    <tr
+                      className={`audit-row ${hasDetails ? 'expandable' : ''} ${isExpanded ? 'expanded' : ''}`}
+                      onClick={() => hasDetails && setExpandedId(isExpanded ? null : event.id)}
+                    >
+                      <td>{new Date(event.created_at).toLocaleString()}</td>
+                      <td>{describeActor(event)}</td>
+                      <td><code>{event.action}</code></td>
+                      <td>{event.target_type ? `${event.target_type} ${event.target_id ?? ''}` : '-'}</td>
+                      <td>{event.ip_address || '-'}</td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="audit-details-row">
+                        <td colSpan={5}>
+                          {event.user_agent && <p className="audit-user-agent">{event.user_agent}</p>}
+                          <div className="audit-snapshots">
+                            <AuditSnapshot label="Before" value={event.before} />
+                            <AuditSnapshot label="After" value={event.after} />
+                            <AuditSnapshot label="Details" value={event.metadata} />
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!loading && !error && hasMore && (
+        <button className="load-more-btn" onClick={handleLoadMore} disabled={loadingMore}>
+          {loadingMore ? 'Loading more events...' : 'Load More Events'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+AdminAuditLog.propTypes = {
+  refreshTrigger: PropTypes.number.isRequired
+};
+
+export default AdminAuditLog;
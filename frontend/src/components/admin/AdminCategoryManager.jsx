@@ -0,0 +1,311 @@
+/**
+ * AdminCategoryManager Component
+ * Owner tool for adding, editing, reordering, deactivating and removing care categories
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import BaymaxFace from '../BaymaxFace';
+import { API_URL } from '../../config';
+
+const EMPTY_CATEGORY_FORM = { name: '', emoji: '', description: '' };
+
+function AdminCategoryManager({ onChange }) {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [newCategory, setNewCategory] = useState(EMPTY_CATEGORY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState(EMPTY_CATEGORY_FORM);
+  const [savingId, setSavingId] = useState(null);
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/admin/categories`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      if (data.success) {
+        setCategories(data.categories);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Failed to fetch categories:', err);
+      setError('Care categories temporarily unavailable');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const saveCategory = async (method, path, body, savingKey) => {
+    setSavingId(savingKey);
+    setFormError(null);
+    try {
+      const response = await fetch(`${API_URL}/admin/categories${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        credentials: 'include',
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setFormError(data.error || 'Failed to save category');
+        return false;
+      }
+      await fetchCategories();
+      if (onChange) onChange();
+      return true;
+    } catch (err) {
+      console.error('Category save error:', err);
+      setFormError('Failed to save category');
+      return false;
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newCategory.name.trim()) {
+      setFormError('Please enter a category name.');
+      return;
+    }
+    const created = await saveCategory('POST', '', {
+      name: newCategory.name.trim(),
+      emoji: newCategory.emoji.trim() || undefined,
+      description: newCategory.description.trim() || null
+    }, 'new');
+    if (created) setNewCategory(EMPTY_CATEGORY_FORM);
+  };
+
+  const startEditing = (category) => {
+    setEditingId(category.id);
+    setEditValues({
+      name: category.name,
+      emoji: category.emoji,
+      description: category.description || ''
+    });
+    setFormError(null);
+  };
+
+  const handleUpdate = async (id) => {
+    const updated = await saveCategory('PATCH', `/${id}`, {
+      name: editValues.name,
+      emoji: editValues.emoji,
+      description: editValues.description.trim() || null
+    }, id);
+    if (updated) setEditingId(null);
+  };
+
+  const handleToggleActive = (category) => {
+    saveCategory('PATCH', `/${category.id}`, { active: !category.active }, category.id);
+  };
+
+  const handleMove = (index, direction) => {
+    const other = categories[index + direction];
+    const category = categories[index];
+    if (!other) return;
+    // Swap positions; fall back to index-based values when orders collide
+    const categoryOrder = other.sort_order === category.sort_order ? (index + direction) * 10 : other.sort_order;
+    const otherOrder = other.sort_order === category.sort_order ? index * 10 : category.sort_order;
+    saveCategory('PATCH', `/${category.id}`, { sort_order: categoryOrder }, category.id)
+      .then(ok => ok && saveCategory('PATCH', `/${other.id}`, { sort_order: otherOrder }, other.id));
+  };
+
+  const handleDelete = async (category) => {
+    if (!confirm(`Permanently delete the "${category.name}" category?`)) {
+      return;
+    }
+    await saveCategory('DELETE', `/${category.id}`, null, category.id);
+  };
+
+  if (loading) {
+    return (
+      <div className="recent-ratings loading">
+        <h3>Care Categories</h3>
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Loading treatment protocols...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="recent-ratings error">
+        <h3>Care Categories</h3>
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-title">Connection Error</p>
+          <p className="error-text">{error}</p>
+          <button className="retry-btn" onClick={fetchCategories}>
+            Run Diagnostics Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="recent-ratings category-manager">
+      <h3>
+        Care Categories
+        <span className="total-count">({categories.filter(c => c.active).length} active)</span>
+      </h3>
+
+      {formError && (
+        <div className="login-error" role="alert">
+          <span className="error-icon">!</span>
+          {formError}
+        </div>
+      )}
+
+      <div className="category-admin-list">
+        {categories.map((category, index) => {
+          const isEditing = editingId === category.id;
+          const isSaving = savingId === category.id;
+
+          return (
+            <div
+              key={category.id}
+              className={`category-admin-row ${category.active ? '' : 'inactive'} ${isSaving ? 'saving' : ''}`}
+            >
+              {isEditing ? (
+                <>
+                  <input
+                    type="text"
+                    className="category-emoji-input"
+                    value={editValues.emoji}
+                    onChange={(e) => setEditValues(prev => ({ ...prev, emoji: e.target.value }))}
+                    aria-label="Emoji"
+                    maxLength={16}
+                  />
+                  <div className="category-admin-fields">
+                    <input
+                      type="text"
+                      value={editValues.name}
+                      onChange={(e) => setEditValues(prev => ({ ...prev, name: e.target.value }))}
+                      aria-label="Name"
+                      maxLength={60}
+                    />
+                    <input
+                      type="text"
+                      value={editValues.description}
+                      onChange={(e) => setEditValues(prev => ({ ...prev, description: e.target.value }))}
+                      placeholder="Description"
+                      aria-label="Description"
+                      maxLength={200}
+                    />
+                  </div>
+                  <div className="category-admin-actions">
+                    <button className="refresh-btn" onClick={() => handleUpdate(category.id)} disabled={isSaving}>
+                      Save
+                    </button>
+                    <button className="refresh-btn" onClick={() => setEditingId(null)} disabled={isSaving}>
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <span className="cat-emoji">{category.emoji}</span>
+                  <div className="category-admin-fields">
+                    <span className="cat-name">{category.name}</span>
+                    <span className="category-admin-meta">
+                      {category.id}{category.active ? '' : ' - inactive'}
+                    </span>
+                  </div>
+                  <div className="category-admin-actions">
+                    <button
+                      className="refresh-btn"
+                      onClick={() => handleMove(index, -1)}
+                      disabled={isSaving || index === 0}
+                      title="Move up"
+                    >
+                      ^
+                    </button>
+                    <button
+                      className="refresh-btn"
+                      onClick={() => handleMove(index, 1)}
+                      disabled={isSaving || index === categories.length - 1}
+                      title="Move down"
+                    >
+                      v
+                    </button>
+                    <button className="refresh-btn" onClick={() => startEditing(category)} disabled={isSaving}>
+                      Edit
+                    </button>
+                    <button className="refresh-btn" onClick={() => handleToggleActive(category)} disabled={isSaving}>
+                      {category.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                    <button
+                      className="delete-rating-btn"
+                      onClick={() => handleDelete(category)}
+                      disabled={isSaving}
+                      title="Delete category"
+                    >
+                      x
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <form className="category-admin-form" onSubmit={handleCreate}>
+        <h4>Add Category</h4>
+        <div className="category-admin-row">
+          <input
+            type="text"
+            className="category-emoji-input"
+            value={newCategory.emoji}
+            onChange={(e) => setNewCategory(prev => ({ ...prev, emoji: e.target.value }))}
+            placeholder="💊"
+            aria-label="Emoji"
+            maxLength={16}
+          />
+          <div className="category-admin-fields">
+            <input
+              type="text"
+              value={newCategory.name}
+              onChange={(e) => setNewCategory(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Category name (e.g. Security Review)"
+              aria-label="Name"
+              maxLength={60}
+            />
+            <input
+              type="text"
+              value={newCategory.description}
+              onChange={(e) => setNewCategory(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Description (optional)"
+              aria-label="Description"
+              maxLength={200}
+            />
+          </div>
+          <div className="category-admin-actions">
+            <button type="submit" className="logout-btn" disabled={savingId === 'new'}>
+              {savingId === 'new' ? 'Adding...' : 'Add'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+AdminCategoryManager.propTypes = {
+  onChange: PropTypes.func.isRequired
+};
+
+export default AdminCategoryManager;
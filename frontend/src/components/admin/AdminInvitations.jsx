@@ -0,0 +1,370 @@
+/**
+ * AdminInvitations Component
+ * Single-use survey invitation links tied to tickets: create, copy, browse by status and revoke
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import BaymaxFace from '../BaymaxFace';
+import { API_URL } from '../../config';
+
+const INVITATIONS_PER_PAGE = 25;
+
+const INVITATION_STATUS_OPTIONS = [
+  { value: 'unanswered', label: 'Never answered' },
+  { value: 'pending', label: 'Waiting for an answer' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'answered', label: 'Answered' },
+  { value: 'all', label: 'All invitations' }
+];
+
+const INVITATION_STATUS_LABELS = {
+  pending: 'Waiting',
+  expired: 'Expired',
+  answered: 'Answered'
+};
+
+const EMPTY_INVITATION_FORM = { ticket_ref: '', provider_id: '', category: '', expires_in_days: 14 };
+
+// Public form link that answers an invitation
+function invitationLink(token) {
+  return `${window.location.origin}${window.location.pathname}#/?invite=${token}`;
+}
+
+function AdminInvitations({ refreshTrigger, canCreate }) {
+  const [status, setStatus] = useState('unanswered');
+  const [invitations, setInvitations] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [providers, setProviders] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [newInvitation, setNewInvitation] = useState(EMPTY_INVITATION_FORM);
+  const [created, setCreated] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_URL}/admin/invitations?status=${status}&limit=${INVITATIONS_PER_PAGE}`, { credentials: 'include' })
+      .then(response => response.json())
+      .then(data => {
+        if (cancelled) return;
+        if (data.success) {
+          setInvitations(data.invitations);
+          setTotal(data.total);
+          setHasMore(data.hasMore);
+          setError(null);
+        } else {
+          setError(data.error || 'Invitation records temporarily unavailable');
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch invitations:', err);
+        if (!cancelled) setError('Invitation records temporarily unavailable');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [status, refreshTrigger, reloadKey]);
+
+  // Active technicians and categories an invitation can name
+  useEffect(() => {
+    if (!canCreate) return;
+    Promise.all([
+      fetch(`${API_URL}/providers`).then(res => res.json()),
+      fetch(`${API_URL}/categories`).then(res => res.json())
+    ])
+      .then(([providerData, categoryData]) => {
+        if (providerData.success) setProviders(providerData.providers);
+        if (categoryData.success) setCategories(categoryData.categories);
+      })
+      .catch(err => {
+        console.error('Failed to fetch invitation options:', err);
+      });
+  }, [canCreate]);
+
+  const handleStatusChange = (value) => {
+    setLoading(true);
+    setStatus(value);
+  };
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const response = await fetch(
+        `${API_URL}/admin/invitations?status=${status}&limit=${INVITATIONS_PER_PAGE}&offset=${invitations.length}`,
+        { credentials: 'include' }
+      );
+      const data = await response.json();
+      if (data.success) {
+        setInvitations(prev => [...prev, ...data.invitations]);
+        setTotal(data.total);
+        setHasMore(data.hasMore);
+      }
+    } catch (err) {
+      console.error('Failed to fetch more invitations:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newInvitation.ticket_ref.trim()) {
+      setFormError('Please enter a ticket reference.');
+      return;
+    }
+    setSavingId('new');
+    setFormError(null);
+    try {
+      const response = await fetch(`${API_URL}/admin/invitations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          ticket_ref: newInvitation.ticket_ref.trim(),
+          provider_id: newInvitation.provider_id ? Number(newInvitation.provider_id) : null,
+          category: newInvitation.category || null,
+          expires_in_days: Number(newInvitation.expires_in_days)
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setFormError(data.error || 'Failed to create invitation');
+        return;
+      }
+      setCreated(data.invitation);
+      setNewInvitation(EMPTY_INVITATION_FORM);
+      setReloadKey(prev => prev + 1);
+    } catch (err) {
+      console.error('Invitation create error:', err);
+      setFormError('Failed to create invitation');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!confirm(`Revoke the invitation for ticket ${invitation.ticket_ref}? Its link will stop working.`)) {
+      return;
+    }
+    setSavingId(invitation.id);
+    setFormError(null);
+    try {
+      const response = await fetch(`${API_URL}/admin/invitations/${invitation.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setFormError(data.error || 'Failed to revoke invitation');
+        return;
+      }
+      if (created?.id === invitation.id) setCreated(null);
+      setReloadKey(prev => prev + 1);
+    } catch (err) {
+      console.error('Invitation revoke error:', err);
+      setFormError('Failed to revoke invitation');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleCopyLink = async (invitation) => {
+    try {
+      await navigator.clipboard.writeText(invitationLink(invitation.token));
+      setCopiedId(invitation.id);
+      setTimeout(() => setCopiedId(current => (current === invitation.id ? null : current)), 2000);
+    } catch (err) {
+      console.error('Copy error:', err);
+      setFormError('Could not copy the invitation link. Please copy it manually.');
+    }
+  };
+
+  return (
+    <div className="recent-ratings audit-log">
+      <h3>
+        Invitations
+        {!loading && !error && <span className="total-count">({total})</span>}
+      </h3>
+
+      {formError && (
+        <div className="login-error" role="alert">
+          <span className="error-icon">!</span>
+          {formError}
+        </div>
+      )}
+
+      {canCreate && (
+        <form className="category-admin-form invitation-form" onSubmit={handleCreate}>
+          <h4>Invite a Patient</h4>
+          <div className="filter-row">
+            <label className="filter-field filter-field-grow">
+              <span>Ticket</span>
+              <input
+                type="text"
+                value={newInvitation.ticket_ref}
+                onChange={(e) => setNewInvitation(prev => ({ ...prev, ticket_ref: e.target.value }))}
+                placeholder="e.g. INC-1042"
+                maxLength={100}
+              />
+            </label>
+            {providers.length > 0 && (
+              <label className="filter-field">
+                <span>Technician</span>
+                <select
+                  value={newInvitation.provider_id}
+                  onChange={(e) => setNewInvitation(prev => ({ ...prev, provider_id: e.target.value }))}
+                >
+                  <option value="">Patient chooses</option>
+                  {providers.map(provider => (
+                    <option key={provider.id} value={provider.id}>{provider.name}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <label className="filter-field">
+              <span>Category</span>
+              <select
+                value={newInvitation.category}
+                onChange={(e) => setNewInvitation(prev => ({ ...prev, category: e.target.value }))}
+              >
+                <option value="">Patient chooses</option>
+                {categories.map(category => (
+                  <option key={category.id} value={category.id}>{category.emoji} {category.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="filter-field">
+              <span>Expires after</span>
+              <select
+                value={newInvitation.expires_in_days}
+                onChange={(e) => setNewInvitation(prev => ({ ...prev, expires_in_days: e.target.value }))}
+              >
+                {[3, 7, 14, 30, 90].map(days => (
+                  <option key={days} value={days}>{days} days</option>
+                ))}
+              </select>
+            </label>
+            <button type="submit" className="logout-btn" disabled={savingId === 'new'}>
+              {savingId === 'new' ? 'Creating...' : 'Create link'}
+            </button>
+          </div>
+          {created && (
+            <div className="invitation-created">
+              <span>Link for ticket {created.ticket_ref}:</span>
+              <code>{invitationLink(created.token)}</code>
+              <button type="button" className="refresh-btn" onClick={() => handleCopyLink(created)}>
+                {copiedId === created.id ? 'Copied!' : 'Copy link'}
+              </button>
+            </div>
+          )}
+        </form>
+      )}
+
+      <div className="ratings-filter-bar">
+        <div className="filter-row">
+          <label className="filter-field">
+            <span>Show</span>
+            <select value={status} onChange={(e) => handleStatusChange(e.target.value)}>
+              {INVITATION_STATUS_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Checking on my patients...</p>
+        </div>
+      ) : error ? (
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-text">{error}</p>
+        </div>
+      ) : invitations.length === 0 ? (
+        <div className="empty-state">
+          <BaymaxFace emotion="neutral" size={80} className="empty-baymax" />
+          <p className="empty-title">No Matching Invitations</p>
+        </div>
+      ) : (
+        <div className="audit-table-wrapper">
+          <table className="audit-table">
+            <thead>
+              <tr>
+                <th>Ticket</th>
+                <th>Technician</th>
+                <th>Category</th>
+                <th>Sent</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {invitations.map(invitation => (
+                <tr key={invitation.id}>
+                  <td><code>{invitation.ticket_ref}</code></td>
+                  <td>{invitation.provider_name || '-'}</td>
+                  <td>{invitation.category_name || '-'}</td>
+                  <td>{new Date(invitation.created_at).toLocaleDateString()}</td>
+                  <td>
+                    <span className={`survey-status-badge ${invitation.status}`}>
+                      {INVITATION_STATUS_LABELS[invitation.status]}
+                    </span>
+                    {invitation.status === 'answered' && invitation.rating_stars && ` ${invitation.rating_stars}*`}
+                    {invitation.status === 'pending' && (
+                      <span className="invitation-expiry">
+                        {' '}until {new Date(invitation.expires_at).toLocaleDateString()}
+                      </span>
+                    )}
+                  </td>
+                  <td className="invitation-actions">
+                    {invitation.token && (
+                      <button className="refresh-btn" onClick={() => handleCopyLink(invitation)}>
+                        {copiedId === invitation.id ? 'Copied!' : 'Copy link'}
+                      </button>
+                    )}
+                    {canCreate && invitation.status !== 'answered' && (
+                      <button
+                        className="delete-rating-btn"
+                        onClick={() => handleRevoke(invitation)}
+                        disabled={savingId === invitation.id}
+                        title="Revoke invitation"
+                      >
+                        x
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!loading && !error && hasMore && (
+        <button className="load-more-btn" onClick={handleLoadMore} disabled={loadingMore}>
+          {loadingMore ? 'Loading more invitations...' : 'Load More Invitations'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+AdminInvitations.propTypes = {
+  refreshTrigger: PropTypes.number.isRequired,
+  canCreate: PropTypes.bool.isRequired
+};
+
+export default AdminInvitations;
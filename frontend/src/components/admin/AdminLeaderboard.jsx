@@ -0,0 +1,151 @@
+/**
+ * AdminLeaderboard Component
+ * Technicians ranked by their adjusted average rating, on the dashboard's Technicians tab
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import BaymaxFace from '../BaymaxFace';
+import { API_URL } from '../../config';
+import { formatScore } from './adminDisplay';
+
+function AdminLeaderboard({ refreshTrigger, onViewRatings }) {
+  const [providers, setProviders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchLeaderboard = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/admin/stats`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      if (data.success) {
+        setProviders(data.stats.provider_breakdown || []);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Failed to fetch leaderboard:', err);
+      setError('Technician statistics temporarily unavailable');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLeaderboard();
+  }, [refreshTrigger, fetchLeaderboard]);
+
+  if (loading) {
+    return (
+      <div className="recent-ratings loading">
+        <h3>Technician Leaderboard</h3>
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Comparing care outcomes...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="recent-ratings error">
+        <h3>Technician Leaderboard</h3>
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-title">Connection Error</p>
+          <p className="error-text">{error}</p>
+          <button className="retry-btn" onClick={fetchLeaderboard}>
+            Run Diagnostics Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (providers.length === 0) {
+    return (
+      <div className="recent-ratings empty">
+        <h3>Technician Leaderboard</h3>
+        <div className="empty-state">
+          <BaymaxFace emotion="neutral" size={80} className="empty-baymax" />
+          <p className="empty-title">No Technicians Yet</p>
+          <p className="empty-text">
+            Once technicians are added, patients can say who helped them.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="recent-ratings leaderboard">
+      <h3>
+        Technician Leaderboard
+        <span className="total-count">({providers.length} technicians)</span>
+      </h3>
+      <p className="leaderboard-note">
+        Ranked by average adjusted for sample size, so a single 5-star rating does not top the board.
+      </p>
+      <div className="leaderboard-list">
+        {providers.map((provider, index) => {
+          const rated = provider.count > 0;
+          return (
+            <div
+              key={provider.provider_id}
+              className={`leaderboard-row ${provider.active ? '' : 'inactive'}`}
+              style={{ '--entry-delay': `${index * 50}ms` }}
+            >
+              <span className="leaderboard-rank">{rated ? index + 1 : '-'}</span>
+              <div className="category-admin-fields">
+                <span className="cat-name">{provider.provider_name}</span>
+                <span className="category-admin-meta">
+                  {provider.provider_title || 'Technician'}{provider.active ? '' : ' - inactive'}
+                </span>
+              </div>
+              <div className="leaderboard-metrics">
+                {rated ? (
+                  <span
+                    className="cat-avg"
+                    title={`Adjusted for sample size (raw average ${provider.avg_stars}*). 95% range: ${provider.ci_low}-${provider.ci_high}*`}
+                  >
+                    {provider.bayesian_avg.toFixed(1)}*
+                  </span>
+                ) : (
+                  <span className="cat-avg">--</span>
+                )}
+                <span className="leaderboard-metric" title="Ratings credited to this technician">
+                  {provider.count} {provider.count === 1 ? 'patient' : 'patients'}
+                </span>
+                <span className="leaderboard-metric" title="Share of ratings with 4 or 5 stars">
+                  {formatScore(provider.csat, '%')} CSAT
+                </span>
+                <span className="leaderboard-metric" title="Share of answered follow-ups where the issue was resolved">
+                  {formatScore(provider.resolution_rate, '%')} resolved
+                </span>
+              </div>
+              <button
+                className="refresh-btn"
+                onClick={() => onViewRatings(provider.provider_id)}
+                disabled={!rated}
+              >
+                View ratings
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+AdminLeaderboard.propTypes = {
+  refreshTrigger: PropTypes.number.isRequired,
+  onViewRatings: PropTypes.func.isRequired
+};
+
+export default AdminLeaderboard;
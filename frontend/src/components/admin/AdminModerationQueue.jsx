@@ -0,0 +1,272 @@
+/**
+ * AdminModerationQueue Component
+ * Comments held for review, oldest first, approved or rejected from the keyboard; rejected ones can be revisited
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import BaymaxFace from '../BaymaxFace';
+import { API_URL } from '../../config';
+
+const MODERATION_QUEUE_SIZE = 25;
+
+const MODERATION_VIEWS = {
+  pending: { label: 'Awaiting review', empty: 'Every comment has been reviewed.' },
+  rejected: { label: 'Rejected', empty: 'No rejected comments.' }
+};
+
+// Why the auto-flagging rules held a comment
+const MODERATION_FLAG_LABELS = {
+  blocklist: 'Blocklisted word',
+  link: 'Link',
+  caps: 'Excessive capitals'
+};
+
+// Keyboard shortcuts are ignored while typing in a field
+function isTypingTarget(target) {
+  return Boolean(target?.closest?.('input, textarea, select, [contenteditable="true"]'));
+}
+
+function AdminModerationQueue({ refreshTrigger, canDecide }) {
+  const [view, setView] = useState('pending');
+  const [ratings, setRatings] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [savingId, setSavingId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const cardRefs = useRef({});
+
+  // Oldest first, so comments are reviewed in the order they arrived
+  useEffect(() => {
+    let cancelled = false;
+    fetch(
+      `${API_URL}/admin/ratings?moderation=${view}&sort=created_at&order=asc&limit=${MODERATION_QUEUE_SIZE}`,
+      { credentials: 'include' }
+    )
+      .then(response => response.json())
+      .then(data => {
+        if (cancelled) return;
+        if (data.success) {
+          setRatings(data.ratings);
+          setTotal(data.total);
+          setSelectedIndex(0);
+          setError(null);
+        } else {
+          setError(data.error || 'Moderation queue temporarily unavailable');
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch moderation queue:', err);
+        if (!cancelled) setError('Moderation queue temporarily unavailable');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [view, refreshTrigger, reloadKey]);
+
+  const selected = ratings[Math.min(selectedIndex, ratings.length - 1)] || null;
+
+  // Keep the selected comment on screen while moving through the queue
+  useEffect(() => {
+    if (selected) cardRefs.current[selected.id]?.scrollIntoView({ block: 'nearest' });
+  }, [selected]);
+
+  const decide = useCallback(async (rating, status) => {
+    setSavingId(rating.id);
+    setActionError(null);
+    try {
+      const response = await fetch(`${API_URL}/admin/ratings/${rating.id}/moderate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ status })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setActionError(data.error || 'Failed to record the decision');
+        return;
+      }
+      // Decided comments leave this view; the selection stays in place, on the next one
+      setRatings(prev => prev.filter(r => r.id !== rating.id));
+      setTotal(prev => prev - 1);
+    } catch (err) {
+      console.error('Moderation error:', err);
+      setActionError('Failed to record the decision');
+    } finally {
+      setSavingId(null);
+    }
+  }, []);
+
+  // j/k or the arrow keys move through the queue; a approves and r rejects the selected comment
+  useEffect(() => {
+    if (!canDecide) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || isTypingTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'j' || key === 'arrowdown') {
+        e.preventDefault();
+        setSelectedIndex(prev => Math.min(prev + 1, Math.max(ratings.length - 1, 0)));
+      } else if (key === 'k' || key === 'arrowup') {
+        e.preventDefault();
+        setSelectedIndex(prev => Math.max(Math.min(prev, ratings.length - 1) - 1, 0));
+      } else if (selected && savingId === null && key === 'a') {
+        e.preventDefault();
+        decide(selected, 'approved');
+      } else if (selected && savingId === null && key === 'r' && view !== 'rejected') {
+        e.preventDefault();
+        decide(selected, 'rejected');
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [canDecide, ratings.length, selected, savingId, view, decide]);
+
+  const handleViewChange = (nextView) => {
+    if (nextView === view) return;
+    setLoading(true);
+    setActionError(null);
+    setView(nextView);
+  };
+
+  return (
+    <div className="recent-ratings moderation-queue">
+      <h3>
+        Moderation Queue
+        {!loading && !error && <span className="total-count">({total})</span>}
+      </h3>
+      <div className="ratings-tabs" role="tablist" aria-label="Moderation views">
+        {Object.entries(MODERATION_VIEWS).map(([key, { label }]) => (
+          <button
+            key={key}
+            type="button"
+            role="tab"
+            className={`ratings-tab ${view === key ? 'active' : ''}`}
+            aria-selected={view === key}
+            onClick={() => handleViewChange(key)}
+          >
+            {label}
+          </button>
+        ))}
+        <button type="button" className="refresh-btn" onClick={() => setReloadKey(prev => prev + 1)}>
+          Reload
+        </button>
+      </div>
+
+      {canDecide && (
+        <p className="moderation-hint">
+          <kbd>J</kbd>/<kbd>K</kbd> or arrow keys to move,
+          {' '}<kbd>A</kbd> to approve{view !== 'rejected' && <>, <kbd>R</kbd> to reject</>}
+        </p>
+      )}
+
+      {actionError && (
+        <div className="login-error" role="alert">
+          <span className="error-icon">!</span>
+          {actionError}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Reviewing patient comments...</p>
+        </div>
+      ) : error ? (
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-text">{error}</p>
+        </div>
+      ) : ratings.length === 0 ? (
+        <div className="empty-state">
+          <BaymaxFace emotion="happy" size={80} className="empty-baymax" />
+          <p className="empty-title">Queue Is Clear</p>
+          <p className="empty-text">
+            {MODERATION_VIEWS[view].empty}
+            {total > 0 && ' Reload to see the rest.'}
+          </p>
+        </div>
+      ) : (
+        <div className="ratings-list" role="listbox" aria-label="Comments to review">
+          {ratings.map(rating => {
+            const isSelected = selected?.id === rating.id;
+            const isSaving = savingId === rating.id;
+            return (
+              <div
+                key={rating.id}
+                ref={element => {
+                  cardRefs.current[rating.id] = element;
+                }}
+                role="option"
+                aria-selected={isSelected}
+                className={`rating-card moderation-card stars-${rating.stars} ${isSelected ? 'selected' : ''} ${isSaving ? 'deleting' : ''}`}
+                onClick={() => setSelectedIndex(ratings.indexOf(rating))}
+              >
+                <div className="rating-header">
+                  <span className="rating-stars">{'*'.repeat(rating.stars) + '-'.repeat(5 - rating.stars)}</span>
+                  <span className="rating-category">
+                    {rating.category_emoji} {rating.category_name}
+                  </span>
+                  {(rating.moderation_flags || []).map(flag => (
+                    <span key={flag} className="moderation-flag">{MODERATION_FLAG_LABELS[flag] || flag}</span>
+                  ))}
+                  {canDecide && (
+                    <span className="moderation-actions">
+                      <button
+                        type="button"
+                        className="refresh-btn"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          decide(rating, 'approved');
+                        }}
+                        disabled={isSaving}
+                      >
+                        Approve
+                      </button>
+                      {view !== 'rejected' && (
+                        <button
+                          type="button"
+                          className="logout-btn"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            decide(rating, 'rejected');
+                          }}
+                          disabled={isSaving}
+                        >
+                          Reject
+                        </button>
+                      )}
+                    </span>
+                  )}
+                </div>
+                {rating.comment && <p className="rating-comment">"{rating.comment}"</p>}
+                {rating.previous_issue_details && (
+                  <div className="previous-issue-details">
+                    <span className="details-label">Previous occurrence:</span>
+                    <p className="details-text">"{rating.previous_issue_details}"</p>
+                  </div>
+                )}
+                <div className="rating-footer">
+                  <span className="rating-author">- {rating.reviewer_name}</span>
+                  <span className="rating-date">{new Date(rating.created_at).toLocaleString()}</span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+AdminModerationQueue.propTypes = {
+  refreshTrigger: PropTypes.number.isRequired,
+  canDecide: PropTypes.bool.isRequired
+};
+
+export default AdminModerationQueue;
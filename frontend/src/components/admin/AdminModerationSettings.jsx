@@ -0,0 +1,116 @@
+/**
+ * AdminModerationSettings Component
+ * Owner controls for the auto-flagging blocklist and holding every comment for review
+ */
+
+import { useState, useEffect } from 'react';
+import { API_URL } from '../../config';
+
+function AdminModerationSettings() {
+  const [blocklist, setBlocklist] = useState('');
+  const [holdAllComments, setHoldAllComments] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const applySettings = (settings) => {
+    setBlocklist(settings.moderation_blocklist.join('\n'));
+    setHoldAllComments(settings.hold_all_comments);
+  };
+
+  useEffect(() => {
+    fetch(`${API_URL}/admin/settings`, { credentials: 'include' })
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) {
+          applySettings(data.settings);
+        } else {
+          setError(data.error || 'Moderation settings temporarily unavailable');
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch moderation settings:', err);
+        setError('Moderation settings temporarily unavailable');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await fetch(`${API_URL}/admin/settings`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          moderation_blocklist: blocklist.split('\n'),
+          hold_all_comments: holdAllComments
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setError(data.error || 'Failed to save moderation settings');
+        return;
+      }
+      applySettings(data.settings);
+      setMessage('Moderation rules saved. They apply to new feedback.');
+    } catch (err) {
+      console.error('Moderation settings error:', err);
+      setError('Failed to save moderation settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="recent-ratings">
+      <h3>Auto-Flagging Rules</h3>
+      <p className="leaderboard-note">
+        Comments with links or written mostly in capitals are always held for review.
+      </p>
+
+      {error && (
+        <div className="login-error" role="alert">
+          <span className="error-icon">!</span>
+          {error}
+        </div>
+      )}
+      {message && <p className="moderation-saved" role="status">{message}</p>}
+
+      {loading ? (
+        <p className="loading-text">Loading moderation rules...</p>
+      ) : (
+        <form className="category-admin-form category-admin-fields" onSubmit={handleSave}>
+          <label className="filter-field filter-field-grow">
+            <span>Blocklisted words and phrases (one per line)</span>
+            <textarea
+              value={blocklist}
+              onChange={(e) => setBlocklist(e.target.value)}
+              rows={5}
+              placeholder="e.g. free money"
+            />
+          </label>
+          <label className="moderation-hold-toggle">
+            <input
+              type="checkbox"
+              checked={holdAllComments}
+              onChange={(e) => setHoldAllComments(e.target.checked)}
+            />
+            Hold every comment for review, even ones no rule flags
+          </label>
+          <div>
+            <button type="submit" className="logout-btn" disabled={saving}>
+              {saving ? 'Saving...' : 'Save rules'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default AdminModerationSettings;
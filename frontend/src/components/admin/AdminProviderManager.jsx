@@ -0,0 +1,334 @@
+/**
+ * AdminProviderManager Component
+ * Owner tool for adding, editing, reordering and deactivating the technicians patients can credit
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import BaymaxFace from '../BaymaxFace';
+import { API_URL } from '../../config';
+
+const EMPTY_PROVIDER_FORM = { name: '', title: '', slug: '' };
+
+// Public survey link that pre-selects a technician on the rating form
+function providerSurveyLink(slug) {
+  return `${window.location.origin}${window.location.pathname}#/?tech=${slug}`;
+}
+
+function AdminProviderManager({ onChange }) {
+  const [providers, setProviders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [newProvider, setNewProvider] = useState(EMPTY_PROVIDER_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState(EMPTY_PROVIDER_FORM);
+  const [savingId, setSavingId] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const fetchProviders = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/admin/providers`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      if (data.success) {
+        setProviders(data.providers);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Failed to fetch technicians:', err);
+      setError('Technician records temporarily unavailable');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProviders();
+  }, [fetchProviders]);
+
+  const saveProvider = async (method, path, body, savingKey) => {
+    setSavingId(savingKey);
+    setFormError(null);
+    try {
+      const response = await fetch(`${API_URL}/admin/providers${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        credentials: 'include',
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setFormError(data.error || 'Failed to save technician');
+        return false;
+      }
+      await fetchProviders();
+      if (onChange) onChange();
+      return true;
+    } catch (err) {
+      console.error('Technician save error:', err);
+      setFormError('Failed to save technician');
+      return false;
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newProvider.name.trim()) {
+      setFormError('Please enter a technician name.');
+      return;
+    }
+    const created = await saveProvider('POST', '', {
+      name: newProvider.name.trim(),
+      title: newProvider.title.trim() || null,
+      slug: newProvider.slug.trim() || undefined
+    }, 'new');
+    if (created) setNewProvider(EMPTY_PROVIDER_FORM);
+  };
+
+  const startEditing = (provider) => {
+    setEditingId(provider.id);
+    setEditValues({
+      name: provider.name,
+      title: provider.title || '',
+      slug: provider.slug
+    });
+    setFormError(null);
+  };
+
+  const handleUpdate = async (id) => {
+    const updated = await saveProvider('PATCH', `/${id}`, {
+      name: editValues.name,
+      title: editValues.title.trim() || null,
+      slug: editValues.slug
+    }, id);
+    if (updated) setEditingId(null);
+  };
+
+  const handleToggleActive = (provider) => {
+    saveProvider('PATCH', `/${provider.id}`, { active: !provider.active }, provider.id);
+  };
+
+  const handleMove = (index, direction) => {
+    const other = providers[index + direction];
+    const provider = providers[index];
+    if (!other) return;
+    // Swap positions; fall back to index-based values when orders collide
+    const providerOrder = other.sort_order === provider.sort_order ? (index + direction) * 10 : other.sort_order;
+    const otherOrder = other.sort_order === provider.sort_order ? index * 10 : provider.sort_order;
+    saveProvider('PATCH', `/${provider.id}`, { sort_order: providerOrder }, provider.id)
+      .then(ok => ok && saveProvider('PATCH', `/${other.id}`, { sort_order: otherOrder }, other.id));
+  };
+
+  const handleDelete = async (provider) => {
+    if (!confirm(`Permanently delete technician "${provider.name}"?`)) {
+      return;
+    }
+    await saveProvider('DELETE', `/${provider.id}`, null, provider.id);
+  };
+
+  const handleCopyLink = async (provider) => {
+    try {
+      await navigator.clipboard.writeText(providerSurveyLink(provider.slug));
+      setCopiedId(provider.id);
+      setTimeout(() => setCopiedId(current => (current === provider.id ? null : current)), 2000);
+    } catch (err) {
+      console.error('Copy error:', err);
+      setFormError('Could not copy the survey link. Please copy it manually.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="recent-ratings loading">
+        <h3>Technicians</h3>
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Loading care team roster...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="recent-ratings error">
+        <h3>Technicians</h3>
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-title">Connection Error</p>
+          <p className="error-text">{error}</p>
+          <button className="retry-btn" onClick={fetchProviders}>
+            Run Diagnostics Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="recent-ratings category-manager">
+      <h3>
+        Technicians
+        <span className="total-count">({providers.filter(p => p.active).length} active)</span>
+      </h3>
+
+      {formError && (
+        <div className="login-error" role="alert">
+          <span className="error-icon">!</span>
+          {formError}
+        </div>
+      )}
+
+      <div className="category-admin-list">
+        {providers.map((provider, index) => {
+          const isEditing = editingId === provider.id;
+          const isSaving = savingId === provider.id;
+
+          return (
+            <div
+              key={provider.id}
+              className={`category-admin-row ${provider.active ? '' : 'inactive'} ${isSaving ? 'saving' : ''}`}
+            >
+              {isEditing ? (
+                <>
+                  <div className="category-admin-fields">
+                    <input
+                      type="text"
+                      value={editValues.name}
+                      onChange={(e) => setEditValues(prev => ({ ...prev, name: e.target.value }))}
+                      aria-label="Name"
+                      maxLength={100}
+                    />
+                    <input
+                      type="text"
+                      value={editValues.title}
+                      onChange={(e) => setEditValues(prev => ({ ...prev, title: e.target.value }))}
+                      placeholder="Title"
+                      aria-label="Title"
+                      maxLength={60}
+                    />
+                    <input
+                      type="text"
+                      value={editValues.slug}
+                      onChange={(e) => setEditValues(prev => ({ ...prev, slug: e.target.value }))}
+                      placeholder="Survey link name"
+                      aria-label="Survey link name"
+                      maxLength={50}
+                    />
+                  </div>
+                  <div className="category-admin-actions">
+                    <button className="refresh-btn" onClick={() => handleUpdate(provider.id)} disabled={isSaving}>
+                      Save
+                    </button>
+                    <button className="refresh-btn" onClick={() => setEditingId(null)} disabled={isSaving}>
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="category-admin-fields">
+                    <span className="cat-name">{provider.name}</span>
+                    <span className="category-admin-meta">
+                      {provider.title ? `${provider.title} - ` : ''}?tech={provider.slug}{provider.active ? '' : ' - inactive'}
+                    </span>
+                  </div>
+                  <div className="category-admin-actions">
+                    <button
+                      className="refresh-btn"
+                      onClick={() => handleMove(index, -1)}
+                      disabled={isSaving || index === 0}
+                      title="Move up"
+                    >
+                      ^
+                    </button>
+                    <button
+                      className="refresh-btn"
+                      onClick={() => handleMove(index, 1)}
+                      disabled={isSaving || index === providers.length - 1}
+                      title="Move down"
+                    >
+                      v
+                    </button>
+                    <button
+                      className="refresh-btn"
+                      onClick={() => handleCopyLink(provider)}
+                      disabled={!provider.active}
+                      title={providerSurveyLink(provider.slug)}
+                    >
+                      {copiedId === provider.id ? 'Copied!' : 'Copy link'}
+                    </button>
+                    <button className="refresh-btn" onClick={() => startEditing(provider)} disabled={isSaving}>
+                      Edit
+                    </button>
+                    <button className="refresh-btn" onClick={() => handleToggleActive(provider)} disabled={isSaving}>
+                      {provider.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                    <button
+                      className="delete-rating-btn"
+                      onClick={() => handleDelete(provider)}
+                      disabled={isSaving}
+                      title="Delete technician"
+                    >
+                      x
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <form className="category-admin-form" onSubmit={handleCreate}>
+        <h4>Add Technician</h4>
+        <div className="category-admin-row">
+          <div className="category-admin-fields">
+            <input
+              type="text"
+              value={newProvider.name}
+              onChange={(e) => setNewProvider(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Name (e.g. Tadashi Hamada)"
+              aria-label="Name"
+              maxLength={100}
+            />
+            <input
+              type="text"
+              value={newProvider.title}
+              onChange={(e) => setNewProvider(prev => ({ ...prev, title: e.target.value }))}
+              placeholder="Title (optional)"
+              aria-label="Title"
+              maxLength={60}
+            />
+            <input
+              type="text"
+              value={newProvider.slug}
+              onChange={(e) => setNewProvider(prev => ({ ...prev, slug: e.target.value }))}
+              placeholder="Survey link name (optional, derived from the name)"
+              aria-label="Survey link name"
+              maxLength={50}
+            />
+          </div>
+          <div className="category-admin-actions">
+            <button type="submit" className="logout-btn" disabled={savingId === 'new'}>
+              {savingId === 'new' ? 'Adding...' : 'Add'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+AdminProviderManager.propTypes = {
+  onChange: PropTypes.func.isRequired
+};
+
+export default AdminProviderManager;
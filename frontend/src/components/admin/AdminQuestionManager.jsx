@@ -0,0 +1,699 @@
+/**
+ * AdminQuestionManager Component
+ * Owner tool for adding, editing and retiring custom survey questions,
+ * including the branching rules that decide when each one is shown or required
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import BaymaxFace from '../BaymaxFace';
+import { API_URL } from '../../config';
+import {
+  BUILT_IN_FIELDS,
+  OPERATORS_BY_FIELD_TYPE,
+  LIST_OPERATORS,
+  PRESENCE_OPERATORS,
+  conditionFieldType
+} from '../../surveyRules';
+import { QUESTION_TYPE_LABELS } from './adminDisplay';
+
+const EMPTY_QUESTION_FORM = {
+  prompt: '',
+  type: 'yes_no',
+  required: false,
+  choices: '',
+  min: '1',
+  max: '5',
+  min_label: '',
+  max_label: '',
+  show_if: null,
+  required_if: null
+};
+
+const RULE_FIELD_LABELS = {
+  stars: 'Stars',
+  category: 'Category',
+  resolves_issue: 'Issue resolved',
+  issue_recurrence: 'Appeared before'
+};
+
+const RULE_OPERATOR_LABELS = {
+  eq: 'is',
+  neq: 'is not',
+  in: 'is one of',
+  not_in: 'is none of',
+  lt: 'is below',
+  lte: 'is at most',
+  gt: 'is above',
+  gte: 'is at least',
+  includes: 'includes',
+  answered: 'is answered',
+  not_answered: 'is not answered'
+};
+
+// Editable form values for a question's type-specific options
+function questionFormValues(question) {
+  const options = question.options || {};
+  return {
+    prompt: question.prompt,
+    type: question.type,
+    required: question.required,
+    choices: (options.choices || []).join('\n'),
+    min: String(options.min ?? 1),
+    max: String(options.max ?? 5),
+    min_label: options.min_label || '',
+    max_label: options.max_label || '',
+    show_if: question.show_if || null,
+    required_if: question.required_if || null
+  };
+}
+
+// Options payload for POST/PATCH /api/admin/questions
+function questionOptionsPayload(values) {
+  if (values.type === 'single_choice' || values.type === 'multi_choice') {
+    return { choices: values.choices.split('\n').map(choice => choice.trim()).filter(Boolean) };
+  }
+  if (values.type === 'scale') {
+    return {
+      min: Number(values.min),
+      max: Number(values.max),
+      min_label: values.min_label.trim() || undefined,
+      max_label: values.max_label.trim() || undefined
+    };
+  }
+  return {};
+}
+
+function QuestionOptionFields({ values, onChange }) {
+  if (values.type === 'single_choice' || values.type === 'multi_choice') {
+    return (
+      <textarea
+        value={values.choices}
+        onChange={(e) => onChange({ choices: e.target.value })}
+        placeholder="One choice per line"
+        aria-label="Choices"
+        rows={3}
+      />
+    );
+  }
+  if (values.type === 'scale') {
+    return (
+      <div className="question-scale-fields">
+        <input
+          type="number"
+          value={values.min}
+          onChange={(e) => onChange({ min: e.target.value })}
+          aria-label="Lowest value"
+          min={0}
+          max={10}
+        />
+        <input
+          type="text"
+          value={values.min_label}
+          onChange={(e) => onChange({ min_label: e.target.value })}
+          placeholder="Low label (optional)"
+          aria-label="Low label"
+          maxLength={40}
+        />
+        <input
+          type="number"
+          value={values.max}
+          onChange={(e) => onChange({ max: e.target.value })}
+          aria-label="Highest value"
+          min={0}
+          max={10}
+        />
+        <input
+          type="text"
+          value={values.max_label}
+          onChange={(e) => onChange({ max_label: e.target.value })}
+          placeholder="High label (optional)"
+          aria-label="High label"
+          maxLength={40}
+        />
+      </div>
+    );
+  }
+  return null;
+}
+
+// The values a rule condition can compare against; every rule field has a short, known list
+function conditionValueChoices(fieldType, question, categories) {
+  if (fieldType === 'stars') return [1, 2, 3, 4, 5].map(value => ({ value, label: `${value} star${value === 1 ? '' : 's'}` }));
+  if (fieldType === 'category') return categories.map(category => ({ value: category.id, label: category.name }));
+  if (fieldType === 'yes_no') return [{ value: true, label: 'Yes' }, { value: false, label: 'No' }];
+  if (fieldType === 'scale') {
+    const points = [];
+    for (let value = question.options?.min ?? 1; value <= (question.options?.max ?? 5); value++) {
+      points.push({ value, label: String(value) });
+    }
+    return points;
+  }
+  return (question?.options?.choices || []).map(choice => ({ value: choice, label: choice }));
+}
+
+// A condition's value after its operator changes: lists for in/not_in, nothing for presence checks
+function conditionValueFor(op, value, choices) {
+  if (PRESENCE_OPERATORS.includes(op)) return undefined;
+  if (LIST_OPERATORS.includes(op)) return Array.isArray(value) ? value : [];
+  return Array.isArray(value) || value === undefined ? choices[0]?.value : value;
+}
+
+// One-line summary of a rule group, e.g. "Stars is at most 2 and Category is Bug Fixing"
+function describeRuleGroup(group, questionsById, categories) {
+  const labelFor = (condition, value) => {
+    const fieldType = conditionFieldType(condition, questionsById);
+    const choice = conditionValueChoices(fieldType, questionsById[condition.question_id], categories)
+      .find(option => option.value === value);
+    return choice ? choice.label : String(value);
+  };
+  return group.conditions.map(condition => {
+    const field = condition.field === 'question'
+      ? `"${questionsById[condition.question_id]?.prompt || 'Deleted question'}"`
+      : RULE_FIELD_LABELS[condition.field];
+    const value = PRESENCE_OPERATORS.includes(condition.op)
+      ? ''
+      : ` ${[].concat(condition.value).map(v => labelFor(condition, v)).join(', ')}`;
+    return `${field} ${RULE_OPERATOR_LABELS[condition.op]}${value}`;
+  }).join(group.match === 'any' ? ' or ' : ' and ');
+}
+
+/**
+ * Editor for a branching rule group ("Show when" / "Required when")
+ * Conditions can look at the stars, the category, the built-in follow-ups, or the answer to
+ * a question placed earlier on the form
+ */
+function RuleGroupEditor({ label, group, onChange, questions, questionsById, categories }) {
+  const conditions = group?.conditions || [];
+  const match = group?.match || 'all';
+
+  const update = (nextConditions, nextMatch = match) => {
+    onChange(nextConditions.length > 0 ? { match: nextMatch, conditions: nextConditions } : null);
+  };
+
+  const fieldKey = condition => (condition.field === 'question' ? `question:${condition.question_id}` : condition.field);
+
+  const conditionFor = (key, previous) => {
+    const condition = key.startsWith('question:')
+      ? { field: 'question', question_id: Number(key.slice('question:'.length)) }
+      : { field: key };
+    const fieldType = conditionFieldType(condition, questionsById);
+    const choices = conditionValueChoices(fieldType, questionsById[condition.question_id], categories);
+    const op = OPERATORS_BY_FIELD_TYPE[fieldType].includes(previous?.op) ? previous.op : OPERATORS_BY_FIELD_TYPE[fieldType][0];
+    const value = conditionValueFor(op, undefined, choices);
+    return value === undefined ? { ...condition, op } : { ...condition, op, value };
+  };
+
+  const replaceCondition = (index, condition) => {
+    update(conditions.map((existing, i) => (i === index ? condition : existing)));
+  };
+
+  // Questions a condition may reference, plus any already referenced that has since moved below
+  const fieldQuestions = [
+    ...questions,
+    ...conditions
+      .filter(condition => condition.field === 'question' && !questions.some(q => q.id === condition.question_id))
+      .map(condition => questionsById[condition.question_id])
+      .filter(Boolean)
+  ];
+
+  return (
+    <div className="question-rule-editor">
+      <div className="question-rule-header">
+        <span>{label}</span>
+        {conditions.length > 1 && (
+          <select
+            value={match}
+            onChange={(e) => update(conditions, e.target.value)}
+            aria-label={`${label}: match`}
+          >
+            <option value="all">all of these match</option>
+            <option value="any">any of these match</option>
+          </select>
+        )}
+        {conditions.length === 0 && <span className="question-rule-always">always</span>}
+      </div>
+
+      {conditions.map((condition, index) => {
+        const fieldType = conditionFieldType(condition, questionsById);
+        const choices = conditionValueChoices(fieldType, questionsById[condition.question_id], categories);
+        const selected = [].concat(condition.value ?? []);
+
+        return (
+          <div key={index} className="question-rule-row">
+            <select
+              value={fieldKey(condition)}
+              onChange={(e) => replaceCondition(index, conditionFor(e.target.value, condition))}
+              aria-label={`${label}: field`}
+            >
+              {BUILT_IN_FIELDS.map(field => (
+                <option key={field} value={field}>{RULE_FIELD_LABELS[field]}</option>
+              ))}
+              {fieldQuestions.map(question => (
+                <option key={question.id} value={`question:${question.id}`}>{question.prompt}</option>
+              ))}
+            </select>
+            <select
+              value={condition.op}
+              onChange={(e) => {
+                const { value, ...rest } = condition;
+                const nextValue = conditionValueFor(e.target.value, value, choices);
+                replaceCondition(index, nextValue === undefined
+                  ? { ...rest, op: e.target.value }
+                  : { ...rest, op: e.target.value, value: nextValue });
+              }}
+              aria-label={`${label}: operator`}
+            >
+              {(OPERATORS_BY_FIELD_TYPE[fieldType] || []).map(op => (
+                <option key={op} value={op}>{RULE_OPERATOR_LABELS[op]}</option>
+              ))}
+            </select>
+            {LIST_OPERATORS.includes(condition.op) ? (
+              <div className="question-rule-values" role="group" aria-label={`${label}: values`}>
+                {choices.map(choice => (
+                  <label key={String(choice.value)}>
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(choice.value)}
+                      onChange={(e) => replaceCondition(index, {
+                        ...condition,
+                        value: e.target.checked
+                          ? [...selected, choice.value]
+                          : selected.filter(value => value !== choice.value)
+                      })}
+                    />
+                    {choice.label}
+                  </label>
+                ))}
+              </div>
+            ) : !PRESENCE_OPERATORS.includes(condition.op) && (
+              <select
+                value={String(condition.value)}
+                onChange={(e) => replaceCondition(index, {
+                  ...condition,
+                  value: choices.find(choice => String(choice.value) === e.target.value)?.value
+                })}
+                aria-label={`${label}: value`}
+              >
+                {choices.map(choice => (
+                  <option key={String(choice.value)} value={String(choice.value)}>{choice.label}</option>
+                ))}
+              </select>
+            )}
+            <button
+              type="button"
+              className="delete-rating-btn"
+              onClick={() => update(conditions.filter((_, i) => i !== index))}
+              title="Remove condition"
+            >
+              x
+            </button>
+          </div>
+        );
+      })}
+
+      <button
+        type="button"
+        className="refresh-btn question-rule-add"
+        onClick={() => update([...conditions, conditionFor('stars')])}
+        disabled={conditions.length >= 10}
+      >
+        + Condition
+      </button>
+    </div>
+  );
+}
+
+function AdminQuestionManager({ onChange }) {
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [newQuestion, setNewQuestion] = useState(EMPTY_QUESTION_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState(EMPTY_QUESTION_FORM);
+  const [savingId, setSavingId] = useState(null);
+  const [categories, setCategories] = useState([]);
+
+  // Fetch categories (including inactive ones) for branching rules
+  useEffect(() => {
+    fetch(`${API_URL}/admin/categories`, { credentials: 'include' })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setCategories(data.categories);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch categories for question rules:', err);
+      });
+  }, []);
+
+  const questionsById = useMemo(
+    () => Object.fromEntries(questions.map(question => [question.id, question])),
+    [questions]
+  );
+
+  const fetchQuestions = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/admin/questions`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      if (data.success) {
+        setQuestions(data.questions);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Failed to fetch survey questions:', err);
+      setError('Survey questions temporarily unavailable');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQuestions();
+  }, [fetchQuestions]);
+
+  const saveQuestion = async (method, path, body, savingKey) => {
+    setSavingId(savingKey);
+    setFormError(null);
+    try {
+      const response = await fetch(`${API_URL}/admin/questions${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        credentials: 'include',
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setFormError(data.error || 'Failed to save question');
+        return false;
+      }
+      await fetchQuestions();
+      if (onChange) onChange();
+      return true;
+    } catch (err) {
+      console.error('Question save error:', err);
+      setFormError('Failed to save question');
+      return false;
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newQuestion.prompt.trim()) {
+      setFormError('Please enter the question text.');
+      return;
+    }
+    const created = await saveQuestion('POST', '', {
+      prompt: newQuestion.prompt.trim(),
+      type: newQuestion.type,
+      required: newQuestion.required,
+      options: questionOptionsPayload(newQuestion),
+      show_if: newQuestion.show_if,
+      required_if: newQuestion.required_if
+    }, 'new');
+    if (created) setNewQuestion(EMPTY_QUESTION_FORM);
+  };
+
+  const startEditing = (question) => {
+    setEditingId(question.id);
+    setEditValues(questionFormValues(question));
+    setFormError(null);
+  };
+
+  const handleUpdate = async (id) => {
+    const updated = await saveQuestion('PATCH', `/${id}`, {
+      prompt: editValues.prompt,
+      required: editValues.required,
+      options: questionOptionsPayload(editValues),
+      show_if: editValues.show_if,
+      required_if: editValues.required_if
+    }, id);
+    if (updated) setEditingId(null);
+  };
+
+  const handleToggleActive = (question) => {
+    saveQuestion('PATCH', `/${question.id}`, { active: !question.active }, question.id);
+  };
+
+  const handleMove = (index, direction) => {
+    const other = questions[index + direction];
+    const question = questions[index];
+    if (!other) return;
+    // Swap positions; fall back to index-based values when orders collide
+    const questionOrder = other.sort_order === question.sort_order ? (index + direction) * 10 : other.sort_order;
+    const otherOrder = other.sort_order === question.sort_order ? index * 10 : question.sort_order;
+    saveQuestion('PATCH', `/${question.id}`, { sort_order: questionOrder }, question.id)
+      .then(ok => ok && saveQuestion('PATCH', `/${other.id}`, { sort_order: otherOrder }, other.id));
+  };
+
+  const handleDelete = async (question) => {
+    if (!confirm(`Permanently delete the question "${question.prompt}"?`)) {
+      return;
+    }
+    await saveQuestion('DELETE', `/${question.id}`, null, question.id);
+  };
+
+  const describeOptions = (question) => {
+    const options = question.options || {};
+    if (options.choices) return options.choices.join(' / ');
+    if (question.type === 'scale') {
+      return `${options.min ?? 1}${options.min_label ? ` (${options.min_label})` : ''} to ${options.max ?? 5}${options.max_label ? ` (${options.max_label})` : ''}`;
+    }
+    return '';
+  };
+
+  // Rules only see answers to questions above them on the form
+  const renderRuleEditors = (values, onChange, earlierQuestions) => (
+    <>
+      <RuleGroupEditor
+        label="Show when"
+        group={values.show_if}
+        onChange={(show_if) => onChange({ show_if })}
+        questions={earlierQuestions}
+        questionsById={questionsById}
+        categories={categories}
+      />
+      <RuleGroupEditor
+        label="Required when"
+        group={values.required_if}
+        onChange={(required_if) => onChange({ required_if })}
+        questions={earlierQuestions}
+        questionsById={questionsById}
+        categories={categories}
+      />
+    </>
+  );
+
+  if (loading) {
+    return (
+      <div className="recent-ratings loading">
+        <h3>Survey Questions</h3>
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Loading survey protocol...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="recent-ratings error">
+        <h3>Survey Questions</h3>
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-title">Connection Error</p>
+          <p className="error-text">{error}</p>
+          <button className="retry-btn" onClick={fetchQuestions}>
+            Run Diagnostics Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="recent-ratings category-manager">
+      <h3>
+        Survey Questions
+        <span className="total-count">({questions.filter(q => q.active).length} active)</span>
+      </h3>
+      <p className="leaderboard-note">
+        These are asked after the built-in follow-up questions on the public form.
+      </p>
+
+      {formError && (
+        <div className="login-error" role="alert">
+          <span className="error-icon">!</span>
+          {formError}
+        </div>
+      )}
+
+      <div className="category-admin-list">
+        {questions.map((question, index) => {
+          const isEditing = editingId === question.id;
+          const isSaving = savingId === question.id;
+
+          return (
+            <div
+              key={question.id}
+              className={`category-admin-row ${question.active ? '' : 'inactive'} ${isSaving ? 'saving' : ''}`}
+            >
+              {isEditing ? (
+                <>
+                  <div className="category-admin-fields">
+                    <input
+                      type="text"
+                      value={editValues.prompt}
+                      onChange={(e) => setEditValues(prev => ({ ...prev, prompt: e.target.value }))}
+                      aria-label="Question"
+                      maxLength={200}
+                    />
+                    <QuestionOptionFields
+                      values={editValues}
+                      onChange={(changes) => setEditValues(prev => ({ ...prev, ...changes }))}
+                    />
+                    <label className="question-required-toggle">
+                      <input
+                        type="checkbox"
+                        checked={editValues.required}
+                        onChange={(e) => setEditValues(prev => ({ ...prev, required: e.target.checked }))}
+                      />
+                      Required
+                    </label>
+                    {renderRuleEditors(
+                      editValues,
+                      (changes) => setEditValues(prev => ({ ...prev, ...changes })),
+                      questions.slice(0, index)
+                    )}
+                  </div>
+                  <div className="category-admin-actions">
+                    <button className="refresh-btn" onClick={() => handleUpdate(question.id)} disabled={isSaving}>
+                      Save
+                    </button>
+                    <button className="refresh-btn" onClick={() => setEditingId(null)} disabled={isSaving}>
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="category-admin-fields">
+                    <span className="cat-name">{question.prompt}</span>
+                    <span className="category-admin-meta">
+                      {QUESTION_TYPE_LABELS[question.type]}
+                      {question.required ? ' - required' : ''}
+                      {describeOptions(question) ? ` - ${describeOptions(question)}` : ''}
+                      {question.active ? '' : ' - inactive'}
+                    </span>
+                    {question.show_if && (
+                      <span className="category-admin-meta">
+                        Shown when {describeRuleGroup(question.show_if, questionsById, categories)}
+                      </span>
+                    )}
+                    {question.required_if && (
+                      <span className="category-admin-meta">
+                        Required when {describeRuleGroup(question.required_if, questionsById, categories)}
+                      </span>
+                    )}
+                  </div>
+                  <div className="category-admin-actions">
+                    <button
+                      className="refresh-btn"
+                      onClick={() => handleMove(index, -1)}
+                      disabled={isSaving || index === 0}
+                      title="Move up"
+                    >
+                      ^
+                    </button>
+                    <button
+                      className="refresh-btn"
+                      onClick={() => handleMove(index, 1)}
+                      disabled={isSaving || index === questions.length - 1}
+                      title="Move down"
+                    >
+                      v
+                    </button>
+                    <button className="refresh-btn" onClick={() => startEditing(question)} disabled={isSaving}>
+                      Edit
+                    </button>
+                    <button className="refresh-btn" onClick={() => handleToggleActive(question)} disabled={isSaving}>
+                      {question.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                    <button
+                      className="delete-rating-btn"
+                      onClick={() => handleDelete(question)}
+                      disabled={isSaving}
+                      title="Delete question"
+                    >
+                      x
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <form className="category-admin-form" onSubmit={handleCreate}>
+        <h4>Add Question</h4>
+        <div className="category-admin-row">
+          <div className="category-admin-fields">
+            <input
+              type="text"
+              value={newQuestion.prompt}
+              onChange={(e) => setNewQuestion(prev => ({ ...prev, prompt: e.target.value }))}
+              placeholder="Question (e.g. Was the technician on time?)"
+              aria-label="Question"
+              maxLength={200}
+            />
+            <select
+              className="provider-select"
+              value={newQuestion.type}
+              onChange={(e) => setNewQuestion(prev => ({ ...prev, type: e.target.value }))}
+              aria-label="Answer type"
+            >
+              {Object.entries(QUESTION_TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <QuestionOptionFields
+              values={newQuestion}
+              onChange={(changes) => setNewQuestion(prev => ({ ...prev, ...changes }))}
+            />
+            <label className="question-required-toggle">
+              <input
+                type="checkbox"
+                checked={newQuestion.required}
+                onChange={(e) => setNewQuestion(prev => ({ ...prev, required: e.target.checked }))}
+              />
+              Required
+            </label>
+            {renderRuleEditors(newQuestion, (changes) => setNewQuestion(prev => ({ ...prev, ...changes })), questions)}
+          </div>
+          <div className="category-admin-actions">
+            <button type="submit" className="logout-btn" disabled={savingId === 'new'}>
+              {savingId === 'new' ? 'Adding...' : 'Add'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+AdminQuestionManager.propTypes = {
+  onChange: PropTypes.func.isRequired
+};
+
+export default AdminQuestionManager;
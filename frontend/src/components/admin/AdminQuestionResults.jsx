@@ -0,0 +1,147 @@
+/**
+ * AdminQuestionResults Component
+ * Answer breakdowns for each custom survey question, on the dashboard's Survey Questions tab
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import BaymaxFace from '../BaymaxFace';
+import { API_URL } from '../../config';
+import { QUESTION_TYPE_LABELS } from './adminDisplay';
+
+function AdminQuestionResults({ refreshTrigger }) {
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchResults = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/admin/stats`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      if (data.success) {
+        setQuestions(data.stats.question_breakdown || []);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Failed to fetch survey results:', err);
+      setError('Survey results temporarily unavailable');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchResults();
+  }, [refreshTrigger, fetchResults]);
+
+  if (loading) {
+    return (
+      <div className="recent-ratings loading">
+        <h3>Survey Results</h3>
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Tallying patient answers...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="recent-ratings error">
+        <h3>Survey Results</h3>
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-title">Connection Error</p>
+          <p className="error-text">{error}</p>
+          <button className="retry-btn" onClick={fetchResults}>
+            Run Diagnostics Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (questions.length === 0) {
+    return (
+      <div className="recent-ratings empty">
+        <h3>Survey Results</h3>
+        <div className="empty-state">
+          <BaymaxFace emotion="neutral" size={80} className="empty-baymax" />
+          <p className="empty-title">No Custom Questions Yet</p>
+          <p className="empty-text">
+            Questions added to the survey will be summarized here.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const renderBars = (rows) => (
+    <div className="star-distribution">
+      {rows.map(({ label, count, percent }) => (
+        <div className="star-bar" key={label}>
+          <span className="star-label question-bar-label" title={label}>{label}</span>
+          <div className="bar-container">
+            <div className="bar-fill animate" style={{ '--target-width': `${percent || 0}%` }} />
+          </div>
+          <span className="bar-count">{count}</span>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="recent-ratings question-results">
+      <h3>Survey Results</h3>
+      <div className="question-result-list">
+        {questions.map(question => (
+          <div key={question.question_id} className={`question-result ${question.active ? '' : 'inactive'}`}>
+            <div className="question-result-header">
+              <span className="cat-name">{question.prompt}</span>
+              <span className="category-admin-meta">
+                {QUESTION_TYPE_LABELS[question.type]} - {question.answered} {question.answered === 1 ? 'answer' : 'answers'}
+                {question.active ? '' : ' - inactive'}
+              </span>
+            </div>
+            {question.type === 'yes_no' && renderBars([
+              { label: 'Yes', count: question.yes, percent: question.yes_rate },
+              { label: 'No', count: question.no, percent: question.yes_rate === null ? 0 : 100 - question.yes_rate }
+            ])}
+            {question.choices && renderBars(question.choices.map(({ choice, count, percent }) => ({ label: choice, count, percent })))}
+            {question.type === 'scale' && (
+              <>
+                <p className="question-result-average">
+                  Average: {question.average === null ? '--' : question.average}
+                </p>
+                {renderBars(question.distribution.map(({ value, count }) => ({
+                  label: String(value),
+                  count,
+                  percent: question.answered > 0 ? (count / question.answered) * 100 : 0
+                })))}
+              </>
+            )}
+            {question.recent && question.recent.length > 0 && (
+              <ul className="question-result-recent">
+                {question.recent.map((answer, index) => (
+                  <li key={index}>&quot;{answer.value}&quot;</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+AdminQuestionResults.propTypes = {
+  refreshTrigger: PropTypes.number.isRequired
+};
+
+export default AdminQuestionResults;
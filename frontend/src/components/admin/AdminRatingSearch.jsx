@@ -0,0 +1,167 @@
+/**
+ * AdminRatingSearch Component
+ * Full-text search over rating comments and previous issue details, with matched terms highlighted
+ */
+
+import { useState } from 'react';
+import { API_URL } from '../../config';
+
+const SEARCH_RESULTS_PER_PAGE = 10;
+
+/**
+ * Render highlight segments from the search API as text, marking matched terms
+ */
+function HighlightedText({ segments }) {
+  return segments.map((segment, index) => (
+    segment.match
+      ? <mark key={index} className="search-match">{segment.text}</mark>
+      : <span key={index}>{segment.text}</span>
+  ));
+}
+
+function AdminRatingSearch() {
+  const [query, setQuery] = useState('');
+  const [submittedQuery, setSubmittedQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runSearch = async (searchText, offset = 0) => {
+    setSearching(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({
+        q: searchText,
+        limit: SEARCH_RESULTS_PER_PAGE,
+        offset
+      });
+      const response = await fetch(`${API_URL}/admin/ratings/search?${params}`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setResults(prev => (offset > 0 ? [...prev, ...data.ratings] : data.ratings));
+        setTotal(data.total);
+        setHasMore(data.hasMore);
+        setSubmittedQuery(searchText);
+      } else {
+        setError(data.error || 'Search failed');
+      }
+    } catch (err) {
+      console.error('Search error:', err);
+      setError('My search scanners are temporarily unavailable');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const searchText = query.trim();
+    if (!searchText) return;
+    runSearch(searchText);
+  };
+
+  const handleClear = () => {
+    setQuery('');
+    setSubmittedQuery('');
+    setResults([]);
+    setTotal(0);
+    setHasMore(false);
+    setError(null);
+  };
+
+  return (
+    <div className="recent-ratings rating-search">
+      <h3>
+        Search Patient Feedback
+        {submittedQuery && <span className="total-count">({total} found)</span>}
+      </h3>
+
+      <form className="search-form" onSubmit={handleSubmit} role="search">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder='Search comments and previous issues, e.g. "VPN" dropped'
+          aria-label="Search patient feedback"
+          maxLength={200}
+        />
+        <button type="submit" className="logout-btn" disabled={searching || !query.trim()}>
+          {searching ? 'Scanning...' : 'Search'}
+        </button>
+        {submittedQuery && (
+          <button type="button" className="refresh-btn" onClick={handleClear}>
+            Clear
+          </button>
+        )}
+      </form>
+
+      {error && (
+        <div className="login-error" role="alert">
+          <span className="error-icon">!</span>
+          {error}
+        </div>
+      )}
+
+      {submittedQuery && !error && results.length === 0 && !searching && (
+        <p className="search-empty">No feedback mentions "{submittedQuery}".</p>
+      )}
+
+      {results.length > 0 && (
+        <div className="ratings-list search-results">
+          {results.map(rating => (
+            <div key={rating.id} className={`rating-card stars-${rating.stars}`}>
+              <div className="rating-header">
+                <span className="rating-stars">
+                  {'*'.repeat(rating.stars) + '-'.repeat(5 - rating.stars)}
+                </span>
+                <span className="rating-category">
+                  {rating.category_emoji} {rating.category_name}
+                </span>
+              </div>
+              {rating.highlights.comment && (
+                <p className="rating-comment">
+                  "<HighlightedText segments={rating.highlights.comment} />"
+                </p>
+              )}
+              {rating.highlights.previous_issue_details && (
+                <div className="previous-issue-details">
+                  <span className="details-label">Previous occurrence:</span>
+                  <p className="details-text">
+                    "<HighlightedText segments={rating.highlights.previous_issue_details} />"
+                  </p>
+                </div>
+              )}
+              <div className="rating-footer">
+                <span className="rating-author">- {rating.reviewer_name}</span>
+                <span className="rating-date">
+                  {new Date(rating.created_at).toLocaleDateString('en-US', {
+                    year: 'numeric',
+                    month: 'short',
+                    day: 'numeric'
+                  })}
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {hasMore && (
+        <button
+          className="load-more-btn"
+          onClick={() => runSearch(submittedQuery, results.length)}
+          disabled={searching}
+        >
+          {searching ? 'Scanning...' : 'Load More Results'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default AdminRatingSearch;
@@ -0,0 +1,840 @@
+/**
+ * AdminRecentRatings Component
+ * The dashboard's patient feedback log: filters mirrored in the URL, reply threads,
+ * and moving ratings to the trash with undo, then restoring them from the Trash view
+ */
+
+import { Fragment, useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import BaymaxFace from '../BaymaxFace';
+import { API_URL } from '../../config';
+
+const RATINGS_PER_PAGE = 10;
+const UNDO_WINDOW_MS = 8000;
+
+const RATING_EMOTIONS = {
+  1: 'concerned',
+  2: 'concerned',
+  3: 'thinking',
+  4: 'happy',
+  5: 'celebrating'
+};
+
+const RATING_VIEWS = {
+  active: { label: 'Feedback', endpoint: '/admin/ratings' },
+  trash: { label: 'Trash', endpoint: '/admin/ratings/trash' }
+};
+
+// Badges for comments that aren't approved yet (approved ones need no badge)
+const MODERATION_STATUS_LABELS = {
+  pending: 'Awaiting review',
+  rejected: 'Rejected'
+};
+
+// Query parameters understood by GET /api/admin/ratings, mirrored in the URL hash
+const RATING_FILTER_PARAMS = [
+  'min_stars', 'max_stars', 'category', 'provider', 'survey', 'from', 'to',
+  'resolves_issue', 'issue_recurrence', 'has_comment', 'needs_response', 'moderation', 'reviewer', 'sort', 'order'
+];
+
+const SORT_OPTIONS = [
+  { value: '', label: 'Newest first' },
+  { value: 'created_at:asc', label: 'Oldest first' },
+  { value: 'stars:desc', label: 'Most stars' },
+  { value: 'stars:asc', label: 'Fewest stars' }
+];
+
+function AdminRatingFilters({ filters, onChange, onClear, showSort = true }) {
+  const [categories, setCategories] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [surveys, setSurveys] = useState([]);
+
+  // Fetch categories (including inactive ones) for the filter chips
+  useEffect(() => {
+    fetch(`${API_URL}/admin/categories`, { credentials: 'include' })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setCategories(data.categories);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch categories for filters:', err);
+      });
+  }, []);
+
+  // Fetch technicians (including inactive ones) for the technician filter
+  useEffect(() => {
+    fetch(`${API_URL}/admin/providers`, { credentials: 'include' })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setProviders(data.providers);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch technicians for filters:', err);
+      });
+  }, []);
+
+  // Fetch surveys (including inactive ones) for the survey filter
+  useEffect(() => {
+    fetch(`${API_URL}/admin/surveys`, { credentials: 'include' })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setSurveys(data.surveys);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch surveys for filters:', err);
+      });
+  }, []);
+
+  const selectedCategories = filters.category ? filters.category.split(',') : [];
+  const sortValue = filters.sort ? `${filters.sort}:${filters.order || 'desc'}` : '';
+  const hasFilters = RATING_FILTER_PARAMS.some(key => filters[key]);
+
+  const toggleCategory = (id) => {
+    const next = selectedCategories.includes(id)
+      ? selectedCategories.filter(c => c !== id)
+      : [...selectedCategories, id];
+    onChange({ category: next.join(',') });
+  };
+
+  const handleSortChange = (value) => {
+    const [sort, order] = value ? value.split(':') : ['', ''];
+    onChange({ sort, order: sort === 'created_at' && order === 'desc' ? '' : order });
+  };
+
+  const commitReviewer = (value) => {
+    if (value.trim() !== (filters.reviewer || '')) {
+      onChange({ reviewer: value.trim() });
+    }
+  };
+
+  const starOptions = [1, 2, 3, 4, 5];
+
+  return (
+    <div className="ratings-filter-bar">
+      <div className="filter-row">
+        <label className="filter-field">
+          <span>Stars</span>
+          <div className="filter-range">
+            <select value={filters.min_stars || ''} onChange={(e) => onChange({ min_stars: e.target.value })} aria-label="Minimum stars">
+              <option value="">Min</option>
+              {starOptions.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+            <select value={filters.max_stars || ''} onChange={(e) => onChange({ max_stars: e.target.value })} aria-label="Maximum stars">
+              <option value="">Max</option>
+              {starOptions.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </div>
+        </label>
+        <label className="filter-field">
+          <span>From</span>
+          <input type="date" value={filters.from || ''} onChange={(e) => onChange({ from: e.target.value })} />
+        </label>
+        <label className="filter-field">
+          <span>To</span>
+          <input type="date" value={filters.to || ''} onChange={(e) => onChange({ to: e.target.value })} />
+        </label>
+        {showSort && (
+          <label className="filter-field">
+            <span>Sort</span>
+            <select value={sortValue} onChange={(e) => handleSortChange(e.target.value)}>
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      <div className="filter-row">
+        <label className="filter-field">
+          <span>Resolved</span>
+          <select value={filters.resolves_issue || ''} onChange={(e) => onChange({ resolves_issue: e.target.value })}>
+            <option value="">Any</option>
+            <option value="true">Yes</option>
+            <option value="false">No</option>
+            <option value="unanswered">Unanswered</option>
+          </select>
+        </label>
+        <label className="filter-field">
+          <span>Recurring</span>
+          <select value={filters.issue_recurrence || ''} onChange={(e) => onChange({ issue_recurrence: e.target.value })}>
+            <option value="">Any</option>
+            <option value="true">Yes</option>
+            <option value="false">No</option>
+            <option value="unanswered">Unanswered</option>
+          </select>
+        </label>
+        <label className="filter-field">
+          <span>Comment</span>
+          <select value={filters.has_comment || ''} onChange={(e) => onChange({ has_comment: e.target.value })}>
+            <option value="">Any</option>
+            <option value="true">With comment</option>
+            <option value="false">Without comment</option>
+          </select>
+        </label>
+        <label className="filter-field">
+          <span>Reply</span>
+          <select value={filters.needs_response || ''} onChange={(e) => onChange({ needs_response: e.target.value })}>
+            <option value="">Any</option>
+            <option value="true">Needs response</option>
+            <option value="false">Handled</option>
+          </select>
+        </label>
+        <label className="filter-field">
+          <span>Moderation</span>
+          <select value={filters.moderation || ''} onChange={(e) => onChange({ moderation: e.target.value })}>
+            <option value="">Any</option>
+            <option value="pending">Awaiting review</option>
+            <option value="approved">Approved</option>
+            <option value="rejected">Rejected</option>
+          </select>
+        </label>
+        {providers.length > 0 && (
+          <label className="filter-field">
+            <span>Technician</span>
+            <select value={filters.provider || ''} onChange={(e) => onChange({ provider: e.target.value })}>
+              <option value="">Any</option>
+              {providers.map(provider => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.name}{provider.active ? '' : ' (inactive)'}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {surveys.length > 0 && (
+          <label className="filter-field">
+            <span>Survey</span>
+            <select value={filters.survey || ''} onChange={(e) => onChange({ survey: e.target.value })}>
+              <option value="">Any</option>
+              {surveys.map(survey => (
+                <option key={survey.id} value={survey.id}>
+                  {survey.title}{survey.active ? '' : ' (inactive)'}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="filter-field filter-field-grow">
+          <span>Reviewer</span>
+          <input
+            key={filters.reviewer || ''}
+            type="text"
+            defaultValue={filters.reviewer || ''}
+            placeholder="Name contains..."
+            maxLength={100}
+            onBlur={(e) => commitReviewer(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitReviewer(e.currentTarget.value);
+            }}
+          />
+        </label>
+      </div>
+
+      {categories.length > 0 && (
+        <div className="filter-chips" role="group" aria-label="Filter by category">
+          {categories.map(category => (
+            <button
+              key={category.id}
+              type="button"
+              className={`filter-chip ${selectedCategories.includes(category.id) ? 'selected' : ''}`}
+              aria-pressed={selectedCategories.includes(category.id)}
+              onClick={() => toggleCategory(category.id)}
+            >
+              {category.emoji} {category.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {hasFilters && (
+        <button type="button" className="filter-clear-btn" onClick={onClear}>
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+}
+
+const MAX_RESPONSE_LENGTH = 1000;
+
+function RatingResponseThread({ rating, canReply, onResponded }) {
+  const [open, setOpen] = useState(false);
+  const [body, setBody] = useState('');
+  const [visibility, setVisibility] = useState('internal');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const responses = rating.responses || [];
+
+  if (!canReply && responses.length === 0) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_URL}/admin/ratings/${rating.id}/responses`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ body, visibility })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setBody('');
+        setVisibility('internal');
+        setOpen(false);
+        onResponded(rating.id, data.response);
+      } else {
+        setError(data.error || 'Failed to save reply');
+      }
+    } catch (err) {
+      console.error('Reply error:', err);
+      setError('Failed to save reply');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="response-thread">
+      {responses.map(reply => (
+        <div key={reply.id} className={`response-item ${reply.visibility}`}>
+          <div className="response-meta">
+            <span className={`response-visibility ${reply.visibility}`}>
+              {reply.visibility === 'public' ? 'Baymax responds' : 'Internal note'}
+            </span>
+            <span className="response-author">
+              {reply.author_name} - {new Date(reply.created_at).toLocaleDateString()}
+            </span>
+          </div>
+          <p className="response-body">{reply.body}</p>
+        </div>
+      ))}
+
+      {!canReply ? null : open ? (
+        <form className="response-form" onSubmit={handleSubmit}>
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            placeholder={visibility === 'public' ? 'Reply shown with this feedback...' : 'Note for the care team...'}
+            maxLength={MAX_RESPONSE_LENGTH}
+            rows={3}
+            aria-label="Reply text"
+            autoFocus
+          />
+          {error && <p className="response-error" role="alert">{error}</p>}
+          <div className="response-form-actions">
+            <select value={visibility} onChange={(e) => setVisibility(e.target.value)} aria-label="Reply visibility">
+              <option value="internal">Internal note</option>
+              <option value="public">Public reply</option>
+            </select>
+            <button type="button" className="response-cancel-btn" onClick={() => setOpen(false)} disabled={submitting}>
+              Cancel
+            </button>
+            <button type="submit" className="response-submit-btn" disabled={submitting || !body.trim()}>
+              {submitting ? 'Saving...' : 'Save Reply'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button type="button" className="response-open-btn" onClick={() => setOpen(true)}>
+          Reply
+        </button>
+      )}
+    </div>
+  );
+}
+
+// A survey answer as shown under a rating
+function formatAnswerValue(answer) {
+  if (answer.type === 'yes_no') return answer.value ? 'Yes' : 'No';
+  if (Array.isArray(answer.value)) return answer.value.join(', ');
+  return String(answer.value);
+}
+
+function AdminRecentRatings({ refreshTrigger, canModify, onDelete, onRestore, onRespond }) {
+  const [view, setView] = useState('active');
+  const [ratings, setRatings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+  const [undoRating, setUndoRating] = useState(null);
+  const undoTimerRef = useRef(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Filters live in the URL hash so filtered views can be bookmarked
+  const filters = useMemo(() => {
+    const values = {};
+    RATING_FILTER_PARAMS.forEach(key => {
+      const value = searchParams.get(key);
+      if (value) values[key] = value;
+    });
+    return values;
+  }, [searchParams]);
+  const filterQuery = useMemo(() => new URLSearchParams(filters).toString(), [filters]);
+
+  // Pages after the first use the cursor from the previous response when the
+  // endpoint provides one, so new ratings arriving don't shift or repeat rows
+  const fetchRatings = useCallback(async ({ offset = 0, cursor = null } = {}, append = false) => {
+    try {
+      if (append) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
+
+      const query = filterQuery ? `&${filterQuery}` : '';
+      const page = cursor ? `cursor=${encodeURIComponent(cursor)}` : `offset=${offset}`;
+      const response = await fetch(`${API_URL}${RATING_VIEWS[view].endpoint}?limit=${RATINGS_PER_PAGE}&${page}${query}`, {
+        credentials: 'include'
+      });
+
+      // Invalid filters: show the server's explanation instead of a connection error
+      if (response.status === 400) {
+        const errorData = await response.json().catch(() => ({}));
+        setError(errorData.error || 'Those filters could not be applied.');
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (data.success) {
+        if (append) {
+          setRatings(prev => [...prev, ...data.ratings]);
+        } else {
+          setRatings(data.ratings);
+        }
+        setHasMore(data.hasMore);
+        setNextCursor(data.nextCursor || null);
+        setTotal(data.total);
+        if (data.retention_days) setRetentionDays(data.retention_days);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Failed to fetch ratings:', err);
+      setError('Patient records temporarily unavailable');
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  }, [view, filterQuery]);
+
+  useEffect(() => {
+    fetchRatings({}, false);
+  }, [refreshTrigger, fetchRatings]);
+
+  // Drop any pending undo timer on unmount
+  useEffect(() => () => clearTimeout(undoTimerRef.current), []);
+
+  const handleLoadMore = () => {
+    fetchRatings(nextCursor ? { cursor: nextCursor } : { offset: ratings.length }, true);
+  };
+
+  const showUndo = (rating) => {
+    clearTimeout(undoTimerRef.current);
+    setUndoRating(rating);
+    undoTimerRef.current = setTimeout(() => setUndoRating(null), UNDO_WINDOW_MS);
+  };
+
+  const dismissUndo = () => {
+    clearTimeout(undoTimerRef.current);
+    setUndoRating(null);
+  };
+
+  const handleDelete = async (rating) => {
+    if (!confirm('Move this rating to the trash?')) {
+      return;
+    }
+
+    setDeletingId(rating.id);
+    try {
+      const response = await fetch(`${API_URL}/admin/ratings/${rating.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setRatings(prev => prev.filter(r => r.id !== rating.id));
+        setTotal(prev => prev - 1);
+        if (data.retention_days) setRetentionDays(data.retention_days);
+        showUndo(rating);
+        if (onDelete) onDelete();
+      } else {
+        alert(data.error || 'Failed to delete rating');
+      }
+    } catch (err) {
+      console.error('Delete error:', err);
+      alert('Failed to delete rating');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const handleRestore = async (id) => {
+    setRestoringId(id);
+    try {
+      const response = await fetch(`${API_URL}/admin/ratings/${id}/restore`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        if (view === 'trash') {
+          setRatings(prev => prev.filter(r => r.id !== id));
+          setTotal(prev => prev - 1);
+        }
+        if (undoRating?.id === id) dismissUndo();
+        if (onRestore) onRestore();
+      } else {
+        alert(data.error || 'Failed to restore rating');
+      }
+    } catch (err) {
+      console.error('Restore error:', err);
+      alert('Failed to restore rating');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const handleResponded = (ratingId, reply) => {
+    setRatings(prev => prev.map(r => (
+      r.id === ratingId
+        ? { ...r, responses: [...(r.responses || []), reply], needs_response: false }
+        : r
+    )));
+    if (onRespond) onRespond();
+  };
+
+  const handleFilterChange = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next, { replace: true });
+  };
+
+  const handleClearFilters = () => {
+    const next = new URLSearchParams(searchParams);
+    RATING_FILTER_PARAMS.forEach(key => next.delete(key));
+    setSearchParams(next, { replace: true });
+  };
+
+  const handleViewChange = (nextView) => {
+    if (nextView === view) return;
+    setRatings([]);
+    setView(nextView);
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    const now = new Date();
+    const diffMs = now - date;
+    const diffMins = Math.floor(diffMs / 60000);
+    const diffHours = Math.floor(diffMs / 3600000);
+    const diffDays = Math.floor(diffMs / 86400000);
+
+    if (diffMins < 1) return 'Just now';
+    if (diffMins < 60) return `${diffMins}m ago`;
+    if (diffHours < 24) return `${diffHours}h ago`;
+    if (diffDays < 7) return `${diffDays}d ago`;
+
+    return date.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const renderStars = (count) => {
+    return '*'.repeat(count) + '-'.repeat(5 - count);
+  };
+
+  const isTrash = view === 'trash';
+
+  const header = (
+    <>
+      <h3>
+        Patient Feedback Log
+        {!loading && !error && <span className="total-count">({total} {isTrash ? 'in trash' : 'total'})</span>}
+      </h3>
+      <div className="ratings-tabs" role="tablist" aria-label="Patient feedback views">
+        {Object.entries(RATING_VIEWS).map(([key, { label }]) => (
+          <button
+            key={key}
+            type="button"
+            role="tab"
+            className={`ratings-tab ${view === key ? 'active' : ''}`}
+            aria-selected={view === key}
+            onClick={() => handleViewChange(key)}
+          >
+            {label}
+          </button>
+        ))}
+        {!isTrash && canModify && (
+          <a
+            className="refresh-btn export-csv-btn"
+            href={`${API_URL}/admin/ratings/export.csv${filterQuery ? `?${filterQuery}` : ''}`}
+            download
+            title="Download the ratings matching the current filters"
+          >
+            Export CSV
+          </a>
+        )}
+      </div>
+      {/* The trash is always newest deletion first, so it has no sort */}
+      <AdminRatingFilters
+        filters={filters}
+        onChange={handleFilterChange}
+        onClear={handleClearFilters}
+        showSort={!isTrash}
+      />
+      {undoRating && (
+        <div className="undo-banner" role="status" aria-live="polite">
+          <span>Rating from {undoRating.reviewer_name} moved to the trash.</span>
+          <button
+            type="button"
+            className="undo-btn"
+            onClick={() => handleRestore(undoRating.id)}
+            disabled={restoringId === undoRating.id}
+          >
+            {restoringId === undoRating.id ? 'Restoring...' : 'Undo'}
+          </button>
+          <button type="button" className="undo-dismiss" onClick={dismissUndo} aria-label="Dismiss">
+            x
+          </button>
+        </div>
+      )}
+    </>
+  );
+
+  if (loading) {
+    return (
+      <div className="recent-ratings loading">
+        {header}
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Scanning patient records...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="recent-ratings error">
+        {header}
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-title">Connection Error</p>
+          <p className="error-text">{error}</p>
+          <button className="retry-btn" onClick={() => fetchRatings({}, false)}>
+            Run Diagnostics Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (ratings.length === 0) {
+    return (
+      <div className="recent-ratings empty">
+        {header}
+        <div className="empty-state">
+          <BaymaxFace emotion="neutral" size={80} className="empty-baymax" />
+          <p className="empty-title">
+            {filterQuery ? 'No Matching Feedback' : isTrash ? 'Trash Is Empty' : 'No Feedback Recorded Yet'}
+          </p>
+          <p className="empty-text">
+            {filterQuery
+              ? 'Try widening the filters.'
+              : isTrash ? 'Deleted patient records will appear here.' : 'Awaiting patient feedback submissions.'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="recent-ratings">
+      {header}
+      {isTrash && retentionDays && (
+        <p className="trash-notice">
+          Deleted records are permanently purged after {retentionDays} days.
+        </p>
+      )}
+      <div className="ratings-list">
+        {ratings.map((rating, index) => {
+          const emotion = RATING_EMOTIONS[rating.stars] || 'neutral';
+          const isDeleting = deletingId === rating.id;
+          const isRestoring = restoringId === rating.id;
+
+          return (
+            <div
+              key={rating.id}
+              className={`rating-card stars-${rating.stars} ${isDeleting || isRestoring ? 'deleting' : ''} ${isTrash ? 'trashed' : ''}`}
+              style={{ '--entry-delay': `${index * 50}ms` }}
+            >
+              <div className="rating-header">
+                <div className="rating-stars-section">
+                  <BaymaxFace emotion={emotion} size={24} className="rating-baymax" />
+                  <span className="rating-stars">
+                    {renderStars(rating.stars)}
+                  </span>
+                </div>
+                <span className="rating-category">
+                  {rating.category_emoji} {rating.category_name}
+                </span>
+                {rating.provider_name && (
+                  <span className="rating-provider" title="Technician credited by the patient">
+                    {rating.provider_name}
+                  </span>
+                )}
+                {rating.survey_title && (
+                  <span className="rating-survey" title="Survey this feedback came through">
+                    {rating.survey_title}
+                  </span>
+                )}
+                {rating.ticket_ref && (
+                  <span className="rating-ticket" title="Ticket this feedback was invited for">
+                    {rating.ticket_ref}
+                  </span>
+                )}
+                {rating.needs_response && (
+                  <span className="needs-response-badge" title="Low rating with no reply yet">Needs response</span>
+                )}
+                {MODERATION_STATUS_LABELS[rating.moderation_status] && (
+                  <span className={`moderation-badge ${rating.moderation_status}`} title="Comment moderation">
+                    {MODERATION_STATUS_LABELS[rating.moderation_status]}
+                  </span>
+                )}
+                {!canModify ? null : isTrash ? (
+                  <button
+                    className="restore-rating-btn"
+                    onClick={() => handleRestore(rating.id)}
+                    disabled={isRestoring}
+                    title="Restore rating"
+                  >
+                    {isRestoring ? '...' : 'Restore'}
+                  </button>
+                ) : (
+                  <button
+                    className="delete-rating-btn"
+                    onClick={() => handleDelete(rating)}
+                    disabled={isDeleting}
+                    title="Delete rating"
+                  >
+                    {isDeleting ? '...' : 'x'}
+                  </button>
+                )}
+              </div>
+              {rating.comment && (
+                <p className="rating-comment">"{rating.comment}"</p>
+              )}
+              <div className="rating-footer">
+                <span className="rating-author">- {rating.reviewer_name}</span>
+                <span className="rating-date">{formatDate(rating.created_at)}</span>
+              </div>
+              {!isTrash && (
+                <RatingResponseThread rating={rating} canReply={canModify} onResponded={handleResponded} />
+              )}
+              {/* Show follow-up responses if available */}
+              {(rating.resolves_issue !== null || rating.issue_recurrence !== null) && (
+                <div className="rating-followup">
+                  {rating.resolves_issue !== null && (
+                    <span className={`followup-badge ${rating.resolves_issue ? 'positive' : 'negative'}`}>
+                      {rating.resolves_issue ? 'Issue Resolved' : 'Issue Not Resolved'}
+                    </span>
+                  )}
+                  {rating.issue_recurrence !== null && rating.issue_recurrence === 1 && (
+                    <span className="followup-badge recurring">
+                      Recurring Issue
+                    </span>
+                  )}
+                </div>
+              )}
+              {/* Show previous issue details if available */}
+              {rating.previous_issue_details && (
+                <div className="previous-issue-details">
+                  <span className="details-label">Previous occurrence:</span>
+                  <p className="details-text">"{rating.previous_issue_details}"</p>
+                </div>
+              )}
+              {rating.answers && rating.answers.length > 0 && (
+                <dl className="rating-answers">
+                  {rating.answers.map(answer => (
+                    <Fragment key={answer.question_id}>
+                      <dt>{answer.prompt}</dt>
+                      <dd>{formatAnswerValue(answer)}</dd>
+                    </Fragment>
+                  ))}
+                </dl>
+              )}
+              {isTrash && rating.deleted_at && (
+                <p className="trashed-meta">
+                  Deleted {formatDate(rating.deleted_at)}
+                  {rating.deleted_by_username && ` by ${rating.deleted_by_username}`}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {hasMore && (
+        <button
+          className="load-more-btn"
+          onClick={handleLoadMore}
+          disabled={loadingMore}
+        >
+          {loadingMore ? (
+            <>
+              <BaymaxFace emotion="thinking" size={20} className="btn-baymax" />
+              Loading more records...
+            </>
+          ) : (
+            'Load More Patient Records'
+          )}
+        </button>
+      )}
+    </div>
+  );
+}
+
+AdminRecentRatings.propTypes = {
+  refreshTrigger: PropTypes.number.isRequired,
+  canModify: PropTypes.bool.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onRestore: PropTypes.func.isRequired,
+  onRespond: PropTypes.func.isRequired
+};
+
+export default AdminRecentRatings;
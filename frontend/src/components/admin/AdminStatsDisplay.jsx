@@ -0,0 +1,430 @@
+/**
+ * AdminStatsDisplay Component
+ * Care statistics for the dashboard overview: satisfaction scores, star distribution,
+ * category averages and the rating trend chart
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import BaymaxFace from '../BaymaxFace';
+import { API_URL } from '../../config';
+import { formatScore } from './adminDisplay';
+
+// Care level configuration
+const CARE_LEVELS = [
+  { min: 0, max: 2, title: 'Healthcare Companion in Training', emotion: 'concerned' },
+  { min: 2, max: 3, title: 'IT Care Provider', emotion: 'thinking' },
+  { min: 3, max: 3.5, title: 'Certified IT Healthcare Companion', emotion: 'neutral' },
+  { min: 3.5, max: 4, title: 'Advanced Care Provider', emotion: 'happy' },
+  { min: 4, max: 4.5, title: 'Superior Healthcare Companion', emotion: 'happy' },
+  { min: 4.5, max: 5.1, title: 'Legendary Baymax Status', emotion: 'celebrating' },
+];
+
+const TREND_INTERVALS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' }
+];
+
+// SVG chart geometry (viewBox units)
+const TREND_WIDTH = 600;
+const TREND_HEIGHT = 180;
+const TREND_PADDING = { top: 10, right: 8, bottom: 22, left: 26 };
+
+function formatBucketLabel(bucket, interval) {
+  const date = new Date(`${bucket}T00:00:00`);
+  return interval === 'month'
+    ? date.toLocaleDateString(undefined, { month: 'short', year: '2-digit' })
+    : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+function AdminTrendChart({ refreshTrigger, survey = '' }) {
+  const [trendInterval, setTrendInterval] = useState('day');
+  const [buckets, setBuckets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const surveyParam = survey ? `&survey=${encodeURIComponent(survey)}` : '';
+    fetch(`${API_URL}/admin/stats/timeseries?interval=${trendInterval}${surveyParam}`, { credentials: 'include' })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(data => {
+        if (cancelled || !data.success) return;
+        setBuckets(data.buckets);
+        setError(null);
+      })
+      .catch(err => {
+        console.error('Failed to fetch trend:', err);
+        if (!cancelled) setError('Trend data temporarily unavailable');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [trendInterval, refreshTrigger, survey]);
+
+  const plotWidth = TREND_WIDTH - TREND_PADDING.left - TREND_PADDING.right;
+  const plotHeight = TREND_HEIGHT - TREND_PADDING.top - TREND_PADDING.bottom;
+  const slotWidth = buckets.length > 0 ? plotWidth / buckets.length : plotWidth;
+  const maxCount = Math.max(1, ...buckets.map(b => b.count));
+  const xFor = (index) => TREND_PADDING.left + slotWidth * (index + 0.5);
+  const yForStars = (stars) => TREND_PADDING.top + plotHeight * (1 - (stars - 1) / 4);
+
+  // Break the average line at empty buckets rather than drawing through them
+  const lineSegments = [];
+  buckets.forEach((bucket, index) => {
+    if (bucket.average_stars === null) {
+      lineSegments.push([]);
+      return;
+    }
+    if (lineSegments.length === 0) lineSegments.push([]);
+    lineSegments[lineSegments.length - 1].push(`${xFor(index)},${yForStars(bucket.average_stars)}`);
+  });
+
+  const labelIndexes = buckets.length > 0
+    ? [...new Set([0, Math.floor((buckets.length - 1) / 2), buckets.length - 1])]
+    : [];
+  const totalInRange = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+
+  return (
+    <div className="trend-section">
+      <div className="trend-header">
+        <h4>Satisfaction Trend</h4>
+        <div className="trend-intervals" role="group" aria-label="Trend interval">
+          {TREND_INTERVALS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`trend-interval-btn ${trendInterval === option.value ? 'active' : ''}`}
+              aria-pressed={trendInterval === option.value}
+              onClick={() => {
+                setLoading(true);
+                setTrendInterval(option.value);
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error ? (
+        <p className="trend-message">{error}</p>
+      ) : loading && buckets.length === 0 ? (
+        <p className="trend-message">Analyzing care trends...</p>
+      ) : totalInRange === 0 ? (
+        <p className="trend-message">No patient feedback in this period.</p>
+      ) : (
+        <>
+          <svg
+            className={`trend-chart ${loading ? 'updating' : ''}`}
+            viewBox={`0 0 ${TREND_WIDTH} ${TREND_HEIGHT}`}
+            role="img"
+            aria-label="Ratings per period and average satisfaction over time"
+          >
+            {[1, 3, 5].map(stars => (
+              <g key={stars}>
+                <line
+                  className="trend-gridline"
+                  x1={TREND_PADDING.left}
+                  x2={TREND_WIDTH - TREND_PADDING.right}
+                  y1={yForStars(stars)}
+                  y2={yForStars(stars)}
+                />
+                <text className="trend-axis-label" x={TREND_PADDING.left - 6} y={yForStars(stars) + 4} textAnchor="end">
+                  {stars}*
+                </text>
+              </g>
+            ))}
+
+            {buckets.map((bucket, index) => {
+              const barHeight = (bucket.count / maxCount) * plotHeight;
+              return (
+                <rect
+                  key={bucket.bucket}
+                  className="trend-bar"
+                  x={xFor(index) - slotWidth * 0.35}
+                  y={TREND_PADDING.top + plotHeight - barHeight}
+                  width={slotWidth * 0.7}
+                  height={barHeight}
+                >
+                  <title>
+                    {`${formatBucketLabel(bucket.bucket, trendInterval)}: ${bucket.count} rating${bucket.count === 1 ? '' : 's'}`}
+                    {bucket.average_stars !== null ? `, ${bucket.average_stars}* average` : ''}
+                    {`, ${bucket.resolved} resolved, ${bucket.unresolved} unresolved`}
+                  </title>
+                </rect>
+              );
+            })}
+
+            {lineSegments.filter(points => points.length > 0).map(points => (
+              <polyline key={points[0]} className="trend-line" points={points.join(' ')} />
+            ))}
+            {buckets.map((bucket, index) => bucket.average_stars !== null && (
+              <circle
+                key={bucket.bucket}
+                className="trend-point"
+                cx={xFor(index)}
+                cy={yForStars(bucket.average_stars)}
+                r={3}
+              />
+            ))}
+
+            {labelIndexes.map(index => (
+              <text
+                key={index}
+                className="trend-axis-label"
+                x={xFor(index)}
+                y={TREND_HEIGHT - 6}
+                textAnchor={index === 0 ? 'start' : index === buckets.length - 1 ? 'end' : 'middle'}
+              >
+                {formatBucketLabel(buckets[index].bucket, trendInterval)}
+              </text>
+            ))}
+          </svg>
+          <div className="trend-legend">
+            <span className="trend-legend-item bars">Ratings</span>
+            <span className="trend-legend-item line">Average stars</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function AdminStatsDisplay({ refreshTrigger, survey = '' }) {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [animateStats, setAnimateStats] = useState(false);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const query = survey ? `?survey=${encodeURIComponent(survey)}` : '';
+      const response = await fetch(`${API_URL}/admin/stats${query}`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      if (data.success) {
+        setStats(data.stats);
+        setAnimateStats(false);
+        setTimeout(() => setAnimateStats(true), 100);
+      }
+    } catch (err) {
+      console.error('Failed to fetch stats:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [survey]);
+
+  useEffect(() => {
+    setAnimateStats(false);
+    fetchStats();
+  }, [refreshTrigger, fetchStats]);
+
+  const getCareLevel = (avgRating) => {
+    const level = CARE_LEVELS.find(l => avgRating >= l.min && avgRating < l.max);
+    return level || CARE_LEVELS[0];
+  };
+
+  if (loading) {
+    return (
+      <div className="stats-display loading">
+        <h3>Care Statistics</h3>
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Scanning healthcare database...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!stats || stats.total_ratings === 0) {
+    return (
+      <div className="stats-display empty">
+        <h3>Care Statistics</h3>
+        <div className="empty-state">
+          <BaymaxFace emotion="neutral" size={80} className="empty-baymax" />
+          <p className="empty-title">Ready to Provide Care</p>
+          <p className="empty-text">
+            {survey ? 'No patient feedback recorded for this survey yet.' : 'No patient feedback recorded yet.'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const avgRating = stats.average_stars || 0;
+  const careLevel = getCareLevel(avgRating);
+
+  const starDist = [1, 2, 3, 4, 5].map(star => {
+    const found = stats.star_distribution.find(s => s.stars === star);
+    return { stars: star, count: found ? found.count : 0 };
+  });
+
+  return (
+    <div className="stats-display">
+      <h3>Care Statistics</h3>
+
+      <div className="hero-title-section">
+        <BaymaxFace emotion={careLevel.emotion} size={56} className="hero-baymax" />
+        <span className="hero-title">{careLevel.title}</span>
+        <div className="avg-rating">
+          <span className="avg-number">{avgRating.toFixed(1)}</span>
+          <span className="avg-stars">*</span>
+          <span className="avg-label">satisfaction</span>
+        </div>
+        {stats.scores && (
+          <div className="score-metrics">
+            <div className="score-metric" title="Share of ratings with 4 or 5 stars">
+              <span className="score-value">{formatScore(stats.scores.csat, '%')}</span>
+              <span className="score-label">CSAT</span>
+            </div>
+            <div
+              className="score-metric"
+              title={`5-star promoters (${stats.scores.promoters}) minus 1-3 star detractors (${stats.scores.detractors}), as a share of all ratings`}
+            >
+              <span className={`score-value ${stats.scores.net_score < 0 ? 'negative' : ''}`}>
+                {stats.scores.net_score > 0 ? '+' : ''}{formatScore(stats.scores.net_score)}
+              </span>
+              <span className="score-label">Net Score</span>
+            </div>
+            {stats.awaiting_response > 0 && (
+              <Link
+                to="?needs_response=true"
+                className="score-metric awaiting-response"
+                title="Ratings of 1 or 2 stars with no reply yet"
+              >
+                <span className="score-value">{stats.awaiting_response}</span>
+                <span className="score-label">Need Reply</span>
+              </Link>
+            )}
+          </div>
+        )}
+        <div className="care-level-bar">
+          <div
+            className="care-level-fill"
+            style={{ width: `${(avgRating / 5) * 100}%` }}
+          />
+        </div>
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat-card">
+          <span className="stat-number">{stats.total_ratings}</span>
+          <span className="stat-label">Patients Served</span>
+        </div>
+        <div className="stat-card">
+          <span className="stat-number">{stats.ratings_this_week}</span>
+          <span className="stat-label">This Week</span>
+        </div>
+        <div className="stat-card">
+          <span className="stat-number">{stats.fun_facts?.features_built || 0}</span>
+          <span className="stat-label">Features Built</span>
+        </div>
+        <div className="stat-card">
+          <span className="stat-number">{stats.fun_facts?.bugs_fixed || 0}</span>
+          <span className="stat-label">Bugs Fixed</span>
+        </div>
+      </div>
+
+      {/* Issue Tracking Stats (Admin only) */}
+      {stats.issue_tracking && (
+        <div className="issue-tracking-section">
+          <h4>Issue Resolution</h4>
+          <div className="issue-stats">
+            <div className="issue-stat resolved">
+              <span className="issue-count">{stats.issue_tracking.resolved}</span>
+              <span className="issue-label">Resolved</span>
+            </div>
+            <div className="issue-stat unresolved">
+              <span className="issue-count">{stats.issue_tracking.unresolved}</span>
+              <span className="issue-label">Unresolved</span>
+            </div>
+            <div className="issue-stat recurring">
+              <span className="issue-count">{stats.issue_tracking.recurring}</span>
+              <span className="issue-label">Recurring</span>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <AdminTrendChart refreshTrigger={refreshTrigger} survey={survey} />
+
+      <div className="distribution-section">
+        <h4>Satisfaction Distribution</h4>
+        <div className="star-distribution">
+          {[...starDist].reverse().map(({ stars, count }, index) => {
+            const percentage = stats.total_ratings > 0
+              ? (count / stats.total_ratings) * 100
+              : 0;
+            return (
+              <div
+                className="star-bar"
+                key={stars}
+                style={{ '--bar-delay': `${index * 100}ms` }}
+              >
+                <span className="star-label">{stars}*</span>
+                <div className="bar-container">
+                  <div
+                    className={`bar-fill ${animateStats ? 'animate' : ''}`}
+                    style={{ '--target-width': `${percentage}%` }}
+                  />
+                </div>
+                <span className="bar-count">{count}</span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {stats.category_breakdown.length > 0 && (
+        <div className="category-stats">
+          <h4>Treatment Types</h4>
+          <div className="category-list">
+            {stats.category_breakdown.slice(0, 5).map((cat, index) => (
+              <div
+                className="category-stat"
+                key={cat.category}
+                style={{ '--entry-delay': `${index * 80}ms` }}
+              >
+                <span className="cat-emoji">{cat.category_emoji}</span>
+                <span className="cat-name">{cat.category_name}</span>
+                <span className="cat-count">
+                  {cat.count} patients{cat.csat !== null && cat.csat !== undefined ? ` · ${cat.csat}% CSAT` : ''}
+                </span>
+                {cat.bayesian_avg !== undefined ? (
+                  <span
+                    className="cat-avg"
+                    title={`Adjusted for sample size (raw average ${cat.avg_stars}*). 95% range: ${cat.ci_low}-${cat.ci_high}*`}
+                  >
+                    {cat.bayesian_avg.toFixed(1)}*
+                    <span className="cat-ci">±{((cat.ci_high - cat.ci_low) / 2).toFixed(1)}</span>
+                  </span>
+                ) : (
+                  <span className="cat-avg">{cat.avg_stars}*</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+AdminStatsDisplay.propTypes = {
+  refreshTrigger: PropTypes.number.isRequired,
+  survey: PropTypes.string
+};
+
+export default AdminStatsDisplay;
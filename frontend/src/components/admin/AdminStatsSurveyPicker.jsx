@@ -0,0 +1,48 @@
+/**
+ * AdminStatsSurveyPicker Component
+ * Narrows the dashboard overview statistics and trend to one survey campaign
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { API_URL } from '../../config';
+
+function AdminStatsSurveyPicker({ value, onChange }) {
+  const [surveys, setSurveys] = useState([]);
+
+  useEffect(() => {
+    fetch(`${API_URL}/admin/surveys`, { credentials: 'include' })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setSurveys(data.surveys);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch surveys for statistics:', err);
+      });
+  }, []);
+
+  if (surveys.length === 0) return null;
+
+  return (
+    <label className="filter-field stats-survey-picker">
+      <span>Results for</span>
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">All feedback</option>
+        {surveys.map(survey => (
+          <option key={survey.id} value={survey.id}>
+            {survey.title}{survey.active ? '' : ' (inactive)'}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+AdminStatsSurveyPicker.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default AdminStatsSurveyPicker;
@@ -0,0 +1,408 @@
+/**
+ * AdminSurveyManager Component
+ * Owner tool for the named survey campaigns: their public links, introductions, categories and schedules
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import BaymaxFace from '../BaymaxFace';
+import { API_URL } from '../../config';
+
+const EMPTY_SURVEY_FORM = { title: '', slug: '', intro: '', category_ids: [], opens_at: '', closes_at: '' };
+
+const SURVEY_STATUS_LABELS = {
+  open: 'Open',
+  scheduled: 'Not open yet',
+  closed: 'Closed',
+  inactive: 'Inactive'
+};
+
+// Public page for a survey campaign
+function surveyLink(slug) {
+  return `${window.location.origin}${window.location.pathname}#/s/${slug}`;
+}
+
+// Date input value (YYYY-MM-DD) for a stored schedule bound; closing dates are
+// stored as the start of the following day, so step back into the day they cover
+function scheduleDateValue(value, closing) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (closing) date.setTime(date.getTime() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+function surveyFormValues(survey) {
+  return {
+    title: survey.title,
+    slug: survey.slug,
+    intro: survey.intro || '',
+    category_ids: survey.category_ids || [],
+    opens_at: scheduleDateValue(survey.opens_at, false),
+    closes_at: scheduleDateValue(survey.closes_at, true)
+  };
+}
+
+function surveyPayload(values) {
+  return {
+    title: values.title.trim(),
+    slug: values.slug.trim() || undefined,
+    intro: values.intro.trim() || null,
+    category_ids: values.category_ids,
+    opens_at: values.opens_at || null,
+    closes_at: values.closes_at || null
+  };
+}
+
+function describeSchedule(survey) {
+  const format = (value, closing) => new Date(`${scheduleDateValue(value, closing)}T00:00:00`).toLocaleDateString();
+  if (survey.opens_at && survey.closes_at) {
+    return `${format(survey.opens_at, false)} to ${format(survey.closes_at, true)}`;
+  }
+  if (survey.opens_at) return `from ${format(survey.opens_at, false)}`;
+  if (survey.closes_at) return `until ${format(survey.closes_at, true)}`;
+  return 'no end date';
+}
+
+function SurveyFormFields({ values, onChange, categories }) {
+  const toggleCategory = (id) => {
+    onChange({
+      category_ids: values.category_ids.includes(id)
+        ? values.category_ids.filter(c => c !== id)
+        : [...values.category_ids, id]
+    });
+  };
+
+  return (
+    <>
+      <input
+        type="text"
+        value={values.title}
+        onChange={(e) => onChange({ title: e.target.value })}
+        placeholder="Title (e.g. Incident follow-up)"
+        aria-label="Title"
+        maxLength={100}
+      />
+      <input
+        type="text"
+        value={values.slug}
+        onChange={(e) => onChange({ slug: e.target.value })}
+        placeholder="Link name (optional, derived from the title)"
+        aria-label="Link name"
+        maxLength={50}
+      />
+      <textarea
+        value={values.intro}
+        onChange={(e) => onChange({ intro: e.target.value })}
+        placeholder="Introduction shown above the form (optional)"
+        aria-label="Introduction"
+        maxLength={500}
+        rows={2}
+      />
+      <div className="survey-schedule-fields">
+        <label>
+          Opens
+          <input type="date" value={values.opens_at} onChange={(e) => onChange({ opens_at: e.target.value })} />
+        </label>
+        <label>
+          Closes after
+          <input type="date" value={values.closes_at} onChange={(e) => onChange({ closes_at: e.target.value })} />
+        </label>
+      </div>
+      {categories.length > 0 && (
+        <div className="question-rule-values" role="group" aria-label="Survey categories">
+          {categories.map(category => (
+            <label key={category.id}>
+              <input
+                type="checkbox"
+                checked={values.category_ids.includes(category.id)}
+                onChange={() => toggleCategory(category.id)}
+              />
+              {category.emoji} {category.name}
+            </label>
+          ))}
+          {values.category_ids.length === 0 && (
+            <span className="question-rule-always">No categories ticked: every active category is offered</span>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+function AdminSurveyManager({ onChange, onViewResults }) {
+  const [surveys, setSurveys] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [newSurvey, setNewSurvey] = useState(EMPTY_SURVEY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState(EMPTY_SURVEY_FORM);
+  const [savingId, setSavingId] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const fetchSurveys = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/admin/surveys`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      if (data.success) {
+        setSurveys(data.surveys);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Failed to fetch surveys:', err);
+      setError('Survey records temporarily unavailable');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSurveys();
+  }, [fetchSurveys]);
+
+  // Categories (including inactive ones) a survey can be limited to
+  useEffect(() => {
+    fetch(`${API_URL}/admin/categories`, { credentials: 'include' })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setCategories(data.categories);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch categories for surveys:', err);
+      });
+  }, []);
+
+  const categoryNames = Object.fromEntries(categories.map(category => [category.id, category.name]));
+
+  const saveSurvey = async (method, path, body, savingKey) => {
+    setSavingId(savingKey);
+    setFormError(null);
+    try {
+      const response = await fetch(`${API_URL}/admin/surveys${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        credentials: 'include',
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setFormError(data.error || 'Failed to save survey');
+        return false;
+      }
+      await fetchSurveys();
+      if (onChange) onChange();
+      return true;
+    } catch (err) {
+      console.error('Survey save error:', err);
+      setFormError('Failed to save survey');
+      return false;
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newSurvey.title.trim()) {
+      setFormError('Please enter a survey title.');
+      return;
+    }
+    const created = await saveSurvey('POST', '', surveyPayload(newSurvey), 'new');
+    if (created) setNewSurvey(EMPTY_SURVEY_FORM);
+  };
+
+  const startEditing = (survey) => {
+    setEditingId(survey.id);
+    setEditValues(surveyFormValues(survey));
+    setFormError(null);
+  };
+
+  const handleUpdate = async (id) => {
+    const updated = await saveSurvey('PATCH', `/${id}`, { ...surveyPayload(editValues), slug: editValues.slug }, id);
+    if (updated) setEditingId(null);
+  };
+
+  const handleToggleActive = (survey) => {
+    saveSurvey('PATCH', `/${survey.id}`, { active: !survey.active }, survey.id);
+  };
+
+  const handleDelete = async (survey) => {
+    if (!confirm(`Permanently delete survey "${survey.title}"?`)) {
+      return;
+    }
+    await saveSurvey('DELETE', `/${survey.id}`, null, survey.id);
+  };
+
+  const handleCopyLink = async (survey) => {
+    try {
+      await navigator.clipboard.writeText(surveyLink(survey.slug));
+      setCopiedId(survey.id);
+      setTimeout(() => setCopiedId(current => (current === survey.id ? null : current)), 2000);
+    } catch (err) {
+      console.error('Copy error:', err);
+      setFormError('Could not copy the survey link. Please copy it manually.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="recent-ratings loading">
+        <h3>Surveys</h3>
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Loading survey campaigns...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="recent-ratings error">
+        <h3>Surveys</h3>
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-title">Connection Error</p>
+          <p className="error-text">{error}</p>
+          <button className="retry-btn" onClick={fetchSurveys}>
+            Run Diagnostics Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="recent-ratings category-manager">
+      <h3>
+        Surveys
+        <span className="total-count">({surveys.filter(s => s.status === 'open').length} open)</span>
+      </h3>
+
+      {formError && (
+        <div className="login-error" role="alert">
+          <span className="error-icon">!</span>
+          {formError}
+        </div>
+      )}
+
+      {surveys.length === 0 && (
+        <p className="empty-text">
+          No surveys yet. Everyone uses the main form until you add one.
+        </p>
+      )}
+
+      <div className="category-admin-list">
+        {surveys.map(survey => {
+          const isEditing = editingId === survey.id;
+          const isSaving = savingId === survey.id;
+          const surveyCategories = (survey.category_ids || []).map(id => categoryNames[id] || id);
+
+          return (
+            <div
+              key={survey.id}
+              className={`category-admin-row ${survey.active ? '' : 'inactive'} ${isSaving ? 'saving' : ''}`}
+            >
+              {isEditing ? (
+                <>
+                  <div className="category-admin-fields">
+                    <SurveyFormFields
+                      values={editValues}
+                      onChange={(changes) => setEditValues(prev => ({ ...prev, ...changes }))}
+                      categories={categories}
+                    />
+                  </div>
+                  <div className="category-admin-actions">
+                    <button className="refresh-btn" onClick={() => handleUpdate(survey.id)} disabled={isSaving}>
+                      Save
+                    </button>
+                    <button className="refresh-btn" onClick={() => setEditingId(null)} disabled={isSaving}>
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="category-admin-fields">
+                    <span className="cat-name">
+                      {survey.title}
+                      <span className={`survey-status-badge ${survey.status}`}>{SURVEY_STATUS_LABELS[survey.status]}</span>
+                    </span>
+                    <span className="category-admin-meta">
+                      #/s/{survey.slug} - {describeSchedule(survey)} - {survey.rating_count} rating{survey.rating_count === 1 ? '' : 's'}
+                    </span>
+                    <span className="category-admin-meta">
+                      {surveyCategories.length > 0 ? surveyCategories.join(', ') : 'All active categories'}
+                    </span>
+                  </div>
+                  <div className="category-admin-actions">
+                    {onViewResults && (
+                      <button className="refresh-btn" onClick={() => onViewResults(survey.id)}>
+                        Results
+                      </button>
+                    )}
+                    <button
+                      className="refresh-btn"
+                      onClick={() => handleCopyLink(survey)}
+                      disabled={!survey.active}
+                      title={surveyLink(survey.slug)}
+                    >
+                      {copiedId === survey.id ? 'Copied!' : 'Copy link'}
+                    </button>
+                    <button className="refresh-btn" onClick={() => startEditing(survey)} disabled={isSaving}>
+                      Edit
+                    </button>
+                    <button className="refresh-btn" onClick={() => handleToggleActive(survey)} disabled={isSaving}>
+                      {survey.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                    <button
+                      className="delete-rating-btn"
+                      onClick={() => handleDelete(survey)}
+                      disabled={isSaving}
+                      title="Delete survey"
+                    >
+                      x
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <form className="category-admin-form" onSubmit={handleCreate}>
+        <h4>Add Survey</h4>
+        <div className="category-admin-row">
+          <div className="category-admin-fields">
+            <SurveyFormFields
+              values={newSurvey}
+              onChange={(changes) => setNewSurvey(prev => ({ ...prev, ...changes }))}
+              categories={categories}
+            />
+          </div>
+          <div className="category-admin-actions">
+            <button type="submit" className="logout-btn" disabled={savingId === 'new'}>
+              {savingId === 'new' ? 'Adding...' : 'Add'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+AdminSurveyManager.propTypes = {
+  onChange: PropTypes.func.isRequired,
+  onViewResults: PropTypes.func
+};
+
+export default AdminSurveyManager;
@@ -0,0 +1,17 @@
+/**
+ * Display helpers shared by the admin dashboard sections
+ */
+
+// Names of the custom survey question types
+export const QUESTION_TYPE_LABELS = {
+  yes_no: 'Yes / No',
+  single_choice: 'Single choice',
+  multi_choice: 'Multiple choice',
+  short_text: 'Short text',
+  scale: 'Scale'
+};
+
+// Whole-number score for display, or "--" when there is none yet
+export function formatScore(value, suffix = '') {
+  return value === null || value === undefined ? '--' : `${Math.round(value)}${suffix}`;
+}
@@ -53,9 +53,10 @@ export function AuthProvider({ children }) {
 
   /**
    * Login with username and password
+   * Admins with two-factor authentication get twoFactorRequired back and finish with verifyTwoFactor()
    * @param {string} username
    * @param {string} password
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @returns {Promise<{success: boolean, twoFactorRequired?: boolean, error?: string}>}
    */
   const login = async (username, password) => {
     setError(null);
@@ -72,7 +73,9 @@ export function AuthProvider({ children }) {
 
       const data = await response.json();
 
-      if (data.success) {
+      if (data.success && data.two_factor_required) {
+        return { success: false, twoFactorRequired: true };
+      } else if (data.success) {
         setUser(data.user);
         return { success: true };
       } else {
@@ -87,6 +90,40 @@ export function AuthProvider({ children }) {
     }
   };
 
+  /**
+   * Finish a two-factor login
+   * @param {Object} credentials - { code } from the authenticator app, or { recovery_code }
+   * @returns {Promise<{success: boolean, expired?: boolean, error?: string}>}
+   */
+  const verifyTwoFactor = async (credentials) => {
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_URL}/admin/login/2fa`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify(credentials)
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setUser(data.user);
+        return { success: true };
+      }
+      setError(data.error || 'Verification failed');
+      return { success: false, expired: Boolean(data.two_factor_expired), error: data.error };
+    } catch (err) {
+      console.error('Two-factor error:', err);
+      const errorMessage = 'Network error. Please check your connection.';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
   /**
    * Logout current user
    * @returns {Promise<{success: boolean}>}
@@ -120,6 +157,7 @@ export function AuthProvider({ children }) {
     error,
     isAuthenticated: !!user,
     login,
+    verifyTwoFactor,
     logout,
     clearError,
     checkAuth
@@ -1,21 +1,44 @@
 /**
  * AdminLogin Page
- * Login form for admin dashboard access
+ * Login form for admin dashboard access, with a second step for two-factor codes
+ * and a single sign-on button when the backend has an identity provider configured
  */
 
 import { useState, useEffect } from 'react';
-import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { useNavigate, useLocation, useSearchParams, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { API_URL } from '../config';
 import BaymaxFace from '../components/BaymaxFace';
 import BackgroundBlobs from '../components/BackgroundBlobs';
 
+// Why single sign-on sent the browser back here (the backend's sso_error codes)
+const SSO_ERROR_MESSAGES = {
+  expired: 'That sign-in attempt expired. Please try again.',
+  cancelled: 'Single sign-on was cancelled.',
+  provider_error: 'The identity provider reported an error. Please try again.',
+  provider_unreachable: 'I could not reach the identity provider. Please try again shortly.',
+  invalid_id_token: 'The identity provider response could not be verified. Please try again.',
+  unverified_email: 'Your email address has not been verified with the identity provider.',
+  domain_not_allowed: 'Your email domain is not allowed to access this dashboard.',
+  no_role: 'Your account has no role in this dashboard. Please ask an owner for access.',
+  account_disabled: 'This account has been disabled. Please contact an owner.'
+};
+
 function AdminLogin() {
+  const [searchParams] = useSearchParams();
+  const ssoErrorCode = searchParams.get('sso_error');
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [localError, setLocalError] = useState('');
+  const [localError, setLocalError] = useState(() => (
+    ssoErrorCode ? SSO_ERROR_MESSAGES[ssoErrorCode] || 'Single sign-on failed. Please try again.' : ''
+  ));
+  const [ssoEnabled, setSsoEnabled] = useState(false);
+  const [twoFactorStep, setTwoFactorStep] = useState(false);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
-  const { login, isAuthenticated, error: authError, clearError } = useAuth();
+  const { login, verifyTwoFactor, isAuthenticated, error: authError, clearError } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -27,6 +50,14 @@ function AdminLogin() {
     }
   }, [isAuthenticated, navigate, location]);
 
+  // Offer single sign-on only when it's configured
+  useEffect(() => {
+    fetch(`${API_URL}/admin/oidc`, { credentials: 'include' })
+      .then(response => response.json())
+      .then(data => setSsoEnabled(Boolean(data.enabled)))
+      .catch(() => setSsoEnabled(false));
+  }, []);
+
   // Clear errors when inputs change
   const handleInputChange = (setter) => (e) => {
     setter(e.target.value);
@@ -54,12 +85,54 @@ function AdminLogin() {
 
     setIsSubmitting(false);
 
+    if (result.twoFactorRequired) {
+      setPassword('');
+      setTwoFactorStep(true);
+    } else if (result.success) {
+      const from = location.state?.from?.pathname || '/admin/dashboard';
+      navigate(from, { replace: true });
+    }
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setLocalError(useRecoveryCode ? 'Please enter a recovery code.' : 'Please enter the 6-digit code.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setLocalError('');
+
+    const result = await verifyTwoFactor(useRecoveryCode ? { recovery_code: code.trim() } : { code: code.trim() });
+
+    setIsSubmitting(false);
+
     if (result.success) {
       const from = location.state?.from?.pathname || '/admin/dashboard';
       navigate(from, { replace: true });
+    } else if (result.expired) {
+      setTwoFactorStep(false);
+      setCode('');
     }
   };
 
+  const startOver = () => {
+    setTwoFactorStep(false);
+    setCode('');
+    setUseRecoveryCode(false);
+    setLocalError('');
+    clearError();
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(prev => !prev);
+    setCode('');
+    setLocalError('');
+    clearError();
+  };
+
   const displayError = localError || authError;
 
   return (
@@ -74,60 +147,125 @@ function AdminLogin() {
           />
           <h1>Admin Portal</h1>
           <p className="login-subtitle">
-            "Please identify yourself for administrator access."
+            {twoFactorStep
+              ? useRecoveryCode
+                ? '"Enter one of your recovery codes. Each works only once."'
+                : '"Please enter the code from your authenticator app."'
+              : '"Please identify yourself for administrator access."'}
           </p>
         </div>
 
-        <form onSubmit={handleSubmit} className="login-form">
-          {displayError && (
-            <div className="login-error" role="alert">
-              <span className="error-icon">!</span>
-              {displayError}
+        {twoFactorStep ? (
+          <form onSubmit={handleCodeSubmit} className="login-form">
+            {displayError && (
+              <div className="login-error" role="alert">
+                <span className="error-icon">!</span>
+                {displayError}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="two-factor-code">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+              <input
+                type="text"
+                id="two-factor-code"
+                key={useRecoveryCode ? 'recovery' : 'totp'}
+                value={code}
+                onChange={handleInputChange(setCode)}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete={useRecoveryCode ? 'off' : 'one-time-code'}
+                maxLength={useRecoveryCode ? 20 : 7}
+                autoFocus
+                disabled={isSubmitting}
+              />
             </div>
-          )}
-
-          <div className="form-group">
-            <label htmlFor="username">Username</label>
-            <input
-              type="text"
-              id="username"
-              value={username}
-              onChange={handleInputChange(setUsername)}
-              placeholder="Enter username"
-              autoComplete="username"
-              autoFocus
+
+            <button
+              type="submit"
+              className="login-button"
               disabled={isSubmitting}
-            />
-          </div>
-
-          <div className="form-group">
-            <label htmlFor="password">Password</label>
-            <input
-              type="password"
-              id="password"
-              value={password}
-              onChange={handleInputChange(setPassword)}
-              placeholder="Enter password"
-              autoComplete="current-password"
+            >
+              {isSubmitting ? (
+                <>
+                  <BaymaxFace emotion="thinking" size={20} />
+                  Verifying...
+                </>
+              ) : (
+                'Verify'
+              )}
+            </button>
+
+            <div className="two-factor-options">
+              <button type="button" className="back-link link-button" onClick={toggleRecoveryCode}>
+                {useRecoveryCode ? 'Use authenticator app instead' : 'Lost your device? Use a recovery code'}
+              </button>
+              <button type="button" className="back-link link-button" onClick={startOver}>
+                Start over
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="login-form">
+            {displayError && (
+              <div className="login-error" role="alert">
+                <span className="error-icon">!</span>
+                {displayError}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="username">Username</label>
+              <input
+                type="text"
+                id="username"
+                value={username}
+                onChange={handleInputChange(setUsername)}
+                placeholder="Enter username"
+                autoComplete="username"
+                autoFocus
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={handleInputChange(setPassword)}
+                placeholder="Enter password"
+                autoComplete="current-password"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="login-button"
               disabled={isSubmitting}
-            />
-          </div>
-
-          <button
-            type="submit"
-            className="login-button"
-            disabled={isSubmitting}
-          >
-            {isSubmitting ? (
+            >
+              {isSubmitting ? (
+                <>
+                  <BaymaxFace emotion="thinking" size={20} />
+                  Authenticating...
+                </>
+              ) : (
+                'Login'
+              )}
+            </button>
+
+            {ssoEnabled && (
               <>
-                <BaymaxFace emotion="thinking" size={20} />
-                Authenticating...
+                <div className="login-divider"><span>or</span></div>
+                <a href={`${API_URL}/admin/oidc/login`} className="login-button sso-button">
+                  Sign in with SSO
+                </a>
               </>
-            ) : (
-              'Login'
             )}
-          </button>
-        </form>
+          </form>
+        )}
 
         <div className="login-footer">
           <Link to="/" className="back-link">
@@ -0,0 +1,205 @@
+/**
+ * AdminPassword Page
+ * Change your own password, or set a new one from an owner's one-time reset link
+ */
+
+import { useState } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import BaymaxFace from '../components/BaymaxFace';
+import BackgroundBlobs from '../components/BackgroundBlobs';
+import { API_URL } from '../config';
+
+// Mirrors MIN_PASSWORD_LENGTH in the backend's password-policy.js
+const MIN_PASSWORD_LENGTH = 12;
+
+function AdminPassword() {
+  const { token } = useParams();
+  const isReset = Boolean(token);
+  const { user, checkAuth, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+
+  const mustChange = !isReset && user?.must_change_password;
+
+  const handleInputChange = (setter) => (e) => {
+    setter(e.target.value);
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isReset && !currentPassword) {
+      setError('Please enter your current password.');
+      return;
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setError('The new passwords do not match.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/admin/password${isReset ? '/reset' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(isReset
+          ? { token, new_password: newPassword }
+          : { current_password: currentPassword, new_password: newPassword })
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        setError(data.error || 'Failed to update password');
+        return;
+      }
+
+      if (isReset) {
+        setDone(true);
+      } else {
+        // Refresh the session user so the forced-change flag is cleared
+        await checkAuth();
+        navigate('/admin/dashboard', { replace: true });
+      }
+    } catch (err) {
+      console.error('Password update error:', err);
+      setError('Network error. Please check your connection.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const subtitle = isReset
+    ? '"Choose a new password to regain administrator access."'
+    : mustChange
+      ? '"Your password is temporary. Please choose your own before continuing."'
+      : '"Your other sessions will be signed out when your password changes."';
+
+  return (
+    <div className="admin-login-page">
+      <BackgroundBlobs count={3} animate={false} />
+
+      <div className="login-container glass-panel">
+        <div className="login-header">
+          <BaymaxFace
+            emotion={done ? 'happy' : error ? 'concerned' : isSubmitting ? 'thinking' : 'neutral'}
+            size={80}
+          />
+          <h1>{isReset ? 'Reset Password' : 'Change Password'}</h1>
+          <p className="login-subtitle">{subtitle}</p>
+        </div>
+
+        {done ? (
+          <div className="login-form">
+            <p className="password-success" role="status">
+              Your password has been updated. You can now log in with it.
+            </p>
+            <Link to="/admin/login" className="login-button">
+              Go to Login
+            </Link>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="login-form">
+            {error && (
+              <div className="login-error" role="alert">
+                <span className="error-icon">!</span>
+                {error}
+              </div>
+            )}
+
+            {/* Lets password managers associate the new password with the account */}
+            {!isReset && user && (
+              <input type="hidden" name="username" autoComplete="username" value={user.username} />
+            )}
+
+            {!isReset && (
+              <div className="form-group">
+                <label htmlFor="current-password">Current Password</label>
+                <input
+                  type="password"
+                  id="current-password"
+                  value={currentPassword}
+                  onChange={handleInputChange(setCurrentPassword)}
+                  autoComplete="current-password"
+                  autoFocus
+                  disabled={isSubmitting}
+                />
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="new-password">New Password</label>
+              <input
+                type="password"
+                id="new-password"
+                value={newPassword}
+                onChange={handleInputChange(setNewPassword)}
+                placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                autoComplete="new-password"
+                autoFocus={isReset}
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirm-password">Confirm New Password</label>
+              <input
+                type="password"
+                id="confirm-password"
+                value={confirmPassword}
+                onChange={handleInputChange(setConfirmPassword)}
+                autoComplete="new-password"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <p className="password-hint">
+              A few unrelated words make a strong, memorable password. Avoid your username and common passwords.
+            </p>
+
+            <button type="submit" className="login-button" disabled={isSubmitting}>
+              {isSubmitting ? (
+                <>
+                  <BaymaxFace emotion="thinking" size={20} />
+                  Updating...
+                </>
+              ) : (
+                'Update Password'
+              )}
+            </button>
+          </form>
+        )}
+
+        {!done && (
+          <div className="login-footer">
+            {mustChange ? (
+              <button type="button" className="back-link link-button" onClick={logout}>
+                Log out instead
+              </button>
+            ) : (
+              <Link to={isReset ? '/admin/login' : '/admin/dashboard'} className="back-link">
+                {isReset ? 'Back to Login' : 'Back to Dashboard'}
+              </Link>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminPassword;
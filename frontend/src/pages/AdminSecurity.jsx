@@ -0,0 +1,658 @@
+/**
+ * AdminSecurity Page
+ * Two-factor authentication enrollment, recovery codes, active sessions and API tokens for the signed-in admin,
+ * plus the owner-only switches that require 2FA and sign everyone out
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import BaymaxFace from '../components/BaymaxFace';
+import BackgroundBlobs from '../components/BackgroundBlobs';
+import { API_URL } from '../config';
+import { isOwner } from '../roles';
+
+const postJson = async (path, body) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify(body || {})
+  });
+  return response.json();
+};
+
+/**
+ * Short "Browser on OS" label for a session's user agent
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['iOS', /iPhone|iPad/], ['Android', /Android/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !os) return userAgent.slice(0, 60);
+  return `${browser ? browser[0] : 'Unknown browser'}${os ? ` on ${os[0]}` : ''}`;
+}
+
+const TOKEN_LIFETIME_OPTIONS = [
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' }
+];
+
+const EMPTY_TOKEN_FORM = { name: '', scopes: [], expires_in_days: 30 };
+
+const formatSessionTime = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+function RecoveryCodes({ codes, onDone }) {
+  return (
+    <div className="recovery-codes" role="status">
+      <p>
+        Save these recovery codes somewhere safe, like a password manager. Each one signs you in
+        once if you lose your device. They will not be shown again.
+      </p>
+      <ul className="recovery-code-list">
+        {codes.map(code => (
+          <li key={code}><code>{code}</code></li>
+        ))}
+      </ul>
+      <button type="button" className="logout-btn" onClick={onDone}>
+        I&apos;ve saved them
+      </button>
+    </div>
+  );
+}
+
+function AdminSecurity() {
+  const { user, checkAuth } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // 'recovery' or 'disable' while asking for the password to confirm
+  const [passwordAction, setPasswordAction] = useState(null);
+  const [password, setPassword] = useState('');
+  const [sessions, setSessions] = useState(null);
+  const [sessionMessage, setSessionMessage] = useState(null);
+  const [tokens, setTokens] = useState(null);
+  const [tokenScopes, setTokenScopes] = useState({});
+  const [tokenForm, setTokenForm] = useState(EMPTY_TOKEN_FORM);
+  const [newToken, setNewToken] = useState(null);
+
+  const owner = isOwner(user);
+  const mustEnroll = Boolean(user?.must_enroll_two_factor);
+  // Single sign-on admins have no password here; their identity provider handles second factors
+  const sso = Boolean(user?.sso);
+  const canRequireTwoFactor = Boolean(status?.enabled) || sso;
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/admin/2fa`, { credentials: 'include' });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      if (data.success) {
+        setStatus(data.two_factor);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Failed to fetch two-factor status:', err);
+      setError('Security settings temporarily unavailable');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/admin/settings`, { credentials: 'include' });
+      const data = await response.json();
+      if (data.success) setSettings(data.settings);
+    } catch (err) {
+      console.error('Failed to fetch settings:', err);
+    }
+  }, []);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/admin/sessions`, { credentials: 'include' });
+      const data = await response.json();
+      if (data.success) setSessions(data.sessions);
+    } catch (err) {
+      console.error('Failed to fetch sessions:', err);
+    }
+  }, []);
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/admin/tokens`, { credentials: 'include' });
+      const data = await response.json();
+      if (data.success) {
+        setTokens(data.tokens);
+        setTokenScopes(data.scopes);
+      }
+    } catch (err) {
+      console.error('Failed to fetch API tokens:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  useEffect(() => {
+    if (!mustEnroll) {
+      fetchSessions();
+      fetchTokens();
+    }
+  }, [mustEnroll, fetchSessions, fetchTokens]);
+
+  useEffect(() => {
+    if (owner && !mustEnroll) fetchSettings();
+  }, [owner, mustEnroll, fetchSettings]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setFormError(null);
+    try {
+      const data = await action();
+      if (!data.success) {
+        setFormError(data.error || 'Something went wrong');
+        return null;
+      }
+      return data;
+    } catch (err) {
+      console.error('Security action error:', err);
+      setFormError('Network error. Please check your connection.');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartSetup = async () => {
+    const data = await runAction(() => postJson('/admin/2fa/setup'));
+    if (data) {
+      setSetup(data);
+      setCode('');
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const data = await runAction(() => postJson('/admin/2fa/enable', { code: code.trim() }));
+    if (data) {
+      setSetup(null);
+      setRecoveryCodes(data.recovery_codes);
+      await fetchStatus();
+      await checkAuth();
+    }
+  };
+
+  const handlePasswordAction = async (e) => {
+    e.preventDefault();
+    const path = passwordAction === 'disable' ? '/admin/2fa/disable' : '/admin/2fa/recovery-codes';
+    const data = await runAction(() => postJson(path, { password }));
+    if (data) {
+      if (data.recovery_codes) setRecoveryCodes(data.recovery_codes);
+      setPasswordAction(null);
+      setPassword('');
+      await fetchStatus();
+      await checkAuth();
+    }
+  };
+
+  const handleRequireToggle = async () => {
+    const requireTwoFactor = !settings.require_two_factor;
+    if (requireTwoFactor && !confirm('Require two-factor authentication for every admin? Admins without it will be signed out and asked to set it up at their next login.')) {
+      return;
+    }
+    const data = await runAction(async () => {
+      const response = await fetch(`${API_URL}/admin/settings`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ require_two_factor: requireTwoFactor })
+      });
+      return response.json();
+    });
+    if (data) {
+      setSettings(data.settings);
+      await fetchStatus();
+    }
+  };
+
+  const deleteSessions = (path) => runAction(async () => {
+    const response = await fetch(`${API_URL}/admin/sessions${path}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    return response.json();
+  });
+
+  const handleRevokeSession = async (session) => {
+    setSessionMessage(null);
+    if (await deleteSessions(`/${session.id}`)) {
+      await fetchSessions();
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!confirm('Sign out every admin except you? Everyone else will have to log in again.')) {
+      return;
+    }
+    const data = await deleteSessions('');
+    if (data) {
+      setSessionMessage(data.message);
+      await fetchSessions();
+    }
+  };
+
+  const toggleTokenScope = (scope) => {
+    setTokenForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope) ? prev.scopes.filter(s => s !== scope) : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreateToken = async (e) => {
+    e.preventDefault();
+    const data = await runAction(() => postJson('/admin/tokens', {
+      ...tokenForm,
+      name: tokenForm.name.trim()
+    }));
+    if (data) {
+      setNewToken({ name: data.api_token.name, value: data.token });
+      setTokenForm(EMPTY_TOKEN_FORM);
+      await fetchTokens();
+    }
+  };
+
+  const handleRevokeToken = async (token) => {
+    if (!confirm(`Revoke "${token.name}"? Scripts using it will stop working immediately.`)) {
+      return;
+    }
+    const data = await runAction(async () => {
+      const response = await fetch(`${API_URL}/admin/tokens/${token.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      return response.json();
+    });
+    if (data) await fetchTokens();
+  };
+
+  const renderTwoFactor = () => {
+    if (loading) {
+      return (
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Scanning security settings...</p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-title">Connection Error</p>
+          <p className="error-text">{error}</p>
+          <button className="retry-btn" onClick={fetchStatus}>
+            Run Diagnostics Again
+          </button>
+        </div>
+      );
+    }
+
+    if (sso && !status.enabled) {
+      return (
+        <p>
+          You sign in with single sign-on, so two-factor authentication is handled by your identity provider.
+        </p>
+      );
+    }
+
+    if (recoveryCodes) {
+      return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+    }
+
+    if (!status.enabled) {
+      if (!setup) {
+        return (
+          <div className="security-row">
+            <p>
+              Two-factor authentication is <strong>off</strong>. Add an authenticator app so a stolen
+              password alone can&apos;t open the dashboard.
+            </p>
+            <button type="button" className="logout-btn" onClick={handleStartSetup} disabled={busy}>
+              Set Up
+            </button>
+          </div>
+        );
+      }
+
+      return (
+        <form className="two-factor-setup" onSubmit={handleEnable}>
+          <img className="two-factor-qr" src={setup.qr_code} alt="QR code for your authenticator app" width={200} height={200} />
+          <div className="two-factor-setup-steps">
+            <p>1. Scan this code with an authenticator app.</p>
+            <p className="two-factor-manual">
+              Can&apos;t scan it? Enter this key instead: <code>{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+            </p>
+            <label htmlFor="setup-code">2. Enter the 6-digit code the app shows:</label>
+            <div className="security-row">
+              <input
+                type="text"
+                id="setup-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                maxLength={7}
+                disabled={busy}
+              />
+              <button type="submit" className="logout-btn" disabled={busy || !code.trim()}>
+                Turn On
+              </button>
+              <button type="button" className="refresh-btn" onClick={() => setSetup(null)} disabled={busy}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        </form>
+      );
+    }
+
+    return (
+      <>
+        <p>
+          Two-factor authentication is <strong>on</strong> since{' '}
+          {new Date(status.enabled_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}.
+          {' '}{status.recovery_codes_remaining} recovery code{status.recovery_codes_remaining === 1 ? '' : 's'} left.
+        </p>
+        {status.recovery_codes_remaining <= 2 && (
+          <p className="security-warning">You are running low on recovery codes. Generate new ones.</p>
+        )}
+
+        {passwordAction ? (
+          <form className="security-row" onSubmit={handlePasswordAction}>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Confirm with your password"
+              aria-label="Password"
+              autoComplete="current-password"
+              autoFocus
+              disabled={busy}
+            />
+            <button type="submit" className="logout-btn" disabled={busy || !password}>
+              {passwordAction === 'disable' ? 'Turn Off' : 'Generate'}
+            </button>
+            <button
+              type="button"
+              className="refresh-btn"
+              onClick={() => {
+                setPasswordAction(null);
+                setPassword('');
+                setFormError(null);
+              }}
+              disabled={busy}
+            >
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <div className="security-row">
+            <button type="button" className="refresh-btn" onClick={() => setPasswordAction('recovery')}>
+              New Recovery Codes
+            </button>
+            <button
+              type="button"
+              className="refresh-btn"
+              onClick={() => setPasswordAction('disable')}
+              disabled={status.required}
+              title={status.required ? 'Owners require two-factor authentication for every admin' : undefined}
+            >
+              Turn Off
+            </button>
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="admin-dashboard">
+      <BackgroundBlobs count={3} animate={false} />
+
+      <header className="admin-header glass-panel">
+        <div className="admin-header-left">
+          <BaymaxFace emotion="neutral" size={48} />
+          <div className="admin-title">
+            <h1>Security</h1>
+            <p className="admin-user">Protect your administrator account</p>
+          </div>
+        </div>
+        {!mustEnroll && (
+          <div className="admin-header-right">
+            <Link to="/admin/dashboard" className="admin-nav-link">
+              Back to Dashboard
+            </Link>
+          </div>
+        )}
+      </header>
+
+      <main className="admin-main">
+        <div className="admin-content">
+          <div className="admin-full-width-section">
+            <div className="recent-ratings security-section">
+              <h3>Two-Factor Authentication</h3>
+
+              {mustEnroll && (
+                <p className="security-warning">
+                  Owners require two-factor authentication for every admin. Set it up to continue to the dashboard.
+                </p>
+              )}
+
+              {formError && (
+                <div className="login-error" role="alert">
+                  <span className="error-icon">!</span>
+                  {formError}
+                </div>
+              )}
+
+              {renderTwoFactor()}
+            </div>
+
+            {!mustEnroll && !sso && (
+              <div className="recent-ratings security-section">
+                <h3>Password</h3>
+                <div className="security-row">
+                  <p>Changing your password signs out your other sessions.</p>
+                  <Link to="/admin/password" className="refresh-btn">
+                    Change Password
+                  </Link>
+                </div>
+              </div>
+            )}
+
+            {sessions && !mustEnroll && (
+              <div className="recent-ratings security-section">
+                <h3>Active Sessions</h3>
+                <ul className="session-list">
+                  {sessions.map(session => (
+                    <li key={session.id} className="session-row">
+                      <div className="session-details">
+                        <span className="user-admin-name">
+                          {describeUserAgent(session.user_agent)}
+                          {session.current && <span className="user-admin-self">this device</span>}
+                        </span>
+                        <span className="category-admin-meta">
+                          {session.ip_address || 'Unknown IP'} - signed in {formatSessionTime(session.created_at)}
+                          {' '}- last active {formatSessionTime(session.last_activity)}
+                        </span>
+                      </div>
+                      {!session.current && (
+                        <button
+                          type="button"
+                          className="refresh-btn"
+                          onClick={() => handleRevokeSession(session)}
+                          disabled={busy}
+                        >
+                          Sign Out
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                {owner && (
+                  <div className="security-row">
+                    <p>{sessionMessage || 'Lost a laptop or suspect a break-in? End every other admin session at once.'}</p>
+                    <button type="button" className="logout-btn" onClick={handleRevokeAll} disabled={busy}>
+                      Sign Out Everyone
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {tokens && !mustEnroll && (
+              <div className="recent-ratings security-section">
+                <h3>API Tokens</h3>
+                <p>
+                  Personal access tokens let scripts call the admin API with an
+                  {' '}<code>Authorization: Bearer</code> header. A token acts as you, limited to its scopes.
+                </p>
+
+                {newToken && (
+                  <div className="issued-password" role="status">
+                    <p>
+                      Token for <strong>{newToken.name}</strong>. Copy it now and store it like a password;
+                      it will not be shown again.
+                    </p>
+                    <code>{newToken.value}</code>
+                    <button type="button" className="undo-dismiss" onClick={() => setNewToken(null)} aria-label="Dismiss">
+                      x
+                    </button>
+                  </div>
+                )}
+
+                {tokens.length > 0 && (
+                  <ul className="session-list">
+                    {tokens.map(token => {
+                      const expired = new Date(token.expires_at) <= new Date();
+                      return (
+                        <li key={token.id} className="session-row">
+                          <div className="session-details">
+                            <span className="user-admin-name">
+                              {token.name}
+                              {expired && <span className="user-admin-self">expired</span>}
+                            </span>
+                            <span className="category-admin-meta">
+                              <code>{token.token_prefix}...</code> - {token.scopes.join(', ')}
+                            </span>
+                            <span className="category-admin-meta">
+                              {expired ? 'Expired' : 'Expires'} {formatSessionTime(token.expires_at)}
+                              {' '}- {token.last_used_at ? `last used ${formatSessionTime(token.last_used_at)}` : 'never used'}
+                            </span>
+                          </div>
+                          <button
+                            type="button"
+                            className="refresh-btn"
+                            onClick={() => handleRevokeToken(token)}
+                            disabled={busy}
+                          >
+                            Revoke
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+
+                <form className="token-form" onSubmit={handleCreateToken}>
+                  <div className="security-row">
+                    <input
+                      type="text"
+                      value={tokenForm.name}
+                      onChange={(e) => setTokenForm(prev => ({ ...prev, name: e.target.value }))}
+                      placeholder="Token name, e.g. Weekly report"
+                      aria-label="Token name"
+                      maxLength={100}
+                      disabled={busy}
+                    />
+                    <select
+                      value={tokenForm.expires_in_days}
+                      onChange={(e) => setTokenForm(prev => ({ ...prev, expires_in_days: Number(e.target.value) }))}
+                      aria-label="Expires after"
+                      disabled={busy}
+                    >
+                      {TOKEN_LIFETIME_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>Expires in {option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="token-scopes">
+                    {Object.entries(tokenScopes).map(([scope, description]) => (
+                      <label key={scope} className="security-toggle">
+                        <input
+                          type="checkbox"
+                          checked={tokenForm.scopes.includes(scope)}
+                          onChange={() => toggleTokenScope(scope)}
+                          disabled={busy}
+                        />
+                        <code>{scope}</code> {description}
+                      </label>
+                    ))}
+                  </div>
+                  <button
+                    type="submit"
+                    className="logout-btn"
+                    disabled={busy || !tokenForm.name.trim() || tokenForm.scopes.length === 0}
+                  >
+                    Create Token
+                  </button>
+                </form>
+              </div>
+            )}
+
+            {owner && settings && !mustEnroll && (
+              <div className="recent-ratings security-section">
+                <h3>Sign-in Policy</h3>
+                <label className="security-toggle">
+                  <input
+                    type="checkbox"
+                    checked={settings.require_two_factor}
+                    onChange={handleRequireToggle}
+                    disabled={busy || (!settings.require_two_factor && !canRequireTwoFactor)}
+                  />
+                  Require two-factor authentication for every admin
+                </label>
+                {!settings.require_two_factor && !canRequireTwoFactor && (
+                  <p className="trash-notice">Turn on two-factor authentication for your own account first.</p>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default AdminSecurity;
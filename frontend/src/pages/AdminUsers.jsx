@@ -0,0 +1,401 @@
+/**
+ * AdminUsers Page
+ * Owner-only management of the admin accounts that can sign in to the dashboard
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import BaymaxFace from '../components/BaymaxFace';
+import BackgroundBlobs from '../components/BackgroundBlobs';
+import { API_URL } from '../config';
+
+const ROLE_OPTIONS = [
+  { value: 'viewer', label: 'Viewer', description: 'Reads stats and ratings' },
+  { value: 'moderator', label: 'Moderator', description: 'Also deletes, restores and replies to ratings' },
+  { value: 'owner', label: 'Owner', description: 'Also manages users, categories and the audit log' }
+];
+
+const EMPTY_INVITE = { username: '', display_name: '', role: 'viewer' };
+
+const formatLastLogin = (value) => {
+  if (!value) return 'Never signed in';
+  return `Last signed in ${new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })}`;
+};
+
+function AdminUsers() {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+  const [invite, setInvite] = useState(EMPTY_INVITE);
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState({ username: '', display_name: '' });
+  // One-time secret from the last invite or reset: { kind, username, value }
+  const [issued, setIssued] = useState(null);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/admin/users`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      if (data.success) {
+        setUsers(data.users);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Failed to fetch admin users:', err);
+      setError('Care team records temporarily unavailable');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const saveUser = async (method, path, body, savingKey) => {
+    setSavingId(savingKey);
+    setFormError(null);
+    try {
+      const response = await fetch(`${API_URL}/admin/users${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        credentials: 'include',
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setFormError(data.error || 'Failed to save user');
+        return null;
+      }
+      await fetchUsers();
+      return data;
+    } catch (err) {
+      console.error('User save error:', err);
+      setFormError('Failed to save user');
+      return null;
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!invite.username.trim()) {
+      setFormError('Please enter a username.');
+      return;
+    }
+    const data = await saveUser('POST', '', {
+      username: invite.username.trim(),
+      display_name: invite.display_name.trim() || null,
+      role: invite.role
+    }, 'new');
+    if (data) {
+      setInvite(EMPTY_INVITE);
+      setIssued({ kind: 'password', username: data.user.username, value: data.temporary_password });
+    }
+  };
+
+  const startEditing = (user) => {
+    setEditingId(user.id);
+    setEditValues({ username: user.username, display_name: user.display_name || '' });
+    setFormError(null);
+  };
+
+  const handleRename = async (id) => {
+    const data = await saveUser('PATCH', `/${id}`, {
+      username: editValues.username,
+      display_name: editValues.display_name.trim() || null
+    }, id);
+    if (data) setEditingId(null);
+  };
+
+  const handleRoleChange = (user, role) => {
+    saveUser('PATCH', `/${user.id}`, { role }, user.id);
+  };
+
+  const handleToggleActive = (user) => {
+    if (user.active && !confirm(`Disable ${user.username}? They will be signed out everywhere.`)) {
+      return;
+    }
+    saveUser('PATCH', `/${user.id}`, { active: !user.active }, user.id);
+  };
+
+  const handleResetPassword = async (user) => {
+    if (!confirm(`Create a one-time password reset link for ${user.username}?`)) {
+      return;
+    }
+    const data = await saveUser('POST', `/${user.id}/password-reset`, null, user.id);
+    if (data) {
+      const resetUrl = `${window.location.origin}${window.location.pathname}#/admin/reset-password/${data.token}`;
+      setIssued({ kind: 'reset', username: user.username, value: resetUrl, expiresAt: data.expires_at });
+    }
+  };
+
+  const handleResetTwoFactor = (user) => {
+    if (!confirm(`Turn off two-factor authentication for ${user.username}? Use this when they've lost their device and recovery codes. They will be signed out everywhere.`)) {
+      return;
+    }
+    saveUser('DELETE', `/${user.id}/2fa`, null, user.id);
+  };
+
+  const handleDelete = (user) => {
+    if (!confirm(`Permanently delete ${user.username}? Their replies and audit history are kept.`)) {
+      return;
+    }
+    saveUser('DELETE', `/${user.id}`, null, user.id);
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Scanning care team records...</p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-title">Connection Error</p>
+          <p className="error-text">{error}</p>
+          <button className="retry-btn" onClick={fetchUsers}>
+            Run Diagnostics Again
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="category-admin-list">
+        {users.map(user => {
+          const isSelf = user.id === currentUser?.id;
+          const isEditing = editingId === user.id;
+          const isSaving = savingId === user.id;
+
+          return (
+            <div
+              key={user.id}
+              className={`category-admin-row ${user.active ? '' : 'inactive'} ${isSaving ? 'saving' : ''}`}
+            >
+              {isEditing ? (
+                <div className="category-admin-fields">
+                  <input
+                    type="text"
+                    value={editValues.display_name}
+                    onChange={(e) => setEditValues(prev => ({ ...prev, display_name: e.target.value }))}
+                    placeholder="Display name"
+                    aria-label="Display name"
+                    maxLength={100}
+                  />
+                  <input
+                    type="text"
+                    value={editValues.username}
+                    onChange={(e) => setEditValues(prev => ({ ...prev, username: e.target.value }))}
+                    aria-label="Username"
+                    maxLength={50}
+                  />
+                </div>
+              ) : (
+                <div className="category-admin-fields">
+                  <span className="user-admin-name">
+                    {user.display_name || user.username}
+                    {isSelf && <span className="user-admin-self">you</span>}
+                    {user.two_factor_enabled && <span className="user-admin-self" title="Two-factor authentication is on">2FA</span>}
+                    {user.sso && (
+                      <span className="user-admin-self" title="Signs in with single sign-on; the role is synced from the identity provider at each sign-in">
+                        SSO
+                      </span>
+                    )}
+                  </span>
+                  <span className="category-admin-meta">
+                    @{user.username}{user.email && ` (${user.email})`} - {!user.active
+                      ? 'Disabled'
+                      : user.must_change_password ? 'Awaiting first sign-in' : formatLastLogin(user.last_login)}
+                  </span>
+                </div>
+              )}
+
+              <div className="category-admin-actions">
+                {isEditing ? (
+                  <>
+                    <button className="refresh-btn" onClick={() => handleRename(user.id)} disabled={isSaving}>
+                      Save
+                    </button>
+                    <button className="refresh-btn" onClick={() => setEditingId(null)} disabled={isSaving}>
+                      Cancel
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <select
+                      value={user.role}
+                      onChange={(e) => handleRoleChange(user, e.target.value)}
+                      disabled={isSaving}
+                      aria-label={`Role for ${user.username}`}
+                    >
+                      {ROLE_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button className="refresh-btn" onClick={() => startEditing(user)} disabled={isSaving}>
+                      Rename
+                    </button>
+                    {!isSelf && (
+                      <>
+                        {user.active && !user.sso && (
+                          <button className="refresh-btn" onClick={() => handleResetPassword(user)} disabled={isSaving}>
+                            Reset Password
+                          </button>
+                        )}
+                        {user.two_factor_enabled && (
+                          <button className="refresh-btn" onClick={() => handleResetTwoFactor(user)} disabled={isSaving}>
+                            Reset 2FA
+                          </button>
+                        )}
+                        <button className="refresh-btn" onClick={() => handleToggleActive(user)} disabled={isSaving}>
+                          {user.active ? 'Disable' : 'Enable'}
+                        </button>
+                        <button
+                          className="delete-rating-btn"
+                          onClick={() => handleDelete(user)}
+                          disabled={isSaving}
+                          title="Delete user"
+                        >
+                          x
+                        </button>
+                      </>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className="admin-dashboard">
+      <BackgroundBlobs count={3} animate={false} />
+
+      <header className="admin-header glass-panel">
+        <div className="admin-header-left">
+          <BaymaxFace emotion="happy" size={48} />
+          <div className="admin-title">
+            <h1>Care Team</h1>
+            <p className="admin-user">Manage who can access the admin dashboard</p>
+          </div>
+        </div>
+        <div className="admin-header-right">
+          <Link to="/admin/dashboard" className="admin-nav-link">
+            Back to Dashboard
+          </Link>
+        </div>
+      </header>
+
+      <main className="admin-main">
+        <div className="admin-content">
+          <div className="admin-full-width-section">
+            <div className="recent-ratings user-manager">
+              <h3>
+                Admin Users
+                {!loading && !error && (
+                  <span className="total-count">({users.filter(u => u.active).length} active)</span>
+                )}
+              </h3>
+
+              {formError && (
+                <div className="login-error" role="alert">
+                  <span className="error-icon">!</span>
+                  {formError}
+                </div>
+              )}
+
+              {issued && (
+                <div className="issued-password" role="status">
+                  {issued.kind === 'reset' ? (
+                    <p>
+                      Password reset link for <strong>{issued.username}</strong>. It works once and expires
+                      {' '}{new Date(issued.expiresAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}.
+                      Share it securely; it will not be shown again.
+                    </p>
+                  ) : (
+                    <p>
+                      Temporary password for <strong>{issued.username}</strong>. They will choose their own
+                      at first sign-in. Share it securely; it will not be shown again.
+                    </p>
+                  )}
+                  <code>{issued.value}</code>
+                  <button type="button" className="undo-dismiss" onClick={() => setIssued(null)} aria-label="Dismiss">
+                    x
+                  </button>
+                </div>
+              )}
+
+              {renderContent()}
+
+              <form className="category-admin-form" onSubmit={handleInvite}>
+                <h4>Invite Admin</h4>
+                <div className="category-admin-row">
+                  <div className="category-admin-fields">
+                    <input
+                      type="text"
+                      value={invite.username}
+                      onChange={(e) => setInvite(prev => ({ ...prev, username: e.target.value }))}
+                      placeholder="Username (e.g. honey.lemon)"
+                      aria-label="Username"
+                      maxLength={50}
+                    />
+                    <input
+                      type="text"
+                      value={invite.display_name}
+                      onChange={(e) => setInvite(prev => ({ ...prev, display_name: e.target.value }))}
+                      placeholder="Display name (optional)"
+                      aria-label="Display name"
+                      maxLength={100}
+                    />
+                  </div>
+                  <div className="category-admin-actions">
+                    <select
+                      value={invite.role}
+                      onChange={(e) => setInvite(prev => ({ ...prev, role: e.target.value }))}
+                      aria-label="Role"
+                      title={ROLE_OPTIONS.find(option => option.value === invite.role)?.description}
+                    >
+                      {ROLE_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button type="submit" className="logout-btn" disabled={savingId === 'new'}>
+                      {savingId === 'new' ? 'Inviting...' : 'Invite'}
+                    </button>
+                  </div>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default AdminUsers;
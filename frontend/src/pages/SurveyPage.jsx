@@ -0,0 +1,78 @@
+/**
+ * SurveyPage
+ * Public page for a named survey campaign (/#/s/:slug), with its own title, introduction and categories
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import PublicLayout from '../components/PublicLayout';
+import RatingForm from '../components/RatingForm';
+import BaymaxFace from '../components/BaymaxFace';
+import { API_URL } from '../config';
+
+function SurveyPage() {
+  const { slug } = useParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch(`${API_URL}/surveys/${encodeURIComponent(slug)}`)
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setData(result);
+          setError(null);
+        } else {
+          setError(result.error || 'I could not find that survey. Please check your link.');
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch survey:', err);
+        setError('I cannot connect to my care database. Is my server running?');
+      });
+  }, [slug]);
+
+  // Stable identity so the form doesn't refetch on every render
+  const survey = useMemo(
+    () => (data ? { ...data.survey, categories: data.categories } : null),
+    [data]
+  );
+
+  if (error) {
+    return (
+      <PublicLayout>
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-text">{error}</p>
+          <Link to="/" className="retry-btn">Go to the main feedback form</Link>
+        </div>
+      </PublicLayout>
+    );
+  }
+
+  if (!survey) {
+    return (
+      <PublicLayout>
+        <div className="loading-state">
+          <BaymaxFace emotion="thinking" size={64} className="loading-baymax" />
+          <p className="loading-text">Loading survey...</p>
+        </div>
+      </PublicLayout>
+    );
+  }
+
+  return (
+    <PublicLayout title={survey.title} tagline={survey.intro}>
+      {survey.status === 'open' ? (
+        <RatingForm survey={survey} />
+      ) : (
+        <div className="error-state">
+          <BaymaxFace emotion="concerned" size={64} className="error-baymax" />
+          <p className="error-text">{survey.message}</p>
+        </div>
+      )}
+    </PublicLayout>
+  );
+}
+
+export default SurveyPage;
@@ -0,0 +1,12 @@
+/**
+ * Admin role helpers
+ * Mirror the backend's requireRole() checks so the dashboard only offers what the server allows
+ */
+
+export function hasRole(user, ...roles) {
+  return Boolean(user && roles.includes(user.role));
+}
+
+export const canModerate = (user) => hasRole(user, 'moderator', 'owner');
+
+export const isOwner = (user) => hasRole(user, 'owner');
@@ -0,0 +1,19 @@
+/**
+ * Survey branching rules
+ * Re-exports the engine in shared/survey-rules.js, the same file the backend validates
+ * answers with, so the form shows and requires exactly what the server will check
+ */
+
+// The shared engine is CommonJS; vite.config.js turns its module.exports into the default export
+import surveyRules from '../../shared/survey-rules.js';
+
+export const {
+  BUILT_IN_FIELDS,
+  OPERATORS_BY_FIELD_TYPE,
+  LIST_OPERATORS,
+  PRESENCE_OPERATORS,
+  conditionFieldType,
+  resolveQuestions,
+  needsPreviousIssueDetails,
+  isBlank
+} = surveyRules;
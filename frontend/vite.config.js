@@ -1,7 +1,34 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Code shared with the backend is CommonJS (../shared)
+const SHARED_DIR = fileURLToPath(new URL('../shared/', import.meta.url))
+
+/**
+ * Serve ../shared CommonJS files as ES modules whose default export is module.exports
+ * Vite only converts CommonJS inside node_modules, and differently in dev and build;
+ * wrapping the files here makes both load them the same way
+ */
+function sharedCommonJs() {
+  return {
+    name: 'baymax-shared-commonjs',
+    enforce: 'pre',
+    transform(code, id) {
+      if (!id.startsWith(SHARED_DIR) || !id.endsWith('.js')) return null
+      return {
+        code: `const __shared = { exports: {} };\n(function (module, exports) {\n${code}\n})(__shared, __shared.exports);\nexport default __shared.exports;\n`,
+        map: null,
+      }
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [sharedCommonJs(), react()],
+  server: {
+    // Allow serving ../shared (code shared with the backend) in development
+    fs: { allow: ['..'] },
+  },
 })
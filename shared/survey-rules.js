@@ -0,0 +1,191 @@
+/**
+ * Survey Rules
+ * "I will ask only the questions relevant to your condition."
+ *
+ * The branching rules engine for the survey form. One copy of this file drives both
+ * the public form (which questions to show and require) and the backend (which answers
+ * to accept and which to insist on), so the two can never disagree.
+ *
+ * Written as CommonJS for the backend (and Jest); the frontend imports it through the
+ * small adapter in frontend/vite.config.js, which exposes module.exports as the default export.
+ *
+ * A rule group looks like:
+ *   { match: 'all', conditions: [
+ *     { field: 'stars', op: 'lte', value: 2 },
+ *     { field: 'category', op: 'in', value: ['bug_fixing'] },
+ *     { field: 'question', question_id: 7, op: 'eq', value: 'Email' }
+ *   ] }
+ */
+
+'use strict';
+
+// Fields a condition can look at besides another question's answer
+var BUILT_IN_FIELDS = ['stars', 'category', 'resolves_issue', 'issue_recurrence'];
+
+// Operators allowed for each kind of value
+var OPERATORS_BY_FIELD_TYPE = {
+  stars: ['eq', 'neq', 'in', 'not_in', 'lt', 'lte', 'gt', 'gte'],
+  category: ['eq', 'neq', 'in', 'not_in'],
+  yes_no: ['eq', 'answered', 'not_answered'],
+  single_choice: ['eq', 'neq', 'in', 'not_in', 'answered', 'not_answered'],
+  multi_choice: ['includes', 'answered', 'not_answered'],
+  short_text: ['answered', 'not_answered'],
+  scale: ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'answered', 'not_answered']
+};
+
+// Operators that take a list of values rather than one
+var LIST_OPERATORS = ['in', 'not_in'];
+
+// Operators that take no value at all
+var PRESENCE_OPERATORS = ['answered', 'not_answered'];
+
+// The built-in "Please describe the previous occurrence" box
+var PREVIOUS_ISSUE_DETAILS_RULE = {
+  match: 'all',
+  conditions: [{ field: 'issue_recurrence', op: 'eq', value: true }]
+};
+
+/**
+ * Yes/no answers arrive as booleans from the form, 1/0 from the database
+ * and strings from query-style input; compare them as booleans
+ */
+function toBoolean(value) {
+  if (value === true || value === 1 || value === 'true') return true;
+  if (value === false || value === 0 || value === 'false') return false;
+  return null;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * The kind of value a condition compares, which decides its operators
+ * @param {Object} condition
+ * @param {Object} questionsById - Question definitions keyed by ID
+ * @returns {string|null} A key of OPERATORS_BY_FIELD_TYPE, or null for an unknown field
+ */
+function conditionFieldType(condition, questionsById) {
+  if (!condition) return null;
+  if (condition.field === 'stars' || condition.field === 'category') return condition.field;
+  if (condition.field === 'resolves_issue' || condition.field === 'issue_recurrence') return 'yes_no';
+  if (condition.field === 'question') {
+    var question = questionsById[condition.question_id];
+    return question ? question.type : null;
+  }
+  return null;
+}
+
+/**
+ * Read the value a condition looks at
+ * @param {Object} condition
+ * @param {Object} context - { stars, category, resolves_issue, issue_recurrence, answers }
+ */
+function fieldValue(condition, context) {
+  if (condition.field === 'question') {
+    return (context.answers || {})[condition.question_id];
+  }
+  if (condition.field === 'resolves_issue' || condition.field === 'issue_recurrence') {
+    return toBoolean(context[condition.field]);
+  }
+  return context[condition.field];
+}
+
+/**
+ * Test one condition; comparisons against an unanswered field are always false
+ * @param {Object} condition
+ * @param {Object} context
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, context) {
+  var actual = fieldValue(condition, context);
+  var expected = condition.value;
+
+  if (condition.op === 'answered') return !isBlank(actual);
+  if (condition.op === 'not_answered') return isBlank(actual);
+  if (isBlank(actual)) return false;
+
+  switch (condition.op) {
+    case 'eq':
+      return typeof actual === 'boolean' ? actual === toBoolean(expected) : String(actual) === String(expected);
+    case 'neq':
+      return String(actual) !== String(expected);
+    case 'in':
+      return Array.isArray(expected) && expected.map(String).indexOf(String(actual)) !== -1;
+    case 'not_in':
+      return Array.isArray(expected) && expected.map(String).indexOf(String(actual)) === -1;
+    case 'lt':
+      return Number(actual) < Number(expected);
+    case 'lte':
+      return Number(actual) <= Number(expected);
+    case 'gt':
+      return Number(actual) > Number(expected);
+    case 'gte':
+      return Number(actual) >= Number(expected);
+    case 'includes':
+      return (Array.isArray(actual) ? actual : [actual]).map(String).indexOf(String(expected)) !== -1;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Test a rule group; a missing group always matches
+ * @param {Object|null} group - { match: 'all'|'any', conditions: [] }
+ * @param {Object} context
+ * @returns {boolean}
+ */
+function evaluateRuleGroup(group, context) {
+  if (!group || !Array.isArray(group.conditions) || group.conditions.length === 0) return true;
+  var test = function (condition) { return evaluateCondition(condition, context); };
+  return group.match === 'any' ? group.conditions.some(test) : group.conditions.every(test);
+}
+
+/**
+ * Decide which survey questions are shown and which are required
+ * Questions are resolved in form order, and answers to hidden questions are ignored,
+ * so a rule only sees answers to questions the patient could actually see
+ * @param {Array} questions - Question definitions in form order
+ * @param {Object} context - { stars, category, resolves_issue, issue_recurrence, answers }
+ * @returns {Array<{question: Object, visible: boolean, required: boolean}>}
+ */
+function resolveQuestions(questions, context) {
+  var visibleAnswers = {};
+  var scope = Object.assign({}, context, { answers: visibleAnswers });
+  var submitted = context.answers || {};
+
+  return questions.map(function (question) {
+    var visible = evaluateRuleGroup(question.show_if, scope);
+    var required = visible && (Boolean(question.required) ||
+      (question.required_if ? evaluateRuleGroup(question.required_if, scope) : false));
+    if (visible && !isBlank(submitted[question.id])) {
+      visibleAnswers[question.id] = submitted[question.id];
+    }
+    return { question: question, visible: visible, required: required };
+  });
+}
+
+/**
+ * Whether the built-in previous issue details box is shown (and required)
+ * @param {Object} context - Needs issue_recurrence
+ * @returns {boolean}
+ */
+function needsPreviousIssueDetails(context) {
+  return evaluateRuleGroup(PREVIOUS_ISSUE_DETAILS_RULE, context);
+}
+
+module.exports = {
+  BUILT_IN_FIELDS: BUILT_IN_FIELDS,
+  OPERATORS_BY_FIELD_TYPE: OPERATORS_BY_FIELD_TYPE,
+  LIST_OPERATORS: LIST_OPERATORS,
+  PRESENCE_OPERATORS: PRESENCE_OPERATORS,
+  PREVIOUS_ISSUE_DETAILS_RULE: PREVIOUS_ISSUE_DETAILS_RULE,
+  conditionFieldType: conditionFieldType,
+  evaluateCondition: evaluateCondition,
+  evaluateRuleGroup: evaluateRuleGroup,
+  resolveQuestions: resolveQuestions,
+  needsPreviousIssueDetails: needsPreviousIssueDetails,
+  isBlank: isBlank
+};